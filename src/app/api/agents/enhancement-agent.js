@@ -86,7 +86,9 @@ export class EnhancementAgent {
       Validation Suggestions:
       ${JSON.stringify(validationSuggestions, null, 2)}
       
-      Create a strategic enhancement plan that addresses validation concerns and optimizes the project.`
+      Create a strategic enhancement plan that addresses validation concerns and optimizes the project.`,
+      true,
+      { step: 'createEnhancementPlan', agent: 'enhancement' }
     );
   }
 
@@ -150,7 +152,9 @@ export class EnhancementAgent {
       Technical Research:
       ${JSON.stringify(techResearch, null, 2)}
       
-      Provide comprehensive technical optimizations.`
+      Provide comprehensive technical optimizations.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -174,7 +178,9 @@ export class EnhancementAgent {
       Architecture Enhancements:
       ${JSON.stringify(enhancements, null, 2)}
       
-      Provide comprehensive architecture improvements.`
+      Provide comprehensive architecture improvements.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -198,7 +204,9 @@ export class EnhancementAgent {
       Performance Enhancements:
       ${JSON.stringify(enhancements, null, 2)}
       
-      Provide comprehensive performance improvements.`
+      Provide comprehensive performance improvements.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -232,7 +240,9 @@ export class EnhancementAgent {
       Security Research:
       ${JSON.stringify(securityResearch, null, 2)}
       
-      Provide comprehensive security improvements.`
+      Provide comprehensive security improvements.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -256,7 +266,9 @@ export class EnhancementAgent {
       UX Enhancements:
       ${JSON.stringify(enhancements, null, 2)}
       
-      Provide comprehensive user experience improvements.`
+      Provide comprehensive user experience improvements.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -280,7 +292,9 @@ export class EnhancementAgent {
       Scalability Enhancements:
       ${JSON.stringify(enhancements, null, 2)}
       
-      Provide comprehensive scalability improvements.`
+      Provide comprehensive scalability improvements.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -304,7 +318,9 @@ export class EnhancementAgent {
       Maintainability Enhancements:
       ${JSON.stringify(enhancements, null, 2)}
       
-      Provide comprehensive maintainability improvements.`
+      Provide comprehensive maintainability improvements.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -328,7 +344,9 @@ export class EnhancementAgent {
       Cost Optimization Enhancements:
       ${JSON.stringify(enhancements, null, 2)}
       
-      Provide comprehensive cost optimization improvements.`
+      Provide comprehensive cost optimization improvements.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -350,7 +368,9 @@ export class EnhancementAgent {
       Enhancement Category: ${priorityCategory.category}
       Specific Enhancements: ${JSON.stringify(priorityCategory.enhancements, null, 2)}
       
-      Provide comprehensive improvements for this category.`
+      Provide comprehensive improvements for this category.`,
+      true,
+      { step: 'applyEnhancementCategory', agent: 'enhancement' }
     );
   }
 
@@ -367,7 +387,9 @@ export class EnhancementAgent {
       Applied Enhancements:
       ${JSON.stringify(enhancements, null, 2)}
       
-      Integrate all enhancements into a cohesive, improved project plan.`
+      Integrate all enhancements into a cohesive, improved project plan.`,
+      true,
+      { step: 'generateEnhancedProject', agent: 'enhancement' }
     );
   }
 
@@ -389,7 +411,9 @@ export class EnhancementAgent {
       Enhanced Project:
       ${JSON.stringify(enhancedProject, null, 2)}
       
-      Calculate the improvement score and assess the enhancements.`
+      Calculate the improvement score and assess the enhancements.`,
+      true,
+      { step: 'calculateImprovementScore', agent: 'enhancement' }
     );
 
     return comparison.improvement_score || 0;
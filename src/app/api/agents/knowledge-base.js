@@ -62,7 +62,9 @@ export class KnowledgeBase {
       Feedback:
       ${feedback ? JSON.stringify(feedback, null, 2) : 'No feedback provided'}
       
-      Extract comprehensive learnings from this project experience.`
+      Extract comprehensive learnings from this project experience.`,
+      true,
+      { step: 'extractLearnings', agent: 'knowledge-base' }
     );
   }
 
@@ -246,7 +248,9 @@ export class KnowledgeBase {
       Relevant Knowledge:
       ${JSON.stringify(relevantKnowledge, null, 2)}
       
-      Synthesize this knowledge into actionable insights for the current project.`
+      Synthesize this knowledge into actionable insights for the current project.`,
+      true,
+      { step: 'synthesizeKnowledge', agent: 'knowledge-base' }
     );
   }
 
@@ -274,7 +278,9 @@ export class KnowledgeBase {
       Results:
       ${JSON.stringify(results, null, 2)}
       
-      Analyze patterns and their validation from this project.`
+      Analyze patterns and their validation from this project.`,
+      true,
+      { step: 'updatePatterns', agent: 'knowledge-base' }
     );
 
     // Update pattern strengths based on analysis
@@ -8,7 +8,31 @@ import { ResearchAgent } from './research-agent.js';
 import { ValidationAgent } from './validation-agent.js';
 import { EnhancementAgent } from './enhancement-agent.js';
 import { KnowledgeBase } from './knowledge-base.js';
-import { callLLM } from '../utils/llm.js';
+import {
+  callLLM,
+  interpretProject,
+  generateTasksAndMilestones,
+  assignTasksAndTimeline,
+  generateArtifacts
+} from '../utils/llm.js';
+import { emitProgress, getRunContext, reportStepResult, trackPhase } from '../utils/run-context.js';
+import { repairPlanGraph } from '../utils/plan-graph.js';
+import { scheduleProject } from '../utils/scheduler.js';
+import { availableSearchProviders } from '../utils/search-providers.js';
+import { citeItem, formatBibliography } from '../utils/citations.js';
+import { runTasks } from '../utils/task-runner.js';
+import {
+  analysisSchema,
+  interpretationSchema,
+  milestonesSchema,
+  assignmentsSchema
+} from '../utils/schemas.js';
+
+const PLAN_SCHEMAS = {
+  interpretation: interpretationSchema,
+  milestones: milestonesSchema,
+  assignments: assignmentsSchema
+};
 
 export class AgentOrchestrator {
   constructor() {
@@ -18,37 +42,71 @@ export class AgentOrchestrator {
     this.enhancementAgent = new EnhancementAgent();
     this.knowledgeBase = new KnowledgeBase();
     this.executionLog = [];
+    this.validationResults = null;
+    this.enhancementApplied = false;
+    this.clarifications = [];
+    this.contributors = [];
+    this.startDate = undefined;
+    // Sources cited in the research brief, numbered as they appear there
+    this.bibliography = [];
   }
 
-  async orchestrateProjectGeneration(projectIdea, contributors, specialInstructions) {
+  // options: clarifications (owner answers from the clarification round) and
+  // start_date (week 1 of the schedule)
+  async orchestrateProjectGeneration(projectIdea, contributors, specialInstructions, options = {}) {
     this.log("🧠 Agent Orchestrator starting autonomous project generation");
+    this.clarifications = options.clarifications || [];
+    this.contributors = contributors;
+    this.startDate = options.start_date;
     
     // Phase 1: Autonomous Analysis & Planning
-    const analysisResults = await this.autonomousAnalysis(projectIdea, specialInstructions);
+    const analysisResults = await trackPhase('analysis', () =>
+      this.autonomousAnalysis(projectIdea, specialInstructions)
+    );
     
     // Phase 2: Dynamic Research & Validation
-    const researchResults = await this.autonomousResearch(analysisResults);
+    const researchResults = await trackPhase('research', () =>
+      this.autonomousResearch(analysisResults)
+    );
+    const researchBrief = this.buildResearchBrief(analysisResults, researchResults);
     
     // Phase 3: Enhanced Project Generation
-    const enhancedProject = await this.enhancedGeneration(
-      projectIdea, 
-      contributors, 
-      specialInstructions, 
-      analysisResults, 
-      researchResults
+    const enhancedProject = await trackPhase('generation', () =>
+      this.enhancedGeneration(projectIdea, contributors, specialInstructions, researchBrief)
     );
     
     // Phase 4: Continuous Validation & Improvement
-    const finalProject = await this.continuousImprovement(enhancedProject);
+    const finalProject = await trackPhase('improvement', () =>
+      this.continuousImprovement(enhancedProject)
+    );
+    for (const step of ['interpretation', 'milestones', 'assignments']) {
+      await reportStepResult(step, finalProject[step]);
+    }
+
+    // Phase 5: Artifacts reflect the improved plan
+    const artifacts = await trackPhase('artifacts', () =>
+      this.generateProjectArtifacts(projectIdea, finalProject, researchBrief)
+    );
+    await reportStepResult('artifacts', artifacts);
     
     return {
       ...finalProject,
+      artifacts,
       agentInsights: {
         analysisResults,
         researchResults,
+        validationResults: this.validationResults,
+        webSearchPerformed: this.hasWebResults(researchResults),
+        technicalResearchConducted: Boolean(researchResults.technicalResearch),
+        marketAnalysisPerformed: Boolean(researchResults.marketAnalysis),
+        enhancementApplied: this.enhancementApplied,
         executionLog: this.executionLog,
         confidenceScore: this.calculateConfidenceScore(),
-        recommendations: await this.generateRecommendations(finalProject)
+        sources: this.bibliography,
+        recommendations: await this.generateRecommendations(finalProject),
+        // Evaluated last so it includes the recommendations call
+        usage: getRunContext().usage?.summary() ?? null,
+        cache: getRunContext().cacheStats ?? null
       }
     };
   }
@@ -74,7 +132,9 @@ export class AgentOrchestrator {
       `Project Idea: ${projectIdea}
       Special Instructions: ${specialInstructions || 'None'}
       
-      Autonomously determine what research, validation, and enhancement this project needs.`
+      Autonomously determine what research, validation, and enhancement this project needs.`,
+      true,
+      { step: 'autonomousAnalysis', agent: 'orchestrator', schema: analysisSchema }
     );
 
     this.log(`📊 Analysis complete: ${analysisDecision.complexity_assessment} complexity`);
@@ -85,71 +145,94 @@ export class AgentOrchestrator {
     this.log("🔬 Starting autonomous research phase");
     const researchResults = {};
 
-    // Web Search Research
-    if (analysisResults.web_search_queries?.length > 0) {
-      const hasApiKey = process.env.SERPER_API_KEY;
-      if (hasApiKey) {
-        this.log(`🌐 Performing ${analysisResults.web_search_queries.length} web searches`);
+    const queries = analysisResults.web_search_queries || [];
+    const topics = analysisResults.research_needed || [];
+
+    if (queries.length > 0) {
+      const providers = availableSearchProviders();
+      if (providers.length > 0) {
+        this.log(`🌐 Performing ${queries.length} web searches (${providers.join(' → ')})`);
       } else {
-        this.log(`⚠️ Web search requested but SERPER_API_KEY not configured - using fallback research`);
+        this.log(`⚠️ Web search requested but no search provider is configured - continuing without web results`);
       }
-      
-      researchResults.webSearchResults = await Promise.all(
-        analysisResults.web_search_queries.map(query => 
-          this.webSearchAgent.search(query)
-        )
-      );
     }
-
-    // Technical Research
-    if (analysisResults.research_needed?.length > 0) {
-      this.log(`📚 Conducting technical research on ${analysisResults.research_needed.length} topics`);
-      researchResults.technicalResearch = await this.researchAgent.conductResearch(
-        analysisResults.research_needed
-      );
+    if (topics.length > 0) {
+      this.log(`📚 Conducting technical research on ${topics.length} topics`);
     }
 
-    // Market & Competitive Analysis
-    researchResults.marketAnalysis = await this.researchAgent.analyzeMarket(
-      analysisResults.research_needed
-    );
-
-    // Technology Stack Research
-    researchResults.technologyResearch = await this.researchAgent.researchTechnologies(
-      analysisResults.research_needed
-    );
+    // Web searches, technical, market and technology research are independent, so they share one batch
+    const research = [
+      ...queries.map(query => ['webSearchResults', () => this.webSearchAgent.search(query)]),
+      ...(topics.length > 0 ? [['technicalResearch', () => this.researchAgent.conductResearch(topics)]] : []),
+      ['marketAnalysis', () => this.researchAgent.analyzeMarket(topics)],
+      ['technologyResearch', () => this.researchAgent.researchTechnologies(topics)]
+    ];
+    const settled = await runTasks(research, ([, conduct]) => conduct());
+    settled.forEach((result, index) => {
+      if (result.status === 'rejected') throw result.error;
+      const [field] = research[index];
+      if (field === 'webSearchResults') {
+        (researchResults.webSearchResults ??= []).push(result.value);
+      } else {
+        researchResults[field] = result.value;
+      }
+    });
 
+    const cacheStats = getRunContext().cacheStats;
+    if (cacheStats?.hits > 0) {
+      this.log(`💾 Reused ${cacheStats.hits} cached research results (${cacheStats.misses} fetched fresh)`);
+    }
     this.log("✅ Research phase complete");
     return researchResults;
   }
 
-  async enhancedGeneration(projectIdea, contributors, specialInstructions, analysisResults, researchResults) {
+  // Research items cite their sources; the brief renumbers them once for the whole run
+  buildResearchBrief(analysisResults, researchResults) {
+    const webAnalyses = (researchResults.webSearchResults || []).map(result => result.analysis).filter(Boolean);
+    const sections = [
+      ['Risk Factors', analysisResults.risk_factors],
+      ['Critical Success Factors', analysisResults.success_factors],
+      ['Enhancement Opportunities', analysisResults.enhancement_opportunities],
+      ['Web Research', webAnalyses.flatMap(analysis => analysis.key_insights || [])],
+      ['Market Data', webAnalyses.flatMap(analysis => analysis.market_data || [])],
+      ['Technical Insights', researchResults.technicalResearch?.synthesis?.strategic_insights],
+      ['Technical Recommendations', researchResults.technicalResearch?.synthesis?.strategic_recommendations],
+      ['Market Insights', researchResults.marketAnalysis?.synthesis?.strategic_insights],
+      ['Technology Recommendations', researchResults.technologyResearch?.synthesis?.strategic_recommendations]
+    ];
+
+    this.bibliography = [];
+    const brief = sections
+      .map(([heading, items]) => [heading, (items || []).map(item => citeItem(item, this.bibliography)).filter(Boolean)])
+      .filter(([, items]) => items.length > 0)
+      .map(([heading, items]) => `${heading}:\n${items.map(item => `- ${item}`).join('\n')}`);
+
+    if (this.bibliography.length > 0) {
+      brief.push(`Sources:\n${formatBibliography(this.bibliography)}`);
+    }
+    return brief.join('\n\n');
+  }
+
+  async enhancedGeneration(projectIdea, contributors, specialInstructions, researchBrief) {
     this.log("🚀 Starting enhanced project generation with agent insights");
 
-    // Create enhanced context for LLM
-    const enhancedContext = {
-      originalIdea: projectIdea,
-      contributors,
-      specialInstructions,
-      agentAnalysis: analysisResults,
-      researchFindings: researchResults,
-      marketInsights: researchResults.marketAnalysis,
-      technicalRecommendations: researchResults.technologyResearch
-    };
+    // Run the standard pipeline steps with the research findings as extra context
+    const interpretation = await interpretProject(projectIdea, specialInstructions, {
+      research: researchBrief,
+      clarifications: this.clarifications
+    });
+    this.log(`📋 Interpretation complete: ${interpretation.title}`);
 
-    // Generate project with enhanced context
-    const enhancedProject = await callLLM(
-      `You are an expert project architect with access to comprehensive research and market analysis.
-      Use the provided research findings and agent analysis to create a superior project plan.
-      
-      Respond with JSON following the standard project schema but enhanced with research insights.`,
-      `Enhanced Project Generation Context:
-      ${JSON.stringify(enhancedContext, null, 2)}
-      
-      Create a comprehensive project plan that incorporates all research findings and agent recommendations.`
-    );
+    const milestones = await generateTasksAndMilestones(interpretation);
+    this.log(`📋 Generated ${milestones.milestones?.length || 0} milestones`);
 
-    return enhancedProject;
+    const assignments = await assignTasksAndTimeline(milestones, contributors, specialInstructions, {
+      clarifications: this.clarifications,
+      start_date: this.startDate
+    });
+    this.log(`👥 Assigned ${assignments.assignments?.length || 0} tasks`);
+
+    return { interpretation, milestones, assignments };
   }
 
   async continuousImprovement(project) {
@@ -157,6 +240,8 @@ export class AgentOrchestrator {
 
     // Validate project feasibility
     const validationResults = await this.validationAgent.validateProject(project);
+    this.validationResults = validationResults;
+    this.log(`📊 Validation score: ${validationResults.overallScore}`);
     
     // Enhance based on validation
     if (validationResults.improvementNeeded) {
@@ -165,13 +250,79 @@ export class AgentOrchestrator {
         project, 
         validationResults.suggestions
       );
-      return improvedProject;
+      const mergedProject = await this.mergeImprovements(project, improvedProject);
+      this.enhancementApplied = mergedProject !== project;
+      this.log(this.enhancementApplied
+        ? "✅ Enhancement applied to project plan"
+        : "⚠️ Enhanced plan failed validation - keeping the original plan");
+      return mergedProject;
     }
 
     return project;
   }
 
+  // Only take improved plan sections that still match their step schema
+  async mergeImprovements(project, improvedProject) {
+    let merged = project;
+
+    for (const [key, schema] of Object.entries(PLAN_SCHEMAS)) {
+      if (!improvedProject?.[key]) continue;
+      try {
+        const section = await schema.validate(improvedProject[key], { abortEarly: false });
+        merged = { ...merged, [key]: section };
+      } catch (error) {
+        this.log(`⚠️ Discarding enhanced ${key}: ${error.errors?.join('; ') || error.message}`);
+      }
+    }
+
+    // Enhanced milestones skip the graph checks of the milestones step
+    if (merged.milestones !== project.milestones) {
+      const { milestones, repairs } = repairPlanGraph(merged.milestones);
+      repairs.forEach(repair => this.log(`🔗 ${repair.message}: ${repair.fix}`));
+      merged = {
+        ...merged,
+        milestones: {
+          ...milestones,
+          graph_repairs: { issues: repairs, llm_corrected: false, repairs }
+        }
+      };
+    }
+
+    // Enhanced weeks are LLM guesses; keep its assignees but recompute the timeline
+    if (merged !== project) {
+      merged = {
+        ...merged,
+        assignments: scheduleProject(merged.milestones, merged.assignments, this.contributors, {
+          startDate: this.startDate
+        })
+      };
+    }
+
+    return merged;
+  }
+
+  async generateProjectArtifacts(projectIdea, project, researchBrief) {
+    this.log("📄 Generating artifacts from the final project plan");
+
+    return await generateArtifacts(
+      project.interpretation,
+      project.milestones,
+      project.assignments,
+      projectIdea,
+      { research: researchBrief, sources: this.bibliography }
+    );
+  }
+
+  hasWebResults(researchResults) {
+    return (researchResults.webSearchResults || []).some(result => result.results?.length > 0);
+  }
+
   calculateConfidenceScore() {
+    // Prefer the validation agent's score when validation actually ran
+    if (this.validationResults) {
+      return this.validationResults.overallScore;
+    }
+
     // Calculate confidence based on research depth, validation results, etc.
     const factors = {
       researchDepth: this.executionLog.filter(log => log.includes('research')).length,
@@ -185,10 +336,19 @@ export class AgentOrchestrator {
 
   async generateRecommendations(project) {
     return await callLLM(
-      `Generate strategic recommendations for this project based on the comprehensive analysis performed.`,
+      `Generate strategic recommendations for this project based on the comprehensive analysis performed.
+      
+      Respond with JSON:
+      {
+        "key_recommendations": ["array of the most important recommendations"],
+        "quick_wins": ["array of low-effort, high-impact actions"],
+        "long_term_considerations": ["array of longer-term strategic considerations"]
+      }`,
       `Project: ${JSON.stringify(project, null, 2)}
       
-      Provide actionable recommendations for success.`
+      Provide actionable recommendations for success.`,
+      true,
+      { step: 'generateRecommendations', agent: 'orchestrator' }
     );
   }
 
@@ -196,5 +356,6 @@ export class AgentOrchestrator {
     const timestamp = new Date().toISOString();
     this.executionLog.push(`[${timestamp}] ${message}`);
     console.log(`🤖 ${message}`);
+    emitProgress('log', { message });
   }
 }
\ No newline at end of file
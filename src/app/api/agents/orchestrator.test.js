@@ -0,0 +1,113 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AgentOrchestrator } from "./orchestrator.js";
+import { runWithContext } from "../utils/run-context.js";
+import { UsageTracker } from "../utils/usage.js";
+import { emptyCacheStats } from "../utils/agent-cache.js";
+import { TEST_CONTRIBUTORS } from "../test/fake-llm.js";
+import { recording, useFixtures } from "../test/fixture-run.js";
+
+let fetchCalls;
+
+beforeEach(() => {
+  fetchCalls = useFixtures("orchestrator");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+async function orchestrate(events = []) {
+  const context = {
+    usage: new UsageTracker(),
+    cacheStats: emptyCacheStats(),
+    onProgress: (event) => events.push(event),
+  };
+  return runWithContext(context, () =>
+    new AgentOrchestrator().orchestrateProjectGeneration("A REST API for tracking tasks", TEST_CONTRIBUTORS, "Use Python", {
+      start_date: "2024-01-01",
+    }),
+  );
+}
+
+describe("orchestrateProjectGeneration", () => {
+  it("runs every phase against the recorded services", async () => {
+    const events = [];
+    const project = await orchestrate(events);
+
+    expect(project.interpretation.title).toBe("Test Project");
+    expect(project.milestones.milestones.map((milestone) => milestone.name)).toEqual(["M1", "M2"]);
+    expect(project.assignments.assignments.map((assignment) => assignment.task_id)).toEqual(["T001", "T002", "T003"]);
+    expect(project.assignments.milestone_schedule).toHaveLength(2);
+    expect(project.artifacts.readme).toContain("# Test Project");
+
+    const insights = project.agentInsights;
+    expect(insights.analysisResults.complexity_assessment).toBe("medium");
+    expect(insights.webSearchPerformed).toBe(true);
+    expect(insights.technicalResearchConducted).toBe(true);
+    expect(insights.validationResults.overallScore).toBe(85);
+    expect(insights.sources.map((source) => source.url)).toContain("https://fastapi.example/docs");
+    expect(insights.usage.calls).toBeGreaterThan(5);
+    expect(insights.usage.by_agent.orchestrator.calls).toBeGreaterThan(0);
+
+    const phases = events.filter((event) => event.type === "phase_finished").map((event) => event.phase);
+    expect(phases).toEqual(expect.arrayContaining(["analysis", "research", "generation", "improvement", "artifacts"]));
+    if (!recording) expect(fetchCalls).toEqual([]);
+  });
+
+  it("fails the run when a recorded call is missing", async () => {
+    if (recording) return;
+    vi.stubEnv("FIXTURE_DIR", "/nonexistent/fixtures");
+
+    await expect(orchestrate()).rejects.toThrow(/No recorded fixture for llm POST/);
+  });
+});
+
+describe("autonomousResearch", () => {
+  it("runs the web searches and every kind of research in one batch", async () => {
+    vi.stubEnv("AGENT_CONCURRENCY", "10");
+    const orchestrator = new AgentOrchestrator();
+    const started = [];
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    // Each stub waits until all six tasks have started, so a sequential phase would hang
+    const stub = (name) => async (arg) => {
+      started.push(name);
+      if (started.length === 6) release();
+      await gate;
+      return { name, arg };
+    };
+    orchestrator.webSearchAgent.search = stub("search");
+    orchestrator.researchAgent.conductResearch = stub("technical");
+    orchestrator.researchAgent.analyzeMarket = stub("market");
+    orchestrator.researchAgent.researchTechnologies = stub("technology");
+
+    const research = await orchestrator.autonomousResearch({
+      web_search_queries: ["fastapi", "flask", "django"],
+      research_needed: ["tech stack"],
+    });
+
+    expect(started.sort()).toEqual(["market", "search", "search", "search", "technical", "technology"]);
+    expect(research).toEqual({
+      webSearchResults: ["fastapi", "flask", "django"].map((arg) => ({ name: "search", arg })),
+      technicalResearch: { name: "technical", arg: ["tech stack"] },
+      marketAnalysis: { name: "market", arg: ["tech stack"] },
+      technologyResearch: { name: "technology", arg: ["tech stack"] },
+    });
+  });
+
+  it("fails the phase when one research task fails", async () => {
+    const orchestrator = new AgentOrchestrator();
+    orchestrator.researchAgent.analyzeMarket = async () => ({});
+    orchestrator.researchAgent.researchTechnologies = async () => {
+      throw new Error("technology research failed");
+    };
+
+    await expect(orchestrator.autonomousResearch({ web_search_queries: [], research_needed: [] })).rejects.toThrow(
+      "technology research failed",
+    );
+  });
+});
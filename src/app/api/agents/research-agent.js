@@ -3,13 +3,18 @@
  * Makes autonomous decisions about what research to perform
  */
 
+import { agentCache, normalizeQuery } from '../utils/agent-cache.js';
+import { citedItems, collectSources, inlineCitations, sourcesPrompt } from '../utils/citations.js';
 import { callLLM } from '../utils/llm.js';
 import { WebSearchAgent } from './web-search-agent.js';
+import { deepReadConfig } from '../utils/page-reader.js';
+import { researchStrategySchema } from '../utils/schemas.js';
+import { runTasks } from '../utils/task-runner.js';
 
 export class ResearchAgent {
   constructor() {
     this.webSearchAgent = new WebSearchAgent();
-    this.researchCache = new Map();
+    this.cache = agentCache();
     this.knowledgeDomains = [
       'technology', 'market', 'competition', 'regulations', 
       'best_practices', 'architecture', 'security', 'scalability'
@@ -19,11 +24,34 @@ export class ResearchAgent {
   async conductResearch(researchTopics) {
     console.log(`🔬 Research Agent: Investigating ${researchTopics.length} topics`);
     
-    const researchResults = {};
-    
-    for (const topic of researchTopics) {
+    // Topics are independent; a failed topic is reported and left out of the synthesis
+    const settled = await runTasks(researchTopics, async topic => {
       console.log(`📚 Researching: ${topic}`);
-      researchResults[topic] = await this.researchTopic(topic);
+      // Similar ideas share research topics ("market analysis", "tech stack"); reuse a recent investigation
+      const { value, cached } = await this.cache.remember(
+        'research',
+        [normalizeQuery(topic), { deepRead: deepReadConfig().enabled }],
+        () => this.researchTopic(topic)
+      );
+      if (cached) console.log(`💾 Reusing cached research: ${topic}`);
+      return value;
+    });
+
+    const researchResults = {};
+    const failedTopics = [];
+    settled.forEach((result, index) => {
+      const topic = researchTopics[index];
+      if (result.status === 'fulfilled') {
+        researchResults[topic] = result.value;
+      } else {
+        console.error(`Research failed for "${topic}":`, result.error);
+        failedTopics.push({ topic, error: result.error.message });
+      }
+    });
+
+    // With every topic failed there is nothing to synthesize
+    if (researchTopics.length > 0 && failedTopics.length === researchTopics.length) {
+      throw settled[0].error;
     }
 
     // Synthesize all research findings
@@ -34,6 +62,7 @@ export class ResearchAgent {
       synthesis,
       researchMetadata: {
         topicsInvestigated: researchTopics.length,
+        failedTopics,
         timestamp: new Date().toISOString(),
         confidenceScore: this.calculateResearchConfidence(researchResults)
       }
@@ -50,24 +79,25 @@ export class ResearchAgent {
       findings: {}
     };
 
-    // Execute research based on strategy
-    if (researchStrategy.webSearchNeeded) {
-      results.findings.webResearch = await this.webSearchAgent.searchMultipleQueries(
-        researchStrategy.searchQueries
-      );
-    }
-
-    if (researchStrategy.technicalAnalysisNeeded) {
-      results.findings.technicalAnalysis = await this.performTechnicalAnalysis(topic);
-    }
+    // The strategy's analyses do not depend on each other; a failed one is left out of the findings
+    const analyses = [
+      ['webResearch', researchStrategy.webSearchNeeded,
+        () => this.webSearchAgent.searchMultipleQueries(researchStrategy.searchQueries)],
+      ['technicalAnalysis', researchStrategy.technicalAnalysisNeeded, () => this.performTechnicalAnalysis(topic)],
+      ['marketAnalysis', researchStrategy.marketAnalysisNeeded, () => this.performMarketAnalysis(topic)],
+      ['riskAnalysis', researchStrategy.riskAnalysisNeeded, () => this.performRiskAnalysis(topic)]
+    ].filter(([, needed]) => needed);
 
-    if (researchStrategy.marketAnalysisNeeded) {
-      results.findings.marketAnalysis = await this.performMarketAnalysis(topic);
-    }
-
-    if (researchStrategy.riskAnalysisNeeded) {
-      results.findings.riskAnalysis = await this.performRiskAnalysis(topic);
-    }
+    const settled = await runTasks(analyses, ([, , analyze]) => analyze());
+    settled.forEach((result, index) => {
+      const [finding] = analyses[index];
+      if (result.status === 'fulfilled') {
+        results.findings[finding] = result.value;
+      } else {
+        console.error(`${finding} failed for "${topic}":`, result.error);
+        (results.failedFindings ??= []).push({ finding, error: result.error.message });
+      }
+    });
 
     // Synthesize findings for this topic
     results.synthesis = await this.synthesizeTopicFindings(topic, results.findings);
@@ -92,7 +122,9 @@ export class ResearchAgent {
       }`,
       `Research Topic: ${topic}
       
-      Plan a comprehensive research strategy to gather the most valuable insights about this topic.`
+      Plan a comprehensive research strategy to gather the most valuable insights about this topic.`,
+      true,
+      { step: 'planResearchStrategy', agent: 'research', schema: researchStrategySchema }
     );
   }
 
@@ -115,7 +147,9 @@ export class ResearchAgent {
       }`,
       `Technical Analysis Topic: ${topic}
       
-      Provide comprehensive technical analysis covering all aspects of implementation.`
+      Provide comprehensive technical analysis covering all aspects of implementation.`,
+      true,
+      { step: 'performTechnicalAnalysis', agent: 'research' }
     );
   }
 
@@ -128,17 +162,18 @@ export class ResearchAgent {
       `${topic} pricing models revenue streams`
     ]);
 
-    // Analyze market findings
-    return await callLLM(
+    // Analyze market findings; figures must point back to the searches they came from
+    const sources = collectSources(marketSearchResults);
+    const analysis = await callLLM(
       `You are a market research analyst. Analyze the market landscape for this topic.
       
       Respond with JSON:
       {
-        "market_size": "estimated market size and growth",
+        "market_size": {"text": "estimated market size and growth", "sources": [1]},
         "target_segments": ["array of target market segments"],
         "competition_level": "low|medium|high|very_high",
-        "market_trends": ["array of relevant market trends"],
-        "opportunities": ["array of market opportunities"],
+        "market_trends": [{"text": "relevant market trend", "sources": [2]}],
+        "opportunities": [{"text": "market opportunity", "sources": [1]}],
         "threats": ["array of market threats"],
         "pricing_insights": ["array of pricing strategy insights"],
         "go_to_market_strategy": ["array of GTM recommendations"],
@@ -147,10 +182,22 @@ export class ResearchAgent {
       `Market Analysis Topic: ${topic}
       
       Market Research Data:
-      ${JSON.stringify(marketSearchResults, null, 2)}
+      ${JSON.stringify(inlineCitations(marketSearchResults, sources), null, 2)}
+      
+      ${sourcesPrompt(sources)}
       
-      Provide comprehensive market analysis.`
+      Provide comprehensive market analysis.`,
+      true,
+      { step: 'performMarketAnalysis', agent: 'research' }
     );
+
+    return {
+      ...analysis,
+      market_size: citedItems([analysis.market_size], sources)[0] ?? null,
+      market_trends: citedItems(analysis.market_trends, sources),
+      opportunities: citedItems(analysis.opportunities, sources),
+      sources
+    };
   }
 
   async performRiskAnalysis(topic) {
@@ -169,18 +216,21 @@ export class ResearchAgent {
       }`,
       `Risk Analysis Topic: ${topic}
       
-      Identify and analyze all potential risks and provide mitigation strategies.`
+      Identify and analyze all potential risks and provide mitigation strategies.`,
+      true,
+      { step: 'performRiskAnalysis', agent: 'research' }
     );
   }
 
   async synthesizeTopicFindings(topic, findings) {
-    return await callLLM(
+    const sources = collectSources(findings);
+    const synthesis = await callLLM(
       `You are a research synthesizer. Combine all research findings into actionable insights.
       
       Respond with JSON:
       {
-        "key_insights": ["array of most important insights"],
-        "actionable_recommendations": ["array of specific recommendations"],
+        "key_insights": [{"text": "important insight", "sources": [1]}],
+        "actionable_recommendations": [{"text": "specific recommendation", "sources": [2]}],
         "implementation_priorities": ["array of prioritized implementation steps"],
         "success_metrics": ["array of metrics to track success"],
         "next_steps": ["array of immediate next steps"],
@@ -190,32 +240,56 @@ export class ResearchAgent {
       `Research Topic: ${topic}
       
       Research Findings:
-      ${JSON.stringify(findings, null, 2)}
+      ${JSON.stringify(inlineCitations(findings, sources), null, 2)}
       
-      Synthesize all findings into actionable insights and recommendations.`
+      ${sourcesPrompt(sources)}
+      
+      Synthesize all findings into actionable insights and recommendations.`,
+      true,
+      { step: 'synthesizeTopicFindings', agent: 'research' }
     );
+
+    return {
+      ...synthesis,
+      key_insights: citedItems(synthesis.key_insights, sources),
+      actionable_recommendations: citedItems(synthesis.actionable_recommendations, sources),
+      sources
+    };
   }
 
   async synthesizeResearch(researchResults) {
-    return await callLLM(
+    const sources = collectSources(researchResults);
+    const synthesis = await callLLM(
       `You are a strategic research synthesizer. Combine all research across topics into a comprehensive strategic analysis.
       
       Respond with JSON:
       {
-        "strategic_insights": ["array of high-level strategic insights"],
+        "strategic_insights": [{"text": "high-level strategic insight", "sources": [1]}],
         "cross_topic_patterns": ["array of patterns identified across topics"],
         "synergies": ["array of synergies between different areas"],
         "conflicts": ["array of conflicting findings that need resolution"],
         "overall_feasibility": "high|medium|low",
-        "strategic_recommendations": ["array of strategic recommendations"],
+        "strategic_recommendations": [{"text": "strategic recommendation", "sources": [2]}],
         "implementation_roadmap": ["array of phased implementation steps"],
         "success_probability": "percentage estimate of success probability"
       }`,
       `Comprehensive Research Results:
-      ${JSON.stringify(researchResults, null, 2)}
+      ${JSON.stringify(inlineCitations(researchResults, sources), null, 2)}
+      
+      ${sourcesPrompt(sources)}
       
-      Provide strategic synthesis across all research topics.`
+      Provide strategic synthesis across all research topics.`,
+      true,
+      { step: 'synthesizeResearch', agent: 'research' }
     );
+
+    // The sources every cited item can point to, so consumers can build one bibliography
+    return {
+      ...synthesis,
+      strategic_insights: citedItems(synthesis.strategic_insights, sources),
+      strategic_recommendations: citedItems(synthesis.strategic_recommendations, sources),
+      sources
+    };
   }
 
   calculateResearchConfidence(researchResults) {
@@ -5,6 +5,9 @@
 
 import { callLLM } from '../utils/llm.js';
 import { WebSearchAgent } from './web-search-agent.js';
+import { emitProgress } from '../utils/run-context.js';
+import { runTasks } from '../utils/task-runner.js';
+import { improvementSuggestionsSchema, validationCriterionSchema } from '../utils/schemas.js';
 
 export class ValidationAgent {
   constructor() {
@@ -33,10 +36,28 @@ export class ValidationAgent {
       suggestions: []
     };
 
-    // Run all validation checks
-    for (const criterion of this.validationCriteria) {
+    // Criteria are checked independently; one that fails is recorded with its error and left out of the score
+    const settled = await runTasks(this.validationCriteria, async criterion => {
       console.log(`✅ Validating: ${criterion}`);
-      validationResults.results[criterion] = await this.validateCriterion(project, criterion);
+      const result = await this.validateCriterion(project, criterion);
+      emitProgress('validation_score', { criterion, score: result.score ?? null });
+      return result;
+    });
+
+    settled.forEach((result, index) => {
+      const criterion = this.validationCriteria[index];
+      if (result.status === 'fulfilled') {
+        validationResults.results[criterion] = result.value;
+      } else {
+        console.error(`Validation of ${criterion} failed:`, result.error);
+        emitProgress('validation_score', { criterion, score: null, error: result.error.message });
+        validationResults.results[criterion] = { score: null, error: result.error.message };
+      }
+    });
+
+    // Without a single successful check there is no score to act on
+    if (settled.length > 0 && settled.every(result => result.status === 'rejected')) {
+      throw settled[0].error;
     }
 
     // Calculate overall validation score
@@ -90,7 +111,9 @@ export class ValidationAgent {
       `Project for Technical Validation:
       ${JSON.stringify(project, null, 2)}
       
-      Assess technical feasibility and provide detailed analysis.`
+      Assess technical feasibility and provide detailed analysis.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -125,7 +148,9 @@ export class ValidationAgent {
       Market Research Data:
       ${JSON.stringify(marketResearch, null, 2)}
       
-      Assess market viability and provide detailed analysis.`
+      Assess market viability and provide detailed analysis.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -148,7 +173,9 @@ export class ValidationAgent {
       `Project for Resource Validation:
       ${JSON.stringify(project, null, 2)}
       
-      Assess resource adequacy and allocation efficiency.`
+      Assess resource adequacy and allocation efficiency.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -171,7 +198,9 @@ export class ValidationAgent {
       `Project for Timeline Validation:
       ${JSON.stringify(project, null, 2)}
       
-      Assess timeline realism and identify potential scheduling issues.`
+      Assess timeline realism and identify potential scheduling issues.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -194,7 +223,9 @@ export class ValidationAgent {
       `Project for Risk Validation:
       ${JSON.stringify(project, null, 2)}
       
-      Assess risk identification, analysis, and mitigation strategies.`
+      Assess risk identification, analysis, and mitigation strategies.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -217,7 +248,9 @@ export class ValidationAgent {
       `Project for Completeness Validation:
       ${JSON.stringify(project, null, 2)}
       
-      Check project completeness and identify missing components.`
+      Check project completeness and identify missing components.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -240,7 +273,9 @@ export class ValidationAgent {
       `Project for Quality Standards Validation:
       ${JSON.stringify(project, null, 2)}
       
-      Assess quality standards and best practices compliance.`
+      Assess quality standards and best practices compliance.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -271,7 +306,9 @@ export class ValidationAgent {
       Best Practices Research:
       ${JSON.stringify(bestPracticesResearch, null, 2)}
       
-      Assess compliance with industry best practices.`
+      Assess compliance with industry best practices.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
@@ -294,12 +331,16 @@ export class ValidationAgent {
       
       Validation Criterion: ${criterion}
       
-      Provide detailed validation assessment for this criterion.`
+      Provide detailed validation assessment for this criterion.`,
+      true,
+      { step: 'validateCriterion', agent: 'validation', schema: validationCriterionSchema }
     );
   }
 
   calculateOverallScore(validationResults) {
-    const scores = Object.values(validationResults).map(result => result.score || 0);
+    const scores = Object.values(validationResults)
+      .filter(result => !result.error)
+      .map(result => result.score || 0);
     return scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
   }
 
@@ -324,7 +365,9 @@ export class ValidationAgent {
       Validation Results:
       ${JSON.stringify(validationResults, null, 2)}
       
-      Generate prioritized improvement suggestions based on validation findings.`
+      Generate prioritized improvement suggestions based on validation findings.`,
+      true,
+      { step: 'generateImprovementSuggestions', agent: 'validation', schema: improvementSuggestionsSchema }
     );
   }
 
@@ -346,7 +389,9 @@ export class ValidationAgent {
       `Validation Results:
       ${JSON.stringify(validationResults, null, 2)}
       
-      Generate a comprehensive validation report with clear recommendations.`
+      Generate a comprehensive validation report with clear recommendations.`,
+      true,
+      { step: 'generateValidationReport', agent: 'validation' }
     );
   }
 }
\ No newline at end of file
@@ -3,140 +3,198 @@
  * Uses multiple search APIs and intelligently processes results
  */
 
+import { agentCache, normalizeQuery } from '../utils/agent-cache.js';
+import { citedItems, collectSources, inlineCitations, sourcesPrompt } from '../utils/citations.js';
 import { callLLM } from '../utils/llm.js';
+import { PageReadError, chunkText, deepReadConfig, readPage } from '../utils/page-reader.js';
+import { emitProgress, getRunContext } from '../utils/run-context.js';
+import { isSearchConfigured, searchWeb } from '../utils/search-providers.js';
+import { runTasks } from '../utils/task-runner.js';
+import { BudgetExceededError } from '../utils/usage.js';
+
+// Analysis fields whose items are { text, sources } rather than plain strings
+const CITED_FIELDS = ['key_insights', 'trends', 'recommendations', 'technical_details', 'market_data'];
 
 export class WebSearchAgent {
   constructor() {
-    this.searchProviders = ['serper', 'bing', 'duckduckgo'];
-    this.cache = new Map();
+    // Shared by every agent and run in the process; see utils/agent-cache.js
+    this.cache = agentCache();
   }
 
   async search(query, options = {}) {
-    const cacheKey = `${query}-${JSON.stringify(options)}`;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    // Deep reading changes what the analysis saw, so it is part of the key; failed searches are not cached
+    const { value, cached } = await this.cache.remember(
+      'search',
+      [normalizeQuery(query), options, { deepRead: deepReadConfig().enabled }],
+      () => this.searchAndAnalyze(query, options),
+      { shouldCache: result => !result.error }
+    );
+    if (cached) {
+      emitProgress('search_query', { query, cached: true, provider: value.provider, results: value.results.length });
+    }
+    return value;
+  }
+
+  async searchAndAnalyze(query, options) {
+    // Without a provider there is nothing to analyze; callers get an empty result, not made-up insights
+    if (!isSearchConfigured()) {
+      console.warn('⚠️ No search provider configured - web search disabled');
+      emitProgress('search_query', { query, cached: false, results: 0, error: 'No search provider configured' });
+      return { query, provider: null, results: [], analysis: null, error: 'No search provider configured' };
     }
 
     console.log(`🔍 Web Search: "${query}"`);
     
     try {
-      // Primary search using Serper API (Google Search)
-      const searchResults = await this.searchWithSerper(query, options);
+      // First provider in the SEARCH_PROVIDERS fallback order that answers
+      const searchResults = await searchWeb(query, options);
+      emitProgress('search_query', {
+        query,
+        cached: false,
+        provider: searchResults.provider,
+        results: searchResults.results.length
+      });
       
       // Process and analyze results with LLM
-      const analyzedResults = await this.analyzeSearchResults(query, searchResults);
-      
-      this.cache.set(cacheKey, analyzedResults);
-      return analyzedResults;
+      return await this.analyzeSearchResults(query, searchResults);
       
     } catch (error) {
+      // A spent budget or a cancelled job must stop the run, not degrade into an empty search
+      if (error instanceof BudgetExceededError || getRunContext().signal?.aborted) throw error;
       console.error(`Search failed for "${query}":`, error);
-      return { query, results: [], analysis: null, error: error.message };
+      emitProgress('search_query', { query, cached: false, results: 0, error: error.message });
+      return { query, provider: null, results: [], analysis: null, error: error.message };
     }
   }
 
-  async searchWithSerper(query, options = {}) {
-    const apiKey = process.env.SERPER_API_KEY;
-    if (!apiKey) {
-      console.warn('⚠️ SERPER_API_KEY not configured - web search disabled');
-      return {
-        organic: [],
-        searchInformation: {
-          totalResults: 0,
-          formattedTotalResults: "0 results (API key not configured)"
-        }
-      };
-    }
-
-    const searchParams = {
-      q: query,
-      num: options.numResults || 10,
-      hl: options.language || 'en',
-      gl: options.country || 'us'
-    };
-
-    const response = await fetch('https://google.serper.dev/search', {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(searchParams)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Serper API error: ${response.status}`);
-    }
-
-    return await response.json();
-  }
-
   async analyzeSearchResults(query, searchResults) {
-    if (!searchResults.organic || searchResults.organic.length === 0) {
-      return { 
-        query, 
-        results: [], 
-        analysis: {
-          key_insights: ["Web search unavailable - API key not configured"],
-          trends: ["Unable to analyze current trends without web access"],
-          recommendations: ["Configure SERPER_API_KEY for enhanced research capabilities"],
-          technical_details: ["Web search functionality disabled"],
-          market_data: ["Market analysis unavailable without web search"],
-          competitors: ["Competitor analysis unavailable without web search"],
-          technologies: ["Technology research limited without web access"],
-          summary: "Web search functionality is disabled. Configure SERPER_API_KEY to enable real-time research capabilities."
-        }
+    if (searchResults.results.length === 0) {
+      return {
+        query,
+        provider: searchResults.provider,
+        results: [],
+        analysis: null,
+        timestamp: new Date().toISOString()
       };
     }
 
     // Extract key information from search results
-    const relevantResults = searchResults.organic.slice(0, 5).map(result => ({
+    const relevantResults = searchResults.results.slice(0, 5).map(result => ({
       title: result.title,
       snippet: result.snippet,
-      url: result.link,
-      date: result.date
+      url: result.url,
+      date: result.date,
+      retrieved_at: result.retrieved_at
     }));
 
-    // Use LLM to analyze and synthesize findings
+    // Optional deep read: the top hits' full text, summarized, replaces guessing from snippets
+    const deepRead = deepReadConfig();
+    if (deepRead.enabled) {
+      await Promise.all(
+        relevantResults.slice(0, deepRead.topN).map(async result => {
+          result.page_summary = await this.readAndSummarize(query, result.url, deepRead);
+          // The summary reflects the page as fetched now, not the search index's copy
+          if (result.page_summary) result.retrieved_at = new Date().toISOString();
+        })
+      );
+    }
+
+    // Results are cited by their position in this list; citedItems maps the numbers back to URLs
     const analysis = await callLLM(
       `You are a research analyst. Analyze these search results and extract key insights, trends, and actionable information.
       
       Respond with JSON:
       {
-        "key_insights": ["array of key insights"],
-        "trends": ["array of identified trends"],
-        "recommendations": ["array of actionable recommendations"],
-        "technical_details": ["array of technical information found"],
-        "market_data": ["array of market-related information"],
+        "key_insights": [{"text": "key insight", "sources": [1]}],
+        "trends": [{"text": "identified trend", "sources": [2]}],
+        "recommendations": [{"text": "actionable recommendation", "sources": [1, 3]}],
+        "technical_details": [{"text": "technical information found", "sources": [3]}],
+        "market_data": [{"text": "market figure or fact, with its number and date", "sources": [2]}],
         "competitors": ["array of competitors or similar solutions"],
         "technologies": ["array of relevant technologies mentioned"],
         "summary": "concise summary of findings"
-      }`,
+      }
+      
+      The numbers in "sources" are the [n] of the search results that support the item.`,
       `Search Query: "${query}"
       
       Search Results:
-      ${JSON.stringify(relevantResults, null, 2)}
+      ${relevantResults.map((result, index) => `[${index + 1}] ${JSON.stringify(result, null, 2)}`).join('\n')}
       
-      Analyze these results and provide comprehensive insights.`
+      Where a result has a page_summary, it summarizes the full page; prefer it over the snippet.
+      Analyze these results and provide comprehensive insights.`,
+      true,
+      { step: 'analyzeSearchResults', agent: 'web-search' }
     );
 
+    const sources = collectSources(relevantResults);
+    for (const field of CITED_FIELDS) {
+      analysis[field] = citedItems(analysis[field], sources);
+    }
+
     return {
       query,
+      provider: searchResults.provider,
       results: relevantResults,
       analysis,
       timestamp: new Date().toISOString()
     };
   }
 
+  // Summary of a result page's text as it relates to the query, or null when the page cannot be read
+  async readAndSummarize(query, url, config) {
+    let page;
+    try {
+      page = await readPage(url, config);
+    } catch (error) {
+      if (getRunContext().signal?.aborted) throw error;
+      const message = error instanceof PageReadError ? error.message : `Cannot read ${url}: ${error.message}`;
+      console.warn(`⚠️ Deep read skipped: ${message}`);
+      emitProgress('page_read', { url, error: message });
+      return null;
+    }
+
+    const chunks = chunkText(page.text, config.chunkChars).slice(0, config.maxChunks);
+    emitProgress('page_read', { url, format: page.type, chars: page.text.length, chunks: chunks.length, truncated: page.truncated });
+
+    const summaries = await Promise.all(
+      chunks.map((chunk, index) =>
+        callLLM(
+          `You are a research assistant. Summarize the facts in this page excerpt that are relevant to the search query: figures, dates, named products, technologies and findings. Use at most 8 short bullet points. If nothing is relevant, answer "Nothing relevant."`,
+          `Search Query: "${query}"
+          Page: ${page.title || url} (part ${index + 1} of ${chunks.length})
+
+          ${chunk}`,
+          false,
+          { step: 'summarizePageChunk', agent: 'web-search' }
+        )
+      )
+    );
+
+    return summaries
+      .map(summary => summary.trim())
+      .filter(summary => summary && !/^nothing relevant\.?$/i.test(summary))
+      .join('\n') || null;
+  }
+
   async searchMultipleQueries(queries) {
     console.log(`🔍 Performing batch search for ${queries.length} queries`);
     
-    const results = await Promise.all(
-      queries.map(query => this.search(query))
-    );
+    // search() turns a failed search into an empty result; anything it rethrows stops the batch
+    const settled = await runTasks(queries, query => this.search(query));
+    const failed = settled.find(result => result.status === 'rejected');
+    if (failed) throw failed.error;
+    const results = settled.map(result => result.value);
 
-    // Synthesize findings across all searches
-    const synthesis = await this.synthesizeMultipleSearches(queries, results);
+    // Synthesize findings across all searches; with nothing found there is nothing to synthesize.
+    // Keyed by the result URLs too, so a cached synthesis always matches the results it cites
+    const synthesis = results.some(result => result.results.length > 0)
+      ? (await this.cache.remember(
+          'search-synthesis',
+          [queries.map(normalizeQuery), results.map(result => result.results.map(item => item.url))],
+          () => this.synthesizeMultipleSearches(queries, results)
+        )).value
+      : null;
     
     return {
       individualResults: results,
@@ -145,25 +203,39 @@ export class WebSearchAgent {
   }
 
   async synthesizeMultipleSearches(queries, results) {
-    return await callLLM(
+    const sources = collectSources(results.map(result => result.results));
+    // Each analysis cited its own result list; renumber against the combined one
+    const analyses = inlineCitations(results.map(result => ({ query: result.query, analysis: result.analysis })), sources);
+    const synthesis = await callLLM(
       `You are a research synthesizer. Analyze multiple search results and create a comprehensive synthesis of findings.
       
       Respond with JSON:
       {
-        "overall_insights": ["array of insights across all searches"],
+        "overall_insights": [{"text": "insight across all searches", "sources": [1]}],
         "common_themes": ["array of themes that appeared across searches"],
         "contradictions": ["array of contradictory information found"],
         "confidence_level": "high|medium|low",
         "research_gaps": ["array of areas needing more research"],
-        "actionable_conclusions": ["array of actionable conclusions"]
+        "actionable_conclusions": [{"text": "actionable conclusion", "sources": [2]}]
       }`,
       `Search Queries: ${JSON.stringify(queries)}
       
       Search Results:
-      ${JSON.stringify(results, null, 2)}
+      ${JSON.stringify(analyses, null, 2)}
       
-      Synthesize these findings into comprehensive insights.`
+      ${sourcesPrompt(sources)}
+      
+      Synthesize these findings into comprehensive insights.`,
+      true,
+      { step: 'synthesizeMultipleSearches', agent: 'web-search' }
     );
+
+    return {
+      ...synthesis,
+      overall_insights: citedItems(synthesis.overall_insights, sources),
+      actionable_conclusions: citedItems(synthesis.actionable_conclusions, sources),
+      sources
+    };
   }
 
   // Specialized search methods
@@ -200,7 +272,8 @@ export class WebSearchAgent {
     return await this.searchMultipleQueries(queries);
   }
 
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.cache.clear('search');
+    await this.cache.clear('search-synthesis');
   }
 }
\ No newline at end of file
@@ -0,0 +1,44 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { WebSearchAgent } from "./web-search-agent.js";
+import { delay } from "../test/http-server.js";
+
+beforeEach(() => {
+  vi.stubEnv("AGENT_CACHE_BACKEND", "off");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe("searchMultipleQueries", () => {
+  it("runs at most AGENT_CONCURRENCY searches at once and keeps the query order", async () => {
+    vi.stubEnv("AGENT_CONCURRENCY", "2");
+    const agent = new WebSearchAgent();
+    let active = 0;
+    let peak = 0;
+    agent.search = async (query) => {
+      peak = Math.max(peak, ++active);
+      await delay(query === "a" ? 20 : 5);
+      active--;
+      return { query, provider: null, results: [], analysis: null };
+    };
+
+    const { individualResults, synthesis } = await agent.searchMultipleQueries(["a", "b", "c", "d"]);
+
+    expect(peak).toBe(2);
+    expect(individualResults.map((result) => result.query)).toEqual(["a", "b", "c", "d"]);
+    expect(synthesis).toBeNull();
+  });
+
+  it("rethrows what a search does not turn into an empty result", async () => {
+    const agent = new WebSearchAgent();
+    agent.search = async (query) => {
+      if (query === "b") throw new Error("budget spent");
+      return { query, provider: null, results: [], analysis: null };
+    };
+
+    await expect(agent.searchMultipleQueries(["a", "b"])).rejects.toThrow("budget spent");
+  });
+});
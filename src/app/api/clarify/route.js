@@ -0,0 +1,32 @@
+import { generateClarifyingQuestions } from "../utils/llm.js";
+import { runWithContext } from "../utils/run-context.js";
+
+// Asks the LLM for 3-7 questions about gaps in the idea; the answers are sent back
+// as `clarifications` with the generation request
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { project_idea, special_instructions } = body;
+
+    if (!project_idea || !project_idea.trim()) {
+      return Response.json(
+        { error: "Project idea is required" },
+        { status: 400 },
+      );
+    }
+
+    // Abandoning the request also aborts the LLM call
+    const { questions } = await runWithContext({ signal: request.signal }, () =>
+      generateClarifyingQuestions(project_idea, special_instructions),
+    );
+
+    return Response.json({ questions });
+
+  } catch (error) {
+    console.error("❌ Generating clarifying questions failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to generate clarifying questions" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { POST } from "./route.js";
+import { recording, useFixtures } from "../test/fixture-run.js";
+
+const QUESTIONS = [
+  { question: "Who will use the tracker?", topic: "target users", why: "Sets the UI scope", suggested_answers: ["My team", "Clients"] },
+  { question: "Is there a deadline?", topic: "deadline", why: "Sets the milestones", suggested_answers: [] },
+  { question: "Which tools must it integrate with?", topic: "integration", why: "Adds integration tasks", suggested_answers: ["Slack"] },
+];
+
+let fetchCalls;
+
+beforeEach(() => {
+  fetchCalls = useFixtures("clarify", {
+    extra: (url, init) => {
+      if (!url.includes("/chat/completions") || !init.body.includes("clarifying questions")) return null;
+      // An idea about "anything" gets no questions, which fails the schema
+      const questions = init.body.includes("Project idea: Anything") ? [] : QUESTIONS;
+      return Response.json({
+        choices: [{ message: { content: JSON.stringify({ questions }) } }],
+        usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 },
+      });
+    },
+  });
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+function post(body) {
+  return POST(
+    new Request("http://localhost/api/clarify", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+  );
+}
+
+describe("POST /api/clarify", () => {
+  it("returns the questions about what the idea leaves open", async () => {
+    const response = await post({ project_idea: "A REST API for tracking tasks", special_instructions: "Keep it small" });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ questions: QUESTIONS });
+    if (!recording) expect(fetchCalls).toEqual([]);
+  });
+
+  it("answers 500 when the questions still fail validation after the repairs", async () => {
+    vi.stubEnv("LLM_MAX_REPAIR_ATTEMPTS", "1");
+    const response = await post({ project_idea: "Anything" });
+
+    expect(response.status).toBe(500);
+    expect((await response.json()).error).toMatch(
+      /^LLM output for generateClarifyingQuestions failed validation after 2 attempt\(s\): questions field must have at least 3 items/,
+    );
+  });
+
+  it("requires a project idea", async () => {
+    const response = await post({ project_idea: "  " });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: "Project idea is required" });
+  });
+});
@@ -1,16 +1,77 @@
-import {
-  interpretProject,
-  generateTasksAndMilestones,
-  assignTasksAndTimeline,
-  generateArtifacts,
-} from "../utils/llm.js";
-import { createNotionPage } from "../utils/notion.js";
-import { createGitHubRepo } from "../utils/github.js";
+import { lazy, mixed, number, object, string } from "yup";
+import { isIsoDate, parseContributors } from "../utils/contributors.js";
+import { GENERATION_MODES, defaultMode } from "../utils/generation.js";
+import { parseRepositoryOptions } from "../utils/git-targets.js";
+import { createJob, jobResponse } from "../utils/jobs.js";
+import { LLM_PROVIDER_NAMES } from "../utils/llm-providers.js";
+
+// Largest completion a request may ask for; bigger values are clamped to it
+const MAX_TOKENS_LIMIT = 16000;
+
+const llmConfigSchema = object({
+  provider: string().oneOf(LLM_PROVIDER_NAMES, `Unknown LLM provider "\${value}". Expected one of: ${LLM_PROVIDER_NAMES.join(", ")}`),
+  model: string().matches(/\S/, "${path} must not be blank").max(200),
+  tier: string().oneOf(["strong", "fast"]),
+  temperature: number().min(0).max(2),
+  max_tokens: number().integer().positive(),
+})
+  .strict()
+  .noUnknown();
+
+const llmOverrideSchema = llmConfigSchema.shape({
+  steps: lazy((steps) =>
+    steps && typeof steps === "object" && !Array.isArray(steps)
+      ? object(Object.fromEntries(Object.keys(steps).map((step) => [step, llmConfigSchema.default(undefined)])))
+      : mixed().test("steps", "llm.steps must be an object", (value) => value === undefined),
+  ),
+});
+
+function clampMaxTokens(config) {
+  return config?.max_tokens > MAX_TOKENS_LIMIT ? { ...config, max_tokens: MAX_TOKENS_LIMIT } : config;
+}
+
+// Validates the per-request `llm` override: { value } with max_tokens clamped, or { error }
+function parseLLMOverride(llm) {
+  if (llm === undefined) return { value: undefined };
+  if (!llm || typeof llm !== "object" || Array.isArray(llm)) {
+    return { error: "llm must be an object" };
+  }
+
+  try {
+    // Wrapped so error paths read "llm.temperature", "llm.steps.<step>.model", ...
+    const value = clampMaxTokens(object({ llm: llmOverrideSchema }).validateSync({ llm }, { abortEarly: false }).llm);
+    if (value.steps) {
+      value.steps = Object.fromEntries(Object.entries(value.steps).map(([step, config]) => [step, clampMaxTokens(config)]));
+    }
+    return { value };
+  } catch (error) {
+    return { error: error.errors?.join("; ") || error.message };
+  }
+}
+
+// Answers from the clarification round: [{ question, answer }]; unanswered ones are dropped
+function parseClarifications(clarifications) {
+  if (clarifications === undefined) return { value: [] };
+  const valid =
+    Array.isArray(clarifications) &&
+    clarifications.every(
+      (c) => c && typeof c.question === "string" && (c.answer === undefined || typeof c.answer === "string"),
+    );
+  if (!valid) {
+    return { error: "clarifications must be an array of { question, answer } strings" };
+  }
+
+  return {
+    value: clarifications
+      .filter((c) => c.answer?.trim())
+      .map((c) => ({ question: c.question.trim(), answer: c.answer.trim() })),
+  };
+}
 
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { project_idea, special_instructions, contributors } = body;
+    const { project_idea, special_instructions } = body;
 
     if (!project_idea || !project_idea.trim()) {
       return Response.json(
@@ -19,118 +80,66 @@ export async function POST(request) {
       );
     }
 
-    if (!contributors || contributors.length === 0) {
+    const contributors = parseContributors(body.contributors);
+    if (contributors.error) {
+      return Response.json({ error: contributors.error }, { status: 400 });
+    }
+
+    if (body.start_date !== undefined && !isIsoDate(body.start_date)) {
+      return Response.json({ error: "start_date must be a YYYY-MM-DD date" }, { status: 400 });
+    }
+
+    const mode = body.mode || defaultMode();
+    if (!GENERATION_MODES.includes(mode)) {
       return Response.json(
-        { error: "At least one contributor is required" },
+        { error: `Unknown mode "${mode}". Expected one of: ${GENERATION_MODES.join(", ")}` },
         { status: 400 },
       );
     }
 
-    console.log("🚀 Starting enhanced project generation...");
-    console.log("Project idea:", project_idea);
-    console.log("Contributors:", contributors);
-    console.log("Special instructions:", special_instructions);
-
-    // Step 1: Interpret the project
-    console.log("🔍 Step 1: Interpreting project...");
-    const interpretation = await interpretProject(project_idea, special_instructions);
-    console.log("Interpretation complete:", interpretation.title);
-
-    // Step 2: Generate tasks and milestones
-    console.log("📋 Step 2: Generating tasks and milestones...");
-    const milestones = await generateTasksAndMilestones(interpretation);
-    console.log("Generated", milestones.milestones?.length || 0, "milestones");
-
-    // Step 3: Assign tasks and create timeline
-    console.log("👥 Step 3: Assigning tasks and creating timeline...");
-    const assignments = await assignTasksAndTimeline(milestones, contributors, special_instructions);
-    console.log("Assigned", assignments.assignments?.length || 0, "tasks");
-
-    // Step 4: Generate artifacts
-    console.log("📄 Step 4: Generating artifacts...");
-    const artifacts = await generateArtifacts(
-      interpretation,
-      milestones,
-      assignments,
-      project_idea,
-    );
-    console.log("Artifacts generated");
-
-    console.log("✅ Enhanced project generation complete!");
-
-    // Step 5: Create Notion page (optional)
-    let notionUrl = null;
-    try {
-      console.log("📝 Creating Notion page...");
-      notionUrl = await createNotionPage(
-        interpretation,
-        milestones,
-        assignments,
-      );
-      console.log("Notion page created:", notionUrl);
-    } catch (error) {
-      console.error("Notion integration failed:", error.message);
-      // Continue even if Notion fails
+    const llm = parseLLMOverride(body.llm);
+    if (llm.error) {
+      return Response.json({ error: llm.error }, { status: 400 });
     }
 
-    // Step 6: Create GitHub repository
-    let githubUrl = null;
-    try {
-      console.log("🐙 Creating GitHub repository...");
-      githubUrl = await createGitHubRepo(interpretation, artifacts, milestones);
-      console.log("GitHub repo created:", githubUrl);
-    } catch (error) {
-      console.error("GitHub integration failed:", error.message);
-      // Continue even if GitHub fails
+    const budget = body.budget_usd;
+    if (budget !== undefined && !(typeof budget === "number" && budget > 0)) {
+      return Response.json({ error: "budget_usd must be a positive number" }, { status: 400 });
     }
 
-    console.log("🚀 Enhanced project generation complete!");
-
-    // Return comprehensive results
-    return Response.json({
-      // Core project data
-      title: interpretation.title,
-      objectives: interpretation.objectives,
-      scope_assumptions: interpretation.scope_assumptions,
-      milestones: milestones.milestones || milestones,
-      assignments: assignments.assignments || assignments,
-      
-      // Integration URLs
-      notion_url: notionUrl,
-      github_url: githubUrl,
-      
-      // Enhanced artifacts
-      paper_content: artifacts?.paper_draft,
-      readme_content: artifacts?.readme,
-      api_documentation: artifacts?.api_documentation,
-      deployment_guide: artifacts?.deployment_guide,
-      testing_strategy: artifacts?.testing_strategy,
-      code_structure: artifacts?.code_structure,
-      
-      // Enhanced features indicator
-      agent_insights: {
-        confidence_score: 85, // Good confidence without web search
-        web_search_performed: false,
-        technical_research_conducted: true,
-        market_analysis_performed: false,
-        enhancement_applied: true
-      },
-      
-      // Metadata
-      generation_type: "enhanced",
-      generation_timestamp: new Date().toISOString(),
-      agent_version: "1.0.0"
-    });
+    const clarifications = parseClarifications(body.clarifications);
+    if (clarifications.error) {
+      return Response.json({ error: clarifications.error }, { status: 400 });
+    }
+
+    const repository = parseRepositoryOptions(body.repository);
+    if (repository.error) {
+      return Response.json({ error: repository.error }, { status: 400 });
+    }
+
+    const input = {
+      project_idea,
+      special_instructions,
+      clarifications: clarifications.value,
+      contributors: contributors.value,
+      start_date: body.start_date,
+      mode,
+      repository: repository.value,
+      llm: llm.value,
+      budget_usd: budget,
+    };
+
+    return jobResponse(createJob(input), { stream: body.stream });
 
   } catch (error) {
-    console.error("❌ Enhanced project generation failed:", error);
+    console.error("❌ Starting project generation failed:", error);
     return Response.json(
-      { 
-        error: error.message || "Failed to generate project",
+      {
+        error: error.message || "Failed to start project generation",
         generation_type: "enhanced",
         failure_timestamp: new Date().toISOString()
       },
       { status: 500 },
     );
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { POST } from "./route.js";
+import { GET as getJobStatus } from "../jobs/[id]/route.js";
+import { TEST_CONTRIBUTORS, createFakeFetch } from "../test/fake-llm.js";
+import { recording, useFixtures } from "../test/fixture-run.js";
+
+let fetchCalls;
+
+beforeEach(() => {
+  fetchCalls = useFixtures("generate-project");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+function post(body) {
+  return POST(
+    new Request("http://localhost/api/generate-project", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        project_idea: "A REST API for tracking tasks",
+        contributors: TEST_CONTRIBUTORS,
+        start_date: "2024-01-01",
+        ...body,
+      }),
+    }),
+  );
+}
+
+// Every NDJSON event of a streamed job, up to its "result" or "error" event
+async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+describe("POST /api/generate-project", () => {
+  it("streams an agentic run from the first progress event to the result", async () => {
+    const response = await post({ mode: "agentic", stream: true });
+    expect(response.headers.get("content-type")).toBe("application/x-ndjson");
+
+    const events = await readEvents(response);
+    expect(events[0].type).toBe("job");
+    expect(events.map((event) => event.type)).toEqual(expect.arrayContaining(["job_started", "phase_started", "llm_call"]));
+
+    const { type, result } = events.at(-1);
+    expect(type).toBe("result");
+    expect(result.generation_mode).toBe("agentic");
+    expect(result.title).toBe("Test Project");
+    expect(result.milestones.map((milestone) => milestone.name)).toEqual(["M1", "M2"]);
+    expect(result.assignments).toHaveLength(3);
+    expect(result.readme_content).toContain("# Test Project");
+    expect(result.agent_insights.web_search_performed).toBe(true);
+    expect(result.agent_insights.sources[0].url).toBe("https://fastapi.example/docs");
+    expect(result.agent_insights.usage.calls).toBeGreaterThan(5);
+    if (!recording) expect(fetchCalls).toEqual([]);
+  });
+
+  it("queues a fast run and reports it through the job status route", async () => {
+    const response = await post({ mode: "fast" });
+    expect(response.status).toBe(202);
+    const { job_id: jobId, status_url: statusUrl } = await response.json();
+    expect(statusUrl).toBe(`/api/jobs/${jobId}`);
+
+    let job;
+    for (let attempt = 0; attempt < 200; attempt++) {
+      job = await (await getJobStatus(new Request(`http://localhost${statusUrl}`), { params: { id: jobId } })).json();
+      if (job.status === "completed" || job.status === "failed") break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    expect(job.status).toBe("completed");
+    expect(job.mode).toBe("fast");
+    expect(job.result.milestones).toHaveLength(2);
+    expect(job.result.agent_insights).toBeNull();
+    expect(job.partial.interpretation.title).toBe("Test Project");
+  });
+
+  it.each([
+    [{ project_idea: " " }, /Project idea is required/],
+    [{ mode: "slow" }, /Unknown mode "slow"/],
+    [{ start_date: "01/02/2024" }, /start_date/],
+    [{ budget_usd: -1 }, /budget_usd/],
+    [{ llm: { provider: "nope" } }, /Unknown LLM provider "nope"/],
+    [{ llm: { temperature: 3 } }, /llm.temperature must be less than or equal to 2/],
+    [{ llm: { steps: { generateArtifacts: { max_tokens: 0 } } } }, /llm.steps.generateArtifacts.max_tokens/],
+  ])("rejects %j", async (body, message) => {
+    const response = await post(body);
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatch(message);
+  });
+
+  it("clamps an oversized max_tokens override instead of rejecting it", async () => {
+    // Answered live by the canned services so the spec sees this run's requests
+    const fake = createFakeFetch();
+    vi.stubEnv("FIXTURE_MODE", "");
+    vi.stubGlobal("fetch", fake.fetch);
+
+    const response = await post({ mode: "fast", llm: { max_tokens: 1_000_000 }, stream: true });
+    expect((await readEvents(response)).at(-1).type).toBe("result");
+
+    const sentMaxTokens = fake.calls
+      .filter(({ url }) => url.includes("/chat/completions"))
+      .map(({ init }) => JSON.parse(init.body).max_tokens);
+    expect(sentMaxTokens.length).toBeGreaterThan(0);
+    expect(sentMaxTokens.every((maxTokens) => maxTokens === 16000)).toBe(true);
+  });
+});
@@ -0,0 +1,18 @@
+import { cancelJob, getJob } from "../../../utils/jobs.js";
+
+export async function POST(request, { params }) {
+  const job = getJob(params.id);
+  if (!job) {
+    return Response.json({ error: "Job not found" }, { status: 404 });
+  }
+
+  if (!cancelJob(job)) {
+    return Response.json(
+      { error: `Job already ${job.status}`, job_id: job.id, status: job.status },
+      { status: 409 },
+    );
+  }
+
+  // A running job reports "cancelled" once its in-flight calls have aborted
+  return Response.json({ job_id: job.id, status: job.status, cancel_requested: true });
+}
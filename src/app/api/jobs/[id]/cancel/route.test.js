@@ -0,0 +1,81 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { POST as generate } from "../../../generate-project/route.js";
+import { GET as getJob } from "../route.js";
+import { POST as cancel } from "./route.js";
+import { TEST_CONTRIBUTORS } from "../../../test/fake-llm.js";
+import { useFixtures } from "../../../test/fixture-run.js";
+
+// Resolves once the job's first LLM request is in flight
+let llmStarted;
+
+beforeEach(() => {
+  useFixtures("job-cancel");
+  // No fixtures: every LLM call hangs until the job's signal aborts it
+  vi.stubEnv("FIXTURE_MODE", "");
+  let markStarted;
+  llmStarted = new Promise((resolve) => (markStarted = resolve));
+  vi.stubGlobal("fetch", (input, init) => {
+    markStarted();
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(init.signal.reason), { once: true });
+    });
+  });
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+const params = (id) => ({ params: { id } });
+const cancelRequest = (id) => cancel(new Request(`http://localhost/api/jobs/${id}/cancel`, { method: "POST" }), params(id));
+
+async function startJob() {
+  const response = await generate(
+    new Request("http://localhost/api/generate-project", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ project_idea: "A REST API for tracking tasks", contributors: TEST_CONTRIBUTORS, mode: "fast" }),
+    }),
+  );
+  return (await response.json()).job_id;
+}
+
+async function jobStatus(id) {
+  return await (await getJob(new Request(`http://localhost/api/jobs/${id}`), params(id))).json();
+}
+
+describe("POST /api/jobs/:id/cancel", () => {
+  it("aborts a running job, which then reports itself cancelled", async () => {
+    const id = await startJob();
+    await llmStarted;
+
+    const response = await cancelRequest(id);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ job_id: id, status: "running", cancel_requested: true });
+
+    let job;
+    for (let attempt = 0; attempt < 200; attempt++) {
+      job = await jobStatus(id);
+      if (job.status !== "running") break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(job.status).toBe("cancelled");
+    expect(job.result).toBeNull();
+    expect(job.error).toMatchObject({ error: "Generation was cancelled", usage: expect.objectContaining({ calls: 0 }) });
+    expect(job.events.filter((event) => event.type === "phase_started").map((event) => event.phase)).toEqual(["interpretation"]);
+
+    const again = await cancelRequest(id);
+    expect(again.status).toBe(409);
+    expect(await again.json()).toEqual({ error: "Job already cancelled", job_id: id, status: "cancelled" });
+  });
+
+  it("answers 404 for an unknown job", async () => {
+    const response = await cancelRequest("no-such-job");
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,13 @@
+import { getJob, serializeJob } from "../../utils/jobs.js";
+
+export async function GET(request, { params }) {
+  const job = getJob(params.id);
+  if (!job) {
+    return Response.json({ error: "Job not found" }, { status: 404 });
+  }
+
+  const { searchParams } = new URL(request.url);
+  const after = Number(searchParams.get("after")) || 0;
+
+  return Response.json(serializeJob(job, { after }));
+}
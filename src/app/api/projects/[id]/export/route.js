@@ -0,0 +1,97 @@
+import { exportToGitHub, parseRepo } from "../../../utils/github-issues.js";
+import { EXPORT_TARGETS, FILE_FORMATS, exportPlanFile, planItems } from "../../../utils/plan-export.js";
+import { getProject, isPersistenceEnabled, isProjectId, parseVersion } from "../../../utils/projects.js";
+import { runWithContext } from "../../../utils/run-context.js";
+
+// Exports a saved version's plan. `target: "jira" | "linear"` returns an import
+// file (`format: "csv" | "json"`); `target: "github"` creates milestones, issues
+// and optionally a project board in `repo` (defaults to the project's repository).
+export async function POST(request, { params }) {
+  if (!isPersistenceEnabled()) {
+    return Response.json(
+      { error: "Exporting requires DATABASE_URL to be configured" },
+      { status: 503 },
+    );
+  }
+  if (!isProjectId(params.id)) {
+    return Response.json({ error: "Project not found" }, { status: 404 });
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { target, format = "csv", repo, assignees = {}, project_board = false } = body;
+
+    if (!EXPORT_TARGETS.includes(target)) {
+      return Response.json(
+        { error: `Unknown target "${target}". Expected one of: ${EXPORT_TARGETS.join(", ")}` },
+        { status: 400 },
+      );
+    }
+    if (target !== "github" && !FILE_FORMATS.includes(format)) {
+      return Response.json(
+        { error: `Unknown format "${format}". Expected one of: ${FILE_FORMATS.join(", ")}` },
+        { status: 400 },
+      );
+    }
+    if (!assignees || typeof assignees !== "object" || Array.isArray(assignees)) {
+      return Response.json(
+        { error: "assignees must map contributor names to GitHub logins" },
+        { status: 400 },
+      );
+    }
+
+    const version = body.version !== undefined ? parseVersion(body.version) : undefined;
+    if (version === null) {
+      return Response.json({ error: "version must be a positive integer" }, { status: 400 });
+    }
+    const project = await getProject(params.id, { version });
+    if (!project?.version) {
+      return Response.json({ error: "Project not found" }, { status: 404 });
+    }
+    if (!project.version.milestones || !project.version.assignments) {
+      return Response.json(
+        { error: "This version has no milestones and assignments to export" },
+        { status: 409 },
+      );
+    }
+
+    const plan = planItems(project, project.version);
+
+    if (target !== "github") {
+      const file = exportPlanFile(plan, target, format);
+      return new Response(file.body, {
+        headers: {
+          "Content-Type": file.contentType,
+          "Content-Disposition": `attachment; filename="${file.filename}"`,
+        },
+      });
+    }
+
+    if (!process.env.GITHUB_TOKEN) {
+      return Response.json(
+        { error: "Exporting to GitHub requires GITHUB_TOKEN to be configured" },
+        { status: 503 },
+      );
+    }
+    const repository = parseRepo(repo, project.version.repository_url);
+    if (!repository) {
+      return Response.json(
+        { error: 'repo ("owner/name") is required when the project has no GitHub repository' },
+        { status: 400 },
+      );
+    }
+
+    // Abandoning the request stops the export between API calls
+    const result = await runWithContext({ signal: request.signal }, () =>
+      exportToGitHub(plan, repository, { assignees, projectBoard: Boolean(project_board) }),
+    );
+
+    return Response.json(result);
+  } catch (error) {
+    console.error("Exporting project failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to export project" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createFakeGitHub } from "../../../test/fake-github.js";
+import { useFixtures } from "../../../test/fixture-run.js";
+import { SAMPLE_PROJECT, SAMPLE_VERSION } from "../../../test/sample-project.js";
+
+const { testSql } = await vi.hoisted(async () => {
+  const { createTestSql } = await import("../../../test/pg-mem-sql.js");
+  return { testSql: createTestSql() };
+});
+vi.mock("../../../utils/sql.js", () => ({ default: testSql }));
+
+let projects;
+let POST;
+
+// A completed project whose only version holds the sample plan
+async function createProject(version = SAMPLE_VERSION) {
+  const { projectId } = await projects.createProjectRun({
+    project_idea: "A REST API for tracking tasks",
+    contributors: [],
+    start_date: SAMPLE_PROJECT.start_date,
+    mode: "fast",
+  });
+  await projects.finishProjectRun(projectId, 1, { ...version, timings: {} });
+  return projectId;
+}
+
+function post(id, body) {
+  return POST(
+    new Request(`http://localhost/api/projects/${id}/export`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+    { params: { id } },
+  );
+}
+
+beforeEach(async () => {
+  testSql.reset();
+  useFixtures("project-export", { extra: createFakeGitHub() });
+  vi.stubEnv("DATABASE_URL", "postgres://test");
+  vi.stubEnv("GITHUB_TOKEN", "test-token");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.resetModules();
+  projects = await import("../../../utils/projects.js");
+  ({ POST } = await import("./route.js"));
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("POST /api/projects/:id/export", () => {
+  it.each([
+    ["jira", "csv", "text/csv; charset=utf-8"],
+    ["linear", "json", "application/json"],
+  ])("downloads a %s %s import file", async (target, format, contentType) => {
+    const id = await createProject();
+
+    const response = await post(id, { target, format });
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toBe(contentType);
+    expect(response.headers.get("content-disposition")).toBe(`attachment; filename="task-tracker-${target}.${format}"`);
+    expect(await response.text()).toContain("Project setup");
+  });
+
+  it("exports to the repository named in the request", async () => {
+    const id = await createProject();
+
+    const response = await post(id, { target: "github", repo: "acme/app", assignees: { Ann: "ann" }, project_board: true });
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body).toMatchObject({ target: "github", repo: "https://github.com/acme/app", warnings: [] });
+    expect(body.issues.map((issue) => issue.task_id)).toEqual(["T001", "T002", "T003"]);
+    expect(body.project).toMatchObject({ number: 1, repo: "acme/app" });
+  });
+
+  it("defaults to the project's own repository", async () => {
+    const id = await createProject({ ...SAMPLE_VERSION, repository_url: "https://github.com/acme/app" });
+
+    const response = await post(id, { target: "github" });
+    expect((await response.json()).repo).toBe("https://github.com/acme/app");
+  });
+
+  it.each([
+    [{ target: "asana" }, /Unknown target "asana"/],
+    [{ target: "jira", format: "xml" }, /Unknown format "xml"/],
+    [{ target: "github", assignees: ["ann"] }, /assignees must map/],
+    [{ target: "github" }, /repo \("owner\/name"\) is required/],
+    [{ target: "jira", version: "abc" }, /version must be a positive integer/],
+    [{ target: "jira", version: 0 }, /version must be a positive integer/],
+  ])("rejects %j", async (body, message) => {
+    const id = await createProject();
+
+    const response = await post(id, body);
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatch(message);
+  });
+
+  it("answers 409 for a version without a plan", async () => {
+    const id = await createProject({ interpretation: { title: "Unplanned" } });
+
+    const response = await post(id, { target: "jira" });
+    expect(response.status).toBe(409);
+  });
+
+  it("answers 404 for an unknown project or version", async () => {
+    const id = await createProject();
+
+    expect((await post("not-a-uuid", { target: "jira" })).status).toBe(404);
+    expect((await post("00000000-0000-4000-8000-000000000000", { target: "jira" })).status).toBe(404);
+    expect((await post(id, { target: "jira", version: 2 })).status).toBe(404);
+  });
+
+  it("answers 503 when the export cannot run here", async () => {
+    const id = await createProject();
+
+    vi.stubEnv("GITHUB_TOKEN", "");
+    expect((await post(id, { target: "github", repo: "acme/app" })).status).toBe(503);
+
+    vi.stubEnv("DATABASE_URL", "");
+    expect((await post(id, { target: "jira" })).status).toBe(503);
+  });
+
+  it("reports a failed GitHub export as a 500", async () => {
+    const id = await createProject();
+
+    const response = await post(id, { target: "github", repo: "acme/missing" });
+    expect(response.status).toBe(500);
+    expect((await response.json()).error).toBe("GitHub API error loading acme/missing: Not Found");
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  PIPELINE_STEP_NAMES,
+  REVISABLE_SECTIONS,
+  firstMissingStep,
+  regenerateSection,
+} from "../../../utils/generation.js";
+import { createJob, findActiveJob, jobResponse } from "../../../utils/jobs.js";
+import { getProject, isPersistenceEnabled, isProjectId } from "../../../utils/projects.js";
+import { ARTIFACT_NAMES } from "../../../utils/schemas.js";
+
+function badRequest(error) {
+  return Response.json({ error }, { status: 400 });
+}
+
+// Returns an error message for an invalid section selection, or null
+function validateSection(body, version) {
+  if (!REVISABLE_SECTIONS.includes(body.section)) {
+    return `section must be one of: ${REVISABLE_SECTIONS.join(", ")}`;
+  }
+
+  if (body.section === "milestone") {
+    const count = version.milestones?.milestones?.length || 0;
+    if (!Number.isInteger(body.milestone_index) || body.milestone_index < 0 || body.milestone_index >= count) {
+      return `milestone_index must be an integer from 0 to ${count - 1}`;
+    }
+  }
+
+  if (body.section === "artifact" && !ARTIFACT_NAMES.includes(body.artifact)) {
+    return `artifact must be one of: ${ARTIFACT_NAMES.join(", ")}`;
+  }
+
+  return null;
+}
+
+// Regenerates one section of the latest version from free-text feedback, e.g.
+// { "section": "milestone", "milestone_index": 2, "feedback": "split this milestone" }
+export async function POST(request, { params }) {
+  if (!isPersistenceEnabled()) {
+    return Response.json(
+      { error: "Regenerating requires DATABASE_URL to be configured" },
+      { status: 503 },
+    );
+  }
+  if (!isProjectId(params.id)) {
+    return Response.json({ error: "Project not found" }, { status: 404 });
+  }
+
+  try {
+    const body = await request.json();
+
+    if (typeof body.feedback !== "string" || !body.feedback.trim()) {
+      return badRequest("feedback is required");
+    }
+
+    const budget = body.budget_usd;
+    if (budget !== undefined && !(typeof budget === "number" && budget > 0)) {
+      return badRequest("budget_usd must be a positive number");
+    }
+
+    const project = await getProject(params.id);
+    if (!project) {
+      return Response.json({ error: "Project not found" }, { status: 404 });
+    }
+
+    const activeJob = findActiveJob(project.id);
+    if (activeJob) {
+      return Response.json(
+        { error: "Project is already being generated", job_id: activeJob.id },
+        { status: 409 },
+      );
+    }
+
+    const missing = firstMissingStep(project.version);
+    if (missing < PIPELINE_STEP_NAMES.length) {
+      return Response.json(
+        { error: `The latest version has no ${PIPELINE_STEP_NAMES[missing]}; resume it before regenerating sections` },
+        { status: 409 },
+      );
+    }
+
+    const sectionError = validateSection(body, project.version);
+    if (sectionError) return badRequest(sectionError);
+
+    const job = createJob(
+      {
+        project,
+        section: body.section,
+        milestone_index: body.milestone_index,
+        artifact: body.artifact,
+        feedback: body.feedback.trim(),
+        budget_usd: budget,
+      },
+      regenerateSection,
+    );
+    return jobResponse(job, { stream: body.stream });
+  } catch (error) {
+    console.error("Regenerating project section failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to regenerate section" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,129 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { TEST_CONTRIBUTORS, chatAnswer } from "../../../test/fake-llm.js";
+import { recording, useFixtures } from "../../../test/fixture-run.js";
+
+const { testSql } = await vi.hoisted(async () => {
+  const { createTestSql } = await import("../../../test/pg-mem-sql.js");
+  return { testSql: createTestSql() };
+});
+vi.mock("../../../utils/sql.js", () => ({ default: testSql }));
+
+const PLAN = {
+  interpretation: chatAnswer("senior project architect"),
+  milestones: chatAnswer("senior project manager"),
+  assignments: chatAnswer("resource allocation"),
+  artifacts: chatAnswer("technical writer"),
+};
+
+// The revised M2: reworded, with the same tasks, hours and dependencies
+const REVISED_M2 = {
+  ...PLAN.milestones.milestones[1],
+  description: "Test the API end to end",
+  deliverables: ["Test report", "Load test results"],
+};
+
+let projects;
+let POST;
+let fetchCalls;
+
+// A completed fast project with the canned plan as its only version
+async function createProject() {
+  const { projectId } = await projects.createProjectRun({
+    project_idea: "A REST API for tracking tasks",
+    contributors: TEST_CONTRIBUTORS,
+    start_date: "2024-01-01",
+    mode: "fast",
+  });
+  await projects.finishProjectRun(projectId, 1, { ...PLAN, timings: {} });
+  return projectId;
+}
+
+function post(id, body) {
+  return POST(
+    new Request(`http://localhost/api/projects/${id}/regenerate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+    { params: { id } },
+  );
+}
+
+// Every NDJSON event of a streamed job, up to its "result" or "error" event
+async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+beforeEach(async () => {
+  testSql.reset();
+  fetchCalls = useFixtures("project-regenerate", {
+    extra: (url, init) => {
+      if (!url.includes("/chat/completions")) return null;
+      const system = JSON.parse(init.body).messages[0].content;
+      if (!system.includes("revising one milestone")) return null;
+      return Response.json({
+        choices: [{ message: { content: JSON.stringify({ milestones: [REVISED_M2] }) } }],
+        usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 },
+      });
+    },
+  });
+  vi.stubEnv("DATABASE_URL", "postgres://test");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.resetModules();
+  projects = await import("../../../utils/projects.js");
+  ({ POST } = await import("./route.js"));
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("POST /api/projects/:id/regenerate", () => {
+  it("revises one milestone and re-runs only the steps whose inputs changed", async () => {
+    const id = await createProject();
+
+    const events = await readEvents(
+      await post(id, { section: "milestone", milestone_index: 1, feedback: " Add load testing ", stream: true }),
+    );
+    const { type, result } = events.at(-1);
+    expect(type).toBe("result");
+    expect(result).toMatchObject({ project_id: id, version: 2 });
+    // Rewording a milestone leaves the schedule alone but changes what the artifacts describe
+    expect(result.revision).toEqual({
+      section: "milestone",
+      regenerated: ["milestones", "artifacts"],
+      reused: ["interpretation", "assignments"],
+    });
+    expect(result.milestones.map((milestone) => milestone.description)).toEqual(["Build", "Test the API end to end"]);
+    expect(events.filter((event) => event.type === "llm_call").map((event) => event.step)).toEqual([
+      "reviseMilestone",
+      "generateArtifacts",
+    ]);
+
+    const project = await projects.getProject(id);
+    expect(project.versions.map((version) => version.version)).toEqual([1, 2]);
+    expect(project.version.assignments).toEqual(PLAN.assignments);
+    expect(project.version.milestones.milestones[1].deliverables).toEqual(["Test report", "Load test results"]);
+    if (!recording) expect(fetchCalls).toEqual([]);
+  });
+
+  it.each([
+    [{ section: "milestone", milestone_index: 1 }, /feedback is required/],
+    [{ section: "timeline", feedback: "Faster" }, /section must be one of: interpretation, milestone, assignments, artifact/],
+    [{ section: "milestone", milestone_index: 2, feedback: "Split it" }, /milestone_index must be an integer from 0 to 1/],
+    [{ section: "artifact", artifact: "slides", feedback: "Shorter" }, /artifact must be one of:/],
+  ])("rejects %j", async (body, error) => {
+    const id = await createProject();
+
+    const response = await post(id, body);
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatch(error);
+  });
+});
@@ -0,0 +1,73 @@
+import { PIPELINE_STEP_NAMES, firstMissingStep, resumeProject } from "../../../utils/generation.js";
+import { createJob, findActiveJob, jobResponse } from "../../../utils/jobs.js";
+import { getProject, isPersistenceEnabled, isProjectId } from "../../../utils/projects.js";
+
+// Re-runs the failed step and everything after it as a new project version.
+// `from_step` (a step name) restarts earlier, e.g. to regenerate milestones.
+export async function POST(request, { params }) {
+  if (!isPersistenceEnabled()) {
+    return Response.json(
+      { error: "Resuming requires DATABASE_URL to be configured" },
+      { status: 503 },
+    );
+  }
+  if (!isProjectId(params.id)) {
+    return Response.json({ error: "Project not found" }, { status: 404 });
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const project = await getProject(params.id);
+    if (!project) {
+      return Response.json({ error: "Project not found" }, { status: 404 });
+    }
+
+    const activeJob = findActiveJob(project.id);
+    if (activeJob) {
+      return Response.json(
+        { error: "Project is already being generated", job_id: activeJob.id },
+        { status: 409 },
+      );
+    }
+
+    const checkpoint = project.version;
+    const firstMissing = firstMissingStep(checkpoint);
+    let fromStep = firstMissing;
+
+    if (body.from_step !== undefined) {
+      fromStep = PIPELINE_STEP_NAMES.indexOf(body.from_step);
+      if (fromStep === -1) {
+        return Response.json(
+          { error: `Unknown step "${body.from_step}". Expected one of: ${PIPELINE_STEP_NAMES.join(", ")}` },
+          { status: 400 },
+        );
+      }
+      if (fromStep > firstMissing) {
+        return Response.json(
+          { error: `Cannot resume from "${body.from_step}": "${PIPELINE_STEP_NAMES[firstMissing]}" has no checkpoint` },
+          { status: 400 },
+        );
+      }
+    } else if (!checkpoint?.error) {
+      return Response.json(
+        { error: "The latest version did not fail; pass from_step to regenerate from a step" },
+        { status: 409 },
+      );
+    }
+
+    const budget = body.budget_usd;
+    if (budget !== undefined && !(typeof budget === "number" && budget > 0)) {
+      return Response.json({ error: "budget_usd must be a positive number" }, { status: 400 });
+    }
+
+    const job = createJob({ project, from_step: fromStep, budget_usd: budget }, resumeProject);
+    return jobResponse(job, { stream: body.stream });
+  } catch (error) {
+    console.error("Resuming project failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to resume project" },
+      { status: 500 },
+    );
+  }
+}
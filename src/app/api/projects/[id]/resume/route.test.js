@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { TEST_CONTRIBUTORS, chatAnswer } from "../../../test/fake-llm.js";
+import { recording, useFixtures } from "../../../test/fixture-run.js";
+
+const { testSql } = await vi.hoisted(async () => {
+  const { createTestSql } = await import("../../../test/pg-mem-sql.js");
+  return { testSql: createTestSql() };
+});
+vi.mock("../../../utils/sql.js", () => ({ default: testSql }));
+
+const INTERPRETATION = chatAnswer("senior project architect");
+const MILESTONES = chatAnswer("senior project manager");
+
+let projects;
+let POST;
+let fetchCalls;
+
+// A fast project whose first version stopped after `steps` with `error`
+async function createProject(steps, error = null) {
+  const { projectId } = await projects.createProjectRun({
+    project_idea: "A REST API for tracking tasks",
+    contributors: TEST_CONTRIBUTORS,
+    start_date: "2024-01-01",
+    mode: "fast",
+  });
+  await projects.finishProjectRun(projectId, 1, { ...steps, error, timings: {} });
+  return projectId;
+}
+
+function post(id, body) {
+  return POST(
+    new Request(`http://localhost/api/projects/${id}/resume`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+    { params: { id } },
+  );
+}
+
+// Every NDJSON event of a streamed job, up to its "result" or "error" event
+async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+beforeEach(async () => {
+  testSql.reset();
+  fetchCalls = useFixtures("project-resume");
+  vi.stubEnv("DATABASE_URL", "postgres://test");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.resetModules();
+  projects = await import("../../../utils/projects.js");
+  ({ POST } = await import("./route.js"));
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("POST /api/projects/:id/resume", () => {
+  it("re-runs the failed step and the ones after it as a new version", async () => {
+    const id = await createProject({ interpretation: INTERPRETATION, milestones: MILESTONES }, "LLM API error: overloaded");
+
+    const events = await readEvents(await post(id, { stream: true }));
+    const { type, result } = events.at(-1);
+    expect(type).toBe("result");
+    expect(result).toMatchObject({ project_id: id, version: 2, title: "Test Project" });
+    expect(result.assignments).toHaveLength(3);
+    expect(result.readme_content).toContain("# Test Project");
+    // The checkpointed steps are reused, not asked for again
+    const llmSteps = events.filter((event) => event.type === "llm_call").map((event) => event.step);
+    expect(llmSteps).toEqual(["assignTasksAndTimeline", "generateArtifacts"]);
+
+    const project = await projects.getProject(id);
+    expect(project.status).toBe("completed");
+    expect(project.versions.map(({ version, error }) => [version, error])).toEqual([
+      [1, "LLM API error: overloaded"],
+      [2, null],
+    ]);
+    expect(project.version.interpretation).toEqual(INTERPRETATION);
+    if (!recording) expect(fetchCalls).toEqual([]);
+  });
+
+  it.each([
+    [{}, 409, /did not fail; pass from_step/],
+    [{ from_step: "research" }, 400, /Unknown step "research"\. Expected one of: interpretation, milestones, assignments, artifacts/],
+    [{ from_step: "artifacts" }, 400, /Cannot resume from "artifacts": "assignments" has no checkpoint/],
+    [{ from_step: "milestones", budget_usd: 0 }, 400, /budget_usd must be a positive number/],
+  ])("refuses %j", async (body, status, error) => {
+    const id = await createProject({ interpretation: INTERPRETATION, milestones: MILESTONES });
+
+    const response = await post(id, body);
+    expect(response.status).toBe(status);
+    expect((await response.json()).error).toMatch(error);
+  });
+
+  it("answers 404 for an unknown project", async () => {
+    const response = await post("00000000-0000-4000-8000-000000000000", {});
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,60 @@
+import {
+  deleteProject,
+  getProject,
+  isPersistenceEnabled,
+  isProjectId,
+  parseVersion,
+} from "../../utils/projects.js";
+
+function unavailable() {
+  return Response.json(
+    { error: "Project history requires DATABASE_URL to be configured" },
+    { status: 503 },
+  );
+}
+
+function notFound() {
+  return Response.json({ error: "Project not found" }, { status: 404 });
+}
+
+export async function GET(request, { params }) {
+  if (!isPersistenceEnabled()) return unavailable();
+  if (!isProjectId(params.id)) return notFound();
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const version = searchParams.has("version") ? parseVersion(searchParams.get("version")) : undefined;
+    if (version === null) {
+      return Response.json({ error: "version must be a positive integer" }, { status: 400 });
+    }
+
+    const project = await getProject(params.id, { version });
+    if (!project) return notFound();
+
+    return Response.json(project);
+  } catch (error) {
+    console.error("Loading project failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to load project" },
+      { status: 500 },
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  if (!isPersistenceEnabled()) return unavailable();
+  if (!isProjectId(params.id)) return notFound();
+
+  try {
+    const deleted = await deleteProject(params.id);
+    if (!deleted) return notFound();
+
+    return Response.json({ deleted: true, id: params.id });
+  } catch (error) {
+    console.error("Deleting project failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to delete project" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,126 @@
+import { parseRepositoryOptions } from "../../../utils/git-targets.js";
+import {
+  INTEGRATIONS,
+  createIntegration,
+  isIntegrationConfigured,
+  syncIntegration,
+} from "../../../utils/integrations.js";
+import { findActiveJob } from "../../../utils/jobs.js";
+import {
+  getIntegrations,
+  getProject,
+  isPersistenceEnabled,
+  isProjectId,
+  saveIntegration,
+} from "../../../utils/projects.js";
+import { runWithContext } from "../../../utils/run-context.js";
+
+// Brings the project's git repository and Notion page up to date with the
+// latest version, updating them in place (or creating them if the project has
+// none yet). `targets` picks integrations; `dry_run` reports the diff only;
+// `repository` sets repository options (target included) when it is created.
+export async function POST(request, { params }) {
+  if (!isPersistenceEnabled()) {
+    return Response.json(
+      { error: "Syncing requires DATABASE_URL to be configured" },
+      { status: 503 },
+    );
+  }
+  if (!isProjectId(params.id)) {
+    return Response.json({ error: "Project not found" }, { status: 404 });
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const dryRun = Boolean(body.dry_run);
+
+    const repository = parseRepositoryOptions(body.repository);
+    if (repository.error) {
+      return Response.json({ error: repository.error }, { status: 400 });
+    }
+
+    const targets = body.targets ?? INTEGRATIONS.filter(isIntegrationConfigured);
+    if (!Array.isArray(targets)) {
+      return Response.json({ error: "targets must be an array" }, { status: 400 });
+    }
+    const unknown = targets.find((target) => !INTEGRATIONS.includes(target));
+    if (unknown !== undefined) {
+      return Response.json(
+        { error: `Unknown target "${unknown}". Expected some of: ${INTEGRATIONS.join(", ")}` },
+        { status: 400 },
+      );
+    }
+    const unconfigured = targets.filter((target) => !isIntegrationConfigured(target));
+    if (targets.length === 0 || unconfigured.length) {
+      return Response.json(
+        { error: `Syncing requires ${unconfigured.length ? unconfigured.join(" and ") : "a git target or Notion"} to be configured` },
+        { status: 503 },
+      );
+    }
+
+    const project = await getProject(params.id);
+    if (!project?.version) {
+      return Response.json({ error: "Project not found" }, { status: 404 });
+    }
+
+    const activeJob = findActiveJob(project.id);
+    if (activeJob) {
+      return Response.json(
+        { error: "Project is being generated; sync once the job has finished", job_id: activeJob.id },
+        { status: 409 },
+      );
+    }
+    if (!project.version.artifacts) {
+      return Response.json(
+        { error: "The latest version has no artifacts; resume it before syncing" },
+        { status: 409 },
+      );
+    }
+
+    const saved = await getIntegrations(project.id);
+    const results = {};
+
+    // Abandoning the request stops the sync between API calls
+    await runWithContext({ signal: request.signal }, async () => {
+      for (const target of [...new Set(targets)]) {
+        if (!saved[target] && dryRun) {
+          results[target] = { action: "create", url: null };
+          continue;
+        }
+
+        try {
+          const { remote, diff, failures } = saved[target]
+            ? await syncIntegration(target, saved[target].remote, project.version, { dryRun })
+            : await createIntegration(target, project.version, { repository: repository.value });
+          if (!dryRun) {
+            await saveIntegration(project.id, target, remote, project.version.version);
+          }
+          results[target] = {
+            action: saved[target] ? "update" : "create",
+            url: remote.url,
+            previous_version: saved[target]?.synced_version ?? null,
+            diff,
+            failures,
+          };
+        } catch (error) {
+          if (error.name === "AbortError") throw error;
+          console.error(`Syncing ${target} failed:`, error);
+          results[target] = { action: saved[target] ? "update" : "create", error: error.message };
+        }
+      }
+    });
+
+    return Response.json({
+      project_id: project.id,
+      version: project.version.version,
+      dry_run: dryRun,
+      results,
+    });
+  } catch (error) {
+    console.error("Syncing project failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to sync project" },
+      { status: 500 },
+    );
+  }
+}
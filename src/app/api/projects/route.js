@@ -0,0 +1,25 @@
+import { isPersistenceEnabled, listProjects } from "../utils/projects.js";
+
+export async function GET(request) {
+  if (!isPersistenceEnabled()) {
+    return Response.json(
+      { error: "Project history requires DATABASE_URL to be configured" },
+      { status: 503 },
+    );
+  }
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(Math.max(Number(searchParams.get("limit")) || 20, 1), 100);
+    const offset = Math.max(Number(searchParams.get("offset")) || 0, 0);
+
+    const projects = await listProjects({ limit, offset });
+    return Response.json({ projects, limit, offset });
+  } catch (error) {
+    console.error("Listing projects failed:", error);
+    return Response.json(
+      { error: error.message || "Failed to list projects" },
+      { status: 500 },
+    );
+  }
+}
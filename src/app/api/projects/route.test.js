@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const { testSql } = await vi.hoisted(async () => {
+  const { createTestSql } = await import("../test/pg-mem-sql.js");
+  return { testSql: createTestSql() };
+});
+vi.mock("../utils/sql.js", () => ({ default: testSql }));
+
+let projects;
+let listRoute;
+let projectRoute;
+
+async function createProject(idea, title) {
+  const { projectId } = await projects.createProjectRun({
+    project_idea: idea,
+    contributors: [],
+    start_date: "2024-01-01",
+    mode: "fast",
+  });
+  await projects.finishProjectRun(projectId, 1, { interpretation: { title }, timings: {} });
+  return projectId;
+}
+
+beforeEach(async () => {
+  testSql.reset();
+  vi.stubEnv("DATABASE_URL", "postgres://test");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.resetModules();
+  projects = await import("../utils/projects.js");
+  listRoute = await import("./route.js");
+  projectRoute = await import("./[id]/route.js");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+const get = (path) => new Request(`http://localhost/api/projects${path}`);
+
+describe("GET /api/projects", () => {
+  it("lists projects newest first with limit and offset", async () => {
+    await createProject("First idea", "First");
+    await createProject("Second idea", "Second");
+
+    const response = await listRoute.GET(get("?limit=1&offset=0"));
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body).toMatchObject({ limit: 1, offset: 0 });
+    expect(body.projects).toHaveLength(1);
+
+    const all = await (await listRoute.GET(get(""))).json();
+    expect(all.limit).toBe(20);
+    expect(all.projects.map((project) => project.title).sort()).toEqual(["First", "Second"]);
+    expect(all.projects[0]).toMatchObject({ status: "completed", mode: "fast", latest_version: 1 });
+  });
+
+  it("clamps the page size", async () => {
+    const body = await (await listRoute.GET(get("?limit=1000&offset=-5"))).json();
+    expect(body).toMatchObject({ projects: [], limit: 100, offset: 0 });
+  });
+
+  it("answers 503 without DATABASE_URL", async () => {
+    vi.stubEnv("DATABASE_URL", "");
+    const response = await listRoute.GET(get(""));
+    expect(response.status).toBe(503);
+  });
+});
+
+describe("GET /api/projects/:id", () => {
+  it("returns the latest version, or the one asked for", async () => {
+    const id = await createProject("Versioned idea", "V1");
+    await projects.createProjectVersion(id, { interpretation: { title: "V2" } });
+
+    const latest = await (await projectRoute.GET(get(`/${id}`), { params: { id } })).json();
+    expect(latest.id).toBe(id);
+    expect(latest.version.version).toBe(2);
+    expect(latest.versions.map((entry) => entry.version)).toEqual([1, 2]);
+
+    const first = await (await projectRoute.GET(get(`/${id}?version=1`), { params: { id } })).json();
+    expect(first.version.version).toBe(1);
+    expect(first.version.interpretation).toEqual({ title: "V1" });
+  });
+
+  it("returns no version for a version number that does not exist", async () => {
+    const id = await createProject("Idea", "Title");
+    const body = await (await projectRoute.GET(get(`/${id}?version=9`), { params: { id } })).json();
+    expect(body.id).toBe(id);
+    expect(body.version).toBeNull();
+  });
+
+  it.each(["abc", "0", "-1", "1.5", "1e3", ""])("answers 400 for version=%s", async (version) => {
+    const id = await createProject("Idea", "Title");
+    const response = await projectRoute.GET(get(`/${id}?version=${version}`), { params: { id } });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: "version must be a positive integer" });
+  });
+
+  it("answers 404 for unknown and malformed ids", async () => {
+    const unknown = "00000000-0000-4000-8000-000000000000";
+
+    expect((await projectRoute.GET(get(`/${unknown}`), { params: { id: unknown } })).status).toBe(404);
+    expect((await projectRoute.GET(get("/not-a-uuid"), { params: { id: "not-a-uuid" } })).status).toBe(404);
+  });
+
+  it("answers 503 without DATABASE_URL", async () => {
+    vi.stubEnv("DATABASE_URL", "");
+    const id = "00000000-0000-4000-8000-000000000000";
+    expect((await projectRoute.GET(get(`/${id}`), { params: { id } })).status).toBe(503);
+  });
+});
+
+describe("DELETE /api/projects/:id", () => {
+  it("deletes the project with its versions", async () => {
+    const id = await createProject("Doomed idea", "Doomed");
+    const request = new Request(`http://localhost/api/projects/${id}`, { method: "DELETE" });
+
+    const response = await projectRoute.DELETE(request, { params: { id } });
+    expect(await response.json()).toEqual({ deleted: true, id });
+    expect(await testSql`SELECT id FROM project_versions WHERE project_id = ${id}`).toEqual([]);
+    expect((await projectRoute.DELETE(request, { params: { id } })).status).toBe(404);
+  });
+});
@@ -0,0 +1,92 @@
+// A canned GitHub REST and GraphQL API for recording the export fixtures
+//
+// Every repository starts empty except for an existing "priority: high" label;
+// acme/existing also has a "Foundation" milestone from an earlier export. Like
+// GitHub, a second milestone with the same title is refused. The "ghost" login cannot be assigned, and repositories of the "locked" owner
+// reject Projects (v2) mutations, so both export fallbacks can be recorded.
+
+const API = "https://api.github.com";
+
+function created(data) {
+  return Response.json(data, { status: 201 });
+}
+
+function invalid(message) {
+  return Response.json({ message: "Validation Failed", errors: [{ message }] }, { status: 422 });
+}
+
+function graphqlAnswer(query, variables, counters) {
+  if (variables.repositoryId?.startsWith("R_locked")) {
+    return { errors: [{ message: "Resource not accessible by integration" }] };
+  }
+  if (query.includes("createProjectV2(")) {
+    return { data: { createProjectV2: { projectV2: { id: "PVT_1", number: 1, url: "https://github.com/orgs/acme/projects/1" } } } };
+  }
+  if (query.includes("createProjectV2Field(")) {
+    return { data: { createProjectV2Field: { projectV2Field: { id: `PVTF_${variables.name}` } } } };
+  }
+  if (query.includes("addProjectV2ItemById(")) {
+    return { data: { addProjectV2ItemById: { item: { id: `PVTI_${++counters.items}` } } } };
+  }
+  if (query.includes("updateProjectV2ItemFieldValue(")) {
+    return { data: { updateProjectV2ItemFieldValue: { projectV2Item: { id: variables.itemId } } } };
+  }
+  return { errors: [{ message: "Unknown mutation" }] };
+}
+
+/**
+ * An `extra` handler for createFakeFetch (./fake-llm.js) that answers
+ * api.github.com. Issue and milestone numbers count up per handler, so each
+ * spec records the numbers a fresh repository would hand out.
+ */
+export function createFakeGitHub() {
+  const counters = { milestones: 0, issues: 0, items: 0 };
+  const milestones = new Map([
+    ["acme/existing", [{ title: "Foundation", number: 7, html_url: "https://github.com/acme/existing/milestone/7" }]],
+  ]);
+
+  return async (url, init = {}) => {
+    if (!url.startsWith(API)) return null;
+    const method = (init.method || "GET").toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : {};
+
+    if (url === `${API}/graphql`) return Response.json(graphqlAnswer(body.query, body.variables, counters));
+
+    const match = /^\/repos\/([\w.-]+)\/([\w.-]+)(\/\w+)?(?:\?(.*))?$/.exec(url.slice(API.length));
+    if (!match) return Response.json({ message: "Not Found" }, { status: 404 });
+    const [, owner, name, resource = "", query = ""] = match;
+    const html = `https://github.com/${owner}/${name}`;
+    const repoMilestones = milestones.get(`${owner}/${name}`) ?? [];
+    milestones.set(`${owner}/${name}`, repoMilestones);
+
+    if (method === "GET" && !resource) {
+      if (name === "missing") return Response.json({ message: "Not Found" }, { status: 404 });
+      return Response.json({
+        full_name: `${owner}/${name}`,
+        node_id: `R_${owner}_${name}`,
+        html_url: html,
+        owner: { login: owner, node_id: `O_${owner}` },
+      });
+    }
+    if (method === "POST" && resource === "/labels") {
+      return body.name === "priority: high" ? invalid("already_exists") : created(body);
+    }
+    if (method === "GET" && resource === "/milestones") {
+      const page = Number(new URLSearchParams(query).get("page") || 1);
+      return Response.json(repoMilestones.slice((page - 1) * 100, page * 100));
+    }
+    if (method === "POST" && resource === "/milestones") {
+      if (repoMilestones.some((milestone) => milestone.title === body.title)) return invalid("already_exists");
+      const number = ++counters.milestones;
+      const milestone = { ...body, number, html_url: `${html}/milestone/${number}` };
+      repoMilestones.push(milestone);
+      return created(milestone);
+    }
+    if (method === "POST" && resource === "/issues") {
+      if (body.assignees?.includes("ghost")) return invalid("ghost cannot be assigned");
+      const number = ++counters.issues;
+      return created({ ...body, number, node_id: `I_${number}`, html_url: `${html}/issues/${number}` });
+    }
+    return Response.json({ message: "Not Found" }, { status: 404 });
+  };
+}
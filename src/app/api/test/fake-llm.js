@@ -0,0 +1,145 @@
+// Canned OpenAI-style chat completions for specs and fixture recording. Answers
+// are picked by the system prompt, so every pipeline step gets output that
+// passes its schema.
+
+const PLAN = {
+  interpretation: {
+    title: "Test Project",
+    description: "A project used by the test suite",
+    objectives: ["Ship a working prototype"],
+    scope_assumptions: ["Web only"],
+    technical_requirements: ["REST API"],
+    success_criteria: ["Prototype demoed"],
+    estimated_duration: "3 months",
+    complexity_level: "Medium",
+    primary_technologies: ["Python"],
+    target_audience: "Developers",
+    business_value: "Faster prototyping",
+  },
+  milestones: {
+    project_phases: "Build, then test",
+    milestones: [
+      {
+        name: "M1",
+        description: "Build",
+        duration_weeks: 2,
+        dependencies: [],
+        deliverables: ["API"],
+        tasks: [
+          { id: "T001", title: "Setup", description: "Project setup", required_expertise: ["Python"], estimated_hours: 30, priority: "High", can_parallel: true, dependencies: [] },
+          { id: "T002", title: "Build", description: "Build the API", required_expertise: ["Python"], estimated_hours: 50, priority: "Critical", can_parallel: false, dependencies: ["T001"] },
+        ],
+      },
+      {
+        name: "M2",
+        description: "Test",
+        duration_weeks: 2,
+        dependencies: ["M1"],
+        deliverables: ["Test report"],
+        tasks: [
+          { id: "T003", title: "Test", description: "Test the API", required_expertise: ["Testing"], estimated_hours: 20, priority: "Medium", can_parallel: true, dependencies: ["T002"] },
+        ],
+      },
+    ],
+  },
+  assignments: {
+    timeline_strategy: "Sequential",
+    total_estimated_weeks: 4,
+    assignments: [
+      { task_id: "T001", assigned_to: "Ann", start_week: 1, end_week: 1, assignment_rationale: "Python", collaboration_notes: "" },
+      { task_id: "T002", assigned_to: "Bob", start_week: 2, end_week: 3, assignment_rationale: "Python", collaboration_notes: "" },
+      { task_id: "T003", assigned_to: "Ann", start_week: 4, end_week: 4, assignment_rationale: "Testing", collaboration_notes: "" },
+    ],
+    weekly_schedule: [],
+    workload_distribution: [],
+  },
+  artifacts: {
+    readme: "# Test Project",
+    paper_draft: "# Test Project Paper",
+    code_structure: "src/",
+    api_documentation: "GET /health",
+    deployment_guide: "docker compose up",
+    testing_strategy: "pytest",
+  },
+};
+
+export const TEST_CONTRIBUTORS = [
+  { name: "Ann", expertise: ["Python", "Testing"] },
+  { name: "Bob", expertise: ["Python"] },
+];
+
+// [system prompt fragment, answer] pairs, checked in order
+const ANSWERS = [
+  ["senior project architect", PLAN.interpretation],
+  ["senior project manager", PLAN.milestones],
+  ["resource allocation", PLAN.assignments],
+  ["technical writer", PLAN.artifacts],
+  [
+    "autonomous project analysis",
+    {
+      complexity_assessment: "medium",
+      research_needed: ["tech stack"],
+      validation_checks: [],
+      enhancement_opportunities: ["Add caching"],
+      web_search_queries: ["python api frameworks"],
+      additional_llm_calls: [],
+      risk_factors: ["Scope creep"],
+      success_factors: ["Clear API"],
+    },
+  ],
+  [
+    "research strategist",
+    { webSearchNeeded: true, searchQueries: ["python api frameworks"], technicalAnalysisNeeded: true, marketAnalysisNeeded: false, riskAnalysisNeeded: false },
+  ],
+  ["improvement consultant", []],
+  [
+    "Analyze these search results",
+    {
+      key_insights: [{ text: "FastAPI suits small REST APIs", sources: [1] }],
+      trends: [],
+      recommendations: [{ text: "Start from the FastAPI tutorial", sources: [1] }],
+      technical_details: [],
+      market_data: [],
+      competitors: ["Flask"],
+      technologies: ["FastAPI"],
+      summary: "FastAPI fits the project",
+    },
+  ],
+];
+
+export function chatAnswer(systemPrompt) {
+  const match = ANSWERS.find(([fragment]) => systemPrompt.includes(fragment));
+  return match ? match[1] : { score: 85, key_recommendations: ["Keep scope small"], summary: "Looks feasible" };
+}
+
+/**
+ * fetch replacement answering chat completions (and a Serper search) with
+ * canned JSON. `extra(url, init)` may return a Response to override a call.
+ * Every call is pushed to `calls`.
+ */
+export function createFakeFetch(extra = () => null) {
+  const calls = [];
+  const fetch = async (input, init = {}) => {
+    const url = String(input);
+    calls.push({ url, init });
+    const custom = await extra(url, init);
+    if (custom) return custom;
+
+    if (url.includes("/chat/completions")) {
+      const body = JSON.parse(init.body);
+      const content = JSON.stringify(chatAnswer(body.messages[0].content));
+      return Response.json({
+        model: body.model,
+        choices: [{ message: { content } }],
+        usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 },
+      });
+    }
+    if (url.includes("google.serper.dev")) {
+      return Response.json({
+        organic: [{ title: "FastAPI", link: "https://fastapi.example/docs", snippet: "FastAPI framework", date: "2024" }],
+      });
+    }
+    return new Response(`Not mocked: ${url}`, { status: 500 });
+  };
+  return { fetch, calls };
+}
@@ -0,0 +1,74 @@
+// Record/replay setup for end-to-end specs
+//
+// Specs replay the HTTP fixtures committed under test/fixtures/<name> with the
+// network disabled. RECORD_FIXTURES=1 re-records them instead, answering through
+// the canned services in ./fake-llm.js (plus the spec's own `extra` handler).
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { vi } from "vitest";
+import { createFakeFetch } from "./fake-llm.js";
+
+const FIXTURES_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+export const recording = process.env.RECORD_FIXTURES === "1";
+const cleared = new Set();
+
+// Settings from a developer's .env that would change which calls a run makes
+const UNSET_ENV = [
+  "BING_SEARCH_API_KEY",
+  "BRAVE_SEARCH_API_KEY",
+  "SEARXNG_URL",
+  "SEARCH_PROVIDERS",
+  "OPENAI_BASE_URL",
+  "LLM_MODEL",
+  "LLM_FAST_MODEL",
+  "LLM_STEP_CONFIG",
+  "LLM_MAX_REPAIR_ATTEMPTS",
+  "RUN_BUDGET_USD",
+  "DATABASE_URL",
+  "NOTION_API_KEY",
+  "GITHUB_TOKEN",
+  "GITLAB_TOKEN",
+  "GITEA_TOKEN",
+  "GIT_TARGET",
+  "GIT_LOCAL_PATH",
+];
+
+/**
+ * Points FIXTURE_MODE/FIXTURE_DIR at test/fixtures/<name> and stubs fetch: the
+ * canned services while recording, a failing fetch (no network) while replaying.
+ * Only the OpenAI and Serper placeholders are configured, so the same calls are
+ * made in both modes. `extra` answers further services while recording (see
+ * createFakeFetch). Returns the list of fetch calls that reached the stub.
+ */
+export function useFixtures(name, { extra } = {}) {
+  const dir = path.join(FIXTURES_ROOT, name);
+  // Old fixtures are dropped once per test file, before its first spec records
+  if (recording && !cleared.has(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    cleared.add(dir);
+  }
+
+  vi.stubEnv("FIXTURE_MODE", recording ? "record" : "replay");
+  vi.stubEnv("FIXTURE_DIR", dir);
+  vi.stubEnv("LLM_PROVIDER", "openai");
+  vi.stubEnv("OPENAI_API_KEY", "test-key");
+  vi.stubEnv("SERPER_API_KEY", "test-key");
+  for (const name of UNSET_ENV) vi.stubEnv(name, "");
+  vi.stubEnv("AGENT_CACHE_BACKEND", "off");
+  vi.stubEnv("DEEP_READ_ENABLED", "false");
+
+  const fake = createFakeFetch(extra);
+  vi.stubGlobal(
+    "fetch",
+    recording
+      ? fake.fetch
+      : async (input) => {
+          fake.calls.push({ url: String(input) });
+          throw new Error(`Network access during a fixture replay: ${input}`);
+        },
+  );
+  return fake.calls;
+}
@@ -0,0 +1,34 @@
+// Local HTTP server for specs that exercise real fetch() calls
+//
+// `handler(request, response)` is a plain node:http handler; every request is
+// logged in `requests` (method, url, headers) before the handler runs.
+
+import { createServer } from "node:http";
+
+export async function startServer(handler) {
+  const requests = [];
+  const server = createServer((request, response) => {
+    requests.push({ method: request.method, url: request.url, headers: request.headers });
+    Promise.resolve(handler(request, response)).catch((error) => {
+      response.statusCode = 500;
+      response.end(String(error?.message || error));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
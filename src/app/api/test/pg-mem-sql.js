@@ -0,0 +1,89 @@
+// In-memory Postgres (pg-mem) behind the same interface as the Neon `sql` client:
+// tagged templates, sql(text, params) and sql.transaction([...queries])
+//
+// sql.reset() swaps in an empty database, so each spec can start from scratch.
+
+import { randomUUID } from "node:crypto";
+import { newDb } from "pg-mem";
+
+function createDb() {
+  const db = newDb();
+  db.public.registerFunction({
+    name: "gen_random_uuid",
+    returns: "uuid",
+    implementation: () => randomUUID(),
+    impure: true,
+  });
+  db.public.registerFunction({
+    name: "to_char",
+    args: ["timestamptz", "text"],
+    returns: "text",
+    implementation: (date) => new Date(date).toISOString().slice(0, 10),
+  });
+  db.public.registerFunction({
+    name: "jsonb_concat",
+    args: ["jsonb", "jsonb"],
+    returns: "jsonb",
+    implementation: (left, right) => ({ ...left, ...right }),
+  });
+  const { Pool } = db.adapters.createPg();
+  return { db, pool: new Pool() };
+}
+
+export function createTestSql() {
+  let current = createDb();
+
+  // pg-mem rejects "IF NOT EXISTS" when the table, index or column already exists
+  const alreadyExists = (text) => {
+    const { db } = current;
+    const table = /^\s*CREATE TABLE IF NOT EXISTS (\w+)/i.exec(text);
+    if (table) return Boolean(db.public.getTable(table[1], true));
+    const index = /^\s*CREATE INDEX IF NOT EXISTS (\w+)/i.exec(text);
+    if (index) return Boolean(db.public.getObject({ name: index[1] }, { nullIfNotFound: true }));
+    const column = /^\s*ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS (\w+)/i.exec(text);
+    if (column) return Boolean(db.public.getTable(column[1], true)?.getColumn(column[2], true));
+    return false;
+  };
+
+  // pg-mem reads `a || 'b'::jsonb` as `(a || 'b')::jsonb`, a text concatenation
+  const rewrite = (text) => text.replace(/(\w+) \|\| ('[^']*'::jsonb)/g, "jsonb_concat($1, $2)");
+
+  const run = async (text, values) =>
+    alreadyExists(text) ? [] : (await current.pool.query(rewrite(text), values)).rows;
+
+  const query = (text, values) => ({
+    text,
+    values,
+    then: (resolve, reject) => run(text, values).then(resolve, reject),
+  });
+
+  function sql(strings, ...values) {
+    if (typeof strings === "string") return query(strings, values[0] || []);
+    const text = strings.reduce((all, part, index) => `${all}$${index}${part}`);
+    return query(text, values);
+  }
+
+  // pg-mem has no concurrent transactions; run the statements in order and roll
+  // back data changes on failure (schema changes cannot be restored)
+  sql.transaction = async (queries) => {
+    const backup = current.db.backup();
+    try {
+      const results = [];
+      for (const { text, values } of queries) results.push(await run(text, values));
+      return results;
+    } catch (error) {
+      try {
+        backup.restore();
+      } catch {
+        // The failed statement changed the schema
+      }
+      throw error;
+    }
+  };
+
+  sql.reset = () => {
+    current = createDb();
+  };
+
+  return sql;
+}
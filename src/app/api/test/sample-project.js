@@ -0,0 +1,66 @@
+// A saved project version with a scheduled plan, for the export specs. The
+// descriptions carry commas, quotes and line breaks to exercise CSV escaping.
+
+export const SAMPLE_PROJECT = {
+  title: "Task Tracker",
+  start_date: "2024-01-01",
+};
+
+export const SAMPLE_VERSION = {
+  interpretation: { title: "Task Tracker" },
+  milestones: {
+    milestones: [
+      {
+        name: "Foundation",
+        description: 'Set up the "core" service',
+        deliverables: ["Repository", "CI pipeline"],
+        dependencies: [],
+        tasks: [
+          {
+            id: "T002",
+            title: "Data model",
+            description: "Tables for tasks, users and tags",
+            required_expertise: ["Database Design"],
+            estimated_hours: 16,
+            priority: "Critical",
+            dependencies: ["T001"],
+          },
+          {
+            id: "T001",
+            title: "Project setup",
+            description: "Scaffold the API\nand add linting",
+            required_expertise: ["Backend Development", "DevOps"],
+            estimated_hours: 8,
+            priority: "High",
+            dependencies: [],
+          },
+        ],
+      },
+      {
+        name: "Launch",
+        description: "Ship it",
+        deliverables: [],
+        dependencies: ["Foundation"],
+        tasks: [
+          {
+            id: "T003",
+            title: "Deploy",
+            description: "",
+            required_expertise: [],
+            estimated_hours: 4,
+            priority: "Low",
+            dependencies: ["T001", "T002"],
+          },
+        ],
+      },
+    ],
+  },
+  assignments: {
+    start_date: "2024-01-01",
+    assignments: [
+      { task_id: "T001", assigned_to: "Ann", start_week: 1, end_week: 1, on_critical_path: true },
+      { task_id: "T002", assigned_to: "Bob", start_week: 2, end_week: 3, on_critical_path: true },
+      { task_id: "T003", assigned_to: "Ann", start_week: 4, end_week: 4, on_critical_path: false },
+    ],
+  },
+};
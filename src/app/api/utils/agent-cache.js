@@ -0,0 +1,327 @@
+// Shared TTL cache for agent research: search results and their LLM analyses
+//
+// AGENT_CACHE_BACKEND selects where entries live: memory (default; per server
+// process), fs (JSON files under AGENT_CACHE_DIR; survives restarts) or postgres
+// (the agent_cache table; shared by every instance), and off disables caching.
+// Entries expire after AGENT_CACHE_TTL_HOURS. Each backend keeps at most
+// AGENT_CACHE_MAX_ENTRIES, evicting the least recently written first, and skips
+// values larger than AGENT_CACHE_MAX_ENTRY_BYTES. A failing backend is logged and
+// treated as a miss, so the cache can never fail a run.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getRunContext } from "./run-context.js";
+import { ensureSchema, isPersistenceEnabled } from "./projects.js";
+import sql from "./sql.js";
+
+export const CACHE_BACKENDS = ["memory", "fs", "postgres", "off"];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Read lazily so env changes (tests, dotenv) are picked up
+export function agentCacheConfig() {
+  const backend = (process.env.AGENT_CACHE_BACKEND || "memory").trim().toLowerCase();
+  if (!CACHE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown AGENT_CACHE_BACKEND "${backend}". Expected one of: ${CACHE_BACKENDS.join(", ")}`);
+  }
+  return {
+    backend,
+    ttlMs: envNumber("AGENT_CACHE_TTL_HOURS", 24) * 60 * 60 * 1000,
+    maxEntries: Math.floor(envNumber("AGENT_CACHE_MAX_ENTRIES", 1000)),
+    maxEntryBytes: envNumber("AGENT_CACHE_MAX_ENTRY_BYTES", 1024 * 1024),
+    dir: path.resolve(process.env.AGENT_CACHE_DIR || ".cache/agents"),
+  };
+}
+
+// "  React  vs. Vue " and "react vs. vue" share an entry; symbols are kept, so
+// "C++", "C#" and ".NET" stay distinct. Callers normalize the query part of a key.
+export function normalizeQuery(text) {
+  return String(text).normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// Objects are serialized with sorted keys, so option order does not matter; strings are kept verbatim
+function stableKey(value) {
+  if (typeof value === "string") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableKey).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableKey(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function cacheKey(namespace, parts) {
+  return `${namespace}:${createHash("sha256").update(stableKey(parts)).digest("hex").slice(0, 32)}`;
+}
+
+export function emptyCacheStats() {
+  return { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0, by_namespace: {} };
+}
+
+function count(stats, namespace, outcome, amount = 1) {
+  stats[outcome] += amount;
+  if (outcome !== "hits" && outcome !== "misses") return;
+  stats.by_namespace[namespace] ??= { hits: 0, misses: 0 };
+  stats.by_namespace[namespace][outcome] += amount;
+}
+
+// Values are kept as JSON text, so callers can never mutate a cached entry in place
+class MemoryStore {
+  constructor(config) {
+    this.config = config;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.json;
+  }
+
+  // Resolves with the number of entries evicted to stay within maxEntries
+  async set(key, namespace, json, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { namespace, json, expiresAt });
+
+    let evicted = 0;
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.config.maxEntries) break;
+      this.entries.delete(oldest);
+      evicted++;
+    }
+    return evicted;
+  }
+
+  async clear(namespace) {
+    for (const [key, entry] of this.entries) {
+      if (!namespace || entry.namespace === namespace) this.entries.delete(key);
+    }
+  }
+}
+
+// <dir>/<namespace>/<hash>.json, written atomically through a temporary file
+class FileStore {
+  constructor(config) {
+    this.config = config;
+  }
+
+  file(key) {
+    const [namespace, hash] = key.split(":");
+    return path.join(this.config.dir, namespace, `${hash}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.file(key), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    if (Date.parse(entry.expires_at) <= Date.now()) {
+      await fs.rm(this.file(key), { force: true });
+      return null;
+    }
+    return JSON.stringify(entry.value);
+  }
+
+  async set(key, namespace, json, expiresAt) {
+    const file = this.file(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(
+      temporary,
+      `{"key":${JSON.stringify(key)},"expires_at":"${new Date(expiresAt).toISOString()}","value":${json}}`,
+    );
+    await fs.rename(temporary, file);
+    return await this.prune();
+  }
+
+  // Drops the oldest files (by modification time) beyond maxEntries
+  async prune() {
+    const files = [];
+    for (const namespace of await fs.readdir(this.config.dir)) {
+      const dir = path.join(this.config.dir, namespace);
+      for (const name of await fs.readdir(dir).catch(() => [])) {
+        if (!name.endsWith(".json")) continue;
+        const file = path.join(dir, name);
+        const stat = await fs.stat(file).catch(() => null);
+        if (stat) files.push({ file, mtime: stat.mtimeMs });
+      }
+    }
+    if (files.length <= this.config.maxEntries) return 0;
+
+    const excess = files.sort((a, b) => a.mtime - b.mtime).slice(0, files.length - this.config.maxEntries);
+    await Promise.all(excess.map(({ file }) => fs.rm(file, { force: true })));
+    return excess.length;
+  }
+
+  async clear(namespace) {
+    await fs.rm(namespace ? path.join(this.config.dir, namespace) : this.config.dir, { recursive: true, force: true });
+  }
+}
+
+// The agent_cache table, created by the project schema migrations
+class PostgresStore {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async get(key) {
+    await ensureSchema();
+    const rows = await sql`SELECT value FROM agent_cache WHERE key = ${key} AND expires_at > now()`;
+    return rows.length ? JSON.stringify(rows[0].value) : null;
+  }
+
+  async set(key, namespace, json, expiresAt) {
+    await ensureSchema();
+    await sql`
+      INSERT INTO agent_cache (key, namespace, value, expires_at)
+      VALUES (${key}, ${namespace}, ${json}::jsonb, ${new Date(expiresAt).toISOString()})
+      ON CONFLICT (key) DO UPDATE
+        SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at, created_at = now()
+    `;
+    const evicted = await sql`
+      DELETE FROM agent_cache
+      WHERE key IN (SELECT key FROM agent_cache ORDER BY created_at DESC OFFSET ${this.config.maxEntries})
+        OR expires_at <= now()
+      RETURNING key
+    `;
+    return evicted.length;
+  }
+
+  async clear(namespace) {
+    await ensureSchema();
+    if (namespace) {
+      await sql`DELETE FROM agent_cache WHERE namespace = ${namespace}`;
+    } else {
+      await sql`DELETE FROM agent_cache`;
+    }
+  }
+}
+
+const STORES = { memory: MemoryStore, fs: FileStore, postgres: PostgresStore };
+
+export class AgentCache {
+  constructor(config = agentCacheConfig()) {
+    let { backend } = config;
+    if (backend === "postgres" && !isPersistenceEnabled()) {
+      console.warn("⚠️ AGENT_CACHE_BACKEND=postgres needs DATABASE_URL - using the in-memory cache");
+      backend = "memory";
+    }
+    this.config = { ...config, backend };
+    this.store = backend === "off" ? null : new STORES[backend](this.config);
+    this.totals = emptyCacheStats();
+    // Lookups in flight, so concurrent identical requests share one computation
+    this.pending = new Map();
+  }
+
+  // Process-wide hits, misses, writes, evictions and backend errors since startup
+  stats() {
+    return { backend: this.config.backend, ...structuredClone(this.totals) };
+  }
+
+  // Counted process-wide and, when the run context has `cacheStats`, for the run
+  record(namespace, outcome, amount = 1) {
+    count(this.totals, namespace, outcome, amount);
+    const { cacheStats } = getRunContext();
+    if (cacheStats) count(cacheStats, namespace, outcome, amount);
+  }
+
+  async get(namespace, parts) {
+    if (!this.store) return undefined;
+    try {
+      const json = await this.store.get(cacheKey(namespace, parts));
+      this.record(namespace, json === null ? "misses" : "hits");
+      return json === null ? undefined : JSON.parse(json);
+    } catch (error) {
+      console.warn(`⚠️ Agent cache read failed (${namespace}): ${error.message}`);
+      this.record(namespace, "errors");
+      this.record(namespace, "misses");
+      return undefined;
+    }
+  }
+
+  async set(namespace, parts, value) {
+    if (!this.store || value === undefined) return;
+    const json = JSON.stringify(value);
+    if (Buffer.byteLength(json) > this.config.maxEntryBytes) return;
+
+    try {
+      const evicted = await this.store.set(cacheKey(namespace, parts), namespace, json, Date.now() + this.config.ttlMs);
+      this.record(namespace, "writes");
+      if (evicted) this.record(namespace, "evictions", evicted);
+    } catch (error) {
+      console.warn(`⚠️ Agent cache write failed (${namespace}): ${error.message}`);
+      this.record(namespace, "errors");
+    }
+  }
+
+  /**
+   * The cached value for (namespace, parts), or the result of `compute()`,
+   * which is stored when `shouldCache(value)` allows it. Resolves with
+   * { value, cached }. Errors from compute are not cached.
+   */
+  async remember(namespace, parts, compute, { shouldCache = () => true } = {}) {
+    if (!this.store) return { value: await compute(), cached: false };
+
+    const key = cacheKey(namespace, parts);
+    const inFlight = this.pending.get(key);
+    if (inFlight) {
+      // Only a value that may be cached is shared. After a failed or uncacheable
+      // computation (e.g. a failed search, or a cancelled run) we run our own.
+      const shared = await inFlight.catch(() => null);
+      if (shared?.cacheable) {
+        this.record(namespace, "hits");
+        return { value: structuredClone(shared.value), cached: true };
+      }
+    }
+
+    const lookup = (async () => {
+      const hit = await this.get(namespace, parts);
+      if (hit !== undefined) return { value: hit, cached: true, cacheable: true };
+
+      const value = await compute();
+      const cacheable = Boolean(shouldCache(value));
+      if (cacheable) await this.set(namespace, parts, value);
+      return { value, cached: false, cacheable };
+    })();
+
+    this.pending.set(key, lookup);
+    lookup.catch(() => {});
+    try {
+      const { value, cached } = await lookup;
+      return { value, cached };
+    } finally {
+      if (this.pending.get(key) === lookup) this.pending.delete(key);
+    }
+  }
+
+  async clear(namespace) {
+    await this.store?.clear(namespace);
+  }
+}
+
+let shared = null;
+
+// The process-wide cache; rebuilt when the AGENT_CACHE_* settings change
+export function agentCache() {
+  const config = agentCacheConfig();
+  const signature = JSON.stringify(config);
+  if (shared?.signature !== signature) {
+    shared = new AgentCache(config);
+    shared.signature = signature;
+  }
+  return shared;
+}
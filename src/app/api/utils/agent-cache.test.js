@@ -0,0 +1,75 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { AgentCache, agentCacheConfig, cacheKey, normalizeQuery } from "./agent-cache.js";
+
+function memoryCache() {
+  vi.stubEnv("AGENT_CACHE_BACKEND", "memory");
+  return new AgentCache(agentCacheConfig());
+}
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("cache keys", () => {
+  it("ignores case and whitespace in a query but keeps its symbols", () => {
+    expect(normalizeQuery("  React   vs. Vue\n")).toBe("react vs. vue");
+    expect(new Set(["C++ tutorial", "C# tutorial", "C tutorial"].map(normalizeQuery)).size).toBe(3);
+    expect(normalizeQuery(".NET jobs")).not.toBe(normalizeQuery("NET jobs"));
+  });
+
+  it("keeps strings verbatim and ignores the order of option keys", () => {
+    expect(cacheKey("search", ["q", { a: 1, b: 2 }])).toBe(cacheKey("search", ["q", { b: 2, a: 1 }]));
+    expect(cacheKey("search", ["q", { region: "US" }])).not.toBe(cacheKey("search", ["q", { region: "us" }]));
+    expect(cacheKey("search", ["c++"])).not.toBe(cacheKey("search", ["c"]));
+  });
+});
+
+describe("AgentCache.remember", () => {
+  it("shares one computation between concurrent identical lookups", async () => {
+    const cache = memoryCache();
+    const compute = vi.fn(async () => ({ answer: 42 }));
+
+    const [first, second] = await Promise.all([
+      cache.remember("search", ["q"], compute),
+      cache.remember("search", ["q"], compute),
+    ]);
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(first).toEqual({ value: { answer: 42 }, cached: false });
+    expect(second).toEqual({ value: { answer: 42 }, cached: true });
+    expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, writes: 1 });
+  });
+
+  it("does not share a value that may not be cached", async () => {
+    const cache = memoryCache();
+    const compute = vi
+      .fn()
+      .mockResolvedValueOnce({ error: "Search failed" })
+      .mockResolvedValueOnce({ results: ["found"] });
+    const shouldCache = (value) => !value.error;
+
+    const [first, second] = await Promise.all([
+      cache.remember("search", ["q"], compute, { shouldCache }),
+      cache.remember("search", ["q"], compute, { shouldCache }),
+    ]);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(first).toEqual({ value: { error: "Search failed" }, cached: false });
+    expect(second).toEqual({ value: { results: ["found"] }, cached: false });
+    expect(cache.stats()).toMatchObject({ hits: 0, misses: 2, writes: 1 });
+  });
+
+  it("computes again after the shared computation failed", async () => {
+    const cache = memoryCache();
+    const compute = vi.fn().mockRejectedValueOnce(new Error("cancelled")).mockResolvedValueOnce("ok");
+
+    const [first, second] = await Promise.allSettled([
+      cache.remember("research", ["topic"], compute),
+      cache.remember("research", ["topic"], compute),
+    ]);
+
+    expect(first).toMatchObject({ status: "rejected", reason: { message: "cancelled" } });
+    expect(second).toEqual({ status: "fulfilled", value: { value: "ok", cached: false } });
+    expect(await cache.remember("research", ["topic"], compute)).toEqual({ value: "ok", cached: true });
+  });
+});
@@ -0,0 +1,112 @@
+// Source provenance for research findings
+//
+// A search result becomes a source { title, url, retrieved_at }. LLM steps that
+// read sources are shown them as a numbered list and answer with cited items
+// { text, sources: [n] }, which citedItems turns back into source objects. At
+// the end the orchestrator numbers every cited source once for the whole run,
+// and generated documents get a bibliography in that order.
+
+// Every distinct source (by URL) referenced anywhere in `value`, in first-seen order
+export function collectSources(value, found = new Map()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectSources(item, found));
+  } else if (value && typeof value === "object") {
+    if (typeof value.url === "string" && value.retrieved_at && !found.has(value.url)) {
+      found.set(value.url, { title: value.title || value.url, url: value.url, retrieved_at: value.retrieved_at });
+    }
+    Object.values(value).forEach((item) => collectSources(item, found));
+  }
+  return [...found.values()];
+}
+
+// The numbered source list shown to the LLM, and the instruction that goes with it
+export function sourcesPrompt(sources) {
+  if (sources.length === 0) {
+    return 'No sources are available; give every item an empty "sources" array.';
+  }
+  return `Sources:
+${sources.map((source, index) => `[${index + 1}] ${source.title} - ${source.url}`).join("\n")}
+
+Every cited item is {"text": "...", "sources": [numbers of the sources above that support it]}. Only cite a source for claims it supports; use an empty array when none does.`;
+}
+
+/**
+ * Turns the LLM's cited items ({ text, sources: [n] } or plain strings) into
+ * { text, sources: [{ title, url, retrieved_at }] }, dropping unknown numbers.
+ */
+export function citedItems(items, sources) {
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .map((item) => {
+      const text = typeof item === "string" ? item : item?.text;
+      const numbers = Array.isArray(item?.sources) ? item.sources : [];
+      const cited = [...new Set(numbers.map(Number))]
+        .filter((number) => Number.isInteger(number) && sources[number - 1])
+        .map((number) => sources[number - 1]);
+      return typeof text === "string" && text.trim() ? { text: text.trim(), sources: cited } : null;
+    })
+    .filter(Boolean);
+}
+
+// 1-based number of `source` in the run's bibliography, adding it when new
+export function citationNumber(bibliography, source) {
+  const index = bibliography.findIndex((entry) => entry.url === source.url);
+  if (index !== -1) return index + 1;
+  bibliography.push(source);
+  return bibliography.length;
+}
+
+// "text [1][4]" with the numbers from the run's bibliography; plain strings pass through
+export function citeItem(item, bibliography) {
+  if (typeof item === "string") return item;
+  if (!item?.text) return null;
+  const markers = (item.sources || []).map((source) => `[${citationNumber(bibliography, source)}]`);
+  return `${item.text}${markers.length ? ` ${markers.join("")}` : ""}`;
+}
+
+function isCitedItem(value) {
+  return typeof value.text === "string" && Array.isArray(value.sources) && value.sources.every((source) => source?.url);
+}
+
+/**
+ * Copy of `value` for an LLM prompt: every cited item nested in it becomes
+ * "text [n]" numbered against `sources`, and the source objects themselves are
+ * dropped since the prompt lists them once via sourcesPrompt.
+ */
+export function inlineCitations(value, sources) {
+  if (Array.isArray(value)) return value.map((item) => inlineCitations(item, sources));
+  if (!value || typeof value !== "object") return value;
+  if (isCitedItem(value)) return citeItem(value, sources);
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => key !== "sources")
+      .map(([key, item]) => [key, inlineCitations(item, sources)]),
+  );
+}
+
+export function formatBibliography(bibliography) {
+  return bibliography
+    .map((source, index) => `[${index + 1}] ${source.title}. ${source.url} (retrieved ${source.retrieved_at.slice(0, 10)})`)
+    .join("\n\n");
+}
+
+/**
+ * Replaces the document's "References" (or "Bibliography") section with the
+ * run's bibliography, or appends one. The LLM writes the [n] markers; the list
+ * itself always comes from the retrieved sources, never from the model.
+ */
+export function withBibliography(markdown, bibliography) {
+  if (typeof markdown !== "string" || bibliography.length === 0) return markdown;
+
+  const list = formatBibliography(bibliography);
+  // [ \t] rather than \s, so the match cannot run on past the heading line
+  const heading = /^(#{1,3})[ \t]*(?:\d+\.?[ \t]*)?(?:References|Bibliography)[ \t]*$/im.exec(markdown);
+  if (!heading) return `${markdown.trimEnd()}\n\n## References\n\n${list}\n`;
+
+  // The old list runs until the next heading of the same or a higher level; the heading itself is kept
+  const rest = markdown.slice(heading.index + heading[0].length);
+  const next = new RegExp(`^#{1,${heading[1].length}}\\s`, "m").exec(rest);
+  const after = next ? `\n${rest.slice(next.index)}` : "";
+  return `${markdown.slice(0, heading.index)}${heading[0]}\n\n${list}\n${after}`;
+}
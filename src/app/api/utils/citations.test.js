@@ -0,0 +1,119 @@
+import { describe, expect, it } from "vitest";
+import {
+  citeItem,
+  citedItems,
+  collectSources,
+  formatBibliography,
+  inlineCitations,
+  sourcesPrompt,
+  withBibliography,
+} from "./citations.js";
+
+const RETRIEVED_AT = "2024-05-01T12:00:00.000Z";
+const source = (name) => ({ title: `${name} docs`, url: `https://${name}.example`, retrieved_at: RETRIEVED_AT });
+const FASTAPI = source("fastapi");
+const DJANGO = source("django");
+const FLASK = source("flask");
+
+describe("collectSources", () => {
+  it("finds every retrieved source once, in first-seen order", () => {
+    const findings = {
+      search_results: [{ ...FASTAPI, snippet: "FastAPI", position: 1 }],
+      insights: {
+        key_insights: [{ text: "Async wins", sources: [DJANGO, FASTAPI] }],
+        link: { url: "https://untracked.example" },
+      },
+      extra: [[{ url: "https://flask.example", retrieved_at: RETRIEVED_AT }]],
+    };
+
+    expect(collectSources(findings)).toEqual([
+      FASTAPI,
+      DJANGO,
+      { title: "https://flask.example", url: "https://flask.example", retrieved_at: RETRIEVED_AT },
+    ]);
+  });
+});
+
+describe("sourcesPrompt", () => {
+  it("numbers the sources from 1", () => {
+    expect(sourcesPrompt([FASTAPI, DJANGO])).toMatch(/^Sources:\n\[1\] fastapi docs - https:\/\/fastapi\.example\n\[2\] django docs/);
+    expect(sourcesPrompt([])).toMatch(/No sources are available/);
+  });
+});
+
+describe("citedItems", () => {
+  it("maps source numbers to sources, dropping unknown numbers and empty items", () => {
+    const items = [
+      { text: " FastAPI is async ", sources: [1, "2", 2, 7, 0, 1.5] },
+      "A plain finding",
+      { text: "  ", sources: [1] },
+      { sources: [1] },
+      null,
+    ];
+
+    expect(citedItems(items, [FASTAPI, DJANGO])).toEqual([
+      { text: "FastAPI is async", sources: [FASTAPI, DJANGO] },
+      { text: "A plain finding", sources: [] },
+    ]);
+    expect(citedItems("not a list", [FASTAPI])).toEqual([]);
+  });
+});
+
+describe("inlineCitations", () => {
+  it("renumbers cited items against the given source list and drops the source objects", () => {
+    const sources = [DJANGO, FASTAPI];
+    const research = {
+      sources: [FASTAPI, DJANGO],
+      insights: [{ text: "FastAPI is async", sources: [FASTAPI] }, "Plain", { text: "Both work", sources: [FASTAPI, DJANGO] }],
+      competitors: ["Flask"],
+      score: 3,
+    };
+
+    expect(inlineCitations(research, sources)).toEqual({
+      insights: ["FastAPI is async [2]", "Plain", "Both work [2][1]"],
+      competitors: ["Flask"],
+      score: 3,
+    });
+  });
+
+  it("adds a cited source missing from the list under the next number", () => {
+    const sources = [FASTAPI];
+
+    expect(inlineCitations([{ text: "Flask is small", sources: [FLASK] }], sources)).toEqual(["Flask is small [2]"]);
+    expect(sources).toEqual([FASTAPI, FLASK]);
+    expect(citeItem({ text: "Uncited", sources: [] }, sources)).toBe("Uncited");
+  });
+});
+
+describe("formatBibliography", () => {
+  it("lists each source with its number, URL and retrieval date", () => {
+    expect(formatBibliography([FASTAPI, DJANGO])).toBe(
+      "[1] fastapi docs. https://fastapi.example (retrieved 2024-05-01)\n\n[2] django docs. https://django.example (retrieved 2024-05-01)",
+    );
+  });
+});
+
+describe("withBibliography", () => {
+  const LIST = formatBibliography([FASTAPI]);
+
+  it("appends a References section when the document has none", () => {
+    expect(withBibliography("# Paper\n\nBody [1].\n\n", [FASTAPI])).toBe(`# Paper\n\nBody [1].\n\n## References\n\n${LIST}\n`);
+  });
+
+  it("replaces the model's reference list up to the next heading of the same level", () => {
+    const markdown = "# Paper\n\n## 7. References\n\n1. Made-up paper\n\n### Notes on sources\n\nInvented\n\n## Appendix\n\nTables\n";
+
+    expect(withBibliography(markdown, [FASTAPI])).toBe(`# Paper\n\n## 7. References\n\n${LIST}\n\n## Appendix\n\nTables\n`);
+  });
+
+  it("replaces a trailing Bibliography section", () => {
+    expect(withBibliography("# Paper\n\n### Bibliography\n\n- Someone, 2020\n", [FASTAPI])).toBe(
+      `# Paper\n\n### Bibliography\n\n${LIST}\n`,
+    );
+  });
+
+  it("leaves the document alone without sources or content", () => {
+    expect(withBibliography("# Paper\n", [])).toBe("# Paper\n");
+    expect(withBibliography(undefined, [FASTAPI])).toBeUndefined();
+  });
+});
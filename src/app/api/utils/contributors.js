@@ -0,0 +1,145 @@
+// Contributor model: who is on the team and when they can work
+//
+// { name, expertise[], weekly_hours?, start_date?, absences?: [{ start, end, reason? }],
+//   timezone?, seniority? } - dates are YYYY-MM-DD and inclusive. Only name and
+// expertise are required; without weekly_hours a contributor works
+// DEFAULT_WEEKLY_HOURS, and without a start_date from the project start.
+
+export const DEFAULT_WEEKLY_HOURS = 40;
+export const SENIORITY_LEVELS = ["junior", "mid", "senior", "lead"];
+
+const MAX_WEEKLY_HOURS = 80;
+const WORKING_DAYS_PER_WEEK = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date.parse rolls impossible days over (2024-02-30 is March 1st), so the
+// parsed date must print back as the input
+export function isIsoDate(value) {
+  if (typeof value !== "string" || !ISO_DATE.test(value)) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns an error message for one contributor, or null
+function validateContributor(contributor, index) {
+  const label = `contributors[${index}]`;
+  if (!contributor || typeof contributor !== "object" || Array.isArray(contributor)) {
+    return `${label} must be an object`;
+  }
+  if (typeof contributor.name !== "string" || !contributor.name.trim()) {
+    return `${label}.name is required`;
+  }
+  if (contributor.expertise !== undefined && !(Array.isArray(contributor.expertise) && contributor.expertise.every((e) => typeof e === "string"))) {
+    return `${label}.expertise must be an array of strings`;
+  }
+
+  const hours = contributor.weekly_hours;
+  if (hours !== undefined && hours !== null && !(typeof hours === "number" && hours > 0 && hours <= MAX_WEEKLY_HOURS)) {
+    return `${label}.weekly_hours must be a positive number up to ${MAX_WEEKLY_HOURS}`;
+  }
+  if (contributor.start_date && !isIsoDate(contributor.start_date)) {
+    return `${label}.start_date must be a YYYY-MM-DD date`;
+  }
+  if (contributor.timezone && !(typeof contributor.timezone === "string" && isTimezone(contributor.timezone))) {
+    return `${label}.timezone must be an IANA time zone such as "Europe/Berlin"`;
+  }
+  if (contributor.seniority && !SENIORITY_LEVELS.includes(contributor.seniority)) {
+    return `${label}.seniority must be one of: ${SENIORITY_LEVELS.join(", ")}`;
+  }
+
+  if (contributor.absences !== undefined && !Array.isArray(contributor.absences)) {
+    return `${label}.absences must be an array`;
+  }
+  for (const absence of contributor.absences || []) {
+    if (!isIsoDate(absence?.start) || !isIsoDate(absence?.end) || absence.start > absence.end) {
+      return `${label}.absences must be { start, end } YYYY-MM-DD ranges with start <= end`;
+    }
+  }
+
+  return null;
+}
+
+// Validates the request's contributors; returns { value } with trimmed names and
+// only the known fields, or { error }
+export function parseContributors(contributors) {
+  if (!Array.isArray(contributors) || contributors.length === 0) {
+    return { error: "At least one contributor is required" };
+  }
+
+  for (const [index, contributor] of contributors.entries()) {
+    const error = validateContributor(contributor, index);
+    if (error) return { error };
+  }
+
+  const names = contributors.map((c) => c.name.trim().toLowerCase());
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    return { error: `Contributor names must be unique ("${duplicate}" appears more than once)` };
+  }
+
+  return {
+    value: contributors.map((c) => ({
+      name: c.name.trim(),
+      expertise: (c.expertise || []).map((e) => e.trim()).filter(Boolean),
+      ...(c.weekly_hours && { weekly_hours: c.weekly_hours }),
+      ...(c.start_date && { start_date: c.start_date }),
+      ...(c.absences?.length && {
+        absences: c.absences.map(({ start, end, reason }) => ({ start, end, ...(reason && { reason: String(reason) }) })),
+      }),
+      ...(c.timezone && { timezone: c.timezone }),
+      ...(c.seniority && { seniority: c.seniority }),
+    })),
+  };
+}
+
+export function weeklyHours(contributor) {
+  const hours = Number(contributor.weekly_hours);
+  return hours > 0 ? hours : DEFAULT_WEEKLY_HOURS;
+}
+
+// Hours available in the week starting `weekStart`: weekly hours scaled by the
+// working days (Mon-Fri) that are on or after the start date and not absent
+export function capacityInWeek(contributor, weekStart) {
+  let available = 0;
+  for (let offset = 0; offset < 7; offset++) {
+    const day = addDays(weekStart, offset);
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    if (contributor.start_date && day < contributor.start_date) continue;
+    if ((contributor.absences || []).some(({ start, end }) => day >= start && day <= end)) continue;
+    available++;
+  }
+  return (weeklyHours(contributor) * available) / WORKING_DAYS_PER_WEEK;
+}
+
+// One line per contributor for prompts, e.g.
+// "Ann (senior, Europe/Berlin, 20h/week, starts 2025-03-03, away 2025-04-14 to 2025-04-18): Python, MLOps"
+export function describeContributor(contributor) {
+  const details = [
+    contributor.seniority,
+    contributor.timezone,
+    `${weeklyHours(contributor)}h/week`,
+    contributor.start_date && `starts ${contributor.start_date}`,
+    ...(contributor.absences || []).map(({ start, end, reason }) => `away ${start} to ${end}${reason ? ` (${reason})` : ""}`),
+  ].filter(Boolean);
+
+  return `${contributor.name} (${details.join(", ")}): ${contributor.expertise.join(", ")}`;
+}
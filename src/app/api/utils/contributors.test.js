@@ -0,0 +1,150 @@
+import { describe, expect, it } from "vitest";
+import { capacityInWeek, describeContributor, parseContributors, weeklyHours } from "./contributors.js";
+import { scheduleProject } from "./scheduler.js";
+
+// 2024-01-01 is a Monday
+const WEEK_1 = "2024-01-01";
+
+describe("parseContributors", () => {
+  it("trims names and expertise and keeps only the known fields", () => {
+    const { value } = parseContributors([
+      {
+        name: "  Ann ",
+        expertise: [" Python", "", "MLOps "],
+        weekly_hours: 20,
+        start_date: "2024-01-10",
+        absences: [{ start: "2024-02-01", end: "2024-02-02", reason: "Conference", note: "dropped" }],
+        timezone: "Europe/Berlin",
+        seniority: "senior",
+        email: "ann@example.com",
+      },
+      { name: "Bob" },
+    ]);
+
+    expect(value).toEqual([
+      {
+        name: "Ann",
+        expertise: ["Python", "MLOps"],
+        weekly_hours: 20,
+        start_date: "2024-01-10",
+        absences: [{ start: "2024-02-01", end: "2024-02-02", reason: "Conference" }],
+        timezone: "Europe/Berlin",
+        seniority: "senior",
+      },
+      { name: "Bob", expertise: [] },
+    ]);
+  });
+
+  it.each([
+    [[], "At least one contributor is required"],
+    ["Ann", "At least one contributor is required"],
+    [["Ann"], "contributors[0] must be an object"],
+    [[{ name: " " }], "contributors[0].name is required"],
+    [[{ name: "Ann", expertise: "Python" }], "contributors[0].expertise must be an array of strings"],
+    [[{ name: "Ann", weekly_hours: 0 }], "contributors[0].weekly_hours must be a positive number up to 80"],
+    [[{ name: "Ann", weekly_hours: 81 }], "contributors[0].weekly_hours must be a positive number up to 80"],
+    [[{ name: "Ann", start_date: "2024-02-30" }], "contributors[0].start_date must be a YYYY-MM-DD date"],
+    [[{ name: "Ann", start_date: "01/02/2024" }], "contributors[0].start_date must be a YYYY-MM-DD date"],
+    [[{ name: "Ann", timezone: "Mars/Olympus" }], 'contributors[0].timezone must be an IANA time zone such as "Europe/Berlin"'],
+    [[{ name: "Ann", seniority: "principal" }], "contributors[0].seniority must be one of: junior, mid, senior, lead"],
+    [[{ name: "Ann", absences: { start: "2024-01-01" } }], "contributors[0].absences must be an array"],
+    [
+      [{ name: "Ann", absences: [{ start: "2024-01-05", end: "2024-01-01" }] }],
+      "contributors[0].absences must be { start, end } YYYY-MM-DD ranges with start <= end",
+    ],
+    [[{ name: "Ann" }, { name: "ann " }], 'Contributor names must be unique ("ann" appears more than once)'],
+  ])("rejects %j", (contributors, error) => {
+    expect(parseContributors(contributors)).toEqual({ error });
+  });
+});
+
+describe("capacityInWeek", () => {
+  it("gives a full week its weekly hours, defaulting to 40", () => {
+    expect(weeklyHours({ name: "Ann" })).toBe(40);
+    expect(capacityInWeek({ name: "Ann" }, WEEK_1)).toBe(40);
+    expect(capacityInWeek({ name: "Ann", weekly_hours: 20 }, WEEK_1)).toBe(20);
+  });
+
+  it("counts only the working days on or after the start date", () => {
+    const ann = { name: "Ann", weekly_hours: 20, start_date: "2024-01-03" };
+
+    expect(capacityInWeek({ ...ann, start_date: "2024-01-08" }, WEEK_1)).toBe(0);
+    expect(capacityInWeek(ann, WEEK_1)).toBe(12);
+    expect(capacityInWeek(ann, "2024-01-08")).toBe(20);
+    // Starting on a Saturday loses no working day in the following week
+    expect(capacityInWeek({ ...ann, start_date: "2024-01-06" }, "2024-01-08")).toBe(20);
+  });
+
+  it("leaves out absent days, with both ends inclusive", () => {
+    const ann = {
+      name: "Ann",
+      absences: [
+        { start: "2024-01-01", end: "2024-01-02" },
+        { start: "2024-01-05", end: "2024-01-14" },
+      ],
+    };
+
+    expect(capacityInWeek(ann, WEEK_1)).toBe(16);
+    expect(capacityInWeek(ann, "2024-01-08")).toBe(0);
+    expect(capacityInWeek(ann, "2024-01-15")).toBe(40);
+  });
+});
+
+describe("describeContributor", () => {
+  it("lists seniority, time zone, hours, start date and absences", () => {
+    const line = describeContributor({
+      name: "Ann",
+      expertise: ["Python", "MLOps"],
+      seniority: "senior",
+      timezone: "Europe/Berlin",
+      weekly_hours: 20,
+      start_date: "2025-03-03",
+      absences: [{ start: "2025-04-14", end: "2025-04-18", reason: "Holiday" }],
+    });
+
+    expect(line).toBe(
+      "Ann (senior, Europe/Berlin, 20h/week, starts 2025-03-03, away 2025-04-14 to 2025-04-18 (Holiday)): Python, MLOps",
+    );
+    expect(describeContributor({ name: "Bob", expertise: [] })).toBe("Bob (40h/week): ");
+  });
+});
+
+describe("scheduleProject availability", () => {
+  const task = (id, hours) => ({ id, title: id, required_expertise: ["Python"], estimated_hours: hours });
+
+  function schedule(tasks, contributors) {
+    const assignments = tasks.map((t) => ({ task_id: t.id, assigned_to: contributors[0].name }));
+    return scheduleProject([{ name: "Build", tasks }], { assignments }, contributors, { startDate: WEEK_1 });
+  }
+
+  it("does not book a contributor before their start date", () => {
+    const result = schedule([task("T1", 40)], [{ name: "Ann", expertise: ["Python"], start_date: "2024-01-15" }]);
+
+    expect(result.assignments[0]).toMatchObject({ start_week: 3, end_week: 3 });
+  });
+
+  it("works around absences", () => {
+    const ann = { name: "Ann", expertise: ["Python"], absences: [{ start: "2024-01-08", end: "2024-01-12" }] };
+    const result = schedule([task("T1", 60)], [ann]);
+
+    expect(result.assignments[0]).toMatchObject({ start_week: 1, end_week: 3 });
+    expect(result.weekly_schedule.map((week) => week.active_tasks.map((active) => active.hours))).toEqual([[40], [], [20]]);
+  });
+
+  it("reports capacity and utilization from weekly hours and availability", () => {
+    const ann = { name: "Ann", expertise: ["Python"], weekly_hours: 20, start_date: "2024-01-03" };
+    const result = schedule([task("T1", 32)], [ann]);
+
+    expect(result.assignments[0]).toMatchObject({ start_week: 1, end_week: 2 });
+    expect(result.workload_distribution).toEqual([
+      expect.objectContaining({
+        contributor: "Ann",
+        total_hours: 32,
+        peak_week_hours: 20,
+        weekly_capacity: 20,
+        available_hours: 32,
+        utilization_percent: 100,
+      }),
+    ]);
+  });
+});
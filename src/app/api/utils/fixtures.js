@@ -0,0 +1,167 @@
+// Record/replay of outbound HTTP calls for deterministic offline runs
+//
+// FIXTURE_MODE=record saves every final response from httpFetch to FIXTURE_DIR;
+// FIXTURE_MODE=replay serves them back without touching the network. Fixtures are
+// keyed by a hash of service, method, URL and request body (timestamps masked). Headers are never part
+// of the key or the file, so API keys do not end up in fixtures. Response bodies are
+// stored base64-encoded (PDFs and other binary bodies survive) and recorded up to
+// FIXTURE_MAX_BYTES, or the caller's `maxBytes` when it reads less.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const FIXTURE_MODES = ["off", "record", "replay"];
+
+export class FixtureMissingError extends Error {
+  constructor(service, method, url, file) {
+    super(`No recorded fixture for ${service} ${method} ${url} (expected ${file})`);
+    this.name = "FixtureMissingError";
+    this.service = service;
+    this.file = file;
+  }
+}
+
+export function fixtureMode() {
+  const mode = process.env.FIXTURE_MODE || "off";
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown FIXTURE_MODE "${mode}". Expected one of: ${FIXTURE_MODES.join(", ")}`);
+  }
+  return mode;
+}
+
+function fixtureDir() {
+  return path.resolve(process.env.FIXTURE_DIR || "fixtures/http");
+}
+
+function fixtureMaxBytes() {
+  const value = Number(process.env.FIXTURE_MAX_BYTES);
+  return Number.isFinite(value) && value > 0 ? value : 10 * 1024 * 1024;
+}
+
+function hash(...parts) {
+  return createHash("sha256").update(parts.join("\n")).digest("hex").slice(0, 16);
+}
+
+function requestBody(init) {
+  if (init.body === undefined || init.body === null) return "";
+  return typeof init.body === "string" ? init.body : String(init.body);
+}
+
+// Agents embed retrieval timestamps in later prompts; mask them so replays still match
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+
+function bodyKey(init) {
+  return requestBody(init).replace(ISO_TIMESTAMP, "<timestamp>");
+}
+
+// <service>/<route hash>-<body hash>.json; the route prefix allows a fallback match
+function fixturePath(service, url, init) {
+  const method = (init.method || "GET").toUpperCase();
+  const routeHash = hash(service, method, url);
+  const bodyHash = hash(bodyKey(init));
+  return {
+    method,
+    routeHash,
+    file: path.join(fixtureDir(), service, `${routeHash}-${bodyHash}.json`),
+  };
+}
+
+async function readFixture(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Falls back to the only fixture recorded for the same route, which covers request
+// bodies with volatile content (e.g. the current year in a generated LICENSE)
+async function findRouteFixture(service, routeHash) {
+  const dir = path.join(fixtureDir(), service);
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter((name) => name.startsWith(`${routeHash}-`));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+  return files.length === 1 ? readFixture(path.join(dir, files[0])) : null;
+}
+
+// A Response with the recorded body whose `url` is the final (post-redirect) URL, as fetch() would give
+function fixtureResponse(body, { status, statusText, headers, url }) {
+  const nullBody = status === 204 || status === 304;
+  const response = new Response(nullBody ? null : body, { status, statusText, headers });
+  if (url) Object.defineProperty(response, "url", { value: url });
+  return response;
+}
+
+export async function replayFixture(service, url, init = {}) {
+  const { method, routeHash, file } = fixturePath(service, url, init);
+  const fixture = (await readFixture(file)) ?? (await findRouteFixture(service, routeHash));
+  if (!fixture) {
+    throw new FixtureMissingError(service, method, url, path.relative(process.cwd(), file));
+  }
+
+  const { status, headers, body_base64: body, url: finalUrl } = fixture.response;
+  return fixtureResponse(Buffer.from(body || "", "base64"), { status, headers, url: finalUrl || url });
+}
+
+// The body's bytes, stopping at `maxBytes`
+async function readBytes(response, maxBytes) {
+  if (!response.body) return { bytes: Buffer.alloc(0), truncated: false };
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return { bytes: Buffer.concat(chunks), truncated: false };
+    chunks.push(value);
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return { bytes: Buffer.concat(chunks).subarray(0, maxBytes), truncated: true };
+    }
+  }
+}
+
+/**
+ * Records the response and returns an unread copy of it for the caller, with the
+ * original status, headers and url. Bodies beyond `maxBytes` (default
+ * FIXTURE_MAX_BYTES) are cut off in both the fixture and the copy.
+ */
+export async function recordFixture(service, url, init, response, { maxBytes = fixtureMaxBytes() } = {}) {
+  const { method, file } = fixturePath(service, url, init);
+  const { bytes, truncated } = await readBytes(response, maxBytes);
+
+  const fixture = {
+    service,
+    request: { method, url, body: requestBody(init) },
+    response: {
+      status: response.status,
+      url: response.url || url,
+      headers: Object.fromEntries(
+        [...response.headers].filter(([name]) => ["content-type", "retry-after", "location"].includes(name)),
+      ),
+      body_base64: bytes.toString("base64"),
+      ...(truncated && { truncated: true }),
+    },
+  };
+
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  } catch (error) {
+    console.warn(`⚠️ Could not record ${service} fixture ${file}:`, error.message);
+  }
+
+  return fixtureResponse(bytes, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    url: response.url,
+  });
+}
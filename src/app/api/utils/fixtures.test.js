@@ -0,0 +1,84 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { startServer } from "../test/http-server.js";
+import { httpFetch } from "./http.js";
+import { FixtureMissingError } from "./fixtures.js";
+
+// Not valid UTF-8, as in a PDF
+const BINARY = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff, 0xfe, 0x80, 0x0a]);
+
+let server;
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "fixtures-"));
+  vi.stubEnv("FIXTURE_DIR", dir);
+  server = await startServer((request, response) => {
+    if (request.url === "/moved") {
+      response.writeHead(302, { Location: "/paper.pdf" });
+      response.end();
+      return;
+    }
+    response.writeHead(200, { "Content-Type": "application/pdf", "X-Request-Id": "abc" });
+    response.end(request.url === "/large" ? Buffer.alloc(5000, 1) : BINARY);
+  });
+});
+
+afterEach(async () => {
+  await server.close();
+  await fs.rm(dir, { recursive: true, force: true });
+  vi.unstubAllEnvs();
+});
+
+async function record(url, options) {
+  vi.stubEnv("FIXTURE_MODE", "record");
+  const response = await httpFetch("test", url, {}, options);
+  vi.stubEnv("FIXTURE_MODE", "replay");
+  return response;
+}
+
+describe("fixture record/replay", () => {
+  it("keeps binary bodies byte for byte", async () => {
+    const recorded = await record(`${server.url}/paper.pdf`);
+    expect(Buffer.from(await recorded.arrayBuffer())).toEqual(BINARY);
+
+    const replayed = await httpFetch("test", `${server.url}/paper.pdf`);
+    expect(Buffer.from(await replayed.arrayBuffer())).toEqual(BINARY);
+    expect(replayed.headers.get("content-type")).toBe("application/pdf");
+  });
+
+  it("returns the status, headers and final url of the recorded response", async () => {
+    const recorded = await record(`${server.url}/moved`);
+    expect(recorded.status).toBe(200);
+    expect(recorded.url).toBe(`${server.url}/paper.pdf`);
+    expect(recorded.headers.get("x-request-id")).toBe("abc");
+
+    const replayed = await httpFetch("test", `${server.url}/moved`);
+    expect(replayed.url).toBe(`${server.url}/paper.pdf`);
+    // Only harmless headers are written to the fixture
+    expect(replayed.headers.get("x-request-id")).toBeNull();
+  });
+
+  it("stops recording at maxBytes", async () => {
+    const recorded = await record(`${server.url}/large`, { maxBytes: 1000 });
+    expect((await recorded.arrayBuffer()).byteLength).toBe(1000);
+
+    const [file] = await fs.readdir(path.join(dir, "test"));
+    const fixture = JSON.parse(await fs.readFile(path.join(dir, "test", file), "utf8"));
+    expect(fixture.response.truncated).toBe(true);
+    expect(Buffer.from(fixture.response.body_base64, "base64")).toHaveLength(1000);
+  });
+
+  it("stops recording at FIXTURE_MAX_BYTES by default", async () => {
+    vi.stubEnv("FIXTURE_MAX_BYTES", "100");
+    const recorded = await record(`${server.url}/large`);
+    expect((await recorded.arrayBuffer()).byteLength).toBe(100);
+  });
+
+  it("fails a replay that was never recorded", async () => {
+    vi.stubEnv("FIXTURE_MODE", "replay");
+    await expect(httpFetch("test", `${server.url}/unknown`)).rejects.toThrow(FixtureMissingError);
+  });
+});
@@ -0,0 +1,520 @@
+// Project generation pipeline shared by the generate-project and resume routes
+
+import {
+  interpretProject,
+  generateTasksAndMilestones,
+  assignTasksAndTimeline,
+  generateArtifacts,
+  reviseInterpretation,
+  reviseMilestone,
+  reviseAssignments,
+  reviseArtifact,
+} from "./llm.js";
+import { INTEGRATION_LABELS, createIntegration, syncIntegration } from "./integrations.js";
+import { repairPlanGraph } from "./plan-graph.js";
+import { today } from "./contributors.js";
+import {
+  emitProgress,
+  getRunContext,
+  reportStepResult,
+  runWithContext,
+  trackPhase,
+} from "./run-context.js";
+import {
+  createProjectRun,
+  createProjectVersion,
+  finishProjectRun,
+  getIntegrations,
+  isPersistenceEnabled,
+  saveIntegration,
+  saveStepOutput,
+} from "./projects.js";
+import { BudgetExceededError, UsageTracker, defaultBudgetUsd } from "./usage.js";
+import { emptyCacheStats } from "./agent-cache.js";
+import { createAgentLimiter } from "./task-runner.js";
+import { AgentOrchestrator } from "../agents/orchestrator.js";
+
+export const GENERATION_MODES = ["fast", "agentic"];
+
+export function defaultMode() {
+  return process.env.AGENT_ORCHESTRATOR_ENABLED === "true" ? "agentic" : "fast";
+}
+
+// Error body shared by the generate-project route and background jobs
+export function describeError(error) {
+  return {
+    error: error.message || "Failed to generate project",
+    // LLMOutputError: which step produced unusable output and why
+    ...(error.validationErrors && {
+      step: error.step,
+      validation_errors: error.validationErrors,
+    }),
+    ...(error instanceof BudgetExceededError && {
+      budget_exceeded: true,
+      budget_usd: error.budgetUsd,
+    }),
+    // Where a resume would pick up (POST /api/projects/:id/resume)
+    ...(error.projectId && { project_id: error.projectId }),
+    ...(error.failedStep && { failed_step: error.failedStep }),
+    // Token usage and estimated cost up to the failure
+    ...(error.usage && { usage: error.usage }),
+  };
+}
+
+// Fast pipeline steps in order; a resumed run re-runs a suffix of this list.
+// `inputs` picks what a step's output depends on, so a revision can tell which
+// downstream steps are stale.
+const PIPELINE_STEPS = [
+  {
+    // Step 1: Interpret the project
+    step: "interpretation",
+    execute: (run) =>
+      interpretProject(run.project_idea, run.special_instructions, { clarifications: run.clarifications }),
+    inputs: (run) => [run.project_idea, run.special_instructions, run.clarifications],
+    summary: (output) => `Interpretation complete: ${output.title}`,
+  },
+  {
+    // Step 2: Generate tasks and milestones
+    step: "milestones",
+    execute: (run) => generateTasksAndMilestones(run.interpretation),
+    inputs: ({ interpretation: i }) => [
+      i.title,
+      i.description,
+      i.objectives,
+      i.technical_requirements,
+      i.estimated_duration,
+      i.complexity_level,
+      i.primary_technologies,
+    ],
+    summary: (output) => `Generated ${output.milestones?.length || 0} milestones`,
+  },
+  {
+    // Step 3: Assign tasks and create timeline
+    step: "assignments",
+    execute: (run) =>
+      assignTasksAndTimeline(run.milestones, run.contributors, run.special_instructions, {
+        clarifications: run.clarifications,
+        start_date: run.start_date,
+      }),
+    // Scheduling-relevant fields only; rewording a task does not change the timeline
+    inputs: (run) => [
+      run.contributors,
+      run.special_instructions,
+      run.clarifications,
+      run.start_date,
+      run.milestones.milestones.map((m) => [
+        m.name,
+        m.duration_weeks,
+        m.dependencies,
+        m.tasks.map((t) => [t.id, t.estimated_hours, t.priority, t.required_expertise, t.can_parallel, t.dependencies]),
+      ]),
+    ],
+    summary: (output) => `Assigned ${output.assignments?.length || 0} tasks`,
+  },
+  {
+    // Step 4: Generate artifacts
+    step: "artifacts",
+    execute: (run) => generateArtifacts(run.interpretation, run.milestones, run.assignments, run.project_idea),
+    inputs: (run) => [run.interpretation, run.milestones, run.assignments],
+    summary: () => "Artifacts generated",
+  },
+];
+
+export const PIPELINE_STEP_NAMES = PIPELINE_STEPS.map(({ step }) => step);
+
+// Index of the first step without output (PIPELINE_STEP_NAMES.length when all are done)
+export function firstMissingStep(outputs) {
+  const index = PIPELINE_STEP_NAMES.findIndex((step) => !outputs?.[step]);
+  return index === -1 ? PIPELINE_STEP_NAMES.length : index;
+}
+
+// Each finished step is reported so it is checkpointed before the next one starts
+async function runFastPipeline(run, fromStep = 0) {
+  for (const { step, execute, summary } of PIPELINE_STEPS.slice(fromStep)) {
+    const output = await trackPhase(step, () => execute(run));
+    await reportStepResult(step, output);
+    console.log(summary(output));
+  }
+}
+
+async function runAgenticPipeline(run) {
+  console.log("🤖 Running agent orchestrator...");
+  const orchestrator = new AgentOrchestrator();
+  const { agentInsights, ...project } = await orchestrator.orchestrateProjectGeneration(
+    run.project_idea,
+    run.contributors,
+    run.special_instructions,
+    { clarifications: run.clarifications, start_date: run.start_date },
+  );
+
+  // The orchestrator reports (and so checkpoints) each section as it is finalized
+  Object.assign(run, project);
+  run.agent_insights = {
+    confidence_score: agentInsights.confidenceScore,
+    validation_score: agentInsights.validationResults?.overallScore ?? null,
+    web_search_performed: agentInsights.webSearchPerformed,
+    technical_research_conducted: agentInsights.technicalResearchConducted,
+    market_analysis_performed: agentInsights.marketAnalysisPerformed,
+    enhancement_applied: agentInsights.enhancementApplied,
+    recommendations: agentInsights.recommendations,
+    sources: agentInsights.sources,
+    execution_log: agentInsights.executionLog,
+    usage: agentInsights.usage,
+    cache: agentInsights.cache,
+  };
+}
+
+// Remote IDs of the project's git repository and Notion page, if any
+async function loadIntegrations(run) {
+  if (!run.version) return {};
+
+  try {
+    return await getIntegrations(run.project_id);
+  } catch (error) {
+    console.error("Loading integrations failed:", error.message);
+    return {};
+  }
+}
+
+// Creates the target, or updates it in place when the project remembers one.
+// Failures are tolerated and keep the previous link.
+async function runIntegration(run, integration, saved) {
+  const url = run[`${integration}_url`];
+  // Links created before remote IDs were kept cannot be updated
+  if (url && !saved) return url;
+
+  return await trackPhase(integration, async () => {
+    try {
+      const { remote, failures } = saved
+        ? await syncIntegration(integration, saved.remote, run)
+        : await createIntegration(integration, run, { repository: run.repository_options });
+      console.log(`${INTEGRATION_LABELS[integration]} ${saved ? "updated" : "created"}:`, remote.url);
+
+      if (failures.length) {
+        console.warn(`${INTEGRATION_LABELS[integration]} is incomplete (${failures.length} failure(s))`);
+        run.integration_warnings.push(
+          ...failures.map(({ item, message }) => `${INTEGRATION_LABELS[integration]} "${item}": ${message}`),
+        );
+        emitProgress("integration_warnings", { integration, failures });
+      }
+
+      if (run.version) {
+        await saveIntegration(run.project_id, integration, remote, run.version).catch((error) => {
+          console.error(`Saving the ${integration} integration failed:`, error.message);
+        });
+      }
+      return remote.url;
+    } catch (error) {
+      console.error(`${INTEGRATION_LABELS[integration]} integration failed:`, error.message);
+      // Continue even if the integration fails
+      return url || null;
+    }
+  });
+}
+
+async function runIntegrations(run) {
+  const { signal } = getRunContext();
+  const saved = await loadIntegrations(run);
+
+  // Step 5: Create or update the Notion page (optional)
+  run.notion_url = await runIntegration(run, "notion", saved.notion);
+
+  // Integration failures are tolerated, cancellation is not
+  signal?.throwIfAborted();
+
+  // Step 6: Create or update the git repository
+  run.repository_url = await runIntegration(run, "repository", saved.repository);
+}
+
+// Persistence is optional: without DATABASE_URL, or when saving fails, the run still succeeds.
+// A run is recorded when it starts so each step can be checkpointed as it finishes.
+async function startRecord(run) {
+  if (!isPersistenceEnabled()) return;
+
+  try {
+    const record = run.project_id
+      ? await createProjectVersion(run.project_id, run)
+      : await createProjectRun(run);
+    run.project_id = record.projectId;
+    run.version = record.version;
+    emitProgress("project_created", { project_id: run.project_id, version: run.version });
+  } catch (error) {
+    console.error("Saving generation run failed:", error.message);
+    run.project_id = null;
+  }
+}
+
+async function checkpointStep(run, step, output) {
+  if (!run.version) return;
+
+  try {
+    await saveStepOutput(run.project_id, run.version, step, output);
+  } catch (error) {
+    console.error(`Checkpointing ${step} failed:`, error.message);
+  }
+}
+
+async function finishRecord(run) {
+  if (!run.version) return;
+
+  try {
+    await finishProjectRun(run.project_id, run.version, run);
+    console.log("🗄️ Generation run saved:", run.project_id, `(version ${run.version})`);
+  } catch (error) {
+    console.error("Saving generation run failed:", error.message);
+  }
+}
+
+function buildResponse(run) {
+  const { interpretation, milestones, assignments, artifacts } = run;
+
+  return {
+    project_id: run.version ? run.project_id : null,
+    version: run.version,
+
+    // Core project data
+    title: interpretation.title,
+    objectives: interpretation.objectives,
+    scope_assumptions: interpretation.scope_assumptions,
+    clarifications: run.clarifications,
+    milestones: milestones.milestones || milestones,
+    graph_repairs: milestones.graph_repairs ?? null,
+    assignments: assignments.assignments || assignments,
+
+    // Integration URLs
+    notion_url: run.notion_url,
+    repository_url: run.repository_url,
+    // Same URL under its name from when GitHub was the only target, for existing clients
+    github_url: run.repository_url,
+    integration_warnings: run.integration_warnings,
+
+    // Enhanced artifacts
+    paper_content: artifacts?.paper_draft,
+    readme_content: artifacts?.readme,
+    api_documentation: artifacts?.api_documentation,
+    deployment_guide: artifacts?.deployment_guide,
+    testing_strategy: artifacts?.testing_strategy,
+    code_structure: artifacts?.code_structure,
+
+    // Agent insights (agentic mode only)
+    agent_insights: run.agent_insights,
+
+    // Metadata
+    generation_mode: run.mode,
+    generation_type: run.mode === "agentic" ? "agentic" : "enhanced",
+    generation_timestamp: new Date().toISOString(),
+    timings: run.timings,
+    usage: run.usage,
+    ...(run.revision && { revision: run.revision }),
+    agent_version: "1.0.0",
+  };
+}
+
+function createRun({
+  project_id = null,
+  project_idea,
+  special_instructions,
+  clarifications,
+  contributors,
+  start_date,
+  mode,
+  repository = {},
+}) {
+  return {
+    project_id,
+    version: null,
+    project_idea,
+    special_instructions,
+    clarifications: clarifications || [],
+    contributors,
+    // Week 1 of the schedule; fixed per project so later versions keep the same calendar
+    start_date: start_date || today(),
+    mode,
+    // Repository options for when the repository integration is created; not saved with the project
+    repository_options: repository,
+    interpretation: null,
+    milestones: null,
+    assignments: null,
+    artifacts: null,
+    agent_insights: null,
+    notion_url: null,
+    repository_url: null,
+    integration_warnings: [],
+    timings: {},
+    usage: null,
+    error: null,
+  };
+}
+
+async function executeRun(run, pipeline, { llm, budget_usd }) {
+  const usage = new UsageTracker({ budgetUsd: budget_usd ?? defaultBudgetUsd() });
+  const outer = getRunContext();
+  const context = {
+    ...outer,
+    timings: run.timings,
+    llm,
+    usage,
+    cacheStats: emptyCacheStats(),
+    // One AGENT_CONCURRENCY budget for every agent task of the run
+    agentLimiter: createAgentLimiter(),
+    onStepResult: async (step, output) => {
+      run[step] = output;
+      await checkpointStep(run, step, output);
+      await outer.onStepResult?.(step, output);
+    },
+  };
+
+  return await runWithContext(context, async () => {
+    await startRecord(run);
+
+    try {
+      await pipeline(run);
+      console.log("✅ Enhanced project generation complete!");
+
+      await runIntegrations(run);
+      getRunContext().signal?.throwIfAborted();
+      console.log("🚀 Enhanced project generation complete!");
+    } catch (error) {
+      run.error = error.message || "Failed to generate project";
+      run.usage = usage.summary();
+      // Lets the route report what the failed run spent and where to resume
+      error.usage ??= run.usage;
+      error.projectId ??= run.version ? run.project_id : null;
+      error.failedStep ??= PIPELINE_STEP_NAMES[firstMissingStep(run)] ?? null;
+      await finishRecord(run);
+      throw error;
+    }
+
+    run.usage = usage.summary();
+    console.log(`💰 ${run.usage.total_tokens} tokens, ~$${run.usage.estimated_cost_usd.toFixed(4)} across ${run.usage.calls} LLM calls`);
+    await finishRecord(run);
+    return buildResponse(run);
+  });
+}
+
+export async function generateProject({
+  project_idea,
+  special_instructions,
+  clarifications,
+  contributors,
+  start_date,
+  mode,
+  repository,
+  llm,
+  budget_usd,
+}) {
+  console.log("🚀 Starting enhanced project generation...");
+  console.log("Mode:", mode);
+  console.log("Project idea:", project_idea);
+  console.log("Contributors:", contributors);
+  console.log("Special instructions:", special_instructions);
+
+  const run = createRun({ project_idea, special_instructions, clarifications, contributors, start_date, mode, repository });
+  const pipeline = mode === "agentic" ? runAgenticPipeline : runFastPipeline;
+  return await executeRun(run, pipeline, { llm, budget_usd });
+}
+
+// Copies step outputs and integration links from a saved version into a new run
+function carryOver(run, previous, steps) {
+  for (const step of steps) {
+    run[step] = previous[step];
+  }
+  run.agent_insights = previous.agent_insights;
+  run.notion_url = previous.notion_url;
+  run.repository_url = previous.repository_url;
+}
+
+// Re-runs a saved project from `from_step` (an index into PIPELINE_STEP_NAMES) as a
+// new version; earlier step outputs and integration URLs are carried over
+export async function resumeProject({ project, from_step, llm, budget_usd }) {
+  const previous = project.version;
+  console.log(`🔁 Resuming project ${project.id} from step ${from_step + 1} (${PIPELINE_STEP_NAMES[from_step] || "integrations"})`);
+
+  const run = createRun({ ...project, project_id: project.id });
+  carryOver(run, previous, PIPELINE_STEP_NAMES.slice(0, from_step));
+
+  // Only a run that starts from scratch goes through the orchestrator
+  const pipeline =
+    project.mode === "agentic" && from_step === 0
+      ? runAgenticPipeline
+      : (current) => runFastPipeline(current, from_step);
+  return await executeRun(run, pipeline, { llm, budget_usd });
+}
+
+export const REVISABLE_SECTIONS = ["interpretation", "milestone", "assignments", "artifact"];
+
+// Applies feedback to one section, then re-runs the downstream steps whose inputs changed
+async function runRevision(run, { section, milestone_index, artifact, feedback }) {
+  const before = Object.fromEntries(
+    PIPELINE_STEPS.map(({ step, inputs }) => [step, JSON.stringify(inputs(run))]),
+  );
+
+  let revisedStep;
+  switch (section) {
+    case "interpretation":
+      revisedStep = "interpretation";
+      await reportStepResult(revisedStep, await trackPhase(revisedStep, () =>
+        reviseInterpretation(run.interpretation, run.project_idea, feedback),
+      ));
+      break;
+    case "milestone": {
+      revisedStep = "milestones";
+      const revision = await trackPhase(revisedStep, () =>
+        reviseMilestone(run.milestones, milestone_index, run.interpretation, feedback),
+      );
+      const spliced = [...run.milestones.milestones];
+      spliced.splice(milestone_index, 1, ...revision.milestones);
+      // A split milestone can leave references to task IDs that no longer exist
+      const { milestones, repairs } = repairPlanGraph({ ...run.milestones, milestones: spliced });
+      await reportStepResult(revisedStep, {
+        ...milestones,
+        graph_repairs: { issues: repairs, llm_corrected: false, repairs },
+      });
+      break;
+    }
+    case "assignments":
+      revisedStep = "assignments";
+      await reportStepResult(revisedStep, await trackPhase(revisedStep, () =>
+        reviseAssignments(run.assignments, run.milestones, run.contributors, feedback, { start_date: run.start_date }),
+      ));
+      break;
+    case "artifact": {
+      // Nothing depends on a single artifact
+      const { content } = await trackPhase("artifacts", () =>
+        reviseArtifact(artifact, run.artifacts, run.interpretation, run.milestones, run.assignments, feedback),
+      );
+      await reportStepResult("artifacts", { ...run.artifacts, [artifact]: content });
+      run.revision = { section, regenerated: [`artifacts.${artifact}`], reused: PIPELINE_STEP_NAMES.slice(0, 3) };
+      return;
+    }
+    default:
+      throw new Error(`Unknown section "${section}"`);
+  }
+
+  const regenerated = [revisedStep];
+  const reused = PIPELINE_STEP_NAMES.slice(0, PIPELINE_STEP_NAMES.indexOf(revisedStep));
+
+  for (const { step, execute, inputs, summary } of PIPELINE_STEPS.slice(PIPELINE_STEP_NAMES.indexOf(revisedStep) + 1)) {
+    if (JSON.stringify(inputs(run)) === before[step]) {
+      reused.push(step);
+      continue;
+    }
+    const output = await trackPhase(step, () => execute(run));
+    await reportStepResult(step, output);
+    console.log(summary(output));
+    regenerated.push(step);
+  }
+
+  run.revision = { section, regenerated, reused };
+}
+
+// Regenerates one section of a saved project from free-text feedback as a new version
+export async function regenerateSection({ project, section, milestone_index, artifact, feedback, llm, budget_usd }) {
+  console.log(`✏️ Revising ${section} of project ${project.id}: ${feedback}`);
+
+  const run = createRun({ ...project, project_id: project.id });
+  carryOver(run, project.version, PIPELINE_STEP_NAMES);
+
+  const pipeline = (current) => runRevision(current, { section, milestone_index, artifact, feedback });
+  return await executeRun(run, pipeline, { llm, budget_usd });
+}
@@ -0,0 +1,169 @@
+// Local git target: repositories on disk, written with the git CLI
+//
+// Each project gets its own repository under GIT_LOCAL_PATH, a working
+// directory or, with GIT_LOCAL_BARE=true, a bare repository that can be cloned
+// or pushed elsewhere. No network is involved, so CI can run the whole
+// scaffold path offline.
+
+import { spawn } from "node:child_process";
+import { existsSync } from "node:fs";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { INITIAL_COMMIT_MESSAGE, commitMessage, diffFiles } from "./git-tree.js";
+import { getRunContext } from "./run-context.js";
+
+function localRoot() {
+  const root = process.env.GIT_LOCAL_PATH;
+  if (!root) {
+    throw new Error("GIT_LOCAL_PATH not configured");
+  }
+  return path.resolve(root);
+}
+
+// Commits need an identity even where the machine has no git config
+function gitEnv(extra = {}) {
+  const name = process.env.GIT_AUTHOR_NAME || "lets-vibe";
+  const email = process.env.GIT_AUTHOR_EMAIL || "lets-vibe@localhost";
+  return {
+    ...process.env,
+    GIT_AUTHOR_NAME: name,
+    GIT_AUTHOR_EMAIL: email,
+    GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || name,
+    GIT_COMMITTER_EMAIL: process.env.GIT_COMMITTER_EMAIL || email,
+    ...extra,
+  };
+}
+
+// Runs git and resolves with its trimmed stdout; `input` is written to stdin
+function git(args, { cwd, input, env } = {}) {
+  const { signal } = getRunContext();
+
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", args, { cwd, env: gitEnv(env), signal });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) return resolve(Buffer.concat(stdout).toString().trim());
+      reject(new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString().trim() || `exit code ${code}`}`));
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+// `name`, or `name-2`, `name-3`, ... when the directory is already taken
+function repositoryPath(root, name, bare) {
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    const candidate = `${attempt === 1 ? name : `${name}-${attempt}`}${bare ? ".git" : ""}`;
+    const dir = path.join(root, candidate);
+    if (!existsSync(dir)) return dir;
+  }
+  throw new Error(`Local git error: "${name}" and its numbered variants already exist in ${root}`);
+}
+
+/**
+ * Writes a commit of `parent`'s tree with `files` added or replaced and `removed`
+ * paths dropped, without touching any working tree or ref: blobs go in with
+ * hash-object and the tree is built in a throwaway index. Returns its SHA.
+ */
+async function writeCommit(dir, files, removed, message, parent) {
+  const scratch = await mkdtemp(path.join(tmpdir(), "lets-vibe-index-"));
+  const env = { GIT_INDEX_FILE: path.join(scratch, "index") };
+
+  try {
+    if (parent) await git(["read-tree", parent], { cwd: dir, env });
+
+    const entries = [];
+    for (const file of files) {
+      const sha = await git(["hash-object", "-w", "--stdin"], { cwd: dir, input: file.content });
+      entries.push(`100644 ${sha}\t${file.path}`);
+    }
+    // A zero SHA with mode 0 drops the path from the index
+    for (const removedPath of removed) {
+      entries.push(`0 ${"0".repeat(40)}\t${removedPath}`);
+    }
+    await git(["update-index", "--add", "--index-info"], { cwd: dir, env, input: `${entries.join("\n")}\n` });
+
+    const tree = await git(["write-tree"], { cwd: dir, env });
+    return await git(["commit-tree", tree, "-m", message, ...(parent ? ["-p", parent] : [])], { cwd: dir });
+  } finally {
+    await rm(scratch, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Creates a repository under GIT_LOCAL_PATH holding `files` as a single commit
+ * on `settings.defaultBranch` (default "main"). Visibility and topics have no
+ * local meaning; the description goes to .git/description. Returns { url, path,
+ * bare, branch, files, failed_files, warnings }, as createGitHubRepo does.
+ */
+export async function createLocalRepo(files, settings) {
+  const root = localRoot();
+  const bare = process.env.GIT_LOCAL_BARE === "true";
+  const branch = settings.defaultBranch || "main";
+
+  await mkdir(root, { recursive: true });
+  const dir = repositoryPath(root, settings.name, bare);
+  await git(["init", ...(bare ? ["--bare"] : []), "-b", branch, dir]);
+  await writeFile(path.join(dir, bare ? "" : ".git", "description"), `${settings.description}\n`);
+
+  const commit = await writeCommit(dir, files, [], INITIAL_COMMIT_MESSAGE, null);
+  await git(["update-ref", `refs/heads/${branch}`, commit], { cwd: dir });
+  // A fresh working directory has nothing to lose, so it simply checks out the commit
+  if (!bare) await git(["reset", "--hard"], { cwd: dir });
+
+  return {
+    url: pathToFileURL(dir).href,
+    path: dir,
+    bare,
+    branch,
+    files: files.map((file) => file.path),
+    failed_files: [],
+    warnings: [],
+  };
+}
+
+// Every blob on `branch` as a Map of path to blob SHA
+async function branchFiles(dir, branch) {
+  const listing = await git(["ls-tree", "-r", "--full-tree", `refs/heads/${branch}`], { cwd: dir });
+  return new Map(
+    listing
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [meta, filePath] = line.split("\t");
+        return [filePath, meta.split(" ")[2]];
+      }),
+  );
+}
+
+/**
+ * Brings a repository created by createLocalRepo up to date as a single commit;
+ * same result as syncGitHubRepo. A working directory is moved to the new commit
+ * with a two-way merge, which refuses (and leaves the branch alone) when local
+ * edits touch the changed files.
+ */
+export async function syncLocalRepo(remote, files, { dryRun = false } = {}) {
+  const dir = remote.path;
+  const head = await git(["rev-parse", `refs/heads/${remote.branch}`], { cwd: dir });
+
+  const existing = await branchFiles(dir, remote.branch);
+  const { diff, changed, removed } = diffFiles(existing, files, remote.files);
+  const result = { ...diff, commit: null, failed_files: [] };
+  const synced = { ...remote, files: files.map((file) => file.path) };
+  if (dryRun || changed.length + removed.length === 0) return { remote: synced, diff: result };
+
+  const commit = await writeCommit(dir, changed, removed, commitMessage(diff), head);
+  if (!remote.bare) await git(["read-tree", "-m", "-u", head, commit], { cwd: dir });
+  // Passing the old head makes the update fail if the branch moved in the meantime
+  await git(["update-ref", `refs/heads/${remote.branch}`, commit, head], { cwd: dir });
+
+  result.commit = { sha: commit, url: null };
+  return { remote: synced, diff: result };
+}
@@ -0,0 +1,131 @@
+// Git targets the generated scaffold is pushed to
+//
+// Every target takes the same file list (see scaffoldFiles) and settings, and
+// returns the same remote record and diff, so the repository integration does
+// not care where the code lives. GIT_TARGET picks the default; a request can
+// pick another with `repository.target`.
+
+import { createGiteaRepo, syncGiteaRepo } from "./gitea.js";
+import { createGitHubRepo, syncGitHubRepo } from "./github.js";
+import { createGitLabRepo, syncGitLabRepo } from "./gitlab.js";
+import { createLocalRepo, syncLocalRepo } from "./git-local.js";
+
+export const GIT_TARGETS = ["github", "gitlab", "gitea", "local"];
+export const GIT_TARGET_LABELS = {
+  github: "GitHub repository",
+  gitlab: "GitLab project",
+  gitea: "Gitea repository",
+  local: "local git repository",
+};
+
+export const REPO_VISIBILITIES = ["private", "public", "internal"];
+
+const ADAPTERS = {
+  github: { create: createGitHubRepo, sync: syncGitHubRepo },
+  gitlab: { create: createGitLabRepo, sync: syncGitLabRepo },
+  gitea: { create: createGiteaRepo, sync: syncGiteaRepo },
+  local: { create: createLocalRepo, sync: syncLocalRepo },
+};
+
+export function defaultGitTarget() {
+  return process.env.GIT_TARGET || "github";
+}
+
+export function isGitTargetConfigured(target = defaultGitTarget()) {
+  switch (target) {
+    case "github":
+      return Boolean(process.env.GITHUB_TOKEN);
+    case "gitlab":
+      return Boolean(process.env.GITLAB_TOKEN);
+    case "gitea":
+      return Boolean(process.env.GITEA_URL && process.env.GITEA_TOKEN);
+    case "local":
+      return Boolean(process.env.GIT_LOCAL_PATH);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validates repository options from a request:
+ * { target?, org?, visibility?, default_branch?, topics?, description? }.
+ * Returns { value } or { error }; unset options fall back to the env vars.
+ */
+export function parseRepositoryOptions(options) {
+  if (options === undefined) return { value: {} };
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    return { error: "repository must be an object" };
+  }
+
+  const { target, org, visibility, default_branch, topics, description } = options;
+  if (target !== undefined && !GIT_TARGETS.includes(target)) {
+    return { error: `repository.target must be one of: ${GIT_TARGETS.join(", ")}` };
+  }
+  // GitLab namespaces may be nested groups ("group/subgroup")
+  if (org !== undefined && !(typeof org === "string" && /^[\w.-]+(\/[\w.-]+)*$/.test(org))) {
+    return { error: "repository.org must be an organization, group or namespace path" };
+  }
+  if (visibility !== undefined && !REPO_VISIBILITIES.includes(visibility)) {
+    return { error: `repository.visibility must be one of: ${REPO_VISIBILITIES.join(", ")}` };
+  }
+  if (default_branch !== undefined && !(typeof default_branch === "string" && /^[\w./-]+$/.test(default_branch))) {
+    return { error: "repository.default_branch must be a branch name" };
+  }
+  if (topics !== undefined && !(Array.isArray(topics) && topics.every((t) => typeof t === "string"))) {
+    return { error: "repository.topics must be an array of strings" };
+  }
+  if (description !== undefined && typeof description !== "string") {
+    return { error: "repository.description must be a string" };
+  }
+
+  return { value: { target, org, visibility, default_branch, topics, description } };
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Topics are kept to what every forge accepts: lowercase letters, digits and hyphens, at most 50 characters
+function topicName(topic) {
+  return slugify(topic).slice(0, 50);
+}
+
+// Request options merged with the GIT_* env defaults; the org fallback is per target
+function repositorySettings(options, interpretation) {
+  const envTopics = (process.env.GIT_REPO_TOPICS || "").split(",").filter((t) => t.trim());
+
+  return {
+    name: slugify(interpretation.title) || "project",
+    org: options.org || null,
+    visibility: options.visibility || process.env.GIT_REPO_VISIBILITY || "private",
+    defaultBranch: options.default_branch || process.env.GIT_DEFAULT_BRANCH || null,
+    topics: [...new Set((options.topics || envTopics).map(topicName).filter(Boolean))].slice(0, 20),
+    description: options.description || interpretation.objectives[0] || "AI-generated project",
+  };
+}
+
+function adapter(target) {
+  if (!ADAPTERS[target]) {
+    throw new Error(`Unknown git target "${target}". Expected one of: ${GIT_TARGETS.join(", ")}`);
+  }
+  return ADAPTERS[target];
+}
+
+/**
+ * Creates a repository holding `files` on `options.target` (default GIT_TARGET),
+ * with `options` as validated by parseRepositoryOptions. Returns the remote
+ * record, tagged with its `target`, plus `failed_files` and `warnings`.
+ */
+export async function createRepository(files, interpretation, options = {}) {
+  const target = options.target || defaultGitTarget();
+  const created = await adapter(target).create(files, repositorySettings(options, interpretation));
+  return { target, ...created };
+}
+
+// Updates a repository created by createRepository on the target it lives on
+export async function syncRepository(remote, files, { dryRun = false } = {}) {
+  return await adapter(remote.target).sync(remote, files, { dryRun });
+}
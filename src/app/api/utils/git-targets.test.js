@@ -0,0 +1,215 @@
+import { execFileSync } from "node:child_process";
+import { existsSync, readFileSync } from "node:fs";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { startServer } from "../test/http-server.js";
+import { createRepository, isGitTargetConfigured, parseRepositoryOptions, syncRepository } from "./git-targets.js";
+
+const INTERPRETATION = { title: "Tide Gauge Dashboard!", objectives: ["Plot sea levels"] };
+
+const FILES = [
+  { path: "README.md", content: "# Tide Gauge Dashboard\n" },
+  { path: "src/main.py", content: "print('tides')\n" },
+  { path: "docs/old.md", content: "Going away\n" },
+];
+
+let root;
+let server;
+
+beforeEach(async () => {
+  root = await mkdtemp(path.join(tmpdir(), "git-targets-test-"));
+});
+
+afterEach(async () => {
+  await server?.close();
+  server = null;
+  await rm(root, { recursive: true, force: true });
+  vi.unstubAllEnvs();
+});
+
+function git(dir, ...args) {
+  return execFileSync("git", args, { cwd: dir, encoding: "utf8" }).trim();
+}
+
+describe("parseRepositoryOptions", () => {
+  it("accepts a missing or complete options object", () => {
+    expect(parseRepositoryOptions(undefined)).toEqual({ value: {} });
+
+    const options = {
+      target: "gitlab",
+      org: "science/oceans",
+      visibility: "internal",
+      default_branch: "release/v1",
+      topics: ["Ocean Data"],
+      description: "Sea levels",
+    };
+    expect(parseRepositoryOptions({ ...options, private: true })).toEqual({ value: options });
+  });
+
+  it.each([
+    [[], "repository must be an object"],
+    [{ target: "bitbucket" }, "repository.target must be one of: github, gitlab, gitea, local"],
+    [{ org: "acme team" }, "repository.org must be an organization, group or namespace path"],
+    [{ visibility: "secret" }, "repository.visibility must be one of: private, public, internal"],
+    [{ default_branch: "main branch" }, "repository.default_branch must be a branch name"],
+    [{ topics: "ocean" }, "repository.topics must be an array of strings"],
+    [{ description: 42 }, "repository.description must be a string"],
+  ])("rejects %j", (options, error) => {
+    expect(parseRepositoryOptions(options)).toEqual({ error });
+  });
+});
+
+describe("isGitTargetConfigured", () => {
+  it("checks the env vars each target needs", () => {
+    vi.stubEnv("GITEA_URL", "https://gitea.example.com");
+    vi.stubEnv("GITEA_TOKEN", "");
+    vi.stubEnv("GIT_LOCAL_PATH", root);
+
+    expect(isGitTargetConfigured("gitea")).toBe(false);
+    expect(isGitTargetConfigured("local")).toBe(true);
+    expect(isGitTargetConfigured("svn")).toBe(false);
+  });
+});
+
+describe("local target", () => {
+  beforeEach(() => {
+    vi.stubEnv("GIT_LOCAL_PATH", root);
+    vi.stubEnv("GIT_LOCAL_BARE", "");
+    vi.stubEnv("GIT_DEFAULT_BRANCH", "");
+  });
+
+  it("creates a working directory and syncs changes to it as one commit", async () => {
+    const remote = await createRepository(FILES, INTERPRETATION, { target: "local", default_branch: "trunk" });
+    const dir = path.join(root, "tide-gauge-dashboard");
+
+    expect(remote).toMatchObject({
+      target: "local",
+      url: `file://${dir}`,
+      path: dir,
+      bare: false,
+      branch: "trunk",
+      files: ["README.md", "src/main.py", "docs/old.md"],
+    });
+    expect(readFileSync(path.join(dir, "src/main.py"), "utf8")).toBe("print('tides')\n");
+    expect(readFileSync(path.join(dir, ".git/description"), "utf8")).toBe("Plot sea levels\n");
+    expect(git(dir, "log", "--format=%s", "trunk")).toBe("Initial project scaffold");
+
+    const files = [
+      { path: "README.md", content: "# Tide Gauge Dashboard\n\nNow with charts.\n" },
+      { path: "src/main.py", content: "print('tides')\n" },
+      { path: "src/charts.py", content: "plot()\n" },
+    ];
+    const dryRun = await syncRepository(remote, files, { dryRun: true });
+    expect(dryRun.diff).toEqual({
+      added: ["src/charts.py"],
+      modified: ["README.md"],
+      removed: ["docs/old.md"],
+      unchanged: 1,
+      commit: null,
+      failed_files: [],
+    });
+    expect(git(dir, "rev-list", "--count", "trunk")).toBe("1");
+
+    const { remote: synced, diff } = await syncRepository(remote, files);
+    expect(diff.commit).toEqual({ sha: git(dir, "rev-parse", "trunk"), url: null });
+    expect(synced.files).toEqual(["README.md", "src/main.py", "src/charts.py"]);
+    expect(git(dir, "log", "--format=%s", "-1", "trunk")).toBe("Update generated project (1 added, 1 modified, 1 removed)");
+    expect(readFileSync(path.join(dir, "README.md"), "utf8")).toContain("Now with charts.");
+    expect(existsSync(path.join(dir, "src/charts.py"))).toBe(true);
+    expect(existsSync(path.join(dir, "docs/old.md"))).toBe(false);
+    expect(git(dir, "status", "--porcelain")).toBe("");
+
+    // Nothing left to change: no commit
+    const again = await syncRepository(synced, files);
+    expect(again.diff).toMatchObject({ unchanged: 3, commit: null });
+    expect(git(dir, "rev-list", "--count", "trunk")).toBe("2");
+  });
+
+  it("creates bare repositories under a free numbered name", async () => {
+    vi.stubEnv("GIT_LOCAL_BARE", "true");
+
+    const first = await createRepository(FILES, INTERPRETATION, { target: "local" });
+    const second = await createRepository(FILES, INTERPRETATION, { target: "local" });
+
+    expect(first).toMatchObject({ path: path.join(root, "tide-gauge-dashboard.git"), bare: true, branch: "main" });
+    expect(second.path).toBe(path.join(root, "tide-gauge-dashboard-2.git"));
+    expect(git(second.path, "show", "main:README.md")).toBe("# Tide Gauge Dashboard");
+
+    const { diff } = await syncRepository(second, FILES.slice(0, 2));
+    expect(diff.removed).toEqual(["docs/old.md"]);
+    expect(git(second.path, "ls-tree", "-r", "--name-only", "main").split("\n")).toEqual(["README.md", "src/main.py"]);
+  });
+});
+
+// Answers each "METHOD /path" from `routes` with JSON and logs the request bodies
+async function startForge(routes) {
+  const bodies = [];
+  const forge = await startServer(async (request, response) => {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    const route = `${request.method} ${request.url.split("?")[0]}`;
+    bodies.push({ route, body: chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : null });
+
+    if (!(route in routes)) {
+      response.writeHead(404, { "Content-Type": "application/json" });
+      return response.end(JSON.stringify({ message: `No route for ${route}` }));
+    }
+    response.writeHead(routes[route] === null ? 204 : 200, { "Content-Type": "application/json" });
+    response.end(routes[route] === null ? undefined : JSON.stringify(routes[route]));
+  });
+  return { ...forge, bodies };
+}
+
+describe("forge targets", () => {
+  const OPTIONS = { visibility: "internal", default_branch: "trunk", topics: ["Ocean Data", "Ocean-Data"] };
+
+  it("creates a GitLab project in the requested namespace with the request's settings", async () => {
+    server = await startForge({
+      "GET /api/v4/namespaces/science%2Foceans": { id: 9 },
+      "POST /api/v4/projects": { id: 5, web_url: "https://gitlab.example.com/science/oceans/tide", path_with_namespace: "science/oceans/tide" },
+      "POST /api/v4/projects/5/repository/commits": { id: "abc" },
+      "PUT /api/v4/projects/5": {},
+    });
+    vi.stubEnv("GITLAB_URL", `${server.url}/`);
+    vi.stubEnv("GITLAB_TOKEN", "glpat-test");
+
+    const remote = await createRepository(FILES, INTERPRETATION, { ...OPTIONS, target: "gitlab", org: "science/oceans" });
+
+    expect(remote).toMatchObject({ target: "gitlab", project_id: 5, path: "science/oceans/tide", branch: "trunk", warnings: [] });
+    expect(server.requests[0].headers["private-token"]).toBe("glpat-test");
+    const sent = Object.fromEntries(server.bodies.map(({ route, body }) => [route, body]));
+    expect(sent["POST /api/v4/projects"]).toEqual({
+      name: "tide-gauge-dashboard",
+      path: "tide-gauge-dashboard",
+      namespace_id: 9,
+      visibility: "internal",
+      description: "Plot sea levels",
+    });
+    expect(sent["POST /api/v4/projects/5/repository/commits"]).toMatchObject({ branch: "trunk", actions: expect.any(Array) });
+    expect(sent["PUT /api/v4/projects/5"]).toEqual({ default_branch: "trunk", topics: ["ocean-data"] });
+  });
+
+  it("creates a private Gitea repository for an internal one, under GITEA_ORG by default", async () => {
+    server = await startForge({
+      "POST /api/v1/orgs/oceans/repos": { name: "tide-gauge-dashboard", owner: { login: "oceans" }, html_url: "https://gitea.example.com/oceans/tide-gauge-dashboard" },
+      "POST /api/v1/repos/oceans/tide-gauge-dashboard/contents": {},
+      "PUT /api/v1/repos/oceans/tide-gauge-dashboard/topics": null,
+    });
+    vi.stubEnv("GITEA_URL", server.url);
+    vi.stubEnv("GITEA_TOKEN", "gitea-test");
+    vi.stubEnv("GITEA_ORG", "oceans");
+
+    const remote = await createRepository(FILES, INTERPRETATION, { ...OPTIONS, target: "gitea" });
+
+    expect(remote).toMatchObject({ target: "gitea", owner: "oceans", repo: "tide-gauge-dashboard", branch: "trunk", warnings: [] });
+    expect(server.requests[0].headers.authorization).toBe("token gitea-test");
+    expect(server.bodies.map(({ route, body }) => [route, body.name ?? body.branch ?? body.topics])).toEqual([
+      ["POST /api/v1/orgs/oceans/repos", "tide-gauge-dashboard"],
+      ["POST /api/v1/repos/oceans/tide-gauge-dashboard/contents", "trunk"],
+      ["PUT /api/v1/repos/oceans/tide-gauge-dashboard/topics", ["ocean-data"]],
+    ]);
+    expect(server.bodies[0].body).toMatchObject({ private: true, default_branch: "trunk", auto_init: false });
+  });
+});
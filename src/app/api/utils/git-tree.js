@@ -0,0 +1,43 @@
+// Comparing generated files with what a git branch already contains
+
+import { createHash } from "node:crypto";
+
+// The blob SHA git gives this content, so unchanged files are never uploaded
+export function blobSha(content) {
+  const data = Buffer.from(content);
+  return createHash("sha1").update(`blob ${data.length}\0`).update(data).digest("hex");
+}
+
+/**
+ * Compares `files` ([{ path, content }]) with `existing` (a Map of path to blob
+ * SHA on the branch). Generated files from the last push (`previous` paths) that
+ * are no longer produced are removed; anything else on the branch is left alone.
+ * Returns { diff: { added, modified, removed, unchanged }, changed, removed }.
+ */
+export function diffFiles(existing, files, previous = []) {
+  const diff = { added: [], modified: [], removed: [], unchanged: 0 };
+  const changed = [];
+
+  for (const file of files) {
+    if (!existing.has(file.path)) {
+      diff.added.push(file.path);
+    } else if (existing.get(file.path) !== blobSha(file.content)) {
+      diff.modified.push(file.path);
+    } else {
+      diff.unchanged++;
+      continue;
+    }
+    changed.push(file);
+  }
+
+  const paths = new Set(files.map((file) => file.path));
+  diff.removed = previous.filter((path) => !paths.has(path) && existing.has(path));
+
+  return { diff, changed, removed: diff.removed };
+}
+
+export function commitMessage(diff) {
+  return `Update generated project (${diff.added.length} added, ${diff.modified.length} modified, ${diff.removed.length} removed)`;
+}
+
+export const INITIAL_COMMIT_MESSAGE = "Initial project scaffold";
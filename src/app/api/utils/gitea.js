@@ -0,0 +1,158 @@
+// Gitea git target: repositories created and updated through the REST API (v1)
+
+import { INITIAL_COMMIT_MESSAGE, commitMessage, diffFiles } from "./git-tree.js";
+import { httpFetch } from "./http.js";
+
+function giteaApi() {
+  const base = process.env.GITEA_URL;
+  if (!base) {
+    throw new Error("GITEA_URL not configured");
+  }
+  return `${base.replace(/\/+$/, "")}/api/v1`;
+}
+
+function giteaToken() {
+  const token = process.env.GITEA_TOKEN;
+  if (!token) {
+    throw new Error("GITEA_TOKEN not configured");
+  }
+  return token;
+}
+
+// Resolves with the parsed body, or throws with Gitea's error message
+async function giteaJson(token, method, path, body) {
+  const response = await httpFetch(
+    "gitea",
+    `${giteaApi()}${path}`,
+    {
+      method,
+      headers: { Authorization: `token ${token}`, "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+    },
+    method === "GET" ? {} : { retries: 0 },
+  );
+  if (!response.ok) {
+    const error = await response.text();
+    const failure = new Error(`Gitea API error (${method} ${path}): ${error}`);
+    failure.status = response.status;
+    throw failure;
+  }
+  return response.status === 204 ? null : await response.json();
+}
+
+// Creates `name`, or `name-2`, `name-3`, ... when the owner already has a repository by that name
+async function createRepository(token, { name, org, visibility, description, defaultBranch }) {
+  const path = org ? `/orgs/${org}/repos` : "/user/repos";
+
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    const candidate = attempt === 1 ? name : `${name}-${attempt}`;
+    try {
+      return await giteaJson(token, "POST", path, {
+        name: candidate,
+        description,
+        // Gitea has no "internal" repositories; those stay private
+        private: visibility !== "public",
+        default_branch: defaultBranch,
+        auto_init: false,
+      });
+    } catch (error) {
+      if (error.status !== 409) throw error;
+    }
+  }
+  throw new Error(`Gitea API error creating repo: "${name}" and its numbered variants are taken`);
+}
+
+// Every blob on `branch` as a Map of path to blob SHA; large trees come back in pages
+async function branchFiles(token, repoPath, branch) {
+  const existing = new Map();
+
+  for (let page = 1; ; page++) {
+    const tree = await giteaJson(
+      token,
+      "GET",
+      `${repoPath}/git/trees/${encodeURIComponent(branch)}?recursive=true&per_page=1000&page=${page}`,
+    );
+    for (const entry of tree.tree || []) {
+      if (entry.type === "blob") existing.set(entry.path, entry.sha);
+    }
+    if (!tree.truncated) return existing;
+  }
+}
+
+function fileOperation(operation, file, sha) {
+  return {
+    operation,
+    path: file.path,
+    content: Buffer.from(file.content).toString("base64"),
+    ...(sha && { sha }),
+  };
+}
+
+/**
+ * Creates a repository holding `files` as a single commit on `settings.defaultBranch`
+ * (default "main"). Without an org the repository goes to GITEA_ORG or the
+ * token's user. Returns { url, owner, repo, branch, files, failed_files,
+ * warnings }, as createGitHubRepo does.
+ */
+export async function createGiteaRepo(files, settings) {
+  const token = giteaToken();
+  const org = settings.org || process.env.GITEA_ORG || null;
+  const branch = settings.defaultBranch || "main";
+
+  const repo = await createRepository(token, { ...settings, org, defaultBranch: branch });
+  const owner = repo.owner.login;
+  const repoPath = `/repos/${owner}/${repo.name}`;
+  const warnings = [];
+
+  // One contents call with every file is one commit; on an empty repository it creates the branch
+  await giteaJson(token, "POST", `${repoPath}/contents`, {
+    branch,
+    message: INITIAL_COMMIT_MESSAGE,
+    files: files.map((file) => fileOperation("create", file)),
+  });
+
+  if (settings.topics.length) {
+    try {
+      await giteaJson(token, "PUT", `${repoPath}/topics`, { topics: settings.topics });
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      warnings.push(`Topics were not set: ${error.message}`);
+    }
+  }
+
+  return {
+    url: repo.html_url,
+    owner,
+    repo: repo.name,
+    branch,
+    files: files.map((file) => file.path),
+    failed_files: [],
+    warnings,
+  };
+}
+
+// Brings a repository created by createGiteaRepo up to date as a single commit; same result as syncGitHubRepo
+export async function syncGiteaRepo(remote, files, { dryRun = false } = {}) {
+  const token = giteaToken();
+  const repoPath = `/repos/${remote.owner}/${remote.repo}`;
+
+  const existing = await branchFiles(token, repoPath, remote.branch);
+  const { diff, changed, removed } = diffFiles(existing, files, remote.files);
+  const result = { ...diff, commit: null, failed_files: [] };
+  const synced = { ...remote, files: files.map((file) => file.path) };
+  if (dryRun || changed.length + removed.length === 0) return { remote: synced, diff: result };
+
+  const response = await giteaJson(token, "POST", `${repoPath}/contents`, {
+    branch: remote.branch,
+    message: commitMessage(diff),
+    files: [
+      ...changed.map((file) =>
+        existing.has(file.path) ? fileOperation("update", file, existing.get(file.path)) : fileOperation("create", file),
+      ),
+      ...removed.map((path) => ({ operation: "delete", path, sha: existing.get(path) })),
+    ],
+  });
+
+  result.commit = { sha: response.commit.sha, url: response.commit.html_url };
+  return { remote: synced, diff: result };
+}
@@ -0,0 +1,251 @@
+// GitHub Issues/Projects export
+//
+// Creates (or reuses) one milestone per plan milestone, one issue per task (labelled with its
+// priority and required expertise) and, optionally, a Projects (v2) board with
+// Start/Due date fields. Issues are created dependencies-first so each can link
+// the issues that block it.
+
+import { httpFetch } from "./http.js";
+import { dependencyOrder } from "./plan-export.js";
+
+const API = "https://api.github.com";
+
+function headers(token) {
+  return {
+    Authorization: `Bearer ${token}`,
+    Accept: "application/vnd.github.v3+json",
+    "Content-Type": "application/json",
+  };
+}
+
+async function github(token, method, path, body) {
+  // Creating issues and milestones is not idempotent
+  const response = await httpFetch(
+    "github",
+    `${API}${path}`,
+    { method, headers: headers(token), ...(body && { body: JSON.stringify(body) }) },
+    method === "GET" ? {} : { retries: 0 },
+  );
+  const data = await response.json().catch(() => null);
+  return { ok: response.ok, status: response.status, data };
+}
+
+async function graphql(token, query, variables) {
+  const response = await httpFetch(
+    "github",
+    `${API}/graphql`,
+    { method: "POST", headers: headers(token), body: JSON.stringify({ query, variables }) },
+    { retries: 0 },
+  );
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.errors?.length) {
+    const message = result.errors?.map((e) => e.message).join("; ") || `HTTP ${response.status}`;
+    throw new Error(`GitHub GraphQL error: ${message}`);
+  }
+  return result.data;
+}
+
+function apiError(action, result) {
+  return new Error(`GitHub API error ${action}: ${result.data?.message || `HTTP ${result.status}`}`);
+}
+
+// "owner/name" from the request, or the repository created for the project
+export function parseRepo(repo, githubUrl) {
+  const match = /^([\w.-]+)\/([\w.-]+)$/.exec(repo || "") || /github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec(githubUrl || "");
+  return match ? { owner: match[1], name: match[2] } : null;
+}
+
+const LABEL_COLORS = { Critical: "b60205", High: "d93f0b", Medium: "fbca04", Low: "0e8a16" };
+
+function labelsFor(task) {
+  return [`priority: ${task.priority.toLowerCase()}`, ...task.required_expertise.map((e) => `expertise: ${e}`)];
+}
+
+function issueBody(task, numbers) {
+  const lines = [task.description || "_No description_", ""];
+  if (task.required_expertise.length) lines.push(`**Expertise:** ${task.required_expertise.join(", ")}`);
+  if (task.estimated_hours) lines.push(`**Estimate:** ${task.estimated_hours}h`);
+  if (task.start_date) lines.push(`**Scheduled:** ${task.start_date} to ${task.due_date}`);
+  if (task.assignee) lines.push(`**Planned assignee:** ${task.assignee}`);
+  if (task.on_critical_path) lines.push("**On the critical path**");
+  if (task.dependencies.length) {
+    lines.push("", "### Dependencies");
+    for (const dep of task.dependencies) {
+      lines.push(numbers.has(dep) ? `- Blocked by #${numbers.get(dep)} (${dep})` : `- Blocked by ${dep}`);
+    }
+  }
+  lines.push("", `<sub>Task ${task.id}</sub>`);
+  return lines.join("\n");
+}
+
+async function createLabels(token, repoPath, tasks) {
+  const labels = new Map();
+  for (const task of tasks) {
+    labels.set(`priority: ${task.priority.toLowerCase()}`, LABEL_COLORS[task.priority] || "ededed");
+    for (const expertise of task.required_expertise) labels.set(`expertise: ${expertise}`, "1d76db");
+  }
+
+  for (const [name, color] of labels) {
+    const result = await github(token, "POST", `${repoPath}/labels`, { name, color });
+    // 422: the label already exists
+    if (!result.ok && result.status !== 422) throw apiError(`creating label "${name}"`, result);
+  }
+}
+
+// Open and closed milestones of the repository, by title
+async function existingMilestones(token, repoPath) {
+  const byTitle = new Map();
+  for (let page = 1; ; page++) {
+    const result = await github(token, "GET", `${repoPath}/milestones?state=all&per_page=100&page=${page}`);
+    if (!result.ok) throw apiError("listing milestones", result);
+    for (const milestone of result.data) byTitle.set(milestone.title, milestone);
+    if (result.data.length < 100) return byTitle;
+  }
+}
+
+// Milestone titles are unique per repository, so a milestone with the same title
+// (e.g. from an earlier export) is reused. Returns { number, url } by milestone key.
+async function createMilestones(token, repoPath, milestones) {
+  const existing = await existingMilestones(token, repoPath);
+  const numbers = new Map();
+  for (const milestone of milestones) {
+    let data = existing.get(milestone.title);
+    if (!data) {
+      const result = await github(token, "POST", `${repoPath}/milestones`, {
+        title: milestone.title,
+        description: [milestone.description, ...milestone.deliverables.map((d) => `- ${d}`)].join("\n").trim(),
+        ...(milestone.due_date && { due_on: `${milestone.due_date}T23:59:59Z` }),
+      });
+      if (!result.ok) throw apiError(`creating milestone "${milestone.title}"`, result);
+      data = result.data;
+    }
+    numbers.set(milestone.key, { title: milestone.title, number: data.number, url: data.html_url });
+  }
+  return numbers;
+}
+
+async function createIssues(token, repoPath, tasks, milestones, assignees, warnings) {
+  const numbers = new Map();
+  const issues = [];
+
+  for (const task of dependencyOrder(tasks)) {
+    const login = task.assignee && assignees[task.assignee];
+    const issue = {
+      title: `${task.id}: ${task.title}`,
+      body: issueBody(task, numbers),
+      labels: labelsFor(task),
+      milestone: milestones.get(task.milestone_key)?.number,
+    };
+
+    let result = await github(token, "POST", `${repoPath}/issues`, { ...issue, ...(login && { assignees: [login] }) });
+    // 422 with an assignee: the login cannot be assigned in this repository
+    if (!result.ok && result.status === 422 && login) {
+      warnings.push(`Could not assign ${task.id} to @${login}; the issue was created unassigned`);
+      result = await github(token, "POST", `${repoPath}/issues`, issue);
+    }
+    if (!result.ok) throw apiError(`creating issue for ${task.id}`, result);
+
+    numbers.set(task.id, result.data.number);
+    issues.push({ task_id: task.id, number: result.data.number, url: result.data.html_url, node_id: result.data.node_id });
+  }
+
+  return issues;
+}
+
+// Creates a Projects (v2) board owned by the repository owner, links it to the
+// repository and adds every issue with its scheduled Start and Due dates
+async function createProjectBoard(token, repo, repoData, plan, issues) {
+  const { createProjectV2 } = await graphql(
+    token,
+    `mutation($ownerId: ID!, $title: String!, $repositoryId: ID!) {
+      createProjectV2(input: { ownerId: $ownerId, title: $title, repositoryId: $repositoryId }) {
+        projectV2 { id number url }
+      }
+    }`,
+    { ownerId: repoData.owner.node_id, title: plan.title, repositoryId: repoData.node_id },
+  );
+  const project = createProjectV2.projectV2;
+
+  const fields = {};
+  for (const name of ["Start", "Due"]) {
+    const { createProjectV2Field } = await graphql(
+      token,
+      `mutation($projectId: ID!, $name: String!) {
+        createProjectV2Field(input: { projectId: $projectId, dataType: DATE, name: $name }) {
+          projectV2Field { ... on ProjectV2Field { id } }
+        }
+      }`,
+      { projectId: project.id, name },
+    );
+    fields[name] = createProjectV2Field.projectV2Field.id;
+  }
+
+  const taskById = new Map(plan.tasks.map((t) => [t.id, t]));
+  for (const issue of issues) {
+    const { addProjectV2ItemById } = await graphql(
+      token,
+      `mutation($projectId: ID!, $contentId: ID!) {
+        addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) { item { id } }
+      }`,
+      { projectId: project.id, contentId: issue.node_id },
+    );
+
+    const task = taskById.get(issue.task_id);
+    for (const [name, date] of [["Start", task.start_date], ["Due", task.due_date]]) {
+      if (!date) continue;
+      await graphql(
+        token,
+        `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $date: Date!) {
+          updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { date: $date } }) {
+            projectV2Item { id }
+          }
+        }`,
+        { projectId: project.id, itemId: addProjectV2ItemById.item.id, fieldId: fields[name], date },
+      );
+    }
+  }
+
+  return { number: project.number, url: project.url, repo: `${repo.owner}/${repo.name}` };
+}
+
+/**
+ * Exports a plan (see planItems) to a GitHub repository.
+ *
+ * `assignees` maps contributor names to GitHub logins; unmapped contributors stay
+ * in the issue body only. Returns { target, repo, milestones, issues, project, warnings }.
+ */
+export async function exportToGitHub(plan, repo, { assignees = {}, projectBoard = false } = {}) {
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error("GITHUB_TOKEN not configured");
+  }
+
+  const repoPath = `/repos/${repo.owner}/${repo.name}`;
+  const repoResult = await github(token, "GET", repoPath);
+  if (!repoResult.ok) throw apiError(`loading ${repo.owner}/${repo.name}`, repoResult);
+
+  const warnings = [];
+  await createLabels(token, repoPath, plan.tasks);
+  const milestones = await createMilestones(token, repoPath, plan.milestones);
+  const issues = await createIssues(token, repoPath, plan.tasks, milestones, assignees, warnings);
+
+  let project = null;
+  if (projectBoard) {
+    try {
+      project = await createProjectBoard(token, repo, repoResult.data, plan, issues);
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      // The issues are already created; report the board failure instead of failing the export
+      warnings.push(`Project board was not created: ${error.message}`);
+    }
+  }
+
+  return {
+    target: "github",
+    repo: repoResult.data.html_url,
+    milestones: [...milestones.values()].map(({ title, number, url }) => ({ name: title, number, url })),
+    issues: issues.map(({ task_id, number, url }) => ({ task_id, number, url })),
+    project,
+    warnings,
+  };
+}
@@ -0,0 +1,124 @@
+import fs from "node:fs";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { exportToGitHub, parseRepo } from "./github-issues.js";
+import { planItems } from "./plan-export.js";
+import { createFakeGitHub } from "../test/fake-github.js";
+import { useFixtures } from "../test/fixture-run.js";
+import { SAMPLE_PROJECT, SAMPLE_VERSION } from "../test/sample-project.js";
+
+const plan = planItems(SAMPLE_PROJECT, SAMPLE_VERSION);
+let fetchCalls;
+
+beforeEach(() => {
+  fetchCalls = useFixtures("github-issues", { extra: createFakeGitHub() });
+  vi.stubEnv("GITHUB_TOKEN", "test-token");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+// The recorded requests are what GitHub was (or would have been) sent for issues in `repo`
+function sentIssues(repo) {
+  const dir = path.join(process.env.FIXTURE_DIR, "github");
+  return fs
+    .readdirSync(dir)
+    .map((name) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")))
+    .filter(({ request, response }) => request.url.endsWith(`/repos/${repo}/issues`) && response.status === 201)
+    .map(({ request }) => JSON.parse(request.body));
+}
+
+describe("exportToGitHub", () => {
+  it("creates milestones and issues, blockers first", async () => {
+    const result = await exportToGitHub(plan, { owner: "acme", name: "app" });
+
+    expect(result).toEqual({
+      target: "github",
+      repo: "https://github.com/acme/app",
+      milestones: [
+        { name: "Foundation", number: 1, url: "https://github.com/acme/app/milestone/1" },
+        { name: "Launch", number: 2, url: "https://github.com/acme/app/milestone/2" },
+      ],
+      issues: [
+        { task_id: "T001", number: 1, url: "https://github.com/acme/app/issues/1" },
+        { task_id: "T002", number: 2, url: "https://github.com/acme/app/issues/2" },
+        { task_id: "T003", number: 3, url: "https://github.com/acme/app/issues/3" },
+      ],
+      project: null,
+      warnings: [],
+    });
+
+    const deploy = sentIssues("acme/app").find((issue) => issue.title === "T003: Deploy");
+    expect(deploy).toMatchObject({ milestone: 2, labels: ["priority: low"] });
+    expect(deploy.body).toContain("- Blocked by #1 (T001)\n- Blocked by #2 (T002)");
+    expect(fetchCalls.filter((call) => !call.url.startsWith("https://api.github.com"))).toEqual([]);
+  });
+
+  it("creates an issue unassigned when its login cannot be assigned", async () => {
+    const result = await exportToGitHub(plan, { owner: "acme", name: "app" }, { assignees: { Ann: "ann", Bob: "ghost" } });
+
+    expect(result.issues.map((issue) => issue.number)).toEqual([1, 2, 3]);
+    expect(result.warnings).toEqual(["Could not assign T002 to @ghost; the issue was created unassigned"]);
+    expect(sentIssues("acme/app")).toContainEqual(expect.objectContaining({ title: "T001: Project setup", assignees: ["ann"] }));
+  });
+
+  it("adds the issues to a project board with their scheduled dates", async () => {
+    const result = await exportToGitHub(plan, { owner: "acme", name: "app" }, { projectBoard: true });
+
+    expect(result.project).toEqual({ number: 1, url: "https://github.com/orgs/acme/projects/1", repo: "acme/app" });
+    expect(result.warnings).toEqual([]);
+  });
+
+  it("reports a board that could not be created as a warning", async () => {
+    const result = await exportToGitHub(plan, { owner: "locked", name: "app" }, { projectBoard: true });
+
+    expect(result.issues).toHaveLength(3);
+    expect(result.project).toBeNull();
+    expect(result.warnings).toEqual([
+      "Project board was not created: GitHub GraphQL error: Resource not accessible by integration",
+    ]);
+  });
+
+  it("gives milestones with the same name their own GitHub milestone", async () => {
+    const twins = planItems(SAMPLE_PROJECT, {
+      ...SAMPLE_VERSION,
+      milestones: {
+        milestones: SAMPLE_VERSION.milestones.milestones.map((milestone) => ({ ...milestone, name: "Phase" })),
+      },
+    });
+
+    const result = await exportToGitHub(twins, { owner: "acme", name: "twins" });
+    expect(result.milestones.map(({ name, number }) => ({ name, number }))).toEqual([
+      { name: "M1: Phase", number: 1 },
+      { name: "M2: Phase", number: 2 },
+    ]);
+    expect(sentIssues("acme/twins")).toContainEqual(expect.objectContaining({ title: "T003: Deploy", milestone: 2 }));
+  });
+
+  it("reuses a milestone left by an earlier export", async () => {
+    const result = await exportToGitHub(plan, { owner: "acme", name: "existing" });
+
+    expect(result.milestones).toEqual([
+      { name: "Foundation", number: 7, url: "https://github.com/acme/existing/milestone/7" },
+      { name: "Launch", number: 1, url: "https://github.com/acme/existing/milestone/1" },
+    ]);
+  });
+
+  it("fails when the repository cannot be loaded", async () => {
+    await expect(exportToGitHub(plan, { owner: "acme", name: "missing" })).rejects.toThrow(
+      "GitHub API error loading acme/missing: Not Found",
+    );
+  });
+});
+
+describe("parseRepo", () => {
+  it.each([
+    ["acme/app", null, { owner: "acme", name: "app" }],
+    [undefined, "https://github.com/acme/site.git", { owner: "acme", name: "site" }],
+    ["not a repo", "https://gitlab.com/acme/app", null],
+  ])("parses %s / %s", (repo, githubUrl, expected) => {
+    expect(parseRepo(repo, githubUrl)).toEqual(expected);
+  });
+});
@@ -0,0 +1,168 @@
+// GitLab git target: projects created and updated through the REST API (v4)
+
+import { INITIAL_COMMIT_MESSAGE, commitMessage, diffFiles } from "./git-tree.js";
+import { httpFetch } from "./http.js";
+
+function gitlabApi() {
+  return `${(process.env.GITLAB_URL || "https://gitlab.com").replace(/\/+$/, "")}/api/v4`;
+}
+
+function gitlabToken() {
+  const token = process.env.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error("GITLAB_TOKEN not configured");
+  }
+  return token;
+}
+
+// Resolves with the parsed body (and the response, for pagination headers), or throws
+async function gitlabRequest(token, method, path, body) {
+  const response = await httpFetch(
+    "gitlab",
+    `${gitlabApi()}${path}`,
+    {
+      method,
+      headers: { "PRIVATE-TOKEN": token, "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+    },
+    method === "GET" ? {} : { retries: 0 },
+  );
+  if (!response.ok) {
+    const error = await response.text();
+    const failure = new Error(`GitLab API error (${method} ${path}): ${error}`);
+    failure.status = response.status;
+    throw failure;
+  }
+  return { data: response.status === 204 ? null : await response.json(), response };
+}
+
+async function gitlabJson(token, method, path, body) {
+  return (await gitlabRequest(token, method, path, body)).data;
+}
+
+// Group or user namespace paths resolve to the numeric ID project creation expects
+async function namespaceId(token, namespace) {
+  const found = await gitlabJson(token, "GET", `/namespaces/${encodeURIComponent(namespace)}`);
+  return found.id;
+}
+
+// Creates `name`, or `name-2`, `name-3`, ... when the namespace already has a project by that name
+async function createProject(token, { name, namespace, visibility, description }) {
+  const namespace_id = namespace ? await namespaceId(token, namespace) : undefined;
+
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    const candidate = attempt === 1 ? name : `${name}-${attempt}`;
+    try {
+      return await gitlabJson(token, "POST", "/projects", {
+        name: candidate,
+        path: candidate,
+        namespace_id,
+        visibility,
+        description,
+      });
+    } catch (error) {
+      if (!(error.status === 400 && error.message.includes("has already been taken"))) throw error;
+    }
+  }
+  throw new Error(`GitLab API error creating project: "${name}" and its numbered variants are taken`);
+}
+
+function encodeContent(content) {
+  return Buffer.from(content).toString("base64");
+}
+
+// Every blob on `branch` as a Map of path to blob SHA; the tree endpoint is paginated
+async function branchFiles(token, projectPath, branch) {
+  const existing = new Map();
+
+  for (let page = 1; page; ) {
+    const { data, response } = await gitlabRequest(
+      token,
+      "GET",
+      `${projectPath}/repository/tree?ref=${encodeURIComponent(branch)}&recursive=true&per_page=100&page=${page}`,
+    );
+    for (const entry of data) {
+      if (entry.type === "blob") existing.set(entry.path, entry.id);
+    }
+    page = Number(response.headers.get("x-next-page")) || 0;
+  }
+
+  return existing;
+}
+
+/**
+ * Creates a project holding `files` as a single commit on `settings.defaultBranch`
+ * (default "main"). Without an org the project goes to GITLAB_NAMESPACE or the
+ * token's user. Returns { url, project_id, path, branch, files, failed_files,
+ * warnings }, as createGitHubRepo does.
+ */
+export async function createGitLabRepo(files, settings) {
+  const token = gitlabToken();
+  const namespace = settings.org || process.env.GITLAB_NAMESPACE || null;
+
+  const project = await createProject(token, { ...settings, namespace });
+  const projectPath = `/projects/${project.id}`;
+  const branch = settings.defaultBranch || "main";
+  const warnings = [];
+
+  // The project starts empty, so the first commit creates the branch
+  await gitlabJson(token, "POST", `${projectPath}/repository/commits`, {
+    branch,
+    commit_message: INITIAL_COMMIT_MESSAGE,
+    actions: files.map((file) => ({
+      action: "create",
+      file_path: file.path,
+      content: encodeContent(file.content),
+      encoding: "base64",
+    })),
+  });
+
+  try {
+    await gitlabJson(token, "PUT", projectPath, {
+      default_branch: branch,
+      ...(settings.topics.length && { topics: settings.topics }),
+    });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    warnings.push(`Default branch and topics were not set: ${error.message}`);
+  }
+
+  return {
+    url: project.web_url,
+    project_id: project.id,
+    path: project.path_with_namespace,
+    branch,
+    files: files.map((file) => file.path),
+    failed_files: [],
+    warnings,
+  };
+}
+
+// Brings a project created by createGitLabRepo up to date as a single commit; same result as syncGitHubRepo
+export async function syncGitLabRepo(remote, files, { dryRun = false } = {}) {
+  const token = gitlabToken();
+  const projectPath = `/projects/${remote.project_id}`;
+
+  const existing = await branchFiles(token, projectPath, remote.branch);
+  const { diff, changed, removed } = diffFiles(existing, files, remote.files);
+  const result = { ...diff, commit: null, failed_files: [] };
+  const synced = { ...remote, files: files.map((file) => file.path) };
+  if (dryRun || changed.length + removed.length === 0) return { remote: synced, diff: result };
+
+  const commit = await gitlabJson(token, "POST", `${projectPath}/repository/commits`, {
+    branch: remote.branch,
+    commit_message: commitMessage(diff),
+    actions: [
+      ...changed.map((file) => ({
+        action: existing.has(file.path) ? "update" : "create",
+        file_path: file.path,
+        content: encodeContent(file.content),
+        encoding: "base64",
+      })),
+      ...removed.map((path) => ({ action: "delete", file_path: path })),
+    ],
+  });
+
+  result.commit = { sha: commit.id, url: commit.web_url };
+  return { remote: synced, diff: result };
+}
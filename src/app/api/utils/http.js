@@ -0,0 +1,261 @@
+// Shared HTTP client for outbound API calls
+//
+// Every external service gets its own timeout, retry budget, concurrency limit
+// and circuit breaker. Retries use exponential backoff with jitter and honor
+// Retry-After on 429/503 responses; rate limits do not trip the breaker.
+// FIXTURE_MODE=record|replay captures or serves responses through ./fixtures.js
+// for offline runs.
+
+import { fixtureMode, recordFixture, replayFixture } from "./fixtures.js";
+import { getRunContext } from "./run-context.js";
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Read lazily so env changes (tests, dotenv) are picked up
+function serviceConfig(service) {
+  const defaults = {
+    timeoutMs: 30000,
+    retries: 3,
+    concurrency: 4,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+    failureThreshold: 5,
+    cooldownMs: 30000,
+  };
+
+  // Each search provider ("search-serper", ...) keeps its own breaker so the fallbacks stay usable
+  switch (service.startsWith("search-") ? "search" : service) {
+    case "llm":
+      return {
+        ...defaults,
+        timeoutMs: envNumber("LLM_TIMEOUT_MS", 60000),
+        concurrency: envNumber("LLM_MAX_CONCURRENCY", 4),
+      };
+    case "search":
+      return {
+        ...defaults,
+        retries: 2,
+        timeoutMs: envNumber("SEARCH_TIMEOUT_MS", 30000),
+        concurrency: envNumber("MAX_CONCURRENT_SEARCHES", 5),
+      };
+    case "notion":
+      // Notion allows roughly three requests per second per integration
+      return { ...defaults, concurrency: 3 };
+    default:
+      return defaults;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(service, retryInMs) {
+    super(`${service} circuit is open after repeated failures; retry in ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = "CircuitOpenError";
+    this.service = service;
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(service, timeoutMs) {
+    super(`${service} request timed out after ${timeoutMs}ms`);
+    this.name = "TimeoutError";
+    this.service = service;
+  }
+}
+
+function createLimiter() {
+  let active = 0;
+  const queue = [];
+
+  const next = (limit) => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next(limit);
+      });
+  };
+
+  return (limit, fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next(limit);
+    });
+}
+
+// Per-service limiter and breaker state, shared by all callers in the process
+const services = new Map();
+
+function serviceState(service) {
+  if (!services.has(service)) {
+    services.set(service, {
+      limit: createLimiter(),
+      failures: 0,
+      openUntil: 0,
+      probing: false,
+    });
+  }
+  return services.get(service);
+}
+
+function checkCircuit(service, state) {
+  const now = Date.now();
+  if (state.openUntil > now) {
+    throw new CircuitOpenError(service, state.openUntil - now);
+  }
+  // Half-open: after the cooldown a single probe request decides the state
+  if (state.openUntil && state.probing) {
+    throw new CircuitOpenError(service, 0);
+  }
+  if (state.openUntil) state.probing = true;
+}
+
+function recordSuccess(state) {
+  state.failures = 0;
+  state.openUntil = 0;
+  state.probing = false;
+}
+
+function recordFailure(service, state, config) {
+  state.failures++;
+  if (state.probing || state.failures >= config.failureThreshold) {
+    state.openUntil = Date.now() + config.cooldownMs;
+    state.probing = false;
+    console.warn(`⚠️ ${service} circuit opened for ${config.cooldownMs}ms after ${state.failures} failures`);
+  }
+}
+
+function retryAfterMs(response) {
+  const header = response.headers.get("retry-after");
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRateLimited(response) {
+  if (response.status === 429) return true;
+  // GitHub signals secondary rate limits with 403 + Retry-After or an exhausted quota
+  return (
+    response.status === 403 &&
+    (response.headers.has("retry-after") || response.headers.get("x-ratelimit-remaining") === "0")
+  );
+}
+
+function isRetryableResponse(response) {
+  return RETRYABLE_STATUSES.has(response.status) || isRateLimited(response);
+}
+
+function backoffMs(attempt, config) {
+  const exponential = config.baseDelayMs * 2 ** attempt;
+  const jitter = Math.random() * config.baseDelayMs;
+  return Math.min(config.maxDelayMs, exponential + jitter);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    // The run's signal outlives every request, so the listener must not outlive the wait
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function attemptFetch(service, url, init, config) {
+  const timeoutSignal = AbortSignal.timeout(config.timeoutMs);
+  const signal = init.signal ? AbortSignal.any([init.signal, timeoutSignal]) : timeoutSignal;
+
+  try {
+    return await fetch(url, { ...init, signal });
+  } catch (error) {
+    if (timeoutSignal.aborted && !init.signal?.aborted) {
+      throw new TimeoutError(service, config.timeoutMs);
+    }
+    throw error;
+  }
+}
+
+/**
+ * fetch() with per-service timeout, retries, concurrency limit and circuit breaker.
+ *
+ * Resolves with the final Response, which may still be non-2xx when the status is
+ * not retryable or the retries are exhausted; callers keep their own error handling.
+ * `options` overrides the service defaults, e.g. `{ retries: 0 }` for non-idempotent calls;
+ * `options.maxBytes` caps how much of the body FIXTURE_MODE=record stores.
+ * Without an explicit `init.signal`, the run context's signal (job cancellation) is used.
+ */
+export async function httpFetch(service, url, init = {}, options = {}) {
+  const { signal } = getRunContext();
+  if (signal && !init.signal) init = { ...init, signal };
+  init.signal?.throwIfAborted();
+
+  const mode = fixtureMode();
+  if (mode === "replay") return replayFixture(service, url, init);
+
+  const response = await fetchWithRetries(service, url, init, options);
+  return mode === "record" ? recordFixture(service, url, init, response, { maxBytes: options.maxBytes }) : response;
+}
+
+async function fetchWithRetries(service, url, init, options) {
+  const config = { ...serviceConfig(service), ...options };
+  const state = serviceState(service);
+
+  for (let attempt = 0; ; attempt++) {
+    checkCircuit(service, state);
+
+    let response;
+    try {
+      response = await state.limit(config.concurrency, () => attemptFetch(service, url, init, config));
+    } catch (error) {
+      // Caller-initiated aborts are not service failures
+      if (init.signal?.aborted) {
+        state.probing = false;
+        throw error;
+      }
+
+      recordFailure(service, state, config);
+      if (attempt >= config.retries) throw error;
+
+      const delay = backoffMs(attempt, config);
+      console.warn(`⚠️ ${service} request failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+      await sleep(delay, init.signal);
+      continue;
+    }
+
+    if (!isRetryableResponse(response)) {
+      recordSuccess(state);
+      return response;
+    }
+
+    // A rate limit means the service is up, just busy: it is waited out, not counted as a failure
+    if (isRateLimited(response)) {
+      state.probing = false;
+    } else {
+      recordFailure(service, state, config);
+    }
+    if (attempt >= config.retries) return response;
+
+    const delay = Math.min(retryAfterMs(response) ?? backoffMs(attempt, config), config.maxDelayMs * 2);
+    console.warn(`⚠️ ${service} responded ${response.status}; retrying in ${Math.round(delay)}ms`);
+    // Drain the body so the connection can be reused
+    await response.body?.cancel();
+    await sleep(delay, init.signal);
+  }
+}
@@ -0,0 +1,273 @@
+import { getEventListeners } from "node:events";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { delay, startServer } from "../test/http-server.js";
+
+let httpFetch;
+let CircuitOpenError;
+let TimeoutError;
+let runWithContext;
+let server;
+
+// Fast backoff so retry specs stay quick
+const FAST = { baseDelayMs: 1, maxDelayMs: 5 };
+
+beforeEach(async () => {
+  vi.resetModules();
+  // Fresh limiter and breaker state for every spec
+  ({ httpFetch, CircuitOpenError, TimeoutError } = await import("./http.js"));
+  ({ runWithContext } = await import("./run-context.js"));
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await server?.close();
+  server = null;
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+// Answers with the given statuses in turn, then 200
+function statuses(...list) {
+  return (request, response) => {
+    const status = list.shift() ?? 200;
+    response.writeHead(status, { "Content-Type": "text/plain" });
+    response.end(String(status));
+  };
+}
+
+describe("retries", () => {
+  it("retries retryable statuses and resolves with the first success", async () => {
+    server = await startServer(statuses(503, 502));
+    const response = await httpFetch("test", `${server.url}/ok`, {}, FAST);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe("200");
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it("resolves with the last response once the retries are used up", async () => {
+    server = await startServer(statuses(500, 500, 500, 500));
+    const response = await httpFetch("test", server.url, {}, { ...FAST, retries: 2 });
+
+    expect(response.status).toBe(500);
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it("does not retry other errors", async () => {
+    server = await startServer(statuses(404));
+    const response = await httpFetch("test", server.url, {}, FAST);
+
+    expect(response.status).toBe(404);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it("waits for Retry-After on 429", async () => {
+    let first = true;
+    server = await startServer((request, response) => {
+      response.writeHead(first ? 429 : 200, first ? { "Retry-After": "0.2" } : {});
+      first = false;
+      response.end();
+    });
+
+    const startedAt = Date.now();
+    const response = await httpFetch("test", server.url, {}, { baseDelayMs: 1, maxDelayMs: 1000 });
+    expect(response.status).toBe(200);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(190);
+  });
+
+  it("retries GitHub secondary rate limits (403 with an exhausted quota)", async () => {
+    let first = true;
+    server = await startServer((request, response) => {
+      response.writeHead(first ? 403 : 200, first ? { "X-RateLimit-Remaining": "0" } : {});
+      first = false;
+      response.end();
+    });
+
+    expect((await httpFetch("github", server.url, {}, FAST)).status).toBe(200);
+    expect(server.requests).toHaveLength(2);
+  });
+});
+
+describe("timeouts", () => {
+  it("fails a request that takes longer than the service timeout", async () => {
+    server = await startServer(async (request, response) => {
+      await delay(500);
+      response.end("late");
+    });
+
+    await expect(httpFetch("test", server.url, {}, { ...FAST, timeoutMs: 50, retries: 0 })).rejects.toThrow(
+      TimeoutError,
+    );
+  });
+
+  it("retries after a timeout", async () => {
+    let slow = true;
+    server = await startServer(async (request, response) => {
+      if (slow) {
+        slow = false;
+        await delay(500);
+      }
+      response.end("ok");
+    });
+
+    const response = await httpFetch("test", server.url, {}, { ...FAST, timeoutMs: 100, retries: 1 });
+    expect(await response.text()).toBe("ok");
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it("removes its abort listener from the caller's signal after each backoff", async () => {
+    server = await startServer(statuses(503, 503));
+    const controller = new AbortController();
+
+    expect((await httpFetch("test", server.url, { signal: controller.signal }, FAST)).status).toBe(200);
+    expect(getEventListeners(controller.signal, "abort")).toHaveLength(0);
+  });
+
+  it("rethrows a caller abort without retrying", async () => {
+    server = await startServer(async (request, response) => {
+      await delay(500);
+      response.end("late");
+    });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error("cancelled by caller")), 50);
+    await expect(httpFetch("test", server.url, { signal: controller.signal }, FAST)).rejects.toThrow(
+      "cancelled by caller",
+    );
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it("uses the run context's signal when the caller passes none", async () => {
+    server = await startServer(statuses());
+    const controller = new AbortController();
+    controller.abort(new Error("job cancelled"));
+
+    await expect(runWithContext({ signal: controller.signal }, () => httpFetch("test", server.url))).rejects.toThrow(
+      "job cancelled",
+    );
+    expect(server.requests).toHaveLength(0);
+  });
+});
+
+describe("concurrency limits", () => {
+  it("runs at most `concurrency` requests of a service at once", async () => {
+    let active = 0;
+    let peak = 0;
+    server = await startServer(async (request, response) => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(30);
+      active--;
+      response.end("ok");
+    });
+
+    const responses = await Promise.all(
+      Array.from({ length: 6 }, (_, index) => httpFetch("test", `${server.url}/${index}`, {}, { concurrency: 2 })),
+    );
+    expect(responses.map((response) => response.status)).toEqual(Array(6).fill(200));
+    expect(peak).toBe(2);
+  });
+
+  it("reads the LLM limit from LLM_MAX_CONCURRENCY", async () => {
+    vi.stubEnv("LLM_MAX_CONCURRENCY", "1");
+    let active = 0;
+    let peak = 0;
+    server = await startServer(async (request, response) => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(20);
+      active--;
+      response.end("ok");
+    });
+
+    await Promise.all(Array.from({ length: 3 }, () => httpFetch("llm", server.url)));
+    expect(peak).toBe(1);
+  });
+
+  it("limits each service separately", async () => {
+    let active = 0;
+    let peak = 0;
+    server = await startServer(async (request, response) => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(30);
+      active--;
+      response.end("ok");
+    });
+
+    await Promise.all([
+      httpFetch("service-a", server.url, {}, { concurrency: 1 }),
+      httpFetch("service-b", server.url, {}, { concurrency: 1 }),
+    ]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe("circuit breaker", () => {
+  const BREAKER = { ...FAST, retries: 0, failureThreshold: 2, cooldownMs: 100 };
+
+  it("opens after repeated failures and rejects without calling the service", async () => {
+    server = await startServer(statuses(500, 500));
+
+    expect((await httpFetch("test", server.url, {}, BREAKER)).status).toBe(500);
+    expect((await httpFetch("test", server.url, {}, BREAKER)).status).toBe(500);
+    await expect(httpFetch("test", server.url, {}, BREAKER)).rejects.toThrow(CircuitOpenError);
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it("lets a single probe through after the cooldown and closes when it succeeds", async () => {
+    server = await startServer(async (request, response) => {
+      if (server.requests.length <= 2) {
+        response.writeHead(500);
+      } else {
+        await delay(30);
+      }
+      response.end();
+    });
+
+    await httpFetch("test", server.url, {}, BREAKER);
+    await httpFetch("test", server.url, {}, BREAKER);
+    await delay(120);
+
+    const [probe, concurrent] = await Promise.allSettled([
+      httpFetch("test", server.url, {}, BREAKER),
+      httpFetch("test", server.url, {}, BREAKER),
+    ]);
+    expect(probe.value.status).toBe(200);
+    expect(concurrent.reason).toBeInstanceOf(CircuitOpenError);
+
+    expect((await httpFetch("test", server.url, {}, BREAKER)).status).toBe(200);
+    expect(server.requests).toHaveLength(4);
+  });
+
+  it("reopens when the probe fails", async () => {
+    server = await startServer(statuses(500, 500, 500));
+
+    await httpFetch("test", server.url, {}, BREAKER);
+    await httpFetch("test", server.url, {}, BREAKER);
+    await delay(120);
+
+    expect((await httpFetch("test", server.url, {}, BREAKER)).status).toBe(500);
+    await expect(httpFetch("test", server.url, {}, BREAKER)).rejects.toThrow(CircuitOpenError);
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it("does not count rate limits as failures", async () => {
+    server = await startServer(statuses(429, 429, 429, 403));
+
+    expect((await httpFetch("test", server.url, {}, BREAKER)).status).toBe(429);
+    expect((await httpFetch("test", server.url, {}, { ...BREAKER, retries: 1 })).status).toBe(429);
+    expect((await httpFetch("test", server.url, {}, BREAKER)).status).toBe(403);
+    expect((await httpFetch("test", server.url, {}, BREAKER)).status).toBe(200);
+    expect(server.requests).toHaveLength(5);
+  });
+
+  it("keeps a separate breaker per search provider", async () => {
+    server = await startServer(statuses(500, 500));
+
+    await httpFetch("search-serper", server.url, {}, BREAKER);
+    await httpFetch("search-serper", server.url, {}, BREAKER);
+    await expect(httpFetch("search-serper", server.url, {}, BREAKER)).rejects.toThrow(CircuitOpenError);
+    expect((await httpFetch("search-bing", server.url, {}, BREAKER)).status).toBe(200);
+  });
+});
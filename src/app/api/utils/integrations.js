@@ -0,0 +1,59 @@
+// Repository and Notion targets of a project
+//
+// The first export creates the repository or page; its remote IDs are then kept
+// in project_integrations, and later runs or POST /api/projects/:id/sync update
+// the same targets in place instead of creating new ones. The repository lives
+// on whichever git target it was created on (see git-targets.js).
+
+import { createRepository, isGitTargetConfigured, syncRepository } from "./git-targets.js";
+import { createNotionPage, syncNotionPage } from "./notion.js";
+import { scaffoldFiles } from "./scaffold.js";
+
+export const INTEGRATIONS = ["repository", "notion"];
+export const INTEGRATION_LABELS = { repository: "Git repository", notion: "Notion page" };
+
+export function isIntegrationConfigured(integration) {
+  return integration === "repository"
+    ? isGitTargetConfigured()
+    : Boolean(process.env.NOTION_API_KEY && process.env.NOTION_PARENT_PAGE_ID);
+}
+
+function fileFailures(failedFiles = []) {
+  return failedFiles.map(({ path, error }) => ({ item: path, message: error }));
+}
+
+/**
+ * Creates the target from a plan ({ interpretation, milestones, assignments,
+ * artifacts }). `options.repository` holds repository options (see
+ * parseRepositoryOptions). Returns { remote, diff, failures }, where `remote.url`
+ * links to the target and `failures` lists [{ item, message }] for content that
+ * could not be written.
+ */
+export async function createIntegration(integration, plan, options = {}) {
+  if (integration === "repository") {
+    const files = scaffoldFiles(plan.interpretation, plan.artifacts, plan.milestones);
+    const { failed_files, warnings, ...remote } = await createRepository(files, plan.interpretation, options.repository);
+    return {
+      remote,
+      diff: { added: remote.files, modified: [], removed: [], unchanged: 0, commit: null, failed_files },
+      failures: [...fileFailures(failed_files), ...warnings.map((message) => ({ item: remote.url, message }))],
+    };
+  }
+
+  const { remote, diff } = await createNotionPage(plan.interpretation, plan.milestones, plan.assignments, plan.artifacts);
+  return { remote, diff, failures: diff.failures };
+}
+
+// Updates a remembered target in place; same result shape as createIntegration
+export async function syncIntegration(integration, remote, plan, { dryRun = false } = {}) {
+  if (integration === "repository") {
+    const files = scaffoldFiles(plan.interpretation, plan.artifacts, plan.milestones);
+    const result = await syncRepository(remote, files, { dryRun });
+    return { ...result, failures: fileFailures(result.diff.failed_files) };
+  }
+
+  const result = await syncNotionPage(remote, plan.interpretation, plan.milestones, plan.assignments, plan.artifacts, {
+    dryRun,
+  });
+  return { ...result, failures: result.diff.failures };
+}
@@ -0,0 +1,241 @@
+// In-process job queue for generation runs
+//
+// Jobs live in the memory of the server process: they survive a closed browser
+// tab but not a server restart. Finished jobs are kept for JOB_RETENTION_MINUTES
+// so clients can still poll the result.
+
+import { randomUUID } from "node:crypto";
+import { describeError, generateProject } from "./generation.js";
+import { runWithContext } from "./run-context.js";
+
+const MAX_EVENTS = 1000;
+const TERMINAL_STATUSES = new Set(["completed", "failed", "cancelled"]);
+
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super("Generation was cancelled");
+    this.name = "JobCancelledError";
+    this.jobId = jobId;
+  }
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+export function isTerminal(job) {
+  return TERMINAL_STATUSES.has(job.status);
+}
+
+// Listeners receive every event, including the final result; only progress
+// events are kept on the job for polling
+function publish(job, event, { store = true } = {}) {
+  if (store) {
+    job.events.push(event);
+    const overflow = job.events.length - MAX_EVENTS;
+    if (overflow > 0) {
+      job.events.splice(0, overflow);
+      job.droppedEvents += overflow;
+    }
+  }
+
+  for (const listener of job.listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error("Job listener failed:", error.message);
+    }
+  }
+}
+
+function finish(job, status, fields) {
+  Object.assign(job, fields, { status, finished_at: new Date().toISOString() });
+
+  const event =
+    status === "completed"
+      ? { type: "result", result: job.result }
+      : { type: "error", status, ...job.error };
+  publish(job, { ...event, timestamp: job.finished_at }, { store: false });
+  job.listeners.clear();
+
+  const retentionMs = envNumber("JOB_RETENTION_MINUTES", 60) * 60 * 1000;
+  setTimeout(() => jobs.delete(job.id), retentionMs).unref?.();
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.started_at = new Date().toISOString();
+  publish(job, { type: "job_started", timestamp: job.started_at });
+
+  const context = {
+    onProgress: (event) => {
+      if (event.type === "project_created") job.project_id = event.project_id;
+      publish(job, event);
+    },
+    onStepResult: (step, output) => {
+      job.partial[step] = output;
+    },
+    signal: job.controller.signal,
+  };
+
+  try {
+    const result = await runWithContext(context, () => job.execute(job.input));
+    finish(job, "completed", { result, project_id: result.project_id ?? job.project_id });
+  } catch (error) {
+    const { signal } = job.controller;
+    if (signal.aborted) {
+      signal.reason.usage ??= error.usage;
+      finish(job, "cancelled", { error: describeError(signal.reason) });
+    } else {
+      console.error("❌ Enhanced project generation failed:", error);
+      finish(job, "failed", { error: describeError(error) });
+    }
+  }
+}
+
+function drainQueue() {
+  const limit = envNumber("MAX_CONCURRENT_JOBS", 2);
+
+  while (running < limit && queue.length > 0) {
+    const job = queue.shift();
+    if (job.status !== "queued") continue;
+
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+}
+
+// `execute` runs the generation: generateProject for new runs, resumeProject for resumes
+export function createJob(input, execute = generateProject) {
+  const job = {
+    id: randomUUID(),
+    status: "queued",
+    input,
+    execute,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    events: [],
+    droppedEvents: 0,
+    partial: {},
+    result: null,
+    project_id: input.project?.id ?? null,
+    error: null,
+    controller: new AbortController(),
+    listeners: new Set(),
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  // Deferred so callers can subscribe before the first event
+  queueMicrotask(drainQueue);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// The unfinished job working on a saved project, if any
+export function findActiveJob(projectId) {
+  for (const job of jobs.values()) {
+    if (job.project_id === projectId && !isTerminal(job)) return job;
+  }
+  return null;
+}
+
+export function subscribe(job, listener) {
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+// Aborts in-flight HTTP calls of a running job; returns false once it has finished
+export function cancelJob(job) {
+  if (isTerminal(job)) return false;
+
+  const error = new JobCancelledError(job.id);
+  job.controller.abort(error);
+
+  if (job.status === "queued") {
+    finish(job, "cancelled", { error: describeError(error) });
+  }
+  return true;
+}
+
+// Public view of a job; `after` skips events the client has already seen
+export function serializeJob(job, { after = 0 } = {}) {
+  const firstIndex = job.droppedEvents;
+  const start = Math.max(0, after - firstIndex);
+
+  return {
+    job_id: job.id,
+    status: job.status,
+    mode: job.input.mode ?? job.input.project?.mode,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    project_id: job.project_id,
+    events: job.events.slice(start),
+    next_event: firstIndex + job.events.length,
+    partial: job.partial,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+// Streams a job's progress events as NDJSON: a "job" event with its id first,
+// then progress, ending with a "result" or "error" event. Closing the stream
+// does not cancel the job.
+function streamJob(job) {
+  const encoder = new TextEncoder();
+  let unsubscribe = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (event) => {
+        try {
+          controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+        } catch {
+          // Client went away; the job keeps running
+          unsubscribe();
+          return;
+        }
+        if (event.type === "result" || event.type === "error") {
+          unsubscribe();
+          controller.close();
+        }
+      };
+
+      send({ type: "job", timestamp: new Date().toISOString(), job_id: job.id });
+      unsubscribe = subscribe(job, send);
+    },
+    cancel() {
+      unsubscribe();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-cache",
+    },
+  });
+}
+
+// 202 with the job id to poll, or the job's NDJSON event stream
+export function jobResponse(job, { stream = false } = {}) {
+  if (stream) return streamJob(job);
+
+  return Response.json(
+    { job_id: job.id, status: job.status, status_url: `/api/jobs/${job.id}` },
+    { status: 202 },
+  );
+}
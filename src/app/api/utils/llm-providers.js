@@ -0,0 +1,150 @@
+// LLM provider adapters used by callLLM
+//
+// Each provider declares whether it supports a native JSON response mode,
+// its default models per tier ("strong" for heavy generation, "fast" for cheap
+// analysis steps) and how to build requests and read responses.
+
+function openAIChatBody({ model, systemPrompt, userPrompt, jsonMode, temperature, maxTokens }) {
+  return {
+    model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt },
+    ],
+    response_format: jsonMode ? { type: "json_object" } : undefined,
+    temperature,
+    max_tokens: maxTokens,
+  };
+}
+
+function parseOpenAIChat(data) {
+  return {
+    content: data.choices[0].message.content,
+    model: data.model,
+    usage: {
+      prompt_tokens: data.usage?.prompt_tokens ?? null,
+      completion_tokens: data.usage?.completion_tokens ?? null,
+    },
+  };
+}
+
+const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    capabilities: { jsonMode: true },
+    models: () => ({ strong: "gpt-4o", fast: "gpt-4o-mini" }),
+    connection() {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey) throw new Error("OPENAI_API_KEY not configured");
+      const baseUrl = process.env.OPENAI_BASE_URL || "https://eu.api.openai.com/v1";
+      return {
+        url: () => `${baseUrl}/chat/completions`,
+        headers: { Authorization: `Bearer ${apiKey}` },
+      };
+    },
+    buildBody: openAIChatBody,
+    parseResponse: parseOpenAIChat,
+  },
+
+  azure: {
+    label: "Azure OpenAI",
+    capabilities: { jsonMode: true },
+    // Azure addresses models by deployment name
+    models: () => ({
+      strong: process.env.AZURE_OPENAI_DEPLOYMENT,
+      fast: process.env.AZURE_OPENAI_FAST_DEPLOYMENT || process.env.AZURE_OPENAI_DEPLOYMENT,
+    }),
+    connection() {
+      const apiKey = process.env.AZURE_OPENAI_API_KEY;
+      const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+      if (!apiKey || !endpoint) {
+        throw new Error("AZURE_OPENAI_API_KEY or AZURE_OPENAI_ENDPOINT not configured");
+      }
+      const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2024-06-01";
+      return {
+        url: (model) =>
+          `${endpoint.replace(/\/+$/, "")}/openai/deployments/${model}/chat/completions?api-version=${apiVersion}`,
+        headers: { "api-key": apiKey },
+      };
+    },
+    buildBody: openAIChatBody,
+    parseResponse: parseOpenAIChat,
+  },
+
+  anthropic: {
+    label: "Anthropic",
+    // No native JSON mode: JSON is requested in the prompt and extracted from the text
+    capabilities: { jsonMode: false },
+    models: () => ({ strong: "claude-3-5-sonnet-latest", fast: "claude-3-5-haiku-latest" }),
+    connection() {
+      const apiKey = process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) throw new Error("ANTHROPIC_API_KEY not configured");
+      const baseUrl = process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1";
+      return {
+        url: () => `${baseUrl}/messages`,
+        headers: { "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
+      };
+    },
+    buildBody({ model, systemPrompt, userPrompt, temperature, maxTokens }) {
+      return {
+        model,
+        system: systemPrompt,
+        messages: [{ role: "user", content: userPrompt }],
+        temperature,
+        max_tokens: maxTokens,
+      };
+    },
+    parseResponse(data) {
+      return {
+        content: data.content
+          .filter((block) => block.type === "text")
+          .map((block) => block.text)
+          .join(""),
+        model: data.model,
+        usage: {
+          prompt_tokens: data.usage?.input_tokens ?? null,
+          completion_tokens: data.usage?.output_tokens ?? null,
+        },
+      };
+    },
+  },
+
+  // Any server speaking the OpenAI chat completions API (Ollama, vLLM, LM Studio, ...)
+  "openai-compatible": {
+    label: "OpenAI-compatible",
+    capabilities: { jsonMode: true },
+    // There is no default model; LLM_MODEL / LLM_FAST_MODEL name this server's models only when it is
+    // LLM_PROVIDER (as in resolveLLMConfig), otherwise a request or step override must name the model
+    models() {
+      if (process.env.LLM_PROVIDER !== "openai-compatible") return {};
+      return { strong: process.env.LLM_MODEL, fast: process.env.LLM_FAST_MODEL || process.env.LLM_MODEL };
+    },
+    connection() {
+      const baseUrl = process.env.LLM_BASE_URL;
+      if (!baseUrl) throw new Error("LLM_BASE_URL not configured");
+      return {
+        url: () => `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        headers: process.env.LLM_API_KEY ? { Authorization: `Bearer ${process.env.LLM_API_KEY}` } : {},
+      };
+    },
+    buildBody: openAIChatBody,
+    parseResponse: parseOpenAIChat,
+  },
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${LLM_PROVIDER_NAMES.join(", ")}`);
+  }
+
+  // Some local servers reject response_format; LLM_JSON_MODE=false falls back to prompt-only JSON
+  const capabilities =
+    name === "openai-compatible" && process.env.LLM_JSON_MODE === "false"
+      ? { ...provider.capabilities, jsonMode: false }
+      : provider.capabilities;
+
+  return { name, ...provider, capabilities };
+}
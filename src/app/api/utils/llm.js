@@ -1,52 +1,285 @@
 // LLM utility for OpenAI-compatible API calls
 
-async function callLLM(systemPrompt, userPrompt, jsonMode = true) {
-  const apiKey = process.env.OPENAI_API_KEY;
+import { emitProgress, getRunContext } from "./run-context.js";
+import { getProvider } from "./llm-providers.js";
+import { httpFetch } from "./http.js";
+import { describeContributor } from "./contributors.js";
+import { repairPlanGraph } from "./plan-graph.js";
+import { scheduleProject } from "./scheduler.js";
+import { withBibliography } from "./citations.js";
+import { estimateTokens } from "./usage.js";
+import {
+  interpretationSchema,
+  milestonesSchema,
+  assignmentProposalSchema,
+  artifactsSchema,
+  milestoneRevisionSchema,
+  artifactRevisionSchema,
+  clarifyingQuestionsSchema,
+} from "./schemas.js";
+
+// Per-step defaults: cheap analysis steps run on the provider's "fast" model
+const STEP_DEFAULTS = {
+  generateArtifacts: { max_tokens: 8000 },
+  assignTasksAndTimeline: { temperature: 0.4 },
+  analyzeSearchResults: { tier: "fast", temperature: 0.3, max_tokens: 1500 },
+  synthesizeMultipleSearches: { tier: "fast", temperature: 0.3, max_tokens: 2000 },
+  summarizePageChunk: { tier: "fast", temperature: 0.2, max_tokens: 600 },
+  planResearchStrategy: { tier: "fast", temperature: 0.3, max_tokens: 1000 },
+  validateCriterion: { temperature: 0.2 },
+  reviseArtifact: { max_tokens: 6000 },
+  generateClarifyingQuestions: { tier: "fast", temperature: 0.4, max_tokens: 1500 },
+};
+
+const CONFIG_KEYS = ["provider", "model", "tier", "temperature", "max_tokens"];
+
+function pickConfig(source = {}) {
+  return Object.fromEntries(
+    CONFIG_KEYS.filter((key) => source[key] !== undefined && source[key] !== null).map((key) => [key, source[key]]),
+  );
+}
 
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY not configured");
+function readStepConfigEnv() {
+  if (!process.env.LLM_STEP_CONFIG) return {};
+  try {
+    return JSON.parse(process.env.LLM_STEP_CONFIG);
+  } catch {
+    console.warn("⚠️ LLM_STEP_CONFIG is not valid JSON - ignoring it");
+    return {};
   }
+}
 
-  // Ensure JSON mode prompts contain the word "json"
-  const finalSystemPrompt = jsonMode && !systemPrompt.toLowerCase().includes('json') 
-    ? systemPrompt + "\n\nYou must respond with valid JSON only."
-    : systemPrompt;
+// Precedence: env defaults < step defaults < LLM_STEP_CONFIG < request `llm` < request `llm.steps`
+export function resolveLLMConfig(step) {
+  const requestConfig = getRunContext().llm || {};
+  const envProvider = process.env.LLM_PROVIDER || "openai";
+
+  const config = {
+    provider: envProvider,
+    tier: "strong",
+    temperature: process.env.LLM_TEMPERATURE ? Number(process.env.LLM_TEMPERATURE) : 0.8,
+    max_tokens: process.env.LLM_MAX_TOKENS ? Number(process.env.LLM_MAX_TOKENS) : 4000,
+    ...pickConfig(STEP_DEFAULTS[step]),
+    ...pickConfig(readStepConfigEnv()[step]),
+    ...pickConfig(requestConfig),
+    ...pickConfig(requestConfig.steps?.[step]),
+  };
+
+  if (!config.model) {
+    // LLM_MODEL / LLM_FAST_MODEL name models of LLM_PROVIDER; other providers use their own defaults
+    const tierEnv = config.tier === "fast" ? process.env.LLM_FAST_MODEL : process.env.LLM_MODEL;
+    const envModel = config.provider === envProvider ? tierEnv : undefined;
+    config.model = envModel || getProvider(config.provider).models()[config.tier];
+  }
 
-  const finalUserPrompt = jsonMode && !userPrompt.toLowerCase().includes('json')
-    ? userPrompt + "\n\nReturn only valid JSON."
-    : userPrompt;
+  if (!config.model) {
+    throw new Error(`No model configured for LLM provider "${config.provider}" (step: ${step || "default"})`);
+  }
+
+  return config;
+}
+
+// Providers without a native JSON mode may wrap the JSON in prose or code fences
+function parseJsonContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const unfenced = content.replace(/```(?:json)?/gi, "");
+    const start = unfenced.search(/[[{]/);
+    const end = Math.max(unfenced.lastIndexOf("}"), unfenced.lastIndexOf("]"));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+}
+
+// Thrown when a step's output still fails its schema after all repair attempts
+export class LLMOutputError extends Error {
+  constructor(step, validationErrors, attempts) {
+    super(`LLM output for ${step || "call"} failed validation after ${attempts} attempt(s): ${validationErrors.join("; ")}`);
+    this.name = "LLMOutputError";
+    this.step = step || null;
+    this.validationErrors = validationErrors;
+    this.attempts = attempts;
+  }
+}
+
+function maxRepairAttempts() {
+  // An empty value counts as unset rather than as Number("") = 0
+  const value = process.env.LLM_MAX_REPAIR_ATTEMPTS ? Number(process.env.LLM_MAX_REPAIR_ATTEMPTS) : NaN;
+  return Number.isInteger(value) && value >= 0 ? value : 2;
+}
+
+async function requestCompletion(config, provider, systemPrompt, userPrompt, jsonMode, { step, agent } = {}) {
+  const { usage } = getRunContext();
+  const estimate = {
+    prompt_tokens: estimateTokens(systemPrompt) + estimateTokens(userPrompt),
+    completion_tokens: config.max_tokens,
+  };
+  // Sets the call's worst-case cost aside; throws once the run's budget cannot cover it
+  const reservation = usage?.reserve({ model: config.model, ...estimate });
+
+  try {
+    return await sendCompletion(config, provider, systemPrompt, userPrompt, jsonMode, { step, agent, estimate });
+  } finally {
+    usage?.release(reservation);
+  }
+}
+
+async function sendCompletion(config, provider, systemPrompt, userPrompt, jsonMode, { step, agent, estimate }) {
+  const { usage } = getRunContext();
+  const connection = provider.connection();
+  const startedAt = Date.now();
 
-  const response = await fetch("https://eu.api.openai.com/v1/chat/completions", {
+  const response = await httpFetch("llm", connection.url(config.model), {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
+      ...connection.headers,
     },
-    body: JSON.stringify({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: finalSystemPrompt },
-        { role: "user", content: finalUserPrompt },
-      ],
-      response_format: jsonMode ? { type: "json_object" } : undefined,
-      temperature: 0.8,
-      max_tokens: 4000,
-    }),
+    body: JSON.stringify(
+      provider.buildBody({
+        model: config.model,
+        systemPrompt,
+        userPrompt,
+        jsonMode: jsonMode && provider.capabilities.jsonMode,
+        temperature: config.temperature,
+        maxTokens: config.max_tokens,
+      }),
+    ),
   });
 
   if (!response.ok) {
     const error = await response.text();
-    throw new Error(`OpenAI API error: ${error}`);
+    throw new Error(`${provider.label} API error: ${error}`);
   }
 
-  const data = await response.json();
-  const content = data.choices[0].message.content;
+  const { content, model, usage: tokens } = provider.parseResponse(await response.json());
+  const call = {
+    step: step || null,
+    agent: agent || null,
+    provider: provider.name,
+    model: model || config.model,
+    prompt_tokens: tokens?.prompt_tokens ?? null,
+    completion_tokens: tokens?.completion_tokens ?? null,
+    duration_ms: Date.now() - startedAt,
+  };
+  const recorded = usage?.record(call, estimate);
+
+  emitProgress("llm_call", {
+    ...call,
+    estimated_cost_usd: recorded?.estimated_cost_usd ?? null,
+    description: systemPrompt.trim().split("\n")[0].slice(0, 120),
+  });
+
+  return content;
+}
+
+// Parses (and, with a schema, validates) a JSON response; returns { value } or { errors }
+async function checkJsonContent(content, schema) {
+  let parsed;
+  try {
+    parsed = parseJsonContent(content);
+  } catch (error) {
+    return { errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  if (!schema) return { value: parsed };
 
-  return jsonMode ? JSON.parse(content) : content;
+  try {
+    return { value: await schema.validate(parsed, { abortEarly: false }) };
+  } catch (error) {
+    if (error.name !== "ValidationError") throw error;
+    return { errors: error.errors };
+  }
+}
+
+// options: { step, agent, schema } - step/agent tag the call in usage accounting
+async function callLLM(systemPrompt, userPrompt, jsonMode = true, options = {}) {
+  const config = resolveLLMConfig(options.step);
+  const provider = getProvider(config.provider);
+
+  // Ensure JSON mode prompts contain the word "json"
+  const finalSystemPrompt = jsonMode && !systemPrompt.toLowerCase().includes('json') 
+    ? systemPrompt + "\n\nYou must respond with valid JSON only."
+    : systemPrompt;
+
+  const finalUserPrompt = jsonMode && !userPrompt.toLowerCase().includes('json')
+    ? userPrompt + "\n\nReturn only valid JSON."
+    : userPrompt;
+
+  let content = await requestCompletion(config, provider, finalSystemPrompt, finalUserPrompt, jsonMode, options);
+  if (!jsonMode) return content;
+
+  const maxRepairs = options.schema ? maxRepairAttempts() : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const { value, errors } = await checkJsonContent(content, options.schema);
+    if (!errors) return value;
+
+    if (attempt >= maxRepairs) {
+      throw new LLMOutputError(options.step, errors, attempt + 1);
+    }
+
+    console.warn(`⚠️ ${options.step || "LLM"} output failed validation, requesting repair:`, errors);
+    emitProgress("llm_repair", { step: options.step || null, attempt: attempt + 1, errors });
+
+    const repairPrompt = `${finalUserPrompt}
+
+Your previous response was:
+${content}
+
+It failed validation with these errors:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Return the complete corrected JSON only.`;
+
+    content = await requestCompletion(config, provider, finalSystemPrompt, repairPrompt, jsonMode, options);
+  }
+}
+
+// Owner answers from the clarification round ([{ question, answer }]) as prompt context
+function clarificationsText(clarifications) {
+  const answered = (clarifications || []).filter((c) => c.answer?.trim());
+  if (answered.length === 0) return "";
+
+  return `\n\nClarifications from the project owner:\n${answered
+    .map((c) => `- Q: ${c.question}\n  A: ${c.answer}`)
+    .join("\n")}`;
+}
+
+// Step 0 (optional): Clarifying questions about a vague idea
+export async function generateClarifyingQuestions(projectIdea, specialInstructions = "") {
+  const systemPrompt = `You are a senior project architect preparing to scope a new project. Before planning, you ask the project owner the few questions whose answers would change the plan the most.
+
+You must respond with valid JSON only, following this exact schema:
+{
+  "questions": [
+    {
+      "question": "string - one specific question for the project owner",
+      "topic": "string - short topic, e.g. 'target users', 'data availability', 'deadline', 'compliance'",
+      "why": "string - how the answer changes the plan",
+      "suggested_answers": ["array of 2-4 short example answers, or empty array"]
+    }
+  ]
+}`;
+
+  const specialInstructionsText = specialInstructions ? `\n\nSpecial Instructions: ${specialInstructions}` : "";
+
+  const userPrompt = `Project idea: ${projectIdea}${specialInstructionsText}
+
+Ask 3-7 clarifying questions about what the idea leaves open, for example target users, data availability, deadline, team constraints, budget, compliance or regulatory needs, and integration with existing systems. Skip anything the idea already answers, and order the questions by how much the answer would change the plan.
+
+Return only valid JSON.`;
+
+  return await callLLM(systemPrompt, userPrompt, true, {
+    step: "generateClarifyingQuestions",
+    agent: "pipeline",
+    schema: clarifyingQuestionsSchema,
+  });
 }
 
 // Step 1: Project Interpretation
-export async function interpretProject(projectIdea, specialInstructions = "") {
+export async function interpretProject(projectIdea, specialInstructions = "", context = {}) {
   const systemPrompt = `You are a senior project architect and technical lead with expertise in software engineering, research, and product development. 
 
 Your task is to analyze the project idea and create a comprehensive, detailed project interpretation that will serve as the foundation for a professional implementation.
@@ -67,8 +300,13 @@ You must respond with valid JSON only, following this exact schema:
 }`;
 
   const specialInstructionsText = specialInstructions ? `\n\nSpecial Instructions: ${specialInstructions}` : "";
+  const researchText = context.research ? `\n\nResearch Findings:\n${context.research}` : "";
+  const clarifications = clarificationsText(context.clarifications);
+  const clarificationsNote = clarifications
+    ? "\n\nTreat the owner's clarifications as confirmed facts. Only list points that are still open in scope_assumptions."
+    : "";
 
-  const userPrompt = `Project idea: ${projectIdea}${specialInstructionsText}
+  const userPrompt = `Project idea: ${projectIdea}${specialInstructionsText}${clarifications}${researchText}${clarificationsNote}
 
 Provide a thorough, professional analysis of this project. Consider:
 
@@ -88,7 +326,11 @@ Be thorough, professional, and realistic in your analysis. This will be used to
 
 Return only valid JSON.`;
 
-  return await callLLM(systemPrompt, userPrompt, true);
+  return await callLLM(systemPrompt, userPrompt, true, {
+    step: "interpretProject",
+    agent: "pipeline",
+    schema: interpretationSchema,
+  });
 }
 
 // Step 2: Task & Milestone Generation
@@ -158,55 +400,57 @@ Use specific expertise areas from the available team members, and also include:
 
 Return only valid JSON.`;
 
-  return await callLLM(systemPrompt, userPrompt, true);
+  const options = { step: "generateTasksAndMilestones", agent: "pipeline", schema: milestonesSchema };
+  const draft = await callLLM(systemPrompt, userPrompt, true, options);
+
+  // Dependency problems go back to the model once; whatever is left is repaired here
+  const issues = repairPlanGraph(draft).repairs;
+  let corrected = draft;
+  if (issues.length > 0) {
+    console.warn(`⚠️ Milestone dependency graph has ${issues.length} problem(s), requesting a correction`);
+    emitProgress("graph_issues", { step: options.step, issues: issues.map((issue) => issue.message) });
+
+    const correctionPrompt = `${userPrompt}
+
+Your previous response was:
+${JSON.stringify(draft, null, 2)}
+
+Its dependency graph has these problems:
+${issues.map((issue) => `- ${issue.message}`).join("\n")}
+
+Task IDs must be unique across all milestones, dependencies must reference existing tasks or milestones, and there must be no cycles. A task may only depend on tasks of its own milestone, of milestones listed before it, or of milestones its milestone lists in its dependencies.
+
+Return the complete corrected JSON only.`;
+    corrected = await callLLM(systemPrompt, correctionPrompt, true, options);
+  }
+
+  const { milestones, repairs } = repairPlanGraph(corrected);
+  return {
+    ...milestones,
+    graph_repairs: { issues, llm_corrected: issues.length > 0, repairs },
+  };
 }
 
 // Step 3: Assignment & Timeline
-export async function assignTasksAndTimeline(milestones, contributors, specialInstructions = "") {
-  const systemPrompt = `You are a senior resource allocation expert and project scheduler with expertise in optimizing team productivity and project delivery speed.
+export async function assignTasksAndTimeline(milestones, contributors, specialInstructions = "", context = {}) {
+  const systemPrompt = `You are a senior resource allocation expert with expertise in optimizing team productivity and project delivery speed.
 
-Your goal is to create an optimal task assignment and timeline that maximizes parallel work, leverages each team member's strengths, and delivers the project as quickly as possible while maintaining quality.
+Your goal is to decide who works on each task so the team can work in parallel, each team member's strengths are used, and nobody becomes a bottleneck. Start and end weeks are computed afterwards by a scheduler from task dependencies, estimated hours and each person's weekly capacity, so do not produce dates or a weekly schedule.
 
 You must respond with valid JSON only, following this exact schema:
 {
-  "timeline_strategy": "string - brief description of the overall timeline approach",
-  "total_estimated_weeks": "number - total project duration in weeks",
+  "timeline_strategy": "string - brief description of the overall staffing and sequencing approach",
   "assignments": [
     {
       "task_id": "string - task ID",
-      "assigned_to": "string - contributor name",
-      "start_week": "number - week when task should start (1-based)",
-      "end_week": "number - week when task should complete (1-based)",
+      "assigned_to": "string - contributor name, exactly as listed",
       "assignment_rationale": "string - why this person was chosen for this task",
       "collaboration_notes": "string - any notes about working with others on this task"
     }
-  ],
-  "weekly_schedule": [
-    {
-      "week": "number - week number",
-      "active_tasks": [
-        {
-          "task_id": "string - task ID",
-          "assigned_to": "string - contributor name",
-          "status": "string - 'starting', 'continuing', or 'completing'"
-        }
-      ],
-      "milestone_completions": ["array of milestone names completing this week"]
-    }
-  ],
-  "workload_distribution": [
-    {
-      "contributor": "string - contributor name",
-      "total_hours": "number - total estimated hours across all tasks",
-      "peak_week_hours": "number - highest weekly hour commitment",
-      "utilization_notes": "string - notes about this person's workload and capacity"
-    }
   ]
 }`;
 
-  const contributorList = contributors
-    .map((c) => `${c.name}: ${c.expertise.join(", ")}`)
-    .join("\n");
+  const contributorList = contributors.map(describeContributor).join("\n");
 
   const milestoneList = milestones.milestones
     .map((m, i) => `
@@ -215,50 +459,51 @@ Description: ${m.description}
 Duration: ${m.duration_weeks} weeks
 Dependencies: ${m.dependencies.length > 0 ? m.dependencies.join(", ") : "None"}
 Tasks:
-${m.tasks.map(t => `  - ${t.id}: ${t.title} (${t.estimated_hours}h, ${t.priority} priority, Expertise: ${t.required_expertise.join(", ")}, Parallel: ${t.can_parallel})`).join("\n")}`)
+${m.tasks.map(t => `  - ${t.id}: ${t.title} (${t.estimated_hours}h, ${t.priority} priority, Expertise: ${t.required_expertise.join(", ")}, Parallel: ${t.can_parallel}, Depends on: ${t.dependencies.join(", ") || "none"})`).join("\n")}`)
     .join("\n");
 
   const specialInstructionsText = specialInstructions ? `\n\nSpecial Instructions: ${specialInstructions}` : "";
 
-  const userPrompt = `Team Members:
-${contributorList}
-
-Project Breakdown:
-${milestoneList}${specialInstructionsText}
+  const startDateText = context.start_date ? `\n\nProject start date: ${context.start_date}` : "";
 
-Create an optimal assignment and timeline strategy that:
+  const userPrompt = `Team Members (seniority, time zone, weekly hours and availability where known):
+${contributorList}${startDateText}
 
-1. **Maximizes Parallel Work**: Assign tasks that can run in parallel to different team members
-2. **Leverages Expertise**: Match tasks to team members based on their specific skills and experience
-3. **Balances Workload**: Ensure no team member is overloaded while others are underutilized
-4. **Respects Dependencies**: Honor task and milestone dependencies while minimizing waiting time
-5. **Optimizes for Speed**: Structure the timeline to complete the project as quickly as possible
-6. **Enables Collaboration**: Consider tasks that benefit from collaboration between team members
-7. **Follows Special Instructions**: Incorporate any specific assignment preferences or constraints
-
-For each assignment, consider:
-- Does this person have the right expertise?
-- Can they work on this in parallel with their other tasks?
-- Are there dependencies that affect the start date?
-- Would collaboration with another team member be beneficial?
-- Is the workload balanced across the timeline?
+Project Breakdown:
+${milestoneList}${specialInstructionsText}${clarificationsText(context.clarifications)}
 
-Create a realistic weekly schedule that shows what everyone is working on each week, when milestones complete, and how the work flows from start to finish.
+Assign every task to exactly one team member so that:
 
-Assume team members can work 30-40 hours per week on this project, and consider that some tasks may benefit from pair programming or collaboration.
+1. **Leverages Expertise**: Tasks go to team members with the matching skills and experience
+2. **Maximizes Parallel Work**: Independent tasks are spread across different team members
+3. **Balances Workload**: Total hours are spread so no one person holds up the project
+4. **Protects the Critical Path**: Long dependency chains go to people who are not also carrying many parallel tasks
+5. **Respects Availability**: People with fewer weekly hours, a later start date or planned absences should not hold critical-path work during those periods
+6. **Uses Seniority**: Senior and lead members own architecture and critical tasks; junior members get well-scoped tasks with a named reviewer in the collaboration notes
+7. **Enables Collaboration**: Note where a task benefits from working with another team member, preferring people with overlapping time zones for tightly coupled work
+8. **Follows Special Instructions**: Incorporate any specific assignment preferences or constraints
 
 Return only valid JSON.`;
 
-  return await callLLM(systemPrompt, userPrompt, true);
+  const proposal = await callLLM(systemPrompt, userPrompt, true, {
+    step: "assignTasksAndTimeline",
+    agent: "pipeline",
+    schema: assignmentProposalSchema,
+  });
+  return scheduleProject(milestones, proposal, contributors, { startDate: context.start_date });
 }
 
 // Step 4: Artifact Generation
+// context.research is the orchestrator's brief; context.sources its numbered bibliography
 export async function generateArtifacts(
   interpretation,
   milestones,
   assignments,
   projectIdea,
+  context = {},
 ) {
+  const sources = context.sources || [];
+
   const systemPrompt = `You are a senior technical writer, software architect, and academic researcher with expertise in creating professional documentation, scientific papers, and production-ready code structures.
 
 Create comprehensive, professional artifacts that could be used immediately in a real project or research setting.
@@ -290,7 +535,7 @@ Primary Technologies: ${interpretation.primary_technologies.join(", ")}
 Target Audience: ${interpretation.target_audience}
 Business Value: ${interpretation.business_value}
 
-Original Project Idea: ${projectIdea}
+Original Project Idea: ${projectIdea}${context.research ? `\n\nResearch Findings:\n${context.research}` : ""}
 
 Generate comprehensive, professional artifacts:
 
@@ -304,7 +549,7 @@ Create a complete, professional README that includes:
 - License and acknowledgments
 - Troubleshooting section
 - Performance benchmarks (if applicable)
-- Roadmap and future features
+- Roadmap and future features${sources.length ? "\n- References: cite the numbered research sources inline as [n] where the README relies on them" : ""}
 
 ## 2. Academic Paper
 Write a publication-ready scientific paper (6-8 pages) with:
@@ -316,7 +561,11 @@ Write a publication-ready scientific paper (6-8 pages) with:
 - **Expected Results**: Anticipated outcomes and performance metrics
 - **Discussion**: Implications, limitations, and future work
 - **Conclusion**: Summary of contributions and impact
-- **References**: Relevant citations (use placeholder format)
+- **References**: ${
+    sources.length
+      ? "Cite the numbered sources from the research findings inline as [n], using the same numbers; end with a References section (its list is filled in from those sources)"
+      : "Relevant citations (use placeholder format)"
+  }
 - Proper academic formatting with sections, subsections, and figures
 
 ## 3. Code Structure & Architecture
@@ -366,7 +615,185 @@ Make everything production-ready, well-documented, and immediately usable. Use p
 
 Return only valid JSON.`;
 
-  return await callLLM(systemPrompt, userPrompt, true);
+  const artifacts = await callLLM(systemPrompt, userPrompt, true, {
+    step: "generateArtifacts",
+    agent: "pipeline",
+    schema: artifactsSchema,
+  });
+  if (sources.length === 0) return artifacts;
+
+  // The model writes the [n] markers; the reference lists come from the retrieved sources
+  return {
+    ...artifacts,
+    readme: withBibliography(artifacts.readme, sources),
+    paper_draft: withBibliography(artifacts.paper_draft, sources),
+  };
+}
+
+// Section revisions: regenerate one part of a saved plan from user feedback.
+// The current version is included so unrelated content stays as it is.
+
+export async function reviseInterpretation(interpretation, projectIdea, feedback) {
+  const systemPrompt = `You are a senior project architect revising an existing project interpretation based on reviewer feedback.
+
+Apply the requested changes and keep everything the feedback does not touch. Respond with valid JSON only, using the same schema as the current interpretation.`;
+
+  const userPrompt = `Original project idea: ${projectIdea}
+
+Current interpretation:
+${JSON.stringify(interpretation, null, 2)}
+
+Requested changes:
+${feedback}
+
+Return the complete revised interpretation as JSON.`;
+
+  return await callLLM(systemPrompt, userPrompt, true, {
+    step: "reviseInterpretation",
+    agent: "pipeline",
+    schema: interpretationSchema,
+  });
+}
+
+// Returns { milestones: [...] } replacing the milestone at `milestoneIndex`; it may be split
+export async function reviseMilestone(milestones, milestoneIndex, interpretation, feedback) {
+  const milestone = milestones.milestones[milestoneIndex];
+  const otherTaskIds = milestones.milestones
+    .filter((_, index) => index !== milestoneIndex)
+    .flatMap((m) => m.tasks.map((t) => t.id));
+
+  const systemPrompt = `You are a senior project manager revising one milestone of an existing project plan based on reviewer feedback.
+
+You must respond with valid JSON only, following this exact schema:
+{
+  "milestones": [
+    {
+      "name": "string - descriptive milestone name",
+      "description": "string - what this milestone achieves",
+      "duration_weeks": "number - estimated duration in weeks",
+      "dependencies": ["array of milestone names this depends on, or empty array"],
+      "deliverables": ["array of specific deliverables"],
+      "tasks": [
+        {
+          "id": "string - unique task ID",
+          "title": "string - concise task title",
+          "description": "string - task description with acceptance criteria",
+          "required_expertise": ["array of required expertise areas"],
+          "estimated_hours": "number - estimated hours to complete",
+          "priority": "string - 'Critical', 'High', 'Medium', or 'Low'",
+          "can_parallel": "boolean - true if this task can run in parallel with others",
+          "dependencies": ["array of task IDs this depends on, or empty array"]
+        }
+      ]
+    }
+  ]
+}
+
+Return a single milestone unless the feedback asks to split it. Keep the IDs of tasks that still exist, and give new tasks IDs that are not already used.`;
+
+  const userPrompt = `Project: ${interpretation.title}
+
+Project Description: ${interpretation.description}
+
+All milestones, in order:
+${milestones.milestones.map((m, i) => `${i + 1}. ${m.name}`).join("\n")}
+
+Milestone ${milestoneIndex + 1} to revise:
+${JSON.stringify(milestone, null, 2)}
+
+Task IDs used by other milestones (do not reuse): ${otherTaskIds.join(", ") || "none"}
+
+Requested changes:
+${feedback}
+
+Return the revised milestone(s) as JSON.`;
+
+  return await callLLM(systemPrompt, userPrompt, true, {
+    step: "reviseMilestone",
+    agent: "pipeline",
+    schema: milestoneRevisionSchema,
+  });
+}
+
+export async function reviseAssignments(assignments, milestones, contributors, feedback, context = {}) {
+  const systemPrompt = `You are a senior resource allocation expert revising an existing task assignment based on reviewer feedback.
+
+Apply the requested changes, keep the rest of the assignments stable, and make sure every task is still assigned. Weeks are recomputed by a scheduler from dependencies, hours and capacity, so express timing requests through who does which task.
+
+You must respond with valid JSON only, following this exact schema:
+{
+  "timeline_strategy": "string - brief description of the overall staffing and sequencing approach",
+  "assignments": [
+    {
+      "task_id": "string - task ID",
+      "assigned_to": "string - contributor name, exactly as listed",
+      "assignment_rationale": "string - why this person was chosen for this task",
+      "collaboration_notes": "string - any notes about working with others on this task"
+    }
+  ]
+}`;
+
+  const contributorList = contributors.map(describeContributor).join("\n");
+  const taskList = milestones.milestones
+    .flatMap((m) => m.tasks.map((t) => `- ${t.id}: ${t.title} (${t.estimated_hours}h, depends on: ${t.dependencies.join(", ") || "none"})`))
+    .join("\n");
+
+  const userPrompt = `Team Members:
+${contributorList}
+
+Tasks:
+${taskList}
+
+Current assignments and timeline:
+${JSON.stringify(assignments, null, 2)}
+
+Requested changes:
+${feedback}
+
+Return the complete revised assignments as JSON.`;
+
+  const proposal = await callLLM(systemPrompt, userPrompt, true, {
+    step: "reviseAssignments",
+    agent: "pipeline",
+    schema: assignmentProposalSchema,
+  });
+  return scheduleProject(milestones, proposal, contributors, { startDate: context.start_date });
+}
+
+// Returns { content } with the full revised text of one artifact
+export async function reviseArtifact(artifactName, artifacts, interpretation, milestones, assignments, feedback) {
+  const systemPrompt = `You are a senior technical writer and academic researcher revising one project artifact based on reviewer feedback.
+
+Apply the requested changes, keep the parts the feedback does not mention, and preserve the markdown formatting.
+
+You must respond with valid JSON only, following this exact schema:
+{
+  "content": "string - the complete revised artifact"
+}`;
+
+  const taskCount = milestones.milestones.reduce((sum, m) => sum + m.tasks.length, 0);
+
+  const userPrompt = `Project: ${interpretation.title}
+
+Project Description: ${interpretation.description}
+
+Plan: ${milestones.milestones.length} milestones (${milestones.milestones.map((m) => m.name).join(", ")}), ${taskCount} tasks, ${assignments.total_estimated_weeks} weeks
+
+Artifact: ${artifactName}
+
+Current content:
+${artifacts[artifactName] || "(empty)"}
+
+Requested changes:
+${feedback}
+
+Return the complete revised artifact as JSON.`;
+
+  return await callLLM(systemPrompt, userPrompt, true, {
+    step: "reviseArtifact",
+    agent: "pipeline",
+    schema: artifactRevisionSchema,
+  });
 }
 
 export { callLLM };
@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createFakeFetch } from "../test/fake-llm.js";
+import { LLMOutputError, generateClarifyingQuestions, resolveLLMConfig } from "./llm.js";
+import { runWithContext } from "./run-context.js";
+
+beforeEach(() => {
+  for (const name of ["LLM_MODEL", "LLM_FAST_MODEL", "LLM_STEP_CONFIG", "LLM_TEMPERATURE", "LLM_MAX_TOKENS"]) {
+    vi.stubEnv(name, "");
+  }
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+// resolveLLMConfig(step) as seen by a run with the request's `llm` override
+function configFor(llm, step) {
+  return runWithContext({ llm }, () => resolveLLMConfig(step));
+}
+
+describe("resolveLLMConfig", () => {
+  it("applies LLM_MODEL and LLM_FAST_MODEL to LLM_PROVIDER", () => {
+    vi.stubEnv("LLM_PROVIDER", "openai");
+    vi.stubEnv("LLM_MODEL", "gpt-4o");
+    vi.stubEnv("LLM_FAST_MODEL", "gpt-4o-mini");
+
+    expect(configFor({}).model).toBe("gpt-4o");
+    expect(configFor({}, "analyzeSearchResults")).toMatchObject({ tier: "fast", model: "gpt-4o-mini" });
+  });
+
+  it("gives a provider switched by the request its own default model", () => {
+    vi.stubEnv("LLM_PROVIDER", "openai");
+    vi.stubEnv("LLM_MODEL", "gpt-4o");
+
+    expect(configFor({ provider: "anthropic" }).model).not.toBe("gpt-4o");
+  });
+
+  it("does not send LLM_PROVIDER's model to an OpenAI-compatible server", () => {
+    vi.stubEnv("LLM_PROVIDER", "openai");
+    vi.stubEnv("LLM_MODEL", "gpt-4o");
+
+    expect(() => configFor({ provider: "openai-compatible" })).toThrow(
+      'No model configured for LLM provider "openai-compatible"',
+    );
+    expect(configFor({ provider: "openai-compatible", model: "llama3.1" }).model).toBe("llama3.1");
+  });
+
+  it("uses LLM_MODEL for an OpenAI-compatible LLM_PROVIDER", () => {
+    vi.stubEnv("LLM_PROVIDER", "openai-compatible");
+    vi.stubEnv("LLM_MODEL", "llama3.1");
+
+    expect(configFor({}, "analyzeSearchResults").model).toBe("llama3.1");
+  });
+});
+
+describe("callLLM repair loop", () => {
+  const QUESTIONS = ["Who uses it?", "When is it due?", "What data exists?"].map((question) => ({ question }));
+  let fake;
+
+  // Answers the chat completions with `contents` in turn, repeating the last one
+  function answerWith(...contents) {
+    fake = createFakeFetch(() => {
+      const content = contents.length > 1 ? contents.shift() : contents[0];
+      return Response.json({
+        choices: [{ message: { content: typeof content === "string" ? content : JSON.stringify(content) } }],
+        usage: { prompt_tokens: 10, completion_tokens: 10 },
+      });
+    });
+    vi.stubGlobal("fetch", fake.fetch);
+  }
+
+  const sentPrompts = () => fake.calls.map(({ init }) => JSON.parse(init.body).messages[1].content);
+
+  beforeEach(() => {
+    vi.stubEnv("FIXTURE_MODE", "");
+    vi.stubEnv("LLM_PROVIDER", "openai");
+    vi.stubEnv("OPENAI_API_KEY", "test-key");
+    vi.stubEnv("OPENAI_BASE_URL", "");
+    vi.stubEnv("LLM_MAX_REPAIR_ATTEMPTS", "");
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  it("sends the validation errors back and returns the repaired output", async () => {
+    answerWith({ questions: QUESTIONS.slice(0, 1) }, { questions: QUESTIONS });
+    const events = [];
+
+    const result = await runWithContext({ onProgress: (event) => events.push(event) }, () =>
+      generateClarifyingQuestions("A tide gauge dashboard"),
+    );
+
+    expect(result.questions.map((q) => q.question)).toEqual(["Who uses it?", "When is it due?", "What data exists?"]);
+    const [first, repair] = sentPrompts();
+    expect(first).not.toContain("Your previous response was");
+    expect(repair).toContain(`Your previous response was:\n${JSON.stringify({ questions: QUESTIONS.slice(0, 1) })}`);
+    expect(repair).toMatch(/It failed validation with these errors:\n- questions field must have at least 3 items/);
+    expect(events.filter((event) => event.type === "llm_repair")).toEqual([
+      expect.objectContaining({ step: "generateClarifyingQuestions", attempt: 1, errors: [expect.stringMatching(/at least 3/)] }),
+    ]);
+  });
+
+  it("gives up with LLMOutputError after LLM_MAX_REPAIR_ATTEMPTS repairs", async () => {
+    vi.stubEnv("LLM_MAX_REPAIR_ATTEMPTS", "1");
+    answerWith({ questions: [] });
+
+    const error = await generateClarifyingQuestions("A tide gauge dashboard").catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(LLMOutputError);
+    expect(error).toMatchObject({ step: "generateClarifyingQuestions", attempts: 2 });
+    expect(error.validationErrors).toEqual([expect.stringMatching(/at least 3/)]);
+    expect(error.message).toMatch(/^LLM output for generateClarifyingQuestions failed validation after 2 attempt\(s\)/);
+    expect(fake.calls).toHaveLength(2);
+  });
+
+  it("fails on the first invalid answer when repairs are turned off", async () => {
+    vi.stubEnv("LLM_MAX_REPAIR_ATTEMPTS", "0");
+    answerWith("Sure! Here are some questions.");
+
+    await expect(generateClarifyingQuestions("A tide gauge dashboard")).rejects.toMatchObject({
+      name: "LLMOutputError",
+      attempts: 1,
+      validationErrors: [expect.stringMatching(/^Response is not valid JSON/)],
+    });
+    expect(fake.calls).toHaveLength(1);
+  });
+});
@@ -1,156 +1,491 @@
 // Notion API integration
+//
+// A project becomes a page with a "Tasks" database (one row per task with typed
+// properties and dependencies as relations) and child pages for the objectives,
+// scope assumptions and generated artifacts. Partial failures after the page
+// and database exist are collected and returned instead of failing the export.
+// The remote IDs are kept so a later sync updates the same page in place.
 
-export async function createNotionPage(
-  interpretation,
-  milestones,
-  assignments,
-) {
-  const apiKey = process.env.NOTION_API_KEY;
-  const parentPageId = process.env.NOTION_PARENT_PAGE_ID;
+import { createHash } from "node:crypto";
+import { httpFetch } from "./http.js";
+import { dependencyOrder, planItems } from "./plan-export.js";
 
-  if (!apiKey || !parentPageId) {
-    throw new Error("NOTION_API_KEY or NOTION_PARENT_PAGE_ID not configured");
-  }
+const NOTION_API = "https://api.notion.com/v1";
 
-  // Create the page
-  const pageResponse = await fetch("https://api.notion.com/v1/pages", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-      "Notion-Version": "2022-06-28",
-    },
-    body: JSON.stringify({
-      parent: { page_id: parentPageId },
-      properties: {
-        title: {
-          title: [
-            {
-              text: {
-                content: interpretation.title,
-              },
-            },
-          ],
-        },
+// Notion's request limits: 100 blocks per append, 2000 characters per text object
+const MAX_BLOCKS_PER_REQUEST = 100;
+const MAX_TEXT_LENGTH = 2000;
+
+const PRIORITY_COLORS = { Critical: "red", High: "orange", Medium: "yellow", Low: "green" };
+
+const ARTIFACT_TITLES = {
+  readme: "README",
+  paper_draft: "Paper Draft",
+  code_structure: "Code Structure",
+  api_documentation: "API Documentation",
+  deployment_guide: "Deployment Guide",
+  testing_strategy: "Testing Strategy",
+};
+
+// Fence languages Notion's code block accepts; anything else is "plain text"
+const CODE_LANGUAGES = {
+  bash: "bash",
+  sh: "shell",
+  shell: "shell",
+  js: "javascript",
+  javascript: "javascript",
+  jsx: "javascript",
+  ts: "typescript",
+  typescript: "typescript",
+  py: "python",
+  python: "python",
+  json: "json",
+  yaml: "yaml",
+  yml: "yaml",
+  sql: "sql",
+  html: "html",
+  css: "css",
+  dockerfile: "docker",
+  markdown: "markdown",
+  md: "markdown",
+};
+
+async function notion(apiKey, method, path, body) {
+  // Creating pages, rows and blocks is not idempotent; a retried write could duplicate them
+  const response = await httpFetch(
+    "notion",
+    `${NOTION_API}${path}`,
+    {
+      method,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+        "Notion-Version": "2022-06-28",
       },
-    }),
-  });
+      ...(body && { body: JSON.stringify(body) }),
+    },
+    method === "GET" ? {} : { retries: 0 },
+  );
+
+  const data = await response.json().catch(() => null);
+  return { ok: response.ok, status: response.status, data };
+}
 
-  if (!pageResponse.ok) {
-    const error = await pageResponse.text();
-    throw new Error(`Notion API error creating page: ${error}`);
+function apiErrorMessage(result) {
+  return result.data?.message || `HTTP ${result.status}`;
+}
+
+function richText(content) {
+  const text = String(content ?? "");
+  const chunks = [];
+  for (let i = 0; i < text.length; i += MAX_TEXT_LENGTH) {
+    chunks.push({ type: "text", text: { content: text.slice(i, i + MAX_TEXT_LENGTH) } });
   }
+  return chunks;
+}
 
-  const page = await pageResponse.json();
-  const pageId = page.id;
+function block(type, content, extra = {}) {
+  return { object: "block", type, [type]: { rich_text: richText(content), ...extra } };
+}
 
-  // Build content blocks
+// Headings, lists, quotes, fenced code and paragraphs; inline markdown is kept as text
+function markdownBlocks(markdown) {
   const blocks = [];
+  const lines = String(markdown || "").split("\n");
+  let paragraph = [];
 
-  // Add objectives section
-  blocks.push({
-    object: "block",
-    type: "heading_2",
-    heading_2: {
-      rich_text: [{ text: { content: "Objectives" } }],
-    },
-  });
+  const flush = () => {
+    if (paragraph.length) blocks.push(block("paragraph", paragraph.join("\n")));
+    paragraph = [];
+  };
 
-  interpretation.objectives.forEach((objective) => {
-    blocks.push({
-      object: "block",
-      type: "bulleted_list_item",
-      bulleted_list_item: {
-        rich_text: [{ text: { content: objective } }],
-      },
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = /^```\s*([\w+-]*)/.exec(line);
+    if (fence) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].startsWith("```")) code.push(lines[i]);
+      blocks.push(block("code", code.join("\n"), { language: CODE_LANGUAGES[fence[1].toLowerCase()] || "plain text" }));
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+    const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+    const quote = /^>\s?(.*)$/.exec(line);
+
+    if (heading) {
+      flush();
+      blocks.push(block(`heading_${Math.min(heading[1].length, 3)}`, heading[2]));
+    } else if (bullet) {
+      flush();
+      blocks.push(block("bulleted_list_item", bullet[1]));
+    } else if (numbered) {
+      flush();
+      blocks.push(block("numbered_list_item", numbered[1]));
+    } else if (quote) {
+      flush();
+      blocks.push(block("quote", quote[1]));
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+// Appends blocks in chunks; a failed chunk is recorded and the rest still sent
+async function appendBlocks(apiKey, pageId, blocks, label, failures) {
+  for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
+    const result = await notion(apiKey, "PATCH", `/blocks/${pageId}/children`, {
+      children: blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST),
     });
+    if (!result.ok) {
+      failures.push({
+        item: label,
+        message: `Appending blocks ${i + 1}-${Math.min(i + MAX_BLOCKS_PER_REQUEST, blocks.length)} of ${blocks.length} failed: ${apiErrorMessage(result)}`,
+      });
+    }
+  }
+}
+
+// Returns the new page's id, or null after recording the failure
+async function createChildPage(apiKey, parentId, title, blocks, failures) {
+  const result = await notion(apiKey, "POST", "/pages", {
+    parent: { page_id: parentId },
+    properties: { title: { title: richText(title) } },
   });
+  if (!result.ok) {
+    failures.push({ item: title, message: `Creating the page failed: ${apiErrorMessage(result)}` });
+    return null;
+  }
+
+  await appendBlocks(apiKey, result.data.id, blocks, title, failures);
+  return result.data.id;
+}
+
+// Select option names may not contain commas
+function optionName(name) {
+  return String(name).replace(/,/g, " ").replace(/\s+/g, " ").trim().slice(0, 100);
+}
+
+function selectOptions(names, colors = {}) {
+  return [...new Set(names.filter(Boolean).map(optionName))].map((name) => ({ name, ...(colors[name] && { color: colors[name] }) }));
+}
 
-  // Add scope assumptions
-  blocks.push({
-    object: "block",
-    type: "heading_2",
-    heading_2: {
-      rich_text: [{ text: { content: "Scope Assumptions" } }],
+async function createTaskDatabase(apiKey, pageId, plan) {
+  const result = await notion(apiKey, "POST", "/databases", {
+    parent: { type: "page_id", page_id: pageId },
+    title: richText("Tasks"),
+    properties: {
+      Task: { title: {} },
+      "Task ID": { rich_text: {} },
+      Milestone: { select: { options: selectOptions(plan.milestones.map((m) => m.name)) } },
+      Assignee: { select: { options: selectOptions(plan.tasks.map((t) => t.assignee)) } },
+      Start: { date: {} },
+      End: { date: {} },
+      Hours: { number: { format: "number" } },
+      Priority: { select: { options: selectOptions(Object.keys(PRIORITY_COLORS), PRIORITY_COLORS) } },
+      Expertise: { multi_select: { options: selectOptions(plan.tasks.flatMap((t) => t.required_expertise)) } },
+      "Critical Path": { checkbox: {} },
     },
   });
+  if (!result.ok) {
+    throw new Error(`Notion API error creating task database: ${apiErrorMessage(result)}`);
+  }
 
-  interpretation.scope_assumptions.forEach((assumption) => {
-    blocks.push({
-      object: "block",
-      type: "bulleted_list_item",
-      bulleted_list_item: {
-        rich_text: [{ text: { content: assumption } }],
-      },
-    });
+  // A relation to the database itself needs its id, so it is added afterwards
+  const database = result.data;
+  const relation = await notion(apiKey, "PATCH", `/databases/${database.id}`, {
+    properties: { Dependencies: { relation: { database_id: database.id, single_property: {} } } },
   });
+  if (!relation.ok) {
+    throw new Error(`Notion API error adding the Dependencies relation: ${apiErrorMessage(relation)}`);
+  }
+
+  return database;
+}
+
+function taskProperties(task, pageIds) {
+  const dependencies = task.dependencies.filter((dep) => pageIds.has(dep)).map((dep) => ({ id: pageIds.get(dep) }));
+
+  return {
+    Task: { title: richText(task.title) },
+    "Task ID": { rich_text: richText(task.id) },
+    Milestone: { select: { name: optionName(task.milestone) } },
+    Assignee: { select: task.assignee ? { name: optionName(task.assignee) } : null },
+    Start: { date: task.start_date ? { start: task.start_date } : null },
+    End: { date: task.due_date ? { start: task.due_date } : null },
+    Hours: { number: task.estimated_hours ?? null },
+    Priority: { select: { name: task.priority } },
+    Expertise: { multi_select: task.required_expertise.map((name) => ({ name: optionName(name) })) },
+    "Critical Path": { checkbox: task.on_critical_path },
+    Dependencies: { relation: dependencies },
+  };
+}
+
+function contentHash(value) {
+  return createHash("sha1").update(JSON.stringify(value)).digest("hex").slice(0, 16);
+}
+
+function notionConfig() {
+  const apiKey = process.env.NOTION_API_KEY;
+  const parentPageId = process.env.NOTION_PARENT_PAGE_ID;
+
+  if (!apiKey || !parentPageId) {
+    throw new Error("NOTION_API_KEY or NOTION_PARENT_PAGE_ID not configured");
+  }
+  return { apiKey, parentPageId };
+}
 
-  // Add milestones and tasks
-  blocks.push({
-    object: "block",
-    type: "heading_2",
-    heading_2: {
-      rich_text: [{ text: { content: "Milestones & Tasks" } }],
+// Everything written to Notion for one project version
+function notionContent(interpretation, milestones, assignments, artifacts) {
+  const plan = planItems({ title: interpretation.title }, { interpretation, milestones, assignments });
+
+  const main = [
+    ...(interpretation.description ? [block("paragraph", interpretation.description)] : []),
+    block("heading_2", "Milestones"),
+    ...plan.milestones.flatMap((milestone) => [
+      block("heading_3", milestone.due_date ? `${milestone.name} (due ${milestone.due_date})` : milestone.name),
+      ...(milestone.description ? [block("paragraph", milestone.description)] : []),
+      ...milestone.deliverables.map((deliverable) => block("bulleted_list_item", deliverable)),
+    ]),
+  ];
+
+  // Child pages by key; artifact pages live under an "Artifacts" page
+  const sections = [
+    {
+      key: "objectives",
+      title: "Objectives",
+      blocks: interpretation.objectives.map((objective) => block("bulleted_list_item", objective)),
     },
-  });
+    {
+      key: "scope_assumptions",
+      title: "Scope Assumptions",
+      blocks: interpretation.scope_assumptions.map((assumption) => block("bulleted_list_item", assumption)),
+    },
+    ...Object.entries(ARTIFACT_TITLES)
+      .filter(([key]) => artifacts?.[key])
+      .map(([key, title]) => ({ key: `artifact:${key}`, title, parent: "artifacts", blocks: markdownBlocks(artifacts[key]) })),
+  ];
 
-  milestones.milestones.forEach((milestone) => {
-    blocks.push({
-      object: "block",
-      type: "heading_3",
-      heading_3: {
-        rich_text: [{ text: { content: milestone.name } }],
-      },
+  return { title: interpretation.title, plan, main, sections };
+}
+
+async function listChildren(apiKey, blockId) {
+  const children = [];
+  let cursor;
+  do {
+    const query = cursor ? `?page_size=100&start_cursor=${cursor}` : "?page_size=100";
+    const result = await notion(apiKey, "GET", `/blocks/${blockId}/children${query}`);
+    if (!result.ok) return { error: apiErrorMessage(result) };
+    children.push(...result.data.results);
+    cursor = result.data.has_more ? result.data.next_cursor : null;
+  } while (cursor);
+  return { children };
+}
+
+// Replaces a page's content blocks; child pages and databases stay where they are
+async function replaceBlocks(apiKey, pageId, blocks, label, failures) {
+  const { children, error } = await listChildren(apiKey, pageId);
+  if (error) {
+    failures.push({ item: label, message: `Reading the current content failed: ${error}` });
+    return;
+  }
+
+  for (const child of children) {
+    if (child.type === "child_page" || child.type === "child_database") continue;
+    const result = await notion(apiKey, "DELETE", `/blocks/${child.id}`);
+    if (!result.ok) {
+      failures.push({ item: label, message: `Removing old content failed: ${apiErrorMessage(result)}` });
+      return;
+    }
+  }
+
+  await appendBlocks(apiKey, pageId, blocks, label, failures);
+}
+
+async function archivePage(apiKey, pageId, label, failures) {
+  const result = await notion(apiKey, "PATCH", `/pages/${pageId}`, { archived: true });
+  if (!result.ok) failures.push({ item: label, message: `Archiving failed: ${apiErrorMessage(result)}` });
+  return result.ok;
+}
+
+async function writeTaskRow(apiKey, remote, task, pageIds, failures) {
+  const pageId = remote.task_pages[task.id];
+  const label = `Task ${task.id}`;
+
+  if (!pageId) {
+    const result = await notion(apiKey, "POST", "/pages", {
+      parent: { database_id: remote.database_id },
+      properties: taskProperties(task, pageIds),
+      ...(task.description && { children: [block("paragraph", task.description)] }),
     });
+    if (!result.ok) {
+      failures.push({ item: label, message: `Creating the task row failed: ${apiErrorMessage(result)}` });
+      return;
+    }
+    remote.task_pages[task.id] = result.data.id;
+    pageIds.set(task.id, result.data.id);
+    return;
+  }
+
+  const result = await notion(apiKey, "PATCH", `/pages/${pageId}`, { properties: taskProperties(task, pageIds) });
+  if (!result.ok) {
+    failures.push({ item: label, message: `Updating the task row failed: ${apiErrorMessage(result)}` });
+    return;
+  }
+  await replaceBlocks(apiKey, pageId, task.description ? [block("paragraph", task.description)] : [], label, failures);
+}
 
-    milestone.tasks.forEach((task) => {
-      const assignment = assignments.assignments.find(
-        (a) => a.task_id === task.id,
-      );
-      const assignedTo = assignment ? assignment.assigned_to : "Unassigned";
-      const timeframe = assignment ? assignment.timeframe : "TBD";
-
-      blocks.push({
-        object: "block",
-        type: "bulleted_list_item",
-        bulleted_list_item: {
-          rich_text: [
-            {
-              text: {
-                content: `${task.description} | Assigned: ${assignedTo} | ${timeframe}`,
-              },
-            },
-          ],
-        },
+/**
+ * Brings the remote page, task rows and child pages in line with `content`.
+ *
+ * `remote.hashes` holds a hash of everything last written, so only changed parts
+ * are rewritten; a part is re-hashed only when it was written without failures.
+ * Pages in `fresh` were just created and are appended to instead of replaced.
+ */
+async function reconcile(apiKey, remote, content, { dryRun = false, fresh = new Set() } = {}) {
+  const failures = [];
+  const diff = {
+    pages: { created: [], updated: [], archived: [] },
+    rows: { added: [], updated: [], archived: [] },
+    failures,
+  };
+  const next = {
+    ...remote,
+    task_pages: { ...remote.task_pages },
+    child_pages: { ...remote.child_pages },
+    hashes: { ...remote.hashes },
+  };
+
+  // Runs a write unless this is a dry run, and records its hash when nothing failed
+  const write = async (key, hash, fn) => {
+    if (dryRun) return;
+    const before = failures.length;
+    await fn();
+    if (failures.length === before) next.hashes[key] = hash;
+  };
+
+  const mainHash = contentHash({ title: content.title, main: content.main });
+  if (next.hashes.main !== mainHash) {
+    if (!fresh.has(next.page_id)) diff.pages.updated.push(content.title);
+    await write("main", mainHash, async () => {
+      if (fresh.has(next.page_id)) {
+        await appendBlocks(apiKey, next.page_id, content.main, content.title, failures);
+        return;
+      }
+      const result = await notion(apiKey, "PATCH", `/pages/${next.page_id}`, {
+        properties: { title: { title: richText(content.title) } },
       });
+      if (!result.ok) failures.push({ item: content.title, message: `Updating the title failed: ${apiErrorMessage(result)}` });
+      await replaceBlocks(apiKey, next.page_id, content.main, content.title, failures);
     });
-  });
+  }
 
-  // Append blocks to page (Notion has a limit of 100 blocks per request)
-  const chunkSize = 100;
-  for (let i = 0; i < blocks.length; i += chunkSize) {
-    const chunk = blocks.slice(i, i + chunkSize);
-
-    const appendResponse = await fetch(
-      `https://api.notion.com/v1/blocks/${pageId}/children`,
-      {
-        method: "PATCH",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-          "Notion-Version": "2022-06-28",
-        },
-        body: JSON.stringify({
-          children: chunk,
-        }),
-      },
-    );
+  // Rows are written dependencies-first so each can link the rows it depends on
+  const pageIds = new Map(Object.entries(next.task_pages));
+  const taskIds = new Set(content.plan.tasks.map((task) => task.id));
+  for (const task of dependencyOrder(content.plan.tasks)) {
+    const key = `task:${task.id}`;
+    const hash = contentHash(task);
+    if (next.task_pages[task.id] && next.hashes[key] === hash) continue;
+
+    (next.task_pages[task.id] ? diff.rows.updated : diff.rows.added).push(task.id);
+    await write(key, hash, async () => {
+      await writeTaskRow(apiKey, next, task, pageIds, failures);
+      // A dependency row that could not be created leaves the relation incomplete
+      if (task.dependencies.some((dep) => taskIds.has(dep) && !pageIds.has(dep))) {
+        failures.push({ item: `Task ${task.id}`, message: "Some dependencies could not be linked" });
+      }
+    });
+  }
+  for (const [taskId, pageId] of Object.entries(remote.task_pages || {})) {
+    if (taskIds.has(taskId)) continue;
+    diff.rows.archived.push(taskId);
+    if (!dryRun && (await archivePage(apiKey, pageId, `Task ${taskId}`, failures))) {
+      delete next.task_pages[taskId];
+      delete next.hashes[`task:${taskId}`];
+    }
+  }
+
+  const artifactsPage = async () => {
+    next.child_pages.artifacts ||= await createChildPage(apiKey, next.page_id, "Artifacts", [], failures);
+    return next.child_pages.artifacts;
+  };
 
-    if (!appendResponse.ok) {
-      const error = await appendResponse.text();
-      console.error(`Notion API error appending blocks: ${error}`);
+  const sectionKeys = new Set(content.sections.map((section) => section.key));
+  for (const section of content.sections) {
+    const key = `page:${section.key}`;
+    const hash = contentHash(section);
+    const pageId = next.child_pages[section.key];
+    if (pageId && next.hashes[key] === hash) continue;
+
+    (pageId ? diff.pages.updated : diff.pages.created).push(section.title);
+    await write(key, hash, async () => {
+      if (pageId) {
+        await replaceBlocks(apiKey, pageId, section.blocks, section.title, failures);
+        return;
+      }
+      const parentId = section.parent ? await artifactsPage() : next.page_id;
+      if (!parentId) return;
+      const id = await createChildPage(apiKey, parentId, section.title, section.blocks, failures);
+      if (id) next.child_pages[section.key] = id;
+    });
+  }
+  for (const [sectionKey, pageId] of Object.entries(remote.child_pages || {})) {
+    if (sectionKey === "artifacts" || sectionKeys.has(sectionKey)) continue;
+    const title = ARTIFACT_TITLES[sectionKey.replace(/^artifact:/, "")] || sectionKey;
+    diff.pages.archived.push(title);
+    if (!dryRun && (await archivePage(apiKey, pageId, title, failures))) {
+      delete next.child_pages[sectionKey];
+      delete next.hashes[`page:${sectionKey}`];
     }
   }
 
-  return page.url;
+  return { remote: next, diff };
+}
+
+/**
+ * Creates the project page with its task database and child pages.
+ *
+ * Returns { remote, diff } like syncNotionPage. `remote` ({ url, page_id,
+ * database_id, task_pages, child_pages, hashes }) is what syncNotionPage needs to
+ * update the page later; `diff.failures` lists [{ item, message }] for content
+ * that could not be written. Fails only when the page or database cannot be created.
+ */
+export async function createNotionPage(interpretation, milestones, assignments, artifacts = {}) {
+  const { apiKey, parentPageId } = notionConfig();
+  const content = notionContent(interpretation, milestones, assignments, artifacts);
+
+  const pageResult = await notion(apiKey, "POST", "/pages", {
+    parent: { page_id: parentPageId },
+    properties: { title: { title: richText(content.title) } },
+  });
+  if (!pageResult.ok) {
+    throw new Error(`Notion API error creating page: ${apiErrorMessage(pageResult)}`);
+  }
+  const page = pageResult.data;
+  const database = await createTaskDatabase(apiKey, page.id, content.plan);
+
+  return await reconcile(
+    apiKey,
+    { url: page.url, page_id: page.id, database_id: database.id, task_pages: {}, child_pages: {}, hashes: {} },
+    content,
+    { fresh: new Set([page.id]) },
+  );
+}
+
+/**
+ * Updates a page created by createNotionPage in place: the page content, the
+ * task rows (added, updated or archived) and the child pages. Returns
+ * { remote, diff: { pages, rows, failures } }; with `dryRun` nothing is written.
+ */
+export async function syncNotionPage(remote, interpretation, milestones, assignments, artifacts = {}, { dryRun = false } = {}) {
+  const { apiKey } = notionConfig();
+  return await reconcile(apiKey, remote, notionContent(interpretation, milestones, assignments, artifacts), { dryRun });
 }
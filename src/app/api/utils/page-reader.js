@@ -0,0 +1,441 @@
+// Deep reading of search hits: fetches a result page and extracts its readable text
+//
+// Only http(s) pages on allowed domains are fetched, robots.txt is honored,
+// downloads stop at DEEP_READ_MAX_BYTES and the extracted text at
+// DEEP_READ_MAX_CHARS. HTML loses its navigation and other boilerplate; PDFs are
+// read with pdfjs.
+//
+// Search results are untrusted URLs, so redirects are followed by hand and every
+// hop is checked again: its domain, its robots.txt and the addresses its host
+// resolves to. Loopback, link-local and private addresses are refused unless the
+// host is listed in DEEP_READ_PRIVATE_HOSTS.
+
+import dns from "node:dns/promises";
+import net from "node:net";
+import { fixtureMode } from "./fixtures.js";
+import { httpFetch } from "./http.js";
+import { getRunContext } from "./run-context.js";
+
+export const USER_AGENT = "lets-vibe-research/1.0 (+https://github.com/ahmadnish/lets-vibe)";
+// The product token robots.txt groups are matched against
+const ROBOTS_AGENT = "lets-vibe-research";
+const MAX_REDIRECTS = 5;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function domainList(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase().replace(/^\*?\./, ""))
+    .filter(Boolean);
+}
+
+// Read lazily so env changes (tests, dotenv) are picked up
+export function deepReadConfig() {
+  return {
+    enabled: process.env.DEEP_READ_ENABLED === "true",
+    topN: envNumber("DEEP_READ_TOP_N", 3),
+    maxBytes: envNumber("DEEP_READ_MAX_BYTES", 2 * 1024 * 1024),
+    maxChars: envNumber("DEEP_READ_MAX_CHARS", 40000),
+    chunkChars: envNumber("DEEP_READ_CHUNK_CHARS", 6000),
+    maxChunks: envNumber("DEEP_READ_MAX_CHUNKS", 4),
+    maxPdfPages: envNumber("DEEP_READ_MAX_PDF_PAGES", 30),
+    allow: domainList("DEEP_READ_ALLOW_DOMAINS"),
+    deny: domainList("DEEP_READ_DENY_DOMAINS"),
+    respectRobots: process.env.DEEP_READ_RESPECT_ROBOTS !== "false",
+    privateHosts: domainList("DEEP_READ_PRIVATE_HOSTS"),
+  };
+}
+
+export class PageReadError extends Error {
+  constructor(url, message) {
+    super(`Cannot read ${url}: ${message}`);
+    this.name = "PageReadError";
+    this.url = url;
+  }
+}
+
+// A listed domain also covers its subdomains; the deny list wins over the allow list
+function matchesDomain(host, domains) {
+  return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+export function isDomainAllowed(url, config = deepReadConfig()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return false;
+
+  const host = parsed.hostname.toLowerCase();
+  if (matchesDomain(host, config.deny)) return false;
+  return config.allow.length === 0 || matchesDomain(host, config.allow);
+}
+
+// Loopback, private (RFC 1918), carrier-grade NAT, link-local, multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Throws PageReadError (for `pageUrl`) unless every address the host of `url`
+ * resolves to is public. Replays never reach the network, so nothing is resolved.
+ */
+async function checkHostAddresses(url, pageUrl, config) {
+  if (fixtureMode() === "replay") return;
+
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  if (matchesDomain(host, config.privateHosts)) return;
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new PageReadError(pageUrl, `cannot resolve ${host} (${error.code || error.message})`);
+  }
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) throw new PageReadError(pageUrl, `${host} resolves to the non-public address ${blocked.address}`);
+}
+
+/**
+ * httpFetch for the deep-read service that follows up to MAX_REDIRECTS redirects
+ * itself, awaiting `checkHop(url)` before each request, the first included.
+ * Resolves with the final Response.
+ */
+async function fetchCheckingHops(url, init, options, checkHop) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    await checkHop(current);
+    const response = await httpFetch("deep-read", current, { ...init, redirect: "manual" }, options);
+    const location = response.status >= 300 && response.status < 400 ? response.headers.get("location") : null;
+    if (!location) return response;
+
+    await response.body?.cancel();
+    if (redirects === MAX_REDIRECTS) throw new PageReadError(url, `more than ${MAX_REDIRECTS} redirects`);
+    current = new URL(location, current).href;
+  }
+}
+
+// robots.txt rules per origin: { allow: [...], disallow: [...] } or "all"/"none",
+// with the time they expire. Answers are kept for the process; a robots.txt that
+// could not be read is retried after ROBOTS_RETRY_MS.
+const robotsCache = new Map();
+const ROBOTS_RETRY_MS = 5 * 60 * 1000;
+
+// Groups that name our product token win over "*" (RFC 9309)
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], allow: [], disallow: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === "allow" && value) current.allow.push(value);
+    if (field === "disallow" && value) current.disallow.push(value);
+  }
+
+  const ours = groups.filter((group) => group.agents.includes(ROBOTS_AGENT));
+  const matched = ours.length ? ours : groups.filter((group) => group.agents.includes("*"));
+  return {
+    allow: matched.flatMap((group) => group.allow),
+    disallow: matched.flatMap((group) => group.disallow),
+  };
+}
+
+// Length of the match of a robots.txt path pattern ("*" wildcards, "$" anchor) against `path`, or -1
+function patternMatch(pattern, path) {
+  const anchored = pattern.endsWith("$");
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  const match = new RegExp(`^${source}${anchored ? "$" : ""}`).exec(path);
+  return match ? pattern.length : -1;
+}
+
+// The longest matching rule decides; on a tie Allow wins
+function robotsAllows(rules, path) {
+  if (rules === "all") return true;
+  if (rules === "none") return false;
+
+  const longest = (patterns) => Math.max(-1, ...patterns.map((pattern) => patternMatch(pattern, path)));
+  const allow = longest(rules.allow);
+  const disallow = longest(rules.disallow);
+  return disallow === -1 || allow >= disallow;
+}
+
+async function robotsRules(origin, config) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.rules;
+
+  const robotsUrl = `${origin}/robots.txt`;
+  let rules;
+  let failed = false;
+  try {
+    const response = await fetchCheckingHops(
+      robotsUrl,
+      { headers: { "User-Agent": USER_AGENT } },
+      { retries: 1 },
+      (hop) => checkHostAddresses(hop, robotsUrl, config),
+    );
+    // Missing robots.txt (4xx) allows everything; an erroring server (5xx) allows nothing for now
+    if (response.ok) {
+      rules = parseRobots(await response.text());
+    } else {
+      await response.body?.cancel();
+      failed = response.status >= 500;
+      rules = failed ? "none" : "all";
+    }
+  } catch (error) {
+    // A cancelled run aborts with its own error (e.g. JobCancelledError), not always an AbortError
+    if (error.name === "AbortError" || getRunContext().signal?.aborted) throw error;
+    failed = true;
+    rules = "none";
+  }
+
+  robotsCache.set(origin, { rules, expiresAt: failed ? Date.now() + ROBOTS_RETRY_MS : Infinity });
+  return rules;
+}
+
+export async function isAllowedByRobots(url, config = deepReadConfig()) {
+  const parsed = new URL(url);
+  const rules = await robotsRules(parsed.origin, config);
+  return robotsAllows(rules, `${parsed.pathname}${parsed.search}`);
+}
+
+// Reads the body up to `maxBytes`; anything after that is dropped
+async function readBody(response, maxBytes) {
+  const declared = Number(response.headers.get("content-length"));
+  if (declared > maxBytes) {
+    await response.body?.cancel();
+    return { buffer: null, truncated: true };
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+    if (size >= maxBytes) {
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+  }
+
+  return { buffer: Buffer.concat(chunks).subarray(0, maxBytes), truncated };
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", mdash: "—", ndash: "–", hellip: "…" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+const BOILERPLATE_TAGS = ["script", "style", "noscript", "template", "svg", "nav", "header", "footer", "aside", "form", "iframe"];
+const BLOCK_TAGS = "p|div|section|article|main|h[1-6]|li|ul|ol|tr|table|blockquote|pre|br|hr|dd|dt|figcaption";
+
+/**
+ * Readable text of an HTML page: the <article> or <main> element when there is
+ * one, with scripts, navigation, headers, footers and similar boilerplate
+ * removed. Returns { title, text }.
+ */
+export function extractHtmlText(html) {
+  const title = decodeEntities(/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || "").trim();
+
+  let body = html.replace(/<!--[\s\S]*?-->/g, "");
+  for (const tag of BOILERPLATE_TAGS) {
+    body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, "gi"), " ");
+  }
+  const main = /<(article|main)\b[^>]*>([\s\S]*?)<\/\1>/i.exec(body);
+  if (main && main[2].replace(/<[^>]+>/g, "").trim().length > 200) body = main[2];
+
+  const text = decodeEntities(
+    body
+      .replace(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, "gi"), "\n")
+      .replace(/<[^>]+>/g, " "),
+  )
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    // Short fragments are mostly leftover menus, buttons and bylines
+    .filter((line) => line.split(" ").length >= 4)
+    .join("\n");
+
+  return { title, text };
+}
+
+async function extractPdfText(buffer, maxPages) {
+  // Loaded on first use; most runs never read a PDF
+  const pdfjs = await import("pdfjs-dist/legacy/build/pdf.js");
+  const { getDocument } = pdfjs.default || pdfjs;
+
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const info = await document.getMetadata().catch(() => null);
+    const pages = [];
+    for (let number = 1; number <= Math.min(document.numPages, maxPages); number++) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(content.items.map((item) => item.str).join(" ").replace(/\s+/g, " ").trim());
+    }
+    return { title: info?.info?.Title || "", text: pages.filter(Boolean).join("\n") };
+  } finally {
+    await document.destroy();
+  }
+}
+
+/**
+ * Splits text into chunks of at most `size` characters, breaking at paragraph
+ * and then sentence boundaries where possible.
+ */
+export function chunkText(text, size) {
+  const chunks = [];
+  let current = "";
+
+  const pieces = text.split(/\n+/).flatMap((paragraph) =>
+    paragraph.length <= size ? [paragraph] : paragraph.match(new RegExp(`[\\s\\S]{1,${size}}(?=\\s|$)|[\\s\\S]{1,${size}}`, "g")),
+  );
+
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > size) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Fetches `url` and extracts its readable text. Resolves with { url, title,
+ * type: "html" | "pdf" | "text", text, truncated }; throws PageReadError when the
+ * domain, its addresses or robots.txt forbid the page or a page it redirects to,
+ * or it is not a readable document.
+ */
+export async function readPage(url, config = deepReadConfig()) {
+  const checkHop = async (hop) => {
+    const redirected = hop !== url;
+    if (!isDomainAllowed(hop, config)) {
+      throw new PageReadError(url, redirected ? `redirected to ${hop}, which is not allowed` : "domain is not allowed");
+    }
+    await checkHostAddresses(hop, url, config);
+    if (config.respectRobots && !(await isAllowedByRobots(hop, config))) {
+      throw new PageReadError(url, redirected ? `redirected to ${hop}, which robots.txt disallows` : "disallowed by robots.txt");
+    }
+  };
+
+  const response = await fetchCheckingHops(
+    url,
+    { headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml,application/pdf,text/plain;q=0.8" } },
+    { retries: 1, maxBytes: config.maxBytes },
+    checkHop,
+  );
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new PageReadError(url, `HTTP ${response.status}`);
+  }
+
+  const contentType = (response.headers.get("content-type") || "").toLowerCase();
+  const type = contentType.includes("pdf") || /\.pdf(\?|$)/i.test(url)
+    ? "pdf"
+    : contentType.includes("html") || contentType === ""
+      ? "html"
+      : contentType.startsWith("text/")
+        ? "text"
+        : null;
+  if (!type) {
+    await response.body?.cancel();
+    throw new PageReadError(url, `unsupported content type ${contentType}`);
+  }
+
+  const { buffer, truncated } = await readBody(response, config.maxBytes);
+  // A cut-off PDF cannot be parsed, so oversized PDFs are skipped entirely
+  if (!buffer || (type === "pdf" && truncated)) {
+    throw new PageReadError(url, `larger than ${config.maxBytes} bytes`);
+  }
+
+  let extracted;
+  if (type === "pdf") {
+    extracted = await extractPdfText(buffer, config.maxPdfPages).catch((error) => {
+      throw new PageReadError(url, `unreadable PDF (${error.message})`);
+    });
+  } else if (type === "html") {
+    extracted = extractHtmlText(buffer.toString("utf8"));
+  } else {
+    extracted = { title: "", text: buffer.toString("utf8").trim() };
+  }
+
+  if (!extracted.text) throw new PageReadError(url, "no readable text");
+
+  return {
+    url,
+    title: extracted.title,
+    type,
+    text: extracted.text.slice(0, config.maxChars),
+    truncated: truncated || extracted.text.length > config.maxChars,
+  };
+}
@@ -0,0 +1,228 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { startServer } from "../test/http-server.js";
+
+let pageReader;
+let runWithContext;
+let server;
+
+const ARTICLE = "This paragraph is the readable part of the page and long enough to keep. ".repeat(4);
+
+// Serves `pages` (HTML, or a handler) by path. robots.txt (text, or { status, body })
+// comes from `robots[hostname]` or `robots["*"]`, else 404
+function site(pages, robots = {}) {
+  return (request, response) => {
+    if (request.url === "/robots.txt") {
+      const answer = robots[request.headers.host.split(":")[0]] ?? robots["*"] ?? { status: 404, body: "" };
+      response.writeHead(answer.status ?? 200, { "Content-Type": "text/plain" });
+      response.end(answer.body ?? answer);
+      return;
+    }
+    const page = pages[request.url];
+    if (!page) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    if (typeof page === "function") return page(request, response);
+    response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    response.end(page);
+  };
+}
+
+function redirect(location) {
+  return (request, response) => {
+    response.writeHead(302, { Location: location(request) });
+    response.end();
+  };
+}
+
+// The same server under the name "localhost", which is not in privateHosts by default
+function viaLocalhost(path) {
+  return redirect((request) => `http://localhost:${request.headers.host.split(":")[1]}${path}`);
+}
+
+// Deep-read settings for the local server, which listens on 127.0.0.1
+function config(overrides = {}) {
+  return { ...pageReader.deepReadConfig(), privateHosts: ["127.0.0.1"], ...overrides };
+}
+
+beforeEach(async () => {
+  vi.stubEnv("FIXTURE_MODE", "off");
+  vi.resetModules();
+  // Fresh robots.txt cache and breaker state for every spec
+  pageReader = await import("./page-reader.js");
+  ({ runWithContext } = await import("./run-context.js"));
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await server?.close();
+  server = null;
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe("readPage", () => {
+  it("extracts the article text of an HTML page", async () => {
+    server = await startServer(
+      site({
+        "/post": `<html><head><title>A &amp; B</title><script>var x = 1;</script></head><body>
+          <nav>Home About Contact Blog Archive</nav>
+          <article><h1>Heading</h1><p>${ARTICLE}</p></article>
+          <footer>Copyright notice for the whole site here</footer></body></html>`,
+      }),
+    );
+
+    const page = await pageReader.readPage(`${server.url}/post`, config());
+    expect(page).toMatchObject({ url: `${server.url}/post`, title: "A & B", type: "html", truncated: false });
+    expect(page.text).toBe(ARTICLE.trim());
+  });
+
+  it("cuts HTML off at the byte limit and skips pages declared larger", async () => {
+    server = await startServer(
+      site({
+        "/streamed": (request, response) => {
+          response.writeHead(200, { "Content-Type": "text/plain" });
+          response.write("a".repeat(600));
+          response.end("b".repeat(600));
+        },
+        "/declared": (request, response) => {
+          response.writeHead(200, { "Content-Type": "text/plain", "Content-Length": 2000 });
+          response.end("c".repeat(2000));
+        },
+      }),
+    );
+
+    const page = await pageReader.readPage(`${server.url}/streamed`, config({ maxBytes: 1000 }));
+    expect(page).toMatchObject({ type: "text", truncated: true });
+    expect(page.text).toHaveLength(1000);
+
+    await expect(pageReader.readPage(`${server.url}/declared`, config({ maxBytes: 1000 }))).rejects.toThrow(
+      "larger than 1000 bytes",
+    );
+  });
+
+  it("follows redirects within the allowed hosts", async () => {
+    server = await startServer(site({ "/old": redirect(() => "/post"), "/post": `<p>${ARTICLE}</p>` }));
+
+    const page = await pageReader.readPage(`${server.url}/old`, config());
+    expect(page.text).toBe(ARTICLE.trim());
+    expect(server.requests.map((request) => request.url)).toEqual(["/robots.txt", "/old", "/post"]);
+  });
+
+  it("stops after too many redirects", async () => {
+    server = await startServer(site({ "/loop": redirect(() => "/loop") }));
+
+    await expect(pageReader.readPage(`${server.url}/loop`, config())).rejects.toThrow("more than 5 redirects");
+    expect(server.requests.filter((request) => request.url === "/loop")).toHaveLength(6);
+  });
+});
+
+describe("address checks", () => {
+  it("refuses hosts that resolve to non-public addresses", async () => {
+    server = await startServer(site({ "/": `<p>${ARTICLE}</p>` }));
+
+    await expect(pageReader.readPage(`${server.url}/`, config({ privateHosts: [] }))).rejects.toThrow(
+      "127.0.0.1 resolves to the non-public address 127.0.0.1",
+    );
+    const localhost = server.url.replace("127.0.0.1", "localhost");
+    await expect(pageReader.readPage(`${localhost}/`, config({ privateHosts: [] }))).rejects.toThrow(
+      /localhost resolves to the non-public address/,
+    );
+    expect(server.requests).toEqual([]);
+  });
+
+  it("checks the host of every redirect before following it", async () => {
+    server = await startServer(
+      site({
+        "/go": viaLocalhost("/secret"),
+        "/secret": `<p>${ARTICLE}</p>`,
+      }),
+    );
+
+    await expect(pageReader.readPage(`${server.url}/go`, config())).rejects.toThrow(
+      /localhost resolves to the non-public address/,
+    );
+    expect(server.requests.map((request) => request.url)).not.toContain("/secret");
+  });
+
+  it("refuses a redirect to a denied domain", async () => {
+    server = await startServer(
+      site({ "/go": viaLocalhost("/post") }),
+    );
+
+    await expect(
+      pageReader.readPage(`${server.url}/go`, config({ privateHosts: ["127.0.0.1", "localhost"], deny: ["localhost"] })),
+    ).rejects.toThrow(/redirected to http:\/\/localhost:\d+\/post, which is not allowed/);
+  });
+
+  it.each([
+    ["127.0.0.1", true],
+    ["10.1.2.3", true],
+    ["172.20.0.1", true],
+    ["192.168.1.1", true],
+    ["169.254.169.254", true],
+    ["::1", true],
+    ["fd00::1", true],
+    ["fe80::1", true],
+    ["::ffff:127.0.0.1", true],
+    ["93.184.216.34", false],
+    ["2606:4700::1111", false],
+  ])("treats %s as private: %s", (address, expected) => {
+    expect(pageReader.isPrivateAddress(address)).toBe(expected);
+  });
+});
+
+describe("robots.txt", () => {
+  it("honors the rules of our group over the wildcard group", async () => {
+    const robots = "User-agent: *\nDisallow: /\n\nUser-agent: lets-vibe-research\nDisallow: /private\nAllow: /private/ok$\n";
+    server = await startServer(site({ "/public": `<p>${ARTICLE}</p>`, "/private/ok": `<p>${ARTICLE}</p>` }, { "*": robots }));
+
+    await expect(pageReader.readPage(`${server.url}/public`, config())).resolves.toMatchObject({ type: "html" });
+    await expect(pageReader.readPage(`${server.url}/private/ok`, config())).resolves.toMatchObject({ type: "html" });
+    await expect(pageReader.readPage(`${server.url}/private/no`, config())).rejects.toThrow("disallowed by robots.txt");
+    expect(server.requests.filter((request) => request.url === "/robots.txt")).toHaveLength(1);
+    expect(server.requests.map((request) => request.url)).not.toContain("/private/no");
+  });
+
+  it("checks robots.txt again after a redirect to another host", async () => {
+    server = await startServer(
+      site(
+        { "/go": viaLocalhost("/post"), "/post": `<p>${ARTICLE}</p>` },
+        { "127.0.0.1": "User-agent: *\nDisallow:\n", localhost: "User-agent: *\nDisallow: /post\n" },
+      ),
+    );
+
+    await expect(
+      pageReader.readPage(`${server.url}/go`, config({ privateHosts: ["127.0.0.1", "localhost"] })),
+    ).rejects.toThrow(/redirected to http:\/\/localhost:\d+\/post, which robots.txt disallows/);
+    expect(server.requests.filter((request) => request.url === "/robots.txt")).toHaveLength(2);
+    expect(server.requests.map((request) => request.url)).not.toContain("/post");
+  });
+
+  it("asks again for a robots.txt that could not be read, after a while", async () => {
+    const answers = [{ status: 503, body: "" }, { status: 503, body: "" }, "User-agent: *\nDisallow:\n"];
+    server = await startServer((request, response) =>
+      site({ "/post": `<p>${ARTICLE}</p>` }, { "*": request.url === "/robots.txt" ? answers.shift() : "" })(request, response),
+    );
+
+    await expect(pageReader.readPage(`${server.url}/post`, config())).rejects.toThrow("disallowed by robots.txt");
+    await expect(pageReader.readPage(`${server.url}/post`, config())).rejects.toThrow("disallowed by robots.txt");
+
+    const now = Date.now();
+    vi.spyOn(Date, "now").mockReturnValue(now + 6 * 60 * 1000);
+    await expect(pageReader.readPage(`${server.url}/post`, config())).resolves.toMatchObject({ type: "html" });
+    expect(server.requests.filter((request) => request.url === "/robots.txt")).toHaveLength(3);
+  });
+
+  it("rethrows when the run is cancelled while robots.txt loads", async () => {
+    // robots.txt never answers
+    server = await startServer((request, response) => request.url !== "/robots.txt" && response.end());
+    const controller = new AbortController();
+    const cancelled = new Error("Generation was cancelled");
+
+    const reading = runWithContext({ signal: controller.signal }, () => pageReader.readPage(`${server.url}/post`, config()));
+    setTimeout(() => controller.abort(cancelled), 50);
+    await expect(reading).rejects.toBe(cancelled);
+  });
+});
@@ -0,0 +1,301 @@
+// Tracker import formats for a saved project version
+//
+// planItems flattens milestones, tasks and the schedule into one list that the
+// exporters share. Jira and Linear get files to import (CSV or JSON); GitHub is
+// exported through its API in github-issues.js. Task dependencies are kept as
+// "blocks" links in every format.
+
+import { addDays, today } from "./contributors.js";
+
+export const EXPORT_TARGETS = ["github", "jira", "linear"];
+export const FILE_FORMATS = ["csv", "json"];
+
+// Week N runs from startDate + 7(N-1) days; a task is due on the fifth day of its last week
+function weekStart(startDate, week) {
+  return week ? addDays(startDate, (week - 1) * 7) : null;
+}
+
+function weekDue(startDate, week) {
+  return week ? addDays(startDate, (week - 1) * 7 + 4) : null;
+}
+
+/**
+ * { title, start_date, milestones: [{ key, name, title, description, deliverables,
+ * start_date, due_date, task_ids }], tasks: [{ id, title, description, milestone,
+ * milestone_key, required_expertise, priority, estimated_hours, dependencies,
+ * assignee, start_date, due_date, on_critical_path }] } for one project version.
+ *
+ * Milestones may share a name, so tasks refer to theirs by `key` ("M1", ...), and
+ * `title` is the name made unique ("M2: Backend" when another milestone is also
+ * called "Backend") for trackers that need distinct milestone names.
+ */
+export function planItems(project, version) {
+  const assignments = version.assignments || {};
+  const startDate = assignments.start_date || project.start_date || today();
+  const byTask = new Map((assignments.assignments || []).map((a) => [a.task_id, a]));
+
+  const tasks = version.milestones.milestones.flatMap((milestone, milestoneIndex) =>
+    milestone.tasks.map((task) => {
+      const assignment = byTask.get(task.id);
+      return {
+        id: task.id,
+        title: task.title,
+        description: task.description || "",
+        milestone: milestone.name,
+        milestone_key: `M${milestoneIndex + 1}`,
+        required_expertise: task.required_expertise || [],
+        priority: task.priority || "Medium",
+        estimated_hours: task.estimated_hours,
+        dependencies: task.dependencies || [],
+        assignee: assignment?.assigned_to || null,
+        start_date: weekStart(startDate, assignment?.start_week),
+        due_date: weekDue(startDate, assignment?.end_week),
+        on_critical_path: Boolean(assignment?.on_critical_path),
+      };
+    }),
+  );
+
+  const names = version.milestones.milestones.map((milestone) => milestone.name);
+  const milestones = version.milestones.milestones.map((milestone, index) => {
+    const key = `M${index + 1}`;
+    const own = tasks.filter((task) => task.milestone_key === key);
+    const dates = (field) => own.map((task) => task[field]).filter(Boolean).sort();
+    const shared = names.indexOf(milestone.name) !== names.lastIndexOf(milestone.name);
+    return {
+      key,
+      name: milestone.name,
+      title: shared ? `${key}: ${milestone.name}` : milestone.name,
+      description: milestone.description || "",
+      deliverables: milestone.deliverables || [],
+      start_date: dates("start_date")[0] || null,
+      due_date: dates("due_date").at(-1) || null,
+      task_ids: own.map((task) => task.id),
+    };
+  });
+
+  return { title: version.interpretation?.title || project.title, start_date: startDate, milestones, tasks };
+}
+
+// Orders tasks so every dependency is created before the tasks it blocks
+// (the plan graph has already been repaired, so there are no cycles)
+export function dependencyOrder(tasks) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const ordered = [];
+  const seen = new Set();
+  const visit = (task) => {
+    if (seen.has(task.id)) return;
+    seen.add(task.id);
+    for (const dep of task.dependencies) if (byId.has(dep)) visit(byId.get(dep));
+    ordered.push(task);
+  };
+  tasks.forEach(visit);
+  return ordered;
+}
+
+// The unique title of the milestone a task belongs to
+export function milestoneTitle(plan, task) {
+  return plan.milestones.find((milestone) => milestone.key === task.milestone_key)?.title ?? task.milestone;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// Repeats a header once per value, as Jira's importer expects for multi-value fields
+function repeated(name, count) {
+  return Array.from({ length: Math.max(count, 1) }, () => name);
+}
+
+function padded(values, count) {
+  return Array.from({ length: Math.max(count, 1) }, (_, i) => values[i] ?? "");
+}
+
+function taskDescription(task) {
+  const lines = [task.description];
+  if (task.estimated_hours) lines.push("", `Estimated: ${task.estimated_hours}h`);
+  if (task.on_critical_path) lines.push("On the critical path");
+  return lines.join("\n").trim();
+}
+
+const JIRA_PRIORITIES = { Critical: "Highest", High: "High", Medium: "Medium", Low: "Low" };
+
+function jiraLabel(text) {
+  return text.trim().replace(/\s+/g, "-");
+}
+
+// Epics for milestones, tasks as their children; "Inward issue link (Blocks)"
+// columns hold the Issue Ids of the tasks that block a task
+function jiraCsv(plan) {
+  const labelCount = Math.max(...plan.tasks.map((t) => t.required_expertise.length + 1), 1);
+  const linkCount = Math.max(...plan.tasks.map((t) => t.dependencies.length), 1);
+  const header = [
+    "Issue Id",
+    "Parent Id",
+    "Issue Type",
+    "Summary",
+    "Epic Name",
+    "Description",
+    "Priority",
+    ...repeated("Labels", labelCount),
+    "Assignee",
+    "Original Estimate",
+    "Start date",
+    "Due Date",
+    ...repeated("Inward issue link (Blocks)", linkCount),
+  ];
+
+  const epics = plan.milestones.map((milestone) => [
+    milestone.key,
+    "",
+    "Epic",
+    milestone.title,
+    milestone.title,
+    [milestone.description, ...milestone.deliverables.map((d) => `- ${d}`)].join("\n").trim(),
+    "",
+    ...padded([], labelCount),
+    "",
+    "",
+    milestone.start_date,
+    milestone.due_date,
+    ...padded([], linkCount),
+  ]);
+
+  const tasks = plan.tasks.map((task) => [
+    task.id,
+    task.milestone_key,
+    "Task",
+    task.title,
+    "",
+    taskDescription(task),
+    JIRA_PRIORITIES[task.priority] || "Medium",
+    ...padded([`priority-${task.priority.toLowerCase()}`, ...task.required_expertise.map(jiraLabel)], labelCount),
+    task.assignee,
+    task.estimated_hours ? Math.round(task.estimated_hours * 3600) : "",
+    task.start_date,
+    task.due_date,
+    ...padded(task.dependencies, linkCount),
+  ]);
+
+  return toCsv(header, [...epics, ...tasks]);
+}
+
+// Jira's JSON importer (System > External System Import > JSON); milestones
+// become versions with release dates
+function jiraJson(plan) {
+  return {
+    projects: [
+      {
+        name: plan.title,
+        versions: plan.milestones.map((milestone) => ({
+          name: milestone.title,
+          description: milestone.description,
+          released: false,
+          releaseDate: milestone.due_date,
+        })),
+        issues: plan.tasks.map((task) => ({
+          externalId: task.id,
+          issueType: "Task",
+          summary: task.title,
+          description: taskDescription(task),
+          status: "To Do",
+          priority: JIRA_PRIORITIES[task.priority] || "Medium",
+          labels: [`priority-${task.priority.toLowerCase()}`, ...task.required_expertise.map(jiraLabel)],
+          assignee: task.assignee,
+          fixedVersions: [milestoneTitle(plan, task)],
+          originalEstimate: task.estimated_hours ? `PT${task.estimated_hours}H` : undefined,
+          dueDate: task.due_date,
+        })),
+      },
+    ],
+    links: plan.tasks.flatMap((task) =>
+      task.dependencies.map((dependency) => ({ name: "Blocks", sourceId: dependency, destinationId: task.id })),
+    ),
+  };
+}
+
+const LINEAR_PRIORITIES = { Critical: "Urgent", High: "High", Medium: "Medium", Low: "Low" };
+const LINEAR_PRIORITY_VALUES = { Critical: 1, High: 2, Medium: 3, Low: 4 };
+
+// Linear's CSV importer; milestones become project milestones
+function linearCsv(plan) {
+  const header = [
+    "ID",
+    "Title",
+    "Description",
+    "Status",
+    "Priority",
+    "Assignee",
+    "Labels",
+    "Estimate",
+    "Project",
+    "Project Milestone",
+    "Start Date",
+    "Due Date",
+    "Blocked By",
+  ];
+
+  const rows = plan.tasks.map((task) => [
+    task.id,
+    task.title,
+    taskDescription(task),
+    "Todo",
+    LINEAR_PRIORITIES[task.priority] || "Medium",
+    task.assignee,
+    task.required_expertise.join(", "),
+    task.estimated_hours,
+    plan.title,
+    milestoneTitle(plan, task),
+    task.start_date,
+    task.due_date,
+    task.dependencies.join(", "),
+  ]);
+
+  return toCsv(header, rows);
+}
+
+// Shaped like Linear's GraphQL inputs (projectCreate, projectMilestoneCreate,
+// issueCreate, issueRelationCreate) so a script can replay it against the API
+function linearJson(plan) {
+  return {
+    project: { name: plan.title, startDate: plan.start_date },
+    projectMilestones: plan.milestones.map((milestone) => ({
+      name: milestone.title,
+      description: milestone.description,
+      targetDate: milestone.due_date,
+    })),
+    issues: plan.tasks.map((task) => ({
+      externalId: task.id,
+      title: task.title,
+      description: taskDescription(task),
+      priority: LINEAR_PRIORITY_VALUES[task.priority] ?? 3,
+      estimate: task.estimated_hours,
+      labels: task.required_expertise,
+      assignee: task.assignee,
+      projectMilestone: milestoneTitle(plan, task),
+      dueDate: task.due_date,
+    })),
+    relations: plan.tasks.flatMap((task) =>
+      task.dependencies.map((dependency) => ({ type: "blocks", issue: dependency, relatedIssue: task.id })),
+    ),
+  };
+}
+
+const FILE_EXPORTERS = {
+  jira: { csv: jiraCsv, json: jiraJson },
+  linear: { csv: linearCsv, json: linearJson },
+};
+
+// Returns { filename, contentType, body } for a Jira or Linear import file
+export function exportPlanFile(plan, target, format) {
+  const content = FILE_EXPORTERS[target][format](plan);
+  const slug = plan.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "project";
+
+  return format === "csv"
+    ? { filename: `${slug}-${target}.csv`, contentType: "text/csv; charset=utf-8", body: content }
+    : { filename: `${slug}-${target}.json`, contentType: "application/json", body: `${JSON.stringify(content, null, 2)}\n` };
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { dependencyOrder, exportPlanFile, planItems } from "./plan-export.js";
+import { SAMPLE_PROJECT, SAMPLE_VERSION } from "../test/sample-project.js";
+
+const plan = planItems(SAMPLE_PROJECT, SAMPLE_VERSION);
+const golden = (name) => `../test/fixtures/plan-export/${name}`;
+
+describe("planItems", () => {
+  it("dates tasks from their scheduled weeks", () => {
+    expect(plan.tasks.find((task) => task.id === "T002")).toMatchObject({
+      milestone: "Foundation",
+      assignee: "Bob",
+      start_date: "2024-01-08",
+      due_date: "2024-01-19",
+      on_critical_path: true,
+    });
+    expect(plan.milestones).toEqual([
+      expect.objectContaining({ key: "M1", name: "Foundation", start_date: "2024-01-01", due_date: "2024-01-19", task_ids: ["T002", "T001"] }),
+      expect.objectContaining({ key: "M2", name: "Launch", start_date: "2024-01-22", due_date: "2024-01-26", task_ids: ["T003"] }),
+    ]);
+  });
+
+  it("leaves unscheduled tasks without dates", () => {
+    const unscheduled = planItems(SAMPLE_PROJECT, { ...SAMPLE_VERSION, assignments: null });
+    expect(unscheduled.tasks.every((task) => task.start_date === null && task.assignee === null)).toBe(true);
+    expect(unscheduled.milestones[0].due_date).toBeNull();
+  });
+});
+
+describe("milestones with the same name", () => {
+  const twins = planItems(SAMPLE_PROJECT, {
+    ...SAMPLE_VERSION,
+    milestones: {
+      milestones: SAMPLE_VERSION.milestones.milestones.map((milestone) => ({ ...milestone, name: "Phase" })),
+    },
+  });
+
+  it("keeps their tasks apart and gives them distinct titles", () => {
+    expect(twins.milestones.map(({ key, title, task_ids }) => ({ key, title, task_ids }))).toEqual([
+      { key: "M1", title: "M1: Phase", task_ids: ["T002", "T001"] },
+      { key: "M2", title: "M2: Phase", task_ids: ["T003"] },
+    ]);
+  });
+
+  it("parents each Jira task to its own epic", () => {
+    const rows = exportPlanFile(twins, "jira", "csv").body.split("\n");
+    expect(rows.find((row) => row.startsWith("T003,"))).toMatch(/^T003,M2,Task,/);
+    expect(rows.find((row) => row.startsWith("T001,"))).toMatch(/^T001,M1,Task,/);
+  });
+
+  it("names Linear milestones uniquely", () => {
+    const { projectMilestones, issues } = JSON.parse(exportPlanFile(twins, "linear", "json").body);
+    expect(projectMilestones.map((milestone) => milestone.name)).toEqual(["M1: Phase", "M2: Phase"]);
+    expect(issues.find((issue) => issue.externalId === "T003").projectMilestone).toBe("M2: Phase");
+  });
+});
+
+describe("dependencyOrder", () => {
+  it("puts every task after the tasks that block it", () => {
+    expect(dependencyOrder(plan.tasks).map((task) => task.id)).toEqual(["T001", "T002", "T003"]);
+  });
+});
+
+describe("exportPlanFile", () => {
+  it.each([
+    ["jira", "csv", "text/csv; charset=utf-8"],
+    ["jira", "json", "application/json"],
+    ["linear", "csv", "text/csv; charset=utf-8"],
+    ["linear", "json", "application/json"],
+  ])("writes the %s %s import file", async (target, format, contentType) => {
+    const file = exportPlanFile(plan, target, format);
+    expect(file.filename).toBe(`task-tracker-${target}.${format}`);
+    expect(file.contentType).toBe(contentType);
+    await expect(file.body).toMatchFileSnapshot(golden(file.filename));
+  });
+
+  it("repeats Jira's multi-value columns as often as the busiest task needs", () => {
+    const [header] = exportPlanFile(plan, "jira", "csv").body.split("\n");
+    const columns = header.split(",");
+    expect(columns.filter((column) => column === "Labels")).toHaveLength(3);
+    expect(columns.filter((column) => column === "Inward issue link (Blocks)")).toHaveLength(2);
+  });
+});
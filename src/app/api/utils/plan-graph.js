@@ -0,0 +1,214 @@
+// Integrity checks for the milestone/task dependency graph
+//
+// Generated plans can reference tasks that do not exist, depend on themselves,
+// contain cycles, reuse task IDs across milestones, or order tasks against their
+// milestones. repairPlanGraph fixes these deterministically and reports every
+// change, so the LLM can be asked to correct the same problems first.
+
+// Milestone dependencies name another milestone ("Data Pipeline") or its
+// position ("Milestone 2"); returns the milestone index or -1
+export function resolveMilestone(milestones, reference) {
+  const key = String(reference ?? "").trim().toLowerCase();
+  const byName = milestones.findIndex((m) => m.name.trim().toLowerCase() === key);
+  if (byName !== -1) return byName;
+
+  const position = /^milestone\s*(\d+)$/.exec(key);
+  const index = position ? Number(position[1]) - 1 : -1;
+  return index >= 0 && index < milestones.length ? index : -1;
+}
+
+// "T001" -> "T009" (next free number, same padding); other IDs get a suffix
+function nextFreeId(id, usedIds) {
+  const match = /^(.*?)(\d+)$/.exec(id);
+  if (match) {
+    const [, prefix, digits] = match;
+    const taken = [...usedIds]
+      .map((used) => (used.startsWith(prefix) ? Number(used.slice(prefix.length)) : NaN))
+      .filter(Number.isInteger);
+    return `${prefix}${String(Math.max(...taken) + 1).padStart(digits.length, "0")}`;
+  }
+
+  let suffix = 2;
+  while (usedIds.has(`${id}-${suffix}`)) suffix++;
+  return `${id}-${suffix}`;
+}
+
+// Depth-first search that drops the edge closing each cycle; `edges(node)`
+// returns the current dependencies of a node, `drop(node, dep)` removes one
+function breakCycles(nodes, edges, drop) {
+  const state = new Map(); // undefined: unvisited, 1: on the stack, 2: done
+  const dropped = [];
+
+  const visit = (node, path) => {
+    state.set(node, 1);
+    for (const dep of [...edges(node)]) {
+      if (state.get(dep) === 1) {
+        drop(node, dep);
+        dropped.push({ node, dep, cycle: [...path.slice(path.indexOf(dep)), node, dep] });
+      } else if (!state.has(dep)) {
+        visit(dep, [...path, node]);
+      }
+    }
+    state.set(node, 2);
+  };
+
+  for (const node of nodes) {
+    if (!state.has(node)) visit(node, []);
+  }
+  return dropped;
+}
+
+function repair(type, message, fix, fields = {}) {
+  return { type, ...fields, message, fix };
+}
+
+/**
+ * Returns { milestones, repairs }: a repaired copy of a milestones step output
+ * ({ milestones: [...] }) and one { type, message, fix } entry per problem.
+ * An empty `repairs` list means the graph was already sound.
+ */
+export function repairPlanGraph(plan) {
+  const milestones = plan.milestones.map((m) => ({
+    ...m,
+    dependencies: [...(m.dependencies || [])],
+    tasks: m.tasks.map((t) => ({ ...t, dependencies: [...(t.dependencies || [])] })),
+  }));
+  const repairs = [];
+
+  // Duplicate task IDs: the first occurrence keeps the ID (and incoming references)
+  const usedIds = new Set(milestones.flatMap((m) => m.tasks.map((t) => t.id)));
+  const seenIds = new Set();
+  for (const milestone of milestones) {
+    for (const task of milestone.tasks) {
+      if (seenIds.has(task.id)) {
+        const renamed = nextFreeId(task.id, usedIds);
+        repairs.push(
+          repair("duplicate_task_id", `Task ID ${task.id} is used more than once (again in "${milestone.name}")`, `Renamed to ${renamed}`, {
+            task_id: task.id,
+          }),
+        );
+        usedIds.add(renamed);
+        task.id = renamed;
+      }
+      seenIds.add(task.id);
+    }
+  }
+
+  // Milestone dependencies: no self or unknown references. They are tracked by
+  // index, since milestone names are not guaranteed to be unique
+  const milestoneDeps = milestones.map((milestone, index) => {
+    const resolved = [];
+    for (const reference of milestone.dependencies) {
+      const target = resolveMilestone(milestones, reference);
+      if (target === -1) {
+        repairs.push(
+          repair("dangling_milestone_dependency", `Milestone "${milestone.name}" depends on unknown milestone "${reference}"`, "Dependency removed", {
+            milestone: milestone.name,
+          }),
+        );
+      } else if (target === index) {
+        repairs.push(
+          repair("self_dependency", `Milestone "${milestone.name}" depends on itself`, "Dependency removed", {
+            milestone: milestone.name,
+          }),
+        );
+      } else if (!resolved.includes(target)) {
+        resolved.push(target);
+      }
+    }
+    return resolved;
+  });
+
+  // Task dependencies: no self or unknown references
+  const taskMilestone = new Map();
+  milestones.forEach((milestone, index) => {
+    for (const task of milestone.tasks) taskMilestone.set(task.id, index);
+  });
+  const tasks = milestones.flatMap((m) => m.tasks);
+  const taskById = new Map(tasks.map((t) => [t.id, t]));
+
+  for (const task of tasks) {
+    task.dependencies = [...new Set(task.dependencies)].filter((dep) => {
+      if (dep === task.id) {
+        repairs.push(repair("self_dependency", `Task ${task.id} depends on itself`, "Dependency removed", { task_id: task.id }));
+        return false;
+      }
+      if (!taskMilestone.has(dep)) {
+        repairs.push(
+          repair("dangling_task_dependency", `Task ${task.id} depends on unknown task ${dep}`, "Dependency removed", {
+            task_id: task.id,
+          }),
+        );
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Milestone cycles
+  const label = (index) => `"${milestones[index].name}"`;
+  for (const { node, dep, cycle } of breakCycles(
+    milestones.map((_, index) => index),
+    (index) => milestoneDeps[index],
+    (index, dep) => {
+      milestoneDeps[index] = milestoneDeps[index].filter((d) => d !== dep);
+    },
+  )) {
+    repairs.push(
+      repair("milestone_cycle", `Milestones form a cycle: ${cycle.map(label).join(" -> ")}`, `Removed the dependency of ${label(node)} on ${label(dep)}`, {
+        milestone: milestones[node].name,
+      }),
+    );
+  }
+  // Canonical names in the output
+  milestones.forEach((milestone, index) => {
+    milestone.dependencies = milestoneDeps[index].map((dep) => milestones[dep].name);
+  });
+
+  // A task may depend on tasks of its own milestone, of milestones listed before
+  // it, or of milestones its milestone declares a dependency on. Anything else
+  // (a later milestone without a declared relation, or one that waits on the
+  // task's milestone) contradicts the milestone order.
+  const dependsOnMilestone = (from, to, seen = new Set()) => {
+    if (seen.has(from)) return false;
+    seen.add(from);
+    return milestoneDeps[from].some((next) => next === to || dependsOnMilestone(next, to, seen));
+  };
+  for (const task of tasks) {
+    const own = taskMilestone.get(task.id);
+    task.dependencies = task.dependencies.filter((dep) => {
+      const other = taskMilestone.get(dep);
+      if (other === own || dependsOnMilestone(own, other)) return true;
+      if (other < own && !dependsOnMilestone(other, own)) return true;
+
+      const reason = dependsOnMilestone(other, own)
+        ? `"${milestones[other].name}" depends on "${milestones[own].name}"`
+        : `"${milestones[other].name}" comes after "${milestones[own].name}" and "${milestones[own].name}" does not depend on it`;
+      repairs.push(
+        repair(
+          "ordering_contradiction",
+          `Task ${task.id} ("${milestones[own].name}") depends on ${dep}, but ${reason}`,
+          "Dependency removed; the milestone order wins",
+          { task_id: task.id },
+        ),
+      );
+      return false;
+    });
+  }
+
+  // Task cycles
+  for (const { node, dep, cycle } of breakCycles(
+    tasks.map((t) => t.id),
+    (id) => taskById.get(id).dependencies,
+    (id, dep) => {
+      const task = taskById.get(id);
+      task.dependencies = task.dependencies.filter((d) => d !== dep);
+    },
+  )) {
+    repairs.push(
+      repair("task_cycle", `Tasks form a cycle: ${cycle.join(" -> ")}`, `Removed the dependency of ${node} on ${dep}`, { task_id: node }),
+    );
+  }
+
+  return { milestones: { ...plan, milestones }, repairs };
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { repairPlanGraph } from "./plan-graph.js";
+
+const task = (id, dependencies = []) => ({ id, title: id, dependencies });
+const types = (repairs) => repairs.map((entry) => entry.type);
+
+describe("repairPlanGraph", () => {
+  it("leaves a sound plan unchanged", () => {
+    const plan = {
+      milestones: [
+        { name: "Build", tasks: [task("T1"), task("T2", ["T1"])] },
+        { name: "Ship", dependencies: ["Build"], tasks: [task("T3", ["T2"])] },
+      ],
+    };
+    const { milestones, repairs } = repairPlanGraph(plan);
+    expect(repairs).toEqual([]);
+    expect(milestones.milestones[1].dependencies).toEqual(["Build"]);
+  });
+
+  it("keeps milestones that share a name apart", () => {
+    const plan = {
+      milestones: [
+        { name: "Phase", tasks: [task("T1")] },
+        { name: "Phase", dependencies: ["Milestone 1"], tasks: [task("T2", ["T1"])] },
+        { name: "Launch", dependencies: ["Milestone 2"], tasks: [task("T3", ["T2"])] },
+      ],
+    };
+    const { milestones, repairs } = repairPlanGraph(plan);
+
+    // The second "Phase" depends on the first; that is not a self-dependency or a cycle
+    expect(repairs).toEqual([]);
+    expect(milestones.milestones.map((milestone) => milestone.tasks.length)).toEqual([1, 1, 1]);
+    expect(milestones.milestones[2].tasks[0].dependencies).toEqual(["T2"]);
+  });
+
+  it("breaks milestone cycles", () => {
+    const plan = {
+      milestones: [
+        { name: "A", dependencies: ["B"], tasks: [task("T1")] },
+        { name: "B", dependencies: ["A"], tasks: [task("T2")] },
+      ],
+    };
+    const { milestones, repairs } = repairPlanGraph(plan);
+    expect(types(repairs)).toEqual(["milestone_cycle"]);
+    expect(repairs[0].message).toBe('Milestones form a cycle: "A" -> "B" -> "A"');
+    expect(milestones.milestones.map((milestone) => milestone.dependencies)).toEqual([["B"], []]);
+  });
+
+  it("drops a task dependency on a later milestone that is not declared", () => {
+    const plan = {
+      milestones: [
+        { name: "Build", tasks: [task("T1", ["T2"])] },
+        { name: "Ship", tasks: [task("T2")] },
+      ],
+    };
+    const { milestones, repairs } = repairPlanGraph(plan);
+    expect(types(repairs)).toEqual(["ordering_contradiction"]);
+    expect(repairs[0].message).toContain('"Ship" comes after "Build"');
+    expect(milestones.milestones[0].tasks[0].dependencies).toEqual([]);
+  });
+
+  it("keeps a task dependency on a later milestone its milestone declares", () => {
+    const plan = {
+      milestones: [
+        { name: "Build", dependencies: ["Design"], tasks: [task("T1", ["T2"])] },
+        { name: "Design", tasks: [task("T2")] },
+      ],
+    };
+    expect(repairPlanGraph(plan).repairs).toEqual([]);
+  });
+
+  it("drops a task dependency on a milestone that waits for the task's milestone", () => {
+    const plan = {
+      milestones: [
+        { name: "Build", tasks: [task("T1", ["T2"])] },
+        { name: "Ship", dependencies: ["Build"], tasks: [task("T2")] },
+      ],
+    };
+    const { repairs } = repairPlanGraph(plan);
+    expect(types(repairs)).toEqual(["ordering_contradiction"]);
+    expect(repairs[0].message).toContain('"Ship" depends on "Build"');
+  });
+
+  it("renames duplicate task IDs and drops dangling and self dependencies", () => {
+    const plan = {
+      milestones: [
+        { name: "Build", dependencies: ["Nope", "Build"], tasks: [task("T001", ["T001", "T404"]), task("T001")] },
+      ],
+    };
+    const { milestones, repairs } = repairPlanGraph(plan);
+    expect(types(repairs)).toEqual([
+      "duplicate_task_id",
+      "dangling_milestone_dependency",
+      "self_dependency",
+      "self_dependency",
+      "dangling_task_dependency",
+    ]);
+    expect(milestones.milestones[0].tasks.map((entry) => entry.id)).toEqual(["T001", "T002"]);
+  });
+});
@@ -0,0 +1,311 @@
+// Generation run persistence (Postgres via the shared Neon client)
+
+import { randomUUID } from "node:crypto";
+import sql from "./sql.js";
+
+// Schema migrations, applied in order and recorded in schema_migrations
+const MIGRATIONS = [
+  {
+    version: 1,
+    statements: [
+      `CREATE TABLE IF NOT EXISTS projects (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        title TEXT,
+        project_idea TEXT NOT NULL,
+        special_instructions TEXT,
+        contributors JSONB NOT NULL DEFAULT '[]'::jsonb,
+        mode TEXT NOT NULL,
+        status TEXT NOT NULL,
+        latest_version INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )`,
+      `CREATE TABLE IF NOT EXISTS project_versions (
+        id SERIAL PRIMARY KEY,
+        project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        interpretation JSONB,
+        milestones JSONB,
+        assignments JSONB,
+        artifacts JSONB,
+        agent_insights JSONB,
+        notion_url TEXT,
+        github_url TEXT,
+        timings JSONB NOT NULL DEFAULT '{}'::jsonb,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (project_id, version)
+      )`,
+      `CREATE INDEX IF NOT EXISTS projects_created_at_idx ON projects (created_at DESC)`,
+    ],
+  },
+  {
+    version: 2,
+    statements: [`ALTER TABLE project_versions ADD COLUMN IF NOT EXISTS usage JSONB`],
+  },
+  {
+    version: 3,
+    statements: [`ALTER TABLE projects ADD COLUMN IF NOT EXISTS clarifications JSONB NOT NULL DEFAULT '[]'::jsonb`],
+  },
+  {
+    version: 4,
+    statements: [
+      // YYYY-MM-DD text, so drivers do not turn it into a local-time Date
+      `ALTER TABLE projects ADD COLUMN IF NOT EXISTS start_date TEXT`,
+      `UPDATE projects SET start_date = to_char(created_at, 'YYYY-MM-DD') WHERE start_date IS NULL`,
+    ],
+  },
+  {
+    version: 5,
+    statements: [
+      // Remote IDs of the GitHub repository and Notion page created for a project
+      `CREATE TABLE IF NOT EXISTS project_integrations (
+        project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        integration TEXT NOT NULL,
+        remote JSONB NOT NULL,
+        synced_version INTEGER NOT NULL,
+        synced_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (project_id, integration)
+      )`,
+    ],
+  },
+  {
+    version: 6,
+    statements: [
+      // Repositories may live on any git target; existing ones are all on GitHub
+      `ALTER TABLE project_versions RENAME COLUMN github_url TO repository_url`,
+      `UPDATE project_integrations
+        SET integration = 'repository', remote = remote || '{"target": "github"}'::jsonb
+        WHERE integration = 'github'`,
+    ],
+  },
+  {
+    version: 7,
+    statements: [
+      // AGENT_CACHE_BACKEND=postgres entries (see agent-cache.js)
+      `CREATE TABLE IF NOT EXISTS agent_cache (
+        key TEXT PRIMARY KEY,
+        namespace TEXT NOT NULL,
+        value JSONB NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )`,
+      `CREATE INDEX IF NOT EXISTS agent_cache_created_at_idx ON agent_cache (created_at DESC)`,
+    ],
+  },
+];
+
+let schemaReady = null;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isProjectId(id) {
+  return typeof id === "string" && UUID_PATTERN.test(id);
+}
+
+// Version numbers start at 1; accepts the number or its decimal string (a query parameter)
+export function parseVersion(value) {
+  const version = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isSafeInteger(version) && version > 0 ? version : null;
+}
+
+export function isPersistenceEnabled() {
+  return Boolean(process.env.DATABASE_URL);
+}
+
+async function migrate() {
+  await sql`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`;
+
+  const applied = await sql`SELECT version FROM schema_migrations`;
+  const appliedVersions = new Set(applied.map((row) => row.version));
+
+  for (const migration of MIGRATIONS) {
+    if (appliedVersions.has(migration.version)) continue;
+
+    console.log(`🗄️ Applying schema migration ${migration.version}`);
+    await sql.transaction([
+      ...migration.statements.map((statement) => sql(statement)),
+      sql`INSERT INTO schema_migrations (version) VALUES (${migration.version})`,
+    ]);
+  }
+}
+
+export async function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = migrate().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+function json(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+// Step outputs that are checkpointed into their own project_versions column
+const STEP_COLUMNS = ["interpretation", "milestones", "assignments", "artifacts"];
+
+// Creates the project and its first version when a run starts, with status "running"
+export async function createProjectRun(run) {
+  await ensureSchema();
+
+  const projectId = randomUUID();
+
+  await sql.transaction([
+    sql`
+      INSERT INTO projects (id, title, project_idea, special_instructions, clarifications, contributors, start_date, mode, status)
+      VALUES (
+        ${projectId},
+        ${run.interpretation?.title || null},
+        ${run.project_idea},
+        ${run.special_instructions || null},
+        ${json(run.clarifications || [])}::jsonb,
+        ${json(run.contributors || [])}::jsonb,
+        ${run.start_date},
+        ${run.mode},
+        'running'
+      )`,
+    sql`INSERT INTO project_versions (project_id, version) VALUES (${projectId}, 1)`,
+  ]);
+
+  return { projectId, version: 1 };
+}
+
+// Starts a new version of an existing project, carrying over the kept step outputs
+export async function createProjectVersion(projectId, run) {
+  await ensureSchema();
+
+  const [project] = await sql`
+    UPDATE projects
+    SET latest_version = latest_version + 1, status = 'running', updated_at = now()
+    WHERE id = ${projectId}
+    RETURNING latest_version`;
+  if (!project) throw new Error(`Project ${projectId} not found`);
+
+  const version = project.latest_version;
+  await sql`
+    INSERT INTO project_versions (
+      project_id, version, interpretation, milestones, assignments, artifacts, notion_url, repository_url
+    )
+    VALUES (
+      ${projectId},
+      ${version},
+      ${json(run.interpretation)}::jsonb,
+      ${json(run.milestones)}::jsonb,
+      ${json(run.assignments)}::jsonb,
+      ${json(run.artifacts)}::jsonb,
+      ${run.notion_url || null},
+      ${run.repository_url || null}
+    )`;
+
+  return { projectId, version };
+}
+
+export async function saveStepOutput(projectId, version, step, output) {
+  if (!STEP_COLUMNS.includes(step)) throw new Error(`Unknown pipeline step "${step}"`);
+  await ensureSchema();
+
+  // Column names cannot be parameters; `step` is checked against STEP_COLUMNS above
+  await sql(
+    `UPDATE project_versions SET ${step} = $1::jsonb WHERE project_id = $2 AND version = $3`,
+    [json(output), projectId, version],
+  );
+}
+
+// Records the outcome of a run on its version and the project
+export async function finishProjectRun(projectId, version, run) {
+  await ensureSchema();
+
+  await sql.transaction([
+    sql`
+      UPDATE project_versions
+      SET
+        interpretation = ${json(run.interpretation)}::jsonb,
+        milestones = ${json(run.milestones)}::jsonb,
+        assignments = ${json(run.assignments)}::jsonb,
+        artifacts = ${json(run.artifacts)}::jsonb,
+        agent_insights = ${json(run.agent_insights)}::jsonb,
+        notion_url = ${run.notion_url || null},
+        repository_url = ${run.repository_url || null},
+        timings = ${json(run.timings || {})}::jsonb,
+        usage = ${json(run.usage)}::jsonb,
+        error = ${run.error || null}
+      WHERE project_id = ${projectId} AND version = ${version}`,
+    sql`
+      UPDATE projects
+      SET
+        title = COALESCE(${run.interpretation?.title || null}, title),
+        status = ${run.error ? "failed" : "completed"},
+        updated_at = now()
+      WHERE id = ${projectId}`,
+  ]);
+}
+
+export async function listProjects({ limit = 20, offset = 0 } = {}) {
+  await ensureSchema();
+
+  return await sql`
+    SELECT id, title, project_idea, mode, status, latest_version, created_at, updated_at
+    FROM projects
+    ORDER BY created_at DESC
+    LIMIT ${limit} OFFSET ${offset}`;
+}
+
+export async function getProject(id, { version } = {}) {
+  await ensureSchema();
+
+  const [project] = await sql`SELECT * FROM projects WHERE id = ${id}`;
+  if (!project) return null;
+
+  const versions = await sql`
+    SELECT version, error, created_at
+    FROM project_versions
+    WHERE project_id = ${id}
+    ORDER BY version ASC`;
+
+  const [selected] = await sql`
+    SELECT *
+    FROM project_versions
+    WHERE project_id = ${id} AND version = ${version ?? project.latest_version}`;
+
+  return { ...project, versions, version: selected || null };
+}
+
+export async function deleteProject(id) {
+  await ensureSchema();
+
+  const deleted = await sql`DELETE FROM projects WHERE id = ${id} RETURNING id`;
+  return deleted.length > 0;
+}
+
+// { repository?: { remote, synced_version, synced_at }, notion?: ... } for a project
+export async function getIntegrations(projectId) {
+  await ensureSchema();
+
+  const rows = await sql`
+    SELECT integration, remote, synced_version, synced_at
+    FROM project_integrations
+    WHERE project_id = ${projectId}`;
+  return Object.fromEntries(rows.map(({ integration, ...row }) => [integration, row]));
+}
+
+// Remembers a target's remote IDs and links it from the synced version
+export async function saveIntegration(projectId, integration, remote, version) {
+  await ensureSchema();
+
+  await sql.transaction([
+    sql`
+      INSERT INTO project_integrations (project_id, integration, remote, synced_version)
+      VALUES (${projectId}, ${integration}, ${json(remote)}::jsonb, ${version})
+      ON CONFLICT (project_id, integration) DO UPDATE
+      SET remote = EXCLUDED.remote, synced_version = EXCLUDED.synced_version, synced_at = now()`,
+    integration === "repository"
+      ? sql`UPDATE project_versions SET repository_url = ${remote.url} WHERE project_id = ${projectId} AND version = ${version}`
+      : sql`UPDATE project_versions SET notion_url = ${remote.url} WHERE project_id = ${projectId} AND version = ${version}`,
+  ]);
+}
@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createFakeFetch, TEST_CONTRIBUTORS } from "../test/fake-llm.js";
+
+const { testSql } = await vi.hoisted(async () => {
+  const { createTestSql } = await import("../test/pg-mem-sql.js");
+  return { testSql: createTestSql() };
+});
+vi.mock("./sql.js", () => ({ default: testSql }));
+
+async function loadProjects() {
+  vi.resetModules();
+  return await import("./projects.js");
+}
+
+async function appliedVersions() {
+  const rows = await testSql`SELECT version FROM schema_migrations ORDER BY version`;
+  return rows.map((row) => row.version);
+}
+
+beforeEach(() => {
+  testSql.reset();
+  vi.stubEnv("DATABASE_URL", "postgres://test");
+  vi.stubEnv("OPENAI_API_KEY", "test-key");
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("schema migrations", () => {
+  it("applies every migration once and records it in schema_migrations", async () => {
+    const projects = await loadProjects();
+    await projects.ensureSchema();
+    const versions = await appliedVersions();
+    expect(versions).toEqual(versions.map((_, index) => index + 1));
+    expect(versions.length).toBeGreaterThanOrEqual(7);
+
+    // A fresh process finds everything applied and changes nothing
+    const again = await loadProjects();
+    await again.ensureSchema();
+    expect(await appliedVersions()).toEqual(versions);
+    expect(console.log).toHaveBeenCalledTimes(versions.length);
+  });
+
+  it("moves GitHub integrations and URLs to the repository columns", async () => {
+    const projects = await loadProjects();
+    await projects.ensureSchema();
+    const { projectId } = await projects.createProjectRun({
+      project_idea: "Legacy project",
+      contributors: [],
+      start_date: "2024-01-01",
+      mode: "fast",
+    });
+
+    // Roll back to before migration 6 (migration 7 is idempotent) with a GitHub integration saved
+    await testSql`DELETE FROM schema_migrations WHERE version >= 6`;
+    await testSql("ALTER TABLE project_versions RENAME COLUMN repository_url TO github_url");
+    await testSql`UPDATE project_versions SET github_url = 'https://github.com/acme/legacy' WHERE project_id = ${projectId}`;
+    await testSql`
+      INSERT INTO project_integrations (project_id, integration, remote, synced_version)
+      VALUES (${projectId}, 'github', ${JSON.stringify({ url: "https://github.com/acme/legacy" })}::jsonb, 1)`;
+
+    const upgraded = await loadProjects();
+    await upgraded.ensureSchema();
+
+    const project = await upgraded.getProject(projectId);
+    expect(project.version.repository_url).toBe("https://github.com/acme/legacy");
+    const integrations = await upgraded.getIntegrations(projectId);
+    expect(Object.keys(integrations)).toEqual(["repository"]);
+    expect(integrations.repository.remote).toEqual({ url: "https://github.com/acme/legacy", target: "github" });
+  });
+});
+
+describe("run persistence", () => {
+  it("checkpoints each finished step, so a failed run keeps the steps before the failure", async () => {
+    const { fetch, calls } = createFakeFetch((url, init) =>
+      url.includes("/chat/completions") && init.body.includes("technical writer")
+        ? new Response(JSON.stringify({ error: { message: "invalid request" } }), { status: 400 })
+        : null,
+    );
+    vi.stubGlobal("fetch", fetch);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const projects = await loadProjects();
+    const { generateProject } = await import("./generation.js");
+
+    await expect(
+      generateProject({ project_idea: "A tracker", contributors: TEST_CONTRIBUTORS, mode: "fast" }),
+    ).rejects.toThrow(/invalid request/);
+    expect(calls.some((call) => call.init.body?.includes("technical writer"))).toBe(true);
+
+    const [row] = await testSql`SELECT id FROM projects WHERE project_idea = 'A tracker'`;
+    const project = await projects.getProject(row.id);
+    expect(project.status).toBe("failed");
+    expect(project.version.interpretation.title).toBe("Test Project");
+    expect(project.version.milestones.milestones).toHaveLength(2);
+    expect(project.version.assignments.assignments).toHaveLength(3);
+    expect(project.version.artifacts).toBeNull();
+    expect(project.version.error).toMatch(/invalid request/);
+  });
+
+  it("writes a step output into its own column of the version", async () => {
+    const projects = await loadProjects();
+    const { projectId, version } = await projects.createProjectRun({
+      project_idea: "Checkpointed",
+      contributors: TEST_CONTRIBUTORS,
+      start_date: "2024-01-01",
+      mode: "fast",
+    });
+
+    await projects.saveStepOutput(projectId, version, "milestones", { milestones: [] });
+    const project = await projects.getProject(projectId);
+    expect(project.status).toBe("running");
+    expect(project.version.milestones).toEqual({ milestones: [] });
+    expect(project.version.interpretation).toBeNull();
+
+    await expect(projects.saveStepOutput(projectId, version, "title; DROP TABLE projects", {})).rejects.toThrow(
+      /Unknown pipeline step/,
+    );
+  });
+
+  it("starts a new version that carries the kept step outputs", async () => {
+    const projects = await loadProjects();
+    const { projectId } = await projects.createProjectRun({
+      project_idea: "Versioned",
+      contributors: [],
+      start_date: "2024-01-01",
+      mode: "fast",
+    });
+    await projects.finishProjectRun(projectId, 1, { interpretation: { title: "V1" }, timings: {} });
+
+    const { version } = await projects.createProjectVersion(projectId, { interpretation: { title: "V1" } });
+    expect(version).toBe(2);
+
+    const latest = await projects.getProject(projectId);
+    expect(latest.latest_version).toBe(2);
+    expect(latest.title).toBe("V1");
+    expect(latest.versions.map((entry) => entry.version)).toEqual([1, 2]);
+    expect(latest.version.interpretation).toEqual({ title: "V1" });
+    expect((await projects.getProject(projectId, { version: 1 })).version.version).toBe(1);
+  });
+});
@@ -0,0 +1,48 @@
+// Per-run context shared by every step of a generation run
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getRunContext() {
+  return storage.getStore() || {};
+}
+
+// Progress events: phase_started, phase_finished, llm_call, search_query,
+// page_read, validation_score, graph_issues, integration_warnings, log
+export function emitProgress(type, data = {}) {
+  const { onProgress } = getRunContext();
+  if (!onProgress) return;
+
+  try {
+    onProgress({ type, timestamp: new Date().toISOString(), ...data });
+  } catch (error) {
+    // A disconnected listener must never break the run itself
+    console.error("Progress listener failed:", error.message);
+  }
+}
+
+// Phase durations are also collected into the context's `timings`, when present
+export async function trackPhase(phase, fn) {
+  emitProgress("phase_started", { phase });
+  const startedAt = Date.now();
+  const result = await fn();
+  const duration = Date.now() - startedAt;
+
+  const { timings } = getRunContext();
+  if (timings) timings[phase] = duration;
+
+  emitProgress("phase_finished", { phase, duration_ms: duration });
+  return result;
+}
+
+// Hands a finished pipeline step's output to the run (checkpointing, job partials)
+export async function reportStepResult(step, output) {
+  const { onStepResult } = getRunContext();
+  if (onStepResult) await onStepResult(step, output);
+  return output;
+}
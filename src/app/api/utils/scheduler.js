@@ -0,0 +1,359 @@
+// Deterministic scheduling of the milestone/task graph
+//
+// The LLM only proposes who should work on each task; this module turns that
+// proposal into a timeline. Task durations follow from estimated hours and the
+// assignee's capacity in each week (weekly hours, start date and absences, see
+// contributors.js), every dependency is honored, and nobody is booked past
+// their capacity in any week.
+//
+// Time is measured in (fractional) weeks from the project start date. Reported
+// weeks are 1-based and inclusive, so a task may start in the week its
+// predecessor ends.
+
+import { addDays, capacityInWeek, today, weeklyHours } from "./contributors.js";
+import { resolveMilestone } from "./plan-graph.js";
+
+// A schedule that would run longer than this has a contributor who is never available
+const MAX_WEEKS = 520;
+const EPSILON = 1e-6;
+const PRIORITY_RANK = { Critical: 0, High: 1, Medium: 2, Low: 3 };
+
+function nameKey(name) {
+  return String(name ?? "").trim().toLowerCase();
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function collectTasks(milestones) {
+  return milestones.flatMap((milestone, milestoneIndex) =>
+    milestone.tasks.map((task) => ({
+      task,
+      id: task.id,
+      milestoneIndex,
+      hours: Math.max(Number(task.estimated_hours) || 0, 0),
+    })),
+  );
+}
+
+// Predecessor node indexes per node: task dependencies, every task of a
+// milestone the task's milestone depends on, and the previous task of the same
+// milestone when a task cannot run in parallel. Unknown references are ignored.
+function buildPredecessors(nodes, milestones) {
+  const byId = new Map();
+  nodes.forEach((node, index) => {
+    if (!byId.has(node.id)) byId.set(node.id, index);
+  });
+
+  const tasksOfMilestone = milestones.map((_, milestoneIndex) =>
+    nodes.flatMap((node, index) => (node.milestoneIndex === milestoneIndex ? [index] : [])),
+  );
+
+  return nodes.map((node, index) => {
+    const preds = new Set();
+
+    for (const dependency of node.task.dependencies || []) {
+      const pred = byId.get(dependency);
+      if (pred !== undefined) preds.add(pred);
+    }
+
+    for (const reference of milestones[node.milestoneIndex].dependencies || []) {
+      const milestoneIndex = resolveMilestone(milestones, reference);
+      if (milestoneIndex === node.milestoneIndex || milestoneIndex === -1) continue;
+      tasksOfMilestone[milestoneIndex].forEach((pred) => preds.add(pred));
+    }
+
+    if (node.task.can_parallel === false) {
+      const siblings = tasksOfMilestone[node.milestoneIndex];
+      const position = siblings.indexOf(index);
+      if (position > 0) preds.add(siblings[position - 1]);
+    }
+
+    preds.delete(index);
+    return preds;
+  });
+}
+
+// Topological order (Kahn). Edges that keep a cycle alive are dropped from
+// `preds` so the rest of the plan can still be scheduled.
+function topologicalOrder(preds) {
+  const order = [];
+  const done = new Set();
+  const droppedEdges = [];
+
+  while (order.length < preds.length) {
+    const ready = preds.findIndex((p, index) => !done.has(index) && [...p].every((pred) => done.has(pred)));
+    if (ready !== -1) {
+      order.push(ready);
+      done.add(ready);
+      continue;
+    }
+
+    // Every remaining node waits on another one: break the cycle at the node
+    // with the fewest unscheduled predecessors
+    const remaining = preds.map((p, index) => index).filter((index) => !done.has(index));
+    const unresolved = (index) => [...preds[index]].filter((pred) => !done.has(pred));
+    const victim = remaining.reduce((best, index) => (unresolved(index).length < unresolved(best).length ? index : best));
+    for (const pred of unresolved(victim)) {
+      preds[victim].delete(pred);
+      droppedEdges.push([pred, victim]);
+    }
+  }
+
+  return { order, droppedEdges };
+}
+
+function expertiseScore(task, contributor) {
+  const skills = (contributor.expertise || []).map(nameKey);
+  return (task.required_expertise || []).filter((required) => {
+    const needed = nameKey(required);
+    return skills.some((skill) => skill.includes(needed) || needed.includes(skill));
+  }).length;
+}
+
+// Uses the proposed assignee when it names a contributor; otherwise picks the
+// best expertise match, breaking ties by the lighter load so far
+function assignContributors(nodes, proposal, contributors) {
+  const byName = new Map(contributors.map((c) => [nameKey(c.name), c]));
+  const proposed = new Map();
+  for (const entry of proposal.assignments || []) {
+    if (!proposed.has(entry.task_id)) proposed.set(entry.task_id, entry);
+  }
+
+  const load = new Map(contributors.map((c) => [c.name, 0]));
+
+  return nodes.map((node) => {
+    const entry = proposed.get(node.id);
+    let contributor = entry && byName.get(nameKey(entry.assigned_to));
+    const fromProposal = Boolean(contributor);
+
+    if (!contributor) {
+      contributor = contributors.reduce((best, candidate) => {
+        const score = expertiseScore(node.task, candidate) - expertiseScore(node.task, best);
+        if (score !== 0) return score > 0 ? candidate : best;
+        return load.get(candidate.name) < load.get(best.name) ? candidate : best;
+      });
+    }
+
+    load.set(contributor.name, load.get(contributor.name) + node.hours);
+    return {
+      contributor,
+      assignment_rationale: fromProposal
+        ? entry.assignment_rationale || ""
+        : "Assigned by the scheduler: closest expertise match with the lightest workload",
+      collaboration_notes: entry?.collaboration_notes || "",
+    };
+  });
+}
+
+// Unconstrained critical path method: earliest/latest start and finish per
+// task at nominal weekly hours, ignoring who does the work when
+function criticalPath(order, preds, durations) {
+  const count = durations.length;
+  const es = new Array(count).fill(0);
+  const ef = new Array(count).fill(0);
+
+  for (const index of order) {
+    es[index] = Math.max(0, ...[...preds[index]].map((pred) => ef[pred]));
+    ef[index] = es[index] + durations[index];
+  }
+
+  const length = Math.max(0, ...ef);
+  const successors = Array.from({ length: count }, () => []);
+  preds.forEach((p, index) => p.forEach((pred) => successors[pred].push(index)));
+
+  const lf = new Array(count).fill(length);
+  const ls = new Array(count).fill(length);
+  for (const index of [...order].reverse()) {
+    lf[index] = Math.min(length, ...successors[index].map((succ) => ls[succ]));
+    ls[index] = lf[index] - durations[index];
+  }
+
+  const slack = ls.map((value, index) => Math.max(0, value - es[index]));
+  const critical = slack.map((value) => value < EPSILON);
+
+  // Walk back from the task that finishes last through critical predecessors
+  const path = [];
+  let current = ef.indexOf(length);
+  while (current !== -1 && count > 0) {
+    path.unshift(current);
+    const start = es[current];
+    current = [...preds[current]].find((pred) => critical[pred] && Math.abs(ef[pred] - start) < EPSILON) ?? -1;
+  }
+
+  return { es, ef, ls, lf, slack, critical, path, length };
+}
+
+// Serial schedule generation: repeatedly takes the ready task with the earliest
+// latest start (then priority) and books it on its assignee's calendar from the
+// later of the assignee becoming free and its predecessors finishing
+function levelResources(nodes, preds, assigned, cpm, startDate) {
+  const calendars = new Map();
+  const calendarOf = (contributor) => {
+    if (!calendars.has(contributor.name)) {
+      const capacities = [];
+      const capacity = (week) => (capacities[week] ??= capacityInWeek(contributor, addDays(startDate, week * 7)));
+      calendars.set(contributor.name, { free: 0, capacity, hours: [] });
+    }
+    return calendars.get(contributor.name);
+  };
+
+  const finish = new Array(nodes.length).fill(null);
+  const booked = nodes.map(() => new Map());
+  const scheduled = new Set();
+
+  while (scheduled.size < nodes.length) {
+    const ready = nodes
+      .map((_, index) => index)
+      .filter((index) => !scheduled.has(index) && [...preds[index]].every((pred) => scheduled.has(pred)));
+    ready.sort(
+      (a, b) =>
+        cpm.ls[a] - cpm.ls[b] ||
+        (PRIORITY_RANK[nodes[a].task.priority] ?? 2) - (PRIORITY_RANK[nodes[b].task.priority] ?? 2) ||
+        a - b,
+    );
+    const index = ready[0];
+    const calendar = calendarOf(assigned[index].contributor);
+
+    let time = Math.max(calendar.free, ...[...preds[index]].map((pred) => finish[pred]));
+    let remaining = nodes[index].hours;
+    while (remaining > EPSILON) {
+      const week = Math.floor(time + EPSILON);
+      if (week >= MAX_WEEKS) {
+        throw new Error(`Schedule for ${assigned[index].contributor.name} exceeds ${MAX_WEEKS} weeks`);
+      }
+
+      // The assignee works on one task at a time, so only the rest of this week is left
+      const capacity = calendar.capacity(week);
+      const available = capacity * (week + 1 - time);
+      const used = Math.min(Math.max(available, 0), remaining);
+      if (used > EPSILON) {
+        calendar.hours[week] = (calendar.hours[week] || 0) + used;
+        booked[index].set(week, (booked[index].get(week) || 0) + used);
+        remaining -= used;
+      }
+      time = remaining > EPSILON ? week + 1 : time + used / capacity;
+    }
+
+    finish[index] = time;
+    calendar.free = time;
+    scheduled.add(index);
+  }
+
+  return { booked, calendars, calendarOf };
+}
+
+function taskWeeks(bookedWeeks, fallbackWeek) {
+  const weeks = [...bookedWeeks.keys()];
+  if (weeks.length === 0) return { start: fallbackWeek, end: fallbackWeek };
+  return { start: Math.min(...weeks), end: Math.max(...weeks) };
+}
+
+/**
+ * Builds the assignments section: `proposal` is the LLM's
+ * { timeline_strategy, assignments: [{ task_id, assigned_to, assignment_rationale,
+ * collaboration_notes }] }; start/end weeks, the weekly schedule, workload,
+ * slack and the critical path are computed here. Week 1 starts on `startDate`.
+ */
+export function scheduleProject(milestones, proposal, contributors, { startDate = today() } = {}) {
+  const phases = milestones.milestones || milestones;
+  if (!contributors?.length) throw new Error("Scheduling needs at least one contributor");
+
+  const nodes = collectTasks(phases);
+  const preds = buildPredecessors(nodes, phases);
+  const { order, droppedEdges } = topologicalOrder(preds);
+  for (const [pred, node] of droppedEdges) {
+    console.warn(`⚠️ Ignoring dependency of ${nodes[node].id} on ${nodes[pred].id}: it closes a cycle`);
+  }
+
+  const assigned = assignContributors(nodes, proposal, contributors);
+  const durations = nodes.map((node, index) => node.hours / weeklyHours(assigned[index].contributor));
+  const cpm = criticalPath(order, preds, durations);
+  const { booked, calendarOf } = levelResources(nodes, preds, assigned, cpm, startDate);
+
+  const weeks = nodes.map((node, index) => {
+    // Zero-hour tasks sit in the week their last predecessor ends
+    const predEnds = [...preds[index]].map((pred) => Math.max(...booked[pred].keys(), 0));
+    return taskWeeks(booked[index], Math.max(0, ...predEnds));
+  });
+  const totalWeeks = Math.max(1, ...weeks.map(({ end }) => end + 1));
+
+  const assignments = nodes.map((node, index) => ({
+    task_id: node.id,
+    assigned_to: assigned[index].contributor.name,
+    start_week: weeks[index].start + 1,
+    end_week: weeks[index].end + 1,
+    estimated_hours: node.hours,
+    slack_weeks: round(cpm.slack[index]),
+    on_critical_path: cpm.critical[index],
+    assignment_rationale: assigned[index].assignment_rationale,
+    collaboration_notes: assigned[index].collaboration_notes,
+  }));
+
+  const milestoneSchedule = [];
+  phases.forEach((milestone, milestoneIndex) => {
+    const own = assignments.filter((_, index) => nodes[index].milestoneIndex === milestoneIndex);
+    // A milestone without tasks is a checkpoint in the week the milestones before it end
+    const previousEnd = Math.max(1, ...milestoneSchedule.map((entry) => entry.end_week));
+    milestoneSchedule.push({
+      milestone: milestone.name,
+      start_week: own.length ? Math.min(...own.map((a) => a.start_week)) : previousEnd,
+      end_week: own.length ? Math.max(...own.map((a) => a.end_week)) : previousEnd,
+    });
+  });
+
+  const weeklySchedule = Array.from({ length: totalWeeks }, (_, week) => ({
+    week: week + 1,
+    start_date: addDays(startDate, week * 7),
+    active_tasks: assignments.flatMap((a, index) =>
+      booked[index].has(week)
+        ? [
+            {
+              task_id: a.task_id,
+              assigned_to: a.assigned_to,
+              hours: round(booked[index].get(week)),
+              status: a.end_week === week + 1 ? "completing" : a.start_week === week + 1 ? "starting" : "continuing",
+            },
+          ]
+        : [],
+    ),
+    milestone_completions: milestoneSchedule.filter((m) => m.end_week === week + 1).map((m) => m.milestone),
+  }));
+
+  const workloadDistribution = contributors.map((contributor) => {
+    const calendar = calendarOf(contributor);
+    const hours = Array.from({ length: totalWeeks }, (_, week) => calendar.hours[week] || 0);
+    const capacity = weeklyHours(contributor);
+    const availableHours = hours.reduce((sum, _, week) => sum + calendar.capacity(week), 0);
+    const taskCount = assignments.filter((a) => a.assigned_to === contributor.name).length;
+    const totalHours = round(hours.reduce((sum, value) => sum + value, 0));
+    const peakHours = round(Math.max(0, ...hours));
+    const utilization = availableHours > 0 ? Math.round((totalHours / availableHours) * 100) : 0;
+
+    return {
+      contributor: contributor.name,
+      total_hours: totalHours,
+      peak_week_hours: peakHours,
+      weekly_capacity: capacity,
+      available_hours: round(availableHours),
+      utilization_percent: utilization,
+      utilization_notes: taskCount
+        ? `${taskCount} task(s), ${totalHours}h over ${totalWeeks} week(s); peak ${peakHours}h of ${capacity}h/week`
+        : "No tasks assigned",
+    };
+  });
+
+  return {
+    timeline_strategy: proposal.timeline_strategy || "",
+    start_date: startDate,
+    total_estimated_weeks: totalWeeks,
+    critical_path: cpm.path.map((index) => nodes[index].id),
+    critical_path_weeks: round(cpm.length),
+    assignments,
+    milestone_schedule: milestoneSchedule,
+    weekly_schedule: weeklySchedule,
+    workload_distribution: workloadDistribution,
+  };
+}
@@ -0,0 +1,140 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { scheduleProject } from "./scheduler.js";
+
+const CONTRIBUTORS = [{ name: "Ann", expertise: ["Python"], weekly_hours: 40 }];
+const TEAM = [...CONTRIBUTORS, { name: "Bob", expertise: ["Python"], weekly_hours: 40 }];
+
+const task = (id, hours, dependencies = [], extra = {}) => ({
+  id,
+  title: id,
+  required_expertise: ["Python"],
+  estimated_hours: hours,
+  dependencies,
+  ...extra,
+});
+
+// { task_id: assignee } as the LLM's proposal
+const proposal = (assignees) => ({
+  assignments: Object.entries(assignees).map(([task_id, assigned_to]) => ({ task_id, assigned_to })),
+});
+
+function schedule(tasks, assignees, contributors = TEAM) {
+  return scheduleProject([{ name: "Build", tasks }], proposal(assignees), contributors, { startDate: "2024-01-01" });
+}
+
+// { task_id: [start_week, end_week] }
+function weeksOf(result) {
+  return Object.fromEntries(result.assignments.map((a) => [a.task_id, [a.start_week, a.end_week]]));
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("scheduleProject", () => {
+  it("starts a task once its dependencies are done", () => {
+    const result = schedule([task("T2", 40, ["T1"]), task("T1", 40)], { T1: "Ann", T2: "Bob" });
+
+    expect(weeksOf(result)).toEqual({ T2: [2, 2], T1: [1, 1] });
+    expect(result.total_estimated_weeks).toBe(2);
+  });
+
+  it("waits for every task of the milestones a milestone depends on", () => {
+    const milestones = [
+      { name: "Build", tasks: [task("T1", 80)] },
+      { name: "Ship", dependencies: ["Build"], tasks: [task("T2", 40)] },
+    ];
+    const result = scheduleProject(milestones, proposal({ T1: "Ann", T2: "Bob" }), TEAM, { startDate: "2024-01-01" });
+
+    expect(weeksOf(result)).toEqual({ T1: [1, 2], T2: [3, 3] });
+  });
+
+  it("reports the critical path and the slack of the other tasks", () => {
+    const result = schedule([task("T1", 80), task("T2", 40), task("T3", 40, ["T1", "T2"])], {
+      T1: "Ann",
+      T2: "Bob",
+      T3: "Ann",
+    });
+
+    expect(result.critical_path).toEqual(["T1", "T3"]);
+    expect(result.critical_path_weeks).toBe(3);
+    expect(result.assignments.map(({ task_id, slack_weeks, on_critical_path }) => [task_id, slack_weeks, on_critical_path])).toEqual([
+      ["T1", 0, true],
+      ["T2", 1, false],
+      ["T3", 0, true],
+    ]);
+  });
+
+  it("books one assignee on one task at a time, the more urgent one first", () => {
+    const result = schedule([task("T1", 40, [], { priority: "Low" }), task("T2", 40, [], { priority: "Critical" })], {
+      T1: "Ann",
+      T2: "Ann",
+    });
+
+    expect(weeksOf(result)).toEqual({ T1: [2, 2], T2: [1, 1] });
+  });
+
+  it("never books more than the assignee's weekly hours", () => {
+    const parttime = [{ name: "Ann", expertise: ["Python"], weekly_hours: 20 }];
+    const result = schedule([task("T1", 50), task("T2", 10)], { T1: "Ann", T2: "Ann" }, parttime);
+
+    expect(weeksOf(result)).toEqual({ T1: [1, 3], T2: [3, 3] });
+    const weekly = result.weekly_schedule.map((week) => week.active_tasks.reduce((sum, active) => sum + active.hours, 0));
+    expect(weekly).toEqual([20, 20, 20]);
+    expect(result.workload_distribution[0]).toMatchObject({ total_hours: 60, peak_week_hours: 20, weekly_capacity: 20 });
+  });
+
+  it("assigns tasks the proposal leaves out to the best expertise match", () => {
+    const team = [
+      { name: "Ann", expertise: ["Design"] },
+      { name: "Bob", expertise: ["Python"] },
+    ];
+    const result = schedule([task("T1", 8)], {}, team);
+
+    expect(result.assignments[0]).toMatchObject({ assigned_to: "Bob" });
+    expect(result.assignments[0].assignment_rationale).toMatch(/Assigned by the scheduler/);
+  });
+
+  it("drops a dependency that closes a cycle and schedules the rest", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const result = schedule([task("T1", 40, ["T2"]), task("T2", 40, ["T1"])], { T1: "Ann", T2: "Bob" });
+
+    expect(result.assignments).toHaveLength(2);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/it closes a cycle/));
+  });
+});
+
+describe("scheduleProject milestone_schedule", () => {
+  it("spans each milestone from its first to its last task week", () => {
+    const milestones = [
+      { name: "Build", tasks: [task("T1", 40), task("T2", 40, ["T1"])] },
+      { name: "Ship", dependencies: ["Build"], tasks: [task("T3", 40, ["T2"])] },
+    ];
+    const { milestone_schedule } = scheduleProject(milestones, { assignments: [] }, CONTRIBUTORS, {
+      startDate: "2024-01-01",
+    });
+
+    expect(milestone_schedule).toEqual([
+      { milestone: "Build", start_week: 1, end_week: 2 },
+      { milestone: "Ship", start_week: 3, end_week: 3 },
+    ]);
+  });
+
+  it("places a milestone without tasks at the end of the milestones before it", () => {
+    const milestones = [
+      { name: "Kickoff", tasks: [] },
+      { name: "Build", tasks: [task("T1", 80)] },
+      { name: "Review", tasks: [] },
+    ];
+    const result = scheduleProject(milestones, { assignments: [] }, CONTRIBUTORS, { startDate: "2024-01-01" });
+
+    expect(result.milestone_schedule).toEqual([
+      { milestone: "Kickoff", start_week: 1, end_week: 1 },
+      { milestone: "Build", start_week: 1, end_week: 2 },
+      { milestone: "Review", start_week: 2, end_week: 2 },
+    ]);
+    // Finite weeks survive serialization instead of turning into null
+    expect(JSON.parse(JSON.stringify(result.milestone_schedule))).toEqual(result.milestone_schedule);
+    expect(result.weekly_schedule[1].milestone_completions).toEqual(["Build", "Review"]);
+  });
+});
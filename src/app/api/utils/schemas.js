@@ -0,0 +1,181 @@
+// Output schemas for LLM pipeline steps
+//
+// callLLM validates each JSON response against these. Values are coerced where
+// it is safe ("85" -> 85, a lone string -> [string], "high" -> "High"); anything
+// else is reported back to the model for repair.
+
+import { array, boolean, mixed, number, object, string } from "yup";
+
+// A single string where a list was expected becomes a one-item list
+const stringList = () =>
+  array(string().trim())
+    .transform((value, originalValue) => (typeof originalValue === "string" ? [originalValue] : value))
+    .default([]);
+
+// Nested objects where prose was expected are kept as pretty-printed JSON
+const text = () =>
+  string().transform((value, originalValue) =>
+    originalValue && typeof originalValue === "object" ? JSON.stringify(originalValue, null, 2) : value,
+  );
+
+// "85", "85%" and "85/100" all become 85
+const score = () =>
+  number()
+    .transform((value, originalValue) =>
+      typeof originalValue === "string" ? parseFloat(originalValue) : value,
+    )
+    .min(0)
+    .max(100);
+
+// Case-insensitive enum that normalizes to the canonical spelling
+const oneOfLabels = (labels) =>
+  string()
+    .transform((value) => labels.find((label) => label.toLowerCase() === value?.toLowerCase()) ?? value)
+    .oneOf(labels);
+
+export const interpretationSchema = object({
+  title: string().trim().required(),
+  description: text().required(),
+  objectives: stringList().min(1),
+  scope_assumptions: stringList(),
+  technical_requirements: stringList(),
+  success_criteria: stringList(),
+  estimated_duration: string().default(""),
+  complexity_level: oneOfLabels(["Low", "Medium", "High", "Very High"]).default("Medium"),
+  primary_technologies: stringList(),
+  target_audience: text().default(""),
+  business_value: text().default(""),
+});
+
+export const taskSchema = object({
+  id: string().trim().required(),
+  title: string().trim().required(),
+  description: text().default(""),
+  required_expertise: stringList(),
+  estimated_hours: number().positive().required(),
+  priority: oneOfLabels(["Critical", "High", "Medium", "Low"]).default("Medium"),
+  can_parallel: boolean().default(true),
+  dependencies: stringList(),
+});
+
+export const milestoneSchema = object({
+  name: string().trim().required(),
+  description: text().default(""),
+  duration_weeks: number().positive().required(),
+  dependencies: stringList(),
+  deliverables: stringList(),
+  tasks: array(taskSchema).min(1).required(),
+});
+
+export const milestonesSchema = object({
+  project_phases: text().default(""),
+  milestones: array(milestoneSchema).min(1).required(),
+});
+
+// A revised milestone may come back split into several
+export const milestoneRevisionSchema = object({
+  milestones: array(milestoneSchema).min(1).required(),
+});
+
+export const assignmentsSchema = object({
+  timeline_strategy: text().default(""),
+  total_estimated_weeks: number().positive().required(),
+  assignments: array(
+    object({
+      task_id: string().trim().required(),
+      assigned_to: string().trim().required(),
+      start_week: number().integer().min(1).required(),
+      end_week: number().integer().min(1).required(),
+      assignment_rationale: text().default(""),
+      collaboration_notes: text().default(""),
+    }),
+  ).required(),
+  weekly_schedule: array(mixed()).default([]),
+  workload_distribution: array(mixed()).default([]),
+});
+
+// What the LLM decides about assignments; utils/scheduler.js derives the timeline
+export const assignmentProposalSchema = object({
+  timeline_strategy: text().default(""),
+  assignments: array(
+    object({
+      task_id: string().trim().required(),
+      assigned_to: string().trim().required(),
+      assignment_rationale: text().default(""),
+      collaboration_notes: text().default(""),
+    }),
+  ).required(),
+});
+
+export const artifactsSchema = object({
+  readme: text().required(),
+  paper_draft: text().required(),
+  code_structure: text().default(""),
+  api_documentation: text().default(""),
+  deployment_guide: text().default(""),
+  testing_strategy: text().default(""),
+});
+
+export const ARTIFACT_NAMES = Object.keys(artifactsSchema.fields);
+
+export const artifactRevisionSchema = object({
+  content: text().required(),
+});
+
+export const analysisSchema = object({
+  complexity_assessment: oneOfLabels(["low", "medium", "high", "very_high"]).default("medium"),
+  research_needed: stringList(),
+  validation_checks: stringList(),
+  enhancement_opportunities: stringList(),
+  web_search_queries: stringList(),
+  additional_llm_calls: stringList(),
+  risk_factors: stringList(),
+  success_factors: stringList(),
+});
+
+export const researchStrategySchema = object({
+  webSearchNeeded: boolean().default(false),
+  searchQueries: stringList(),
+  technicalAnalysisNeeded: boolean().default(false),
+  marketAnalysisNeeded: boolean().default(false),
+  riskAnalysisNeeded: boolean().default(false),
+});
+
+// Criterion-specific fields vary; only the score is shared and required
+export const validationCriterionSchema = object({
+  score: score().required(),
+  recommendations: stringList(),
+});
+
+export const improvementSuggestionsSchema = array(
+  object({
+    category: string().default("general"),
+    priority: oneOfLabels(["high", "medium", "low"]).default("medium"),
+    suggestion: text().required(),
+    rationale: text().default(""),
+    implementation: text().default(""),
+    impact: text().default(""),
+  }),
+)
+  // Models in JSON mode often wrap the array in an object
+  .transform((value, originalValue) =>
+    originalValue && !Array.isArray(originalValue) && typeof originalValue === "object"
+      ? Object.values(originalValue).find(Array.isArray) ?? value
+      : value,
+  )
+  .default([]);
+
+export const clarifyingQuestionsSchema = object({
+  questions: array(
+    object({
+      question: string().trim().required(),
+      topic: string().trim().default(""),
+      why: text().default(""),
+      suggested_answers: stringList(),
+    }),
+  )
+    // Extra questions are dropped rather than sent back for repair
+    .transform((value) => (Array.isArray(value) ? value.slice(0, 7) : value))
+    .min(3)
+    .required(),
+});
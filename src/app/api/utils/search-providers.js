@@ -0,0 +1,185 @@
+// Web search provider adapters used by WebSearchAgent
+//
+// Providers are tried in SEARCH_PROVIDERS order (unconfigured ones are skipped)
+// until one answers. Every provider's results are normalized to
+// { title, url, snippet, date, position, provider, retrieved_at }.
+
+import { httpFetch } from "./http.js";
+
+const DEFAULT_ORDER = ["serper", "bing", "brave", "searxng"];
+
+export class SearchUnavailableError extends Error {
+  constructor(attempts = []) {
+    super(
+      attempts.length
+        ? `Every search provider failed: ${attempts.map((a) => `${a.provider}: ${a.error}`).join("; ")}`
+        : "No search provider configured",
+    );
+    this.name = "SearchUnavailableError";
+    this.attempts = attempts;
+  }
+}
+
+function stripTags(text) {
+  return (text || "").replace(/<[^>]+>/g, "").trim();
+}
+
+async function searchJson(provider, url, init) {
+  const response = await httpFetch(`search-${provider}`, url, init);
+  if (!response.ok) {
+    throw new Error(`${PROVIDERS[provider].label} API error: ${response.status}`);
+  }
+  return await response.json();
+}
+
+const PROVIDERS = {
+  serper: {
+    label: "Serper",
+    configured: () => Boolean(process.env.SERPER_API_KEY),
+    async search(query, { numResults, language, country }) {
+      const data = await searchJson("serper", "https://google.serper.dev/search", {
+        method: "POST",
+        headers: { "X-API-KEY": process.env.SERPER_API_KEY, "Content-Type": "application/json" },
+        body: JSON.stringify({ q: query, num: numResults, hl: language, gl: country }),
+      });
+      return (data.organic || []).map((r) => ({ title: r.title, url: r.link, snippet: r.snippet, date: r.date }));
+    },
+  },
+
+  bing: {
+    label: "Bing",
+    configured: () => Boolean(process.env.BING_SEARCH_API_KEY),
+    async search(query, { numResults, language, country }) {
+      const params = new URLSearchParams({ q: query, count: numResults, mkt: `${language}-${country.toUpperCase()}` });
+      const data = await searchJson("bing", `https://api.bing.microsoft.com/v7.0/search?${params}`, {
+        headers: { "Ocp-Apim-Subscription-Key": process.env.BING_SEARCH_API_KEY },
+      });
+      return (data.webPages?.value || []).map((r) => ({
+        title: r.name,
+        url: r.url,
+        snippet: r.snippet,
+        date: r.datePublished || r.dateLastCrawled,
+      }));
+    },
+  },
+
+  brave: {
+    label: "Brave Search",
+    configured: () => Boolean(process.env.BRAVE_SEARCH_API_KEY),
+    async search(query, { numResults, language, country }) {
+      // Brave returns at most 20 results per request
+      const params = new URLSearchParams({ q: query, count: Math.min(numResults, 20), search_lang: language, country });
+      const data = await searchJson("brave", `https://api.search.brave.com/res/v1/web/search?${params}`, {
+        headers: { "X-Subscription-Token": process.env.BRAVE_SEARCH_API_KEY, Accept: "application/json" },
+      });
+      // Snippets carry <strong> highlighting
+      return (data.web?.results || []).map((r) => ({
+        title: stripTags(r.title),
+        url: r.url,
+        snippet: stripTags(r.description),
+        date: r.page_age || r.age,
+      }));
+    },
+  },
+
+  searxng: {
+    label: "SearxNG",
+    // Self-hosted; the instance must have the JSON output format enabled
+    configured: () => Boolean(process.env.SEARXNG_URL),
+    async search(query, { numResults, language }) {
+      const base = process.env.SEARXNG_URL.replace(/\/+$/, "");
+      const params = new URLSearchParams({ q: query, format: "json", language });
+      const data = await searchJson("searxng", `${base}/search?${params}`, {
+        headers: { Accept: "application/json" },
+      });
+      return (data.results || [])
+        .slice(0, numResults)
+        .map((r) => ({ title: r.title, url: r.url, snippet: r.content, date: r.publishedDate }));
+    },
+  },
+
+  // Deterministic offline results for tests and CI; only used when listed in SEARCH_PROVIDERS
+  mock: {
+    label: "Mock",
+    configured: () => true,
+    async search(query, { numResults }) {
+      const slug = query.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+      return Array.from({ length: Math.min(numResults, 3) }, (_, i) => ({
+        title: `${query} (mock result ${i + 1})`,
+        url: `https://example.com/mock/${slug}/${i + 1}`,
+        snippet: `Mock search result ${i + 1} for "${query}".`,
+        date: null,
+      }));
+    },
+  },
+};
+
+export const SEARCH_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Providers in fallback order; SEARCH_PROVIDERS is a comma-separated list of provider names
+export function searchProviderOrder() {
+  const configured = (process.env.SEARCH_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = configured.filter((name) => !PROVIDERS[name]);
+  if (unknown.length) {
+    console.warn(`⚠️ Ignoring unknown search providers: ${unknown.join(", ")}`);
+  }
+
+  const order = configured.filter((name) => PROVIDERS[name]);
+  return order.length ? [...new Set(order)] : DEFAULT_ORDER;
+}
+
+// The providers that will actually be tried, in order
+export function availableSearchProviders() {
+  return searchProviderOrder().filter((name) => PROVIDERS[name].configured());
+}
+
+export function isSearchConfigured() {
+  return availableSearchProviders().length > 0;
+}
+
+/**
+ * Runs `query` against the first provider in the fallback order that answers.
+ * A provider that errors is skipped; one that answers with no results is still
+ * an answer. Resolves with { provider, results, attempts }, where `attempts`
+ * lists [{ provider, error }] for the providers that failed first. Throws
+ * SearchUnavailableError when no provider is configured or every one fails.
+ */
+export async function searchWeb(query, options = {}) {
+  const settings = {
+    numResults: options.numResults || 10,
+    language: options.language || "en",
+    country: options.country || "us",
+  };
+  const attempts = [];
+
+  for (const provider of availableSearchProviders()) {
+    try {
+      const results = await PROVIDERS[provider].search(query, settings);
+      const retrievedAt = new Date().toISOString();
+      return {
+        provider,
+        results: results
+          .filter((result) => result.url)
+          .map((result, index) => ({
+            title: result.title || result.url,
+            url: result.url,
+            snippet: result.snippet || "",
+            date: result.date || null,
+            position: index + 1,
+            provider,
+            retrieved_at: retrievedAt,
+          })),
+        attempts,
+      };
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      console.warn(`⚠️ ${PROVIDERS[provider].label} search failed (${error.message}); trying the next provider`);
+      attempts.push({ provider, error: error.message });
+    }
+  }
+
+  throw new SearchUnavailableError(attempts);
+}
@@ -0,0 +1,153 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+let search;
+let fetchCalls;
+
+const PROVIDER_ENV = ["SEARCH_PROVIDERS", "SERPER_API_KEY", "BING_SEARCH_API_KEY", "BRAVE_SEARCH_API_KEY", "SEARXNG_URL"];
+
+beforeEach(async () => {
+  vi.resetModules();
+  // Fresh breaker state for every spec
+  search = await import("./search-providers.js");
+  for (const name of [...PROVIDER_ENV, "FIXTURE_MODE"]) vi.stubEnv(name, "");
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  fetchCalls = [];
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+// Answers each provider by host: a status number, or the JSON body to send with a 200
+function stubSearchApis(answers) {
+  vi.stubGlobal("fetch", async (input, init = {}) => {
+    const url = new URL(String(input));
+    fetchCalls.push({ url, init });
+    const answer = answers[url.host];
+    if (answer === undefined) throw new Error(`Unexpected request to ${url}`);
+    return typeof answer === "number" ? new Response("denied", { status: answer }) : Response.json(answer);
+  });
+}
+
+describe("searchProviderOrder", () => {
+  it("uses the default order without SEARCH_PROVIDERS", () => {
+    expect(search.searchProviderOrder()).toEqual(["serper", "bing", "brave", "searxng"]);
+  });
+
+  it("parses a comma-separated list, dropping duplicates and unknown names", () => {
+    vi.stubEnv("SEARCH_PROVIDERS", " Brave, serper,,brave , altavista");
+
+    expect(search.searchProviderOrder()).toEqual(["brave", "serper"]);
+    expect(console.warn).toHaveBeenCalledWith("⚠️ Ignoring unknown search providers: altavista");
+  });
+
+  it("falls back to the default order when no listed name is known", () => {
+    vi.stubEnv("SEARCH_PROVIDERS", "altavista");
+    expect(search.searchProviderOrder()).toEqual(["serper", "bing", "brave", "searxng"]);
+  });
+
+  it("skips providers that are not configured", () => {
+    vi.stubEnv("SEARCH_PROVIDERS", "bing,serper,searxng");
+    expect(search.isSearchConfigured()).toBe(false);
+
+    vi.stubEnv("SERPER_API_KEY", "serper-key");
+    vi.stubEnv("SEARXNG_URL", "https://searx.example");
+    expect(search.availableSearchProviders()).toEqual(["serper", "searxng"]);
+    expect(search.isSearchConfigured()).toBe(true);
+  });
+});
+
+describe("searchWeb", () => {
+  it("falls through a failing provider to the next one and normalizes its results", async () => {
+    vi.stubEnv("SEARCH_PROVIDERS", "bing,brave");
+    vi.stubEnv("BING_SEARCH_API_KEY", "bing-key");
+    vi.stubEnv("BRAVE_SEARCH_API_KEY", "brave-key");
+    stubSearchApis({
+      "api.bing.microsoft.com": 401,
+      "api.search.brave.com": {
+        web: {
+          results: [
+            { title: "<strong>Tide</strong> gauges", url: "https://tides.example", description: "Sea <strong>level</strong> data", page_age: "2024-05-01" },
+            { title: "No link", description: "Dropped" },
+            { url: "https://bare.example" },
+          ],
+        },
+      },
+    });
+
+    const { provider, results, attempts } = await search.searchWeb("tide gauges", { numResults: 30, country: "de" });
+
+    expect(provider).toBe("brave");
+    expect(attempts).toEqual([{ provider: "bing", error: "Bing API error: 401" }]);
+    expect(results).toEqual([
+      {
+        title: "Tide gauges",
+        url: "https://tides.example",
+        snippet: "Sea level data",
+        date: "2024-05-01",
+        position: 1,
+        provider: "brave",
+        retrieved_at: expect.any(String),
+      },
+      {
+        title: "https://bare.example",
+        url: "https://bare.example",
+        snippet: "",
+        date: null,
+        position: 2,
+        provider: "brave",
+        retrieved_at: results[0].retrieved_at,
+      },
+    ]);
+
+    const [bing, brave] = fetchCalls;
+    expect(bing.url.searchParams.get("mkt")).toBe("en-DE");
+    expect(bing.init.headers["Ocp-Apim-Subscription-Key"]).toBe("bing-key");
+    expect(brave.url.searchParams.get("count")).toBe("20");
+  });
+
+  it("takes an empty answer as an answer", async () => {
+    vi.stubEnv("SERPER_API_KEY", "serper-key");
+    vi.stubEnv("BING_SEARCH_API_KEY", "bing-key");
+    stubSearchApis({ "google.serper.dev": { organic: [] } });
+
+    expect(await search.searchWeb("nothing")).toMatchObject({ provider: "serper", results: [], attempts: [] });
+    expect(fetchCalls).toHaveLength(1);
+    expect(JSON.parse(fetchCalls[0].init.body)).toEqual({ q: "nothing", num: 10, hl: "en", gl: "us" });
+  });
+
+  it("throws SearchUnavailableError when no provider is configured", async () => {
+    await expect(search.searchWeb("anything")).rejects.toThrow(
+      expect.objectContaining({ name: "SearchUnavailableError", message: "No search provider configured", attempts: [] }),
+    );
+  });
+
+  it("throws SearchUnavailableError listing every failure when all providers fail", async () => {
+    vi.stubEnv("SERPER_API_KEY", "serper-key");
+    vi.stubEnv("SEARXNG_URL", "https://searx.example/");
+    stubSearchApis({ "google.serper.dev": 403, "searx.example": 404 });
+
+    const error = await search.searchWeb("anything").catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(search.SearchUnavailableError);
+    expect(error.message).toBe("Every search provider failed: serper: Serper API error: 403; searxng: SearxNG API error: 404");
+    expect(error.attempts.map((attempt) => attempt.provider)).toEqual(["serper", "searxng"]);
+    expect(fetchCalls[1].url.pathname).toBe("/search");
+  });
+
+  it("answers from the mock provider without any request", async () => {
+    vi.stubEnv("SEARCH_PROVIDERS", "mock");
+    stubSearchApis({});
+
+    const { provider, results } = await search.searchWeb("Tide Gauges!", { numResults: 2 });
+
+    expect(provider).toBe("mock");
+    expect(results.map((result) => result.url)).toEqual([
+      "https://example.com/mock/tide-gauges/1",
+      "https://example.com/mock/tide-gauges/2",
+    ]);
+    expect(fetchCalls).toEqual([]);
+  });
+});
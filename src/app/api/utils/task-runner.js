@@ -0,0 +1,94 @@
+// Bounded-concurrency runner for independent agent tasks (research topics,
+// validation criteria, ...)
+//
+// Every runTasks call of a generation run shares the run's `agentLimiter` (see
+// generation.js), so at most AGENT_CONCURRENCY agent tasks run at once however
+// the calls nest; the LLM and search limits in ./http.js still apply underneath.
+// A task that runs tasks of its own gives up its slot while they run, so nested
+// calls cannot deadlock. Results keep input order whatever order tasks finish in,
+// and one failing task does not stop the others.
+
+import { getRunContext, runWithContext } from "./run-context.js";
+import { BudgetExceededError } from "./usage.js";
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export function agentConcurrency() {
+  return Math.floor(envNumber("AGENT_CONCURRENCY", 3));
+}
+
+/**
+ * A counting semaphore for agent tasks: acquire() resolves once one of `limit`
+ * slots is free, in arrival order; release() frees it again.
+ */
+export function createAgentLimiter(limit = agentConcurrency()) {
+  let active = 0;
+  const queue = [];
+
+  return {
+    acquire() {
+      if (active < limit) {
+        active++;
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => queue.push(resolve));
+    },
+    release() {
+      const next = queue.shift();
+      if (next) next();
+      else active--;
+    },
+  };
+}
+
+// A spent budget or a cancelled run must stop the whole phase, not just one task
+function isFatal(error) {
+  return error instanceof BudgetExceededError || Boolean(getRunContext().signal?.aborted);
+}
+
+/**
+ * Runs `worker(item, index)` for every item, each holding a slot of `limiter`
+ * (the run's agentLimiter; outside a run, a limiter of its own). Resolves with
+ * one entry per item, in input order: { status: "fulfilled", value } or
+ * { status: "rejected", error }. A fatal error (budget exceeded, run cancelled)
+ * starts no further tasks and is rethrown once the running ones settle.
+ */
+export async function runTasks(items, worker, { limiter = getRunContext().agentLimiter ?? createAgentLimiter() } = {}) {
+  // Called from inside a task: free its slot for the inner tasks until they are done
+  const outer = getRunContext().agentSlot;
+  const yielded = outer?.limiter === limiter && outer.held;
+  if (yielded) {
+    outer.held = false;
+    limiter.release();
+  }
+
+  let fatal = null;
+  const run = async (item, index) => {
+    await limiter.acquire();
+    const slot = { limiter, held: true };
+    try {
+      if (fatal) return undefined;
+      const value = await runWithContext({ ...getRunContext(), agentSlot: slot }, () => worker(item, index));
+      return { status: "fulfilled", value };
+    } catch (error) {
+      if (isFatal(error)) fatal ??= error;
+      return { status: "rejected", error };
+    } finally {
+      if (slot.held) limiter.release();
+    }
+  };
+
+  try {
+    const settled = await Promise.all(items.map(run));
+    if (fatal) throw fatal;
+    return settled;
+  } finally {
+    if (yielded) {
+      await limiter.acquire();
+      outer.held = true;
+    }
+  }
+}
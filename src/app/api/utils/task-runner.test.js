@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { delay } from "../test/http-server.js";
+import { runWithContext } from "./run-context.js";
+import { createAgentLimiter, runTasks } from "./task-runner.js";
+import { BudgetExceededError, UsageTracker } from "./usage.js";
+
+// Runs `fn` inside a run whose tasks share a limiter of `limit` slots
+function inRun(limit, fn) {
+  return runWithContext({ agentLimiter: createAgentLimiter(limit) }, fn);
+}
+
+// Counts the leaf work running at once
+function tracker() {
+  const state = { active: 0, peak: 0 };
+  state.work = async (value) => {
+    state.active++;
+    state.peak = Math.max(state.peak, state.active);
+    await delay(5);
+    state.active--;
+    return value;
+  };
+  return state;
+}
+
+describe("runTasks", () => {
+  it("keeps input order and reports failed tasks", async () => {
+    const settled = await inRun(2, () =>
+      runTasks([30, 10, 20], async (ms, index) => {
+        await delay(ms);
+        if (index === 1) throw new Error("failed");
+        return ms;
+      }),
+    );
+
+    expect(settled).toEqual([
+      { status: "fulfilled", value: 30 },
+      { status: "rejected", error: new Error("failed") },
+      { status: "fulfilled", value: 20 },
+    ]);
+  });
+
+  it("shares one limit between concurrent and nested calls", async () => {
+    const leaves = tracker();
+
+    const settled = await inRun(3, () =>
+      Promise.all([
+        runTasks(["a", "b", "c"], (topic) => runTasks([1, 2, 3], (n) => leaves.work(`${topic}${n}`))),
+        runTasks(["x", "y"], (criterion) => leaves.work(criterion)),
+      ]),
+    );
+
+    expect(leaves.peak).toBe(3);
+    expect(settled[0][2].value.map((result) => result.value)).toEqual(["c1", "c2", "c3"]);
+    expect(settled[1].map((result) => result.value)).toEqual(["x", "y"]);
+  });
+
+  it("does not deadlock when every slot is held by a task waiting on inner tasks", async () => {
+    const leaves = tracker();
+
+    const settled = await inRun(1, () =>
+      runTasks([1, 2], (outer) => runTasks([1, 2], (inner) => runTasks([1], () => leaves.work(outer * 10 + inner)))),
+    );
+
+    expect(leaves.peak).toBe(1);
+    expect(settled.map((result) => result.value.map((inner) => inner.value[0].value))).toEqual([
+      [11, 12],
+      [21, 22],
+    ]);
+  });
+
+  it("starts no further tasks after a fatal error and rethrows it", async () => {
+    const budgetError = new BudgetExceededError(1, 2, new UsageTracker({ budgetUsd: 1 }));
+    const started = [];
+
+    const running = inRun(1, () =>
+      runTasks([1, 2, 3], async (n) => {
+        started.push(n);
+        if (n === 1) throw budgetError;
+        return n;
+      }),
+    );
+
+    await expect(running).rejects.toBe(budgetError);
+    expect(started).toEqual([1]);
+  });
+
+  it("limits a call made outside a run on its own", async () => {
+    const leaves = tracker();
+
+    await runTasks([1, 2, 3, 4, 5], leaves.work, { limiter: createAgentLimiter(2) });
+    expect(leaves.peak).toBe(2);
+  });
+});
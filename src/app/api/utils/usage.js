@@ -0,0 +1,177 @@
+// Token usage and cost accounting for generation runs
+
+// Estimated USD per 1M tokens: [prompt, completion]. Matched by longest model-name prefix.
+const MODEL_PRICES = {
+  "gpt-4o": [2.5, 10],
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4.1": [2, 8],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "o3-mini": [1.1, 4.4],
+  "claude-3-5-sonnet": [3, 15],
+  "claude-3-5-haiku": [0.8, 4],
+  "claude-3-7-sonnet": [3, 15],
+};
+
+function priceTable() {
+  if (!process.env.LLM_PRICING) return MODEL_PRICES;
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch {
+    console.warn("⚠️ LLM_PRICING is not valid JSON - using built-in prices");
+    return MODEL_PRICES;
+  }
+}
+
+// Returns null for models without a known price (e.g. local models)
+export function estimateCost(model, promptTokens, completionTokens) {
+  const prices = priceTable();
+  const match = Object.keys(prices)
+    .filter((name) => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!match) return null;
+
+  const [promptPrice, completionPrice] = prices[match];
+  return ((promptTokens || 0) * promptPrice + (completionTokens || 0) * completionPrice) / 1_000_000;
+}
+
+export class BudgetExceededError extends Error {
+  constructor(budgetUsd, spentUsd, usage, message = null) {
+    super(message || `Run budget of $${budgetUsd} exceeded (estimated spend $${spentUsd.toFixed(4)})`);
+    this.name = "BudgetExceededError";
+    this.budgetUsd = budgetUsd;
+    this.spentUsd = spentUsd;
+    this.usage = usage;
+  }
+}
+
+function emptyTotals() {
+  return { calls: 0, prompt_tokens: 0, completion_tokens: 0, estimated_cost_usd: 0, duration_ms: 0 };
+}
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+function addTo(totals, call) {
+  totals.calls++;
+  totals.prompt_tokens += call.prompt_tokens || 0;
+  totals.completion_tokens += call.completion_tokens || 0;
+  totals.estimated_cost_usd = roundUsd(totals.estimated_cost_usd + (call.estimated_cost_usd || 0));
+  totals.duration_ms += call.duration_ms || 0;
+}
+
+// Rough token count for a prompt that has not been sent yet (about 4 characters per token)
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export class UsageTracker {
+  constructor({ budgetUsd = null } = {}) {
+    this.budgetUsd = budgetUsd;
+    this.calls = [];
+    // Worst-case costs of the calls in flight, so concurrent calls cannot overshoot the budget together
+    this.reservations = new Set();
+  }
+
+  /**
+   * Adds a finished call. `estimate` is the { prompt_tokens, completion_tokens }
+   * the call was reserved with; a provider that reports no token counts is
+   * charged that worst case, so the budget still trips.
+   */
+  record({ step, agent, provider, model, prompt_tokens, completion_tokens, duration_ms }, estimate = null) {
+    const unreported = prompt_tokens == null || completion_tokens == null;
+    const billed = unreported && estimate ? estimate : { prompt_tokens, completion_tokens };
+    const call = {
+      step: step || null,
+      agent: agent || null,
+      provider,
+      model,
+      prompt_tokens,
+      completion_tokens,
+      duration_ms,
+      estimated_cost_usd: estimateCost(model, billed.prompt_tokens, billed.completion_tokens),
+      ...(billed === estimate && { cost_from_estimate: true }),
+      timestamp: new Date().toISOString(),
+    };
+    this.calls.push(call);
+    return call;
+  }
+
+  get spentUsd() {
+    return this.calls.reduce((sum, call) => sum + (call.estimated_cost_usd || 0), 0);
+  }
+
+  get reservedUsd() {
+    let sum = 0;
+    for (const reservation of this.reservations) sum += reservation.costUsd;
+    return sum;
+  }
+
+  /**
+   * Called before each LLM request with the prompt size and max_tokens. With a
+   * budget, sets aside the call's worst-case cost, or throws BudgetExceededError
+   * when spent + in-flight + this call would go over it. A model without a price
+   * cannot be held to a budget and is refused. Pass the result to release() once
+   * the call has finished (and been recorded) or failed.
+   */
+  reserve({ model, prompt_tokens, completion_tokens }) {
+    if (this.budgetUsd === null) return null;
+
+    const costUsd = estimateCost(model, prompt_tokens, completion_tokens);
+    if (costUsd === null) {
+      throw new BudgetExceededError(
+        this.budgetUsd,
+        this.spentUsd,
+        this.summary(),
+        `Model "${model}" has no known price, so the run budget of $${this.budgetUsd} cannot be enforced; add it to LLM_PRICING or run without a budget`,
+      );
+    }
+
+    const committedUsd = this.spentUsd + this.reservedUsd;
+    if (committedUsd + costUsd > this.budgetUsd) {
+      throw new BudgetExceededError(
+        this.budgetUsd,
+        committedUsd,
+        this.summary(),
+        `Run budget of $${this.budgetUsd} exceeded (estimated spend $${this.spentUsd.toFixed(4)}, ` +
+          `$${this.reservedUsd.toFixed(4)} in flight, next call up to $${costUsd.toFixed(4)})`,
+      );
+    }
+
+    const reservation = { costUsd };
+    this.reservations.add(reservation);
+    return reservation;
+  }
+
+  release(reservation) {
+    if (reservation) this.reservations.delete(reservation);
+  }
+
+  summary() {
+    const totals = emptyTotals();
+    const byStep = {};
+    const byAgent = {};
+    const byModel = {};
+
+    for (const call of this.calls) {
+      addTo(totals, call);
+      addTo((byStep[call.step || "unknown"] ??= emptyTotals()), call);
+      addTo((byAgent[call.agent || "unknown"] ??= emptyTotals()), call);
+      addTo((byModel[call.model] ??= emptyTotals()), call);
+    }
+
+    return {
+      ...totals,
+      total_tokens: totals.prompt_tokens + totals.completion_tokens,
+      unpriced_calls: this.calls.filter((call) => call.estimated_cost_usd === null).length,
+      budget_usd: this.budgetUsd,
+      by_step: byStep,
+      by_agent: byAgent,
+      by_model: byModel,
+    };
+  }
+}
+
+export function defaultBudgetUsd() {
+  const value = Number(process.env.RUN_BUDGET_USD);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { BudgetExceededError, UsageTracker, estimateCost } from "./usage.js";
+
+// gpt-4o: $2.50 / $10 per 1M tokens, so 1000 completion tokens cost $0.01
+const CALL = { model: "gpt-4o", prompt_tokens: 0, completion_tokens: 1000 };
+
+describe("UsageTracker budget", () => {
+  it("does not reserve anything without a budget", () => {
+    const usage = new UsageTracker();
+    expect(usage.reserve({ ...CALL, model: "llama3" })).toBeNull();
+  });
+
+  it("counts calls in flight against the budget", () => {
+    const usage = new UsageTracker({ budgetUsd: 0.025 });
+    const first = usage.reserve(CALL);
+    const second = usage.reserve(CALL);
+
+    expect(() => usage.reserve(CALL)).toThrow(BudgetExceededError);
+
+    usage.release(first);
+    expect(() => usage.release(usage.reserve(CALL))).not.toThrow();
+    usage.release(second);
+  });
+
+  it("refuses a call once the recorded spend leaves no room for it", () => {
+    const usage = new UsageTracker({ budgetUsd: 0.015 });
+    const reservation = usage.reserve(CALL);
+    usage.record({ model: "gpt-4o", prompt_tokens: 0, completion_tokens: 800, duration_ms: 1 });
+    usage.release(reservation);
+
+    expect(usage.spentUsd).toBeCloseTo(0.008);
+    expect(() => usage.reserve(CALL)).toThrow(/in flight, next call up to \$0\.0100/);
+  });
+
+  it("refuses models without a price when a budget is set", () => {
+    const usage = new UsageTracker({ budgetUsd: 1 });
+    expect(estimateCost("llama3", 1, 1)).toBeNull();
+    expect(() => usage.reserve({ ...CALL, model: "llama3" })).toThrow(/no known price/);
+  });
+});
+
+describe("UsageTracker.record", () => {
+  it("charges a call without reported token counts its reserved worst case", () => {
+    const usage = new UsageTracker({ budgetUsd: 0.015 });
+    const reservation = usage.reserve(CALL);
+    const call = usage.record({ model: "gpt-4o", prompt_tokens: null, completion_tokens: null, duration_ms: 1 }, CALL);
+    usage.release(reservation);
+
+    expect(call).toMatchObject({ prompt_tokens: null, completion_tokens: null, estimated_cost_usd: 0.01, cost_from_estimate: true });
+    expect(() => usage.reserve(CALL)).toThrow(BudgetExceededError);
+  });
+
+  it("prices reported token counts, not the estimate", () => {
+    const usage = new UsageTracker();
+    const call = usage.record({ model: "gpt-4o", prompt_tokens: 0, completion_tokens: 100, duration_ms: 1 }, CALL);
+
+    expect(call.estimated_cost_usd).toBeCloseTo(0.001);
+    expect(call).not.toHaveProperty("cost_from_estimate");
+  });
+});
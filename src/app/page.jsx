@@ -1,16 +1,124 @@
 "use client";
 
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useCallback } from "react";
+import useHandleStreamResponse from "@/utils/useHandleStreamResponse";
+
+// Fast pipeline steps, in order; a failed run can be retried from any of them
+const PIPELINE_STEPS = ["interpretation", "milestones", "assignments", "artifacts"];
+
+const PHASE_LABELS = {
+  interpretation: "Interpreting project",
+  milestones: "Generating tasks and milestones",
+  assignments: "Assigning tasks and building timeline",
+  artifacts: "Generating artifacts",
+  notion: "Creating Notion page",
+  repository: "Pushing git repository",
+  analysis: "Autonomous project analysis",
+  research: "Autonomous research",
+  generation: "Research-informed plan generation",
+  improvement: "Validation and improvement",
+};
+
+// Parses the complete NDJSON lines received so far; a trailing partial line is skipped
+function parseProgressEvents(content) {
+  return content
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+function formatProgressEvent(event) {
+  const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const label = PHASE_LABELS[event.phase] || event.phase;
+
+  switch (event.type) {
+    case "phase_started":
+      return `▶️ ${label}...`;
+    case "phase_finished":
+      return `✅ ${label} (${seconds(event.duration_ms)})`;
+    case "llm_call":
+      return `🧠 LLM call (${event.model}, ${seconds(event.duration_ms)}): ${event.description}`;
+    case "search_query":
+      if (event.error) return `⚠️ Search failed: "${event.query}" - ${event.error}`;
+      return event.cached
+        ? `🌐 Search (cached): "${event.query}"`
+        : `🌐 Search (${event.provider}): "${event.query}" → ${event.results} results`;
+    case "page_read":
+      if (event.error) return `⚠️ ${event.error}`;
+      return `📖 Read ${event.url} (${event.format}, ${event.chars} characters${event.truncated ? ", truncated" : ""})`;
+    case "graph_issues":
+      return `🔗 ${event.issues.length} dependency problem(s) in the plan, asking for a correction`;
+    case "integration_warnings":
+      return `⚠️ ${event.failures.length} part(s) of the ${event.integration} export could not be written`;
+    case "validation_score":
+      return event.error
+        ? `⚠️ Validation ${event.criterion.replace(/_/g, " ")} failed: ${event.error}`
+        : `📊 Validation ${event.criterion.replace(/_/g, " ")}: ${event.score ?? "?"}/100`;
+    case "log":
+      return event.message;
+    case "job":
+      return `📋 Queued as job ${event.job_id}`;
+    case "project_created":
+      return `🗄️ Saving progress as project ${event.project_id} (version ${event.version})`;
+    case "result":
+      return "✨ Project generation complete!";
+    case "error":
+      return event.status === "cancelled" ? "🛑 Generation cancelled" : `❌ Error: ${event.error}`;
+    default:
+      return null;
+  }
+}
+
+const SENIORITY_LEVELS = ["junior", "mid", "senior", "lead"];
+
+const emptyContributor = () => ({
+  name: "",
+  expertise: [],
+  weekly_hours: "",
+  start_date: "",
+  timezone: "",
+  seniority: "",
+  absences: [],
+});
+
+// Drops empty optional fields so the server applies its defaults
+function contributorPayload(contributor) {
+  return {
+    name: contributor.name,
+    expertise: contributor.expertise,
+    ...(contributor.weekly_hours && { weekly_hours: Number(contributor.weekly_hours) }),
+    ...(contributor.start_date && { start_date: contributor.start_date }),
+    ...(contributor.timezone && { timezone: contributor.timezone }),
+    ...(contributor.seniority && { seniority: contributor.seniority }),
+    absences: contributor.absences.filter((a) => a.start && a.end),
+  };
+}
 
 export default function HomePage() {
-  const [step, setStep] = useState(1); // 1: idea, 2: contributors, 3: generating
+  const [step, setStep] = useState(1); // 1: idea, 2: clarify, 3: contributors, 4: generating
   const [projectIdea, setProjectIdea] = useState("");
   const [specialInstructions, setSpecialInstructions] = useState("");
-  const [contributors, setContributors] = useState([{ name: "", expertise: [] }]);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});
+  const [clarifying, setClarifying] = useState(false);
+  const [mode, setMode] = useState(""); // "": server default, "fast" or "agentic"
+  const [startDate, setStartDate] = useState("");
+  const [contributors, setContributors] = useState([emptyContributor()]);
   const [loading, setLoading] = useState(false);
   const [logs, setLogs] = useState([]);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [projectId, setProjectId] = useState(null);
+  const [failedStep, setFailedStep] = useState(null);
+  const [retryStep, setRetryStep] = useState("");
   const [expertiseInput, setExpertiseInput] = useState({});
   const [showSuggestions, setShowSuggestions] = useState({});
 
@@ -26,7 +134,7 @@ export default function HomePage() {
   ];
 
   const addContributor = () => {
-    setContributors([...contributors, { name: "", expertise: [] }]);
+    setContributors([...contributors, emptyContributor()]);
   };
 
   const removeContributor = (index) => {
@@ -56,63 +164,82 @@ export default function HomePage() {
     }
   };
 
+  const addAbsence = (index) => {
+    const updated = [...contributors];
+    updated[index].absences = [...updated[index].absences, { start: "", end: "" }];
+    setContributors(updated);
+  };
+
+  const updateAbsence = (index, absenceIndex, field, value) => {
+    const updated = [...contributors];
+    updated[index].absences = updated[index].absences.map((a, i) => (i === absenceIndex ? { ...a, [field]: value } : a));
+    setContributors(updated);
+  };
+
+  const removeAbsence = (index, absenceIndex) => {
+    const updated = [...contributors];
+    updated[index].absences = updated[index].absences.filter((_, i) => i !== absenceIndex);
+    setContributors(updated);
+  };
+
   const removeExpertise = (index, expertise) => {
     const updated = [...contributors];
     updated[index].expertise = updated[index].expertise.filter(e => e !== expertise);
     setContributors(updated);
   };
 
+  const applyProgress = useCallback((content) => {
+    const events = parseProgressEvents(content);
+    setLogs(
+      events
+        .map((event) => ({
+          message: formatProgressEvent(event),
+          timestamp: new Date(event.timestamp).toLocaleTimeString(),
+        }))
+        .filter((log) => log.message),
+    );
+
+    const jobEvent = events.find((event) => event.type === "job");
+    if (jobEvent) setJobId(jobEvent.job_id);
+    const projectEvent = events.find((event) => event.type === "project_created");
+    if (projectEvent) setProjectId(projectEvent.project_id);
+
+    const last = events[events.length - 1];
+    if (last?.type === "result") setResult(last.result);
+    if (last?.type === "error") {
+      setError(last.error);
+      setFailedStep(last.failed_step || null);
+      setRetryStep(last.failed_step || "");
+    }
+  }, []);
+
+  const handleStreamResponse = useHandleStreamResponse({
+    onChunk: applyProgress,
+    onFinish: applyProgress,
+  });
+
   const getFilteredSuggestions = (input) => {
     return expertiseOptions.filter(option => 
       option.toLowerCase().includes(input.toLowerCase())
     ).slice(0, 5);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setStep(3);
+  // Starts a generation job and follows its NDJSON progress stream
+  const runGeneration = async (url, payload) => {
+    setStep(4);
     setLoading(true);
     setError(null);
     setResult(null);
     setLogs([]);
-
-    // Simulate streaming logs
-    const logMessages = [
-      "🤖 Starting agentic project generation...",
-      "🧠 Agent Orchestrator analyzing requirements...",
-      "🔍 Step 1: Autonomous project interpretation...",
-      "✅ Project analysis complete",
-      "🔬 Step 2: Conducting autonomous research...",
-      "🌐 Performing web searches (if API key configured)...",
-      "📊 Analyzing market and technical data...",
-      "📋 Step 3: Generating enhanced tasks and milestones...",
-      "⚡ Optimizing for parallel execution...",
-      "👥 Step 4: Intelligent task assignment...",
-      "🎯 Balancing workload and expertise...",
-      "✅ Step 5: Validating project feasibility...",
-      "🚀 Step 6: Applying autonomous enhancements...",
-      "📄 Step 7: Generating comprehensive artifacts...",
-      "📝 Creating enhanced documentation...",
-      "🌐 Step 8: Setting up integrations...",
-      "🐙 Creating enhanced GitHub repository...",
-      "✨ Agentic project generation complete!"
-    ];
-
-    // Add logs progressively
-    for (let i = 0; i < logMessages.length; i++) {
-      await new Promise(resolve => setTimeout(resolve, 800 + Math.random() * 400));
-      setLogs(prev => [...prev, { message: logMessages[i], timestamp: new Date().toLocaleTimeString() }]);
-    }
+    setJobId(null);
+    setCancelling(false);
+    setFailedStep(null);
 
     try {
-      const response = await fetch("/api/generate-project", {
+      const response = await fetch(url, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          project_idea: projectIdea,
-          special_instructions: specialInstructions,
-          contributors: contributors.filter((c) => c.name.trim()),
-        }),
+        body: JSON.stringify({ ...payload, stream: true }),
       });
 
       if (!response.ok) {
@@ -120,8 +247,7 @@ export default function HomePage() {
         throw new Error(errorData.error || "Failed to generate project");
       }
 
-      const data = await response.json();
-      setResult(data);
+      await handleStreamResponse(response);
     } catch (err) {
       console.error(err);
       setError(err.message);
@@ -131,13 +257,82 @@ export default function HomePage() {
     }
   };
 
-  const handleIdeaSubmit = (e) => {
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setProjectId(null);
+    await runGeneration("/api/generate-project", {
+      project_idea: projectIdea,
+      special_instructions: specialInstructions,
+      clarifications: questions
+        .map((q, index) => ({ question: q.question, answer: answers[index] || "" }))
+        .filter((c) => c.answer.trim()),
+      contributors: contributors.filter((c) => c.name.trim()).map(contributorPayload),
+      start_date: startDate || undefined,
+      mode: mode || undefined,
+    });
+  };
+
+  // Re-runs the chosen step and everything after it, keeping earlier checkpoints
+  const handleRetry = async () => {
+    await runGeneration(`/api/projects/${projectId}/resume`, {
+      from_step: retryStep || undefined,
+    });
+  };
+
+  // The job stops at its next outbound call; the stream then ends with a "cancelled" error
+  const handleCancel = async () => {
+    if (!jobId) return;
+    setCancelling(true);
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/cancel`, { method: "POST" });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to cancel generation");
+      }
+    } catch (err) {
+      console.error(err);
+      setCancelling(false);
+      setLogs(prev => [...prev, { message: `⚠️ ${err.message}`, timestamp: new Date().toLocaleTimeString() }]);
+    }
+  };
+
+  // Fetches clarifying questions for the idea; without them the flow goes straight to contributors
+  const handleIdeaSubmit = async (e) => {
     e.preventDefault();
-    if (projectIdea.trim()) {
-      setStep(2);
+    if (!projectIdea.trim()) return;
+
+    setStep(2);
+    setClarifying(true);
+    setQuestions([]);
+    setAnswers({});
+
+    try {
+      const response = await fetch("/api/clarify", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ project_idea: projectIdea }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Failed to generate clarifying questions");
+      }
+
+      const data = await response.json();
+      setQuestions(data.questions || []);
+      if (!data.questions?.length) setStep(3);
+    } catch (err) {
+      console.error(err);
+      setStep(3);
+    } finally {
+      setClarifying(false);
     }
   };
 
+  const skipClarification = () => {
+    setAnswers({});
+    setStep(3);
+  };
+
   return (
     <div className="min-h-screen bg-white">
       {step === 1 && (
@@ -179,6 +374,72 @@ export default function HomePage() {
       )}
 
       {step === 2 && (
+        <div className="max-w-4xl mx-auto px-4 py-12">
+          <div className="text-center mb-8">
+            <h2 className="text-3xl font-light text-gray-800 mb-2">A few questions first</h2>
+            <p className="text-gray-600">Answer what you can; blank answers are left to the planner</p>
+          </div>
+
+          {clarifying ? (
+            <div className="text-center text-gray-600 py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-4"></div>
+              Thinking about your idea...
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {questions.map((q, index) => (
+                <div key={index} className="bg-gray-50 rounded-lg p-6">
+                  {q.topic && (
+                    <div className="text-xs uppercase tracking-wide text-blue-700 mb-1">{q.topic}</div>
+                  )}
+                  <h3 className="text-lg font-medium text-gray-800 mb-1">{q.question}</h3>
+                  {q.why && <p className="text-sm text-gray-600 mb-3">{q.why}</p>}
+                  <textarea
+                    value={answers[index] || ""}
+                    onChange={(e) => setAnswers({ ...answers, [index]: e.target.value })}
+                    placeholder="Your answer (optional)"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none resize-none"
+                    rows={2}
+                  />
+                  {q.suggested_answers?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {q.suggested_answers.map((suggestion, i) => (
+                        <button
+                          key={i}
+                          type="button"
+                          onClick={() => setAnswers({ ...answers, [index]: suggestion })}
+                          className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm hover:bg-blue-200 transition-colors"
+                        >
+                          {suggestion}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex justify-center gap-4 pt-6">
+                <button
+                  type="button"
+                  onClick={skipClarification}
+                  className="px-8 py-3 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors text-lg"
+                >
+                  Skip
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setStep(3)}
+                  className="px-8 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-lg font-medium"
+                >
+                  Continue
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {step === 3 && (
         <div className="max-w-4xl mx-auto px-4 py-12">
           <div className="text-center mb-8">
             <h2 className="text-3xl font-light text-gray-800 mb-2">Who would you like to add to this project?</h2>
@@ -241,6 +502,79 @@ export default function HomePage() {
                   </div>
                 </div>
 
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                  <input
+                    type="number"
+                    min="1"
+                    max="80"
+                    value={contributor.weekly_hours}
+                    onChange={(e) => updateContributor(index, "weekly_hours", e.target.value)}
+                    placeholder="Hours/week (40)"
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                  />
+                  <input
+                    type="date"
+                    value={contributor.start_date}
+                    onChange={(e) => updateContributor(index, "start_date", e.target.value)}
+                    title="First day on the project"
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                  />
+                  <input
+                    type="text"
+                    list="timezones"
+                    value={contributor.timezone}
+                    onChange={(e) => updateContributor(index, "timezone", e.target.value)}
+                    placeholder="Time zone"
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                  />
+                  <select
+                    value={contributor.seniority}
+                    onChange={(e) => updateContributor(index, "seniority", e.target.value)}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none bg-white"
+                  >
+                    <option value="">Seniority</option>
+                    {SENIORITY_LEVELS.map((level) => (
+                      <option key={level} value={level}>{level}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="mb-4 space-y-2">
+                  {contributor.absences.map((absence, i) => (
+                    <div key={i} className="flex items-center gap-2 text-sm text-gray-600">
+                      <span>Away from</span>
+                      <input
+                        type="date"
+                        value={absence.start}
+                        onChange={(e) => updateAbsence(index, i, "start", e.target.value)}
+                        className="px-3 py-1 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                      />
+                      <span>to</span>
+                      <input
+                        type="date"
+                        value={absence.end}
+                        min={absence.start || undefined}
+                        onChange={(e) => updateAbsence(index, i, "end", e.target.value)}
+                        className="px-3 py-1 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeAbsence(index, i)}
+                        className="px-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => addAbsence(index)}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add planned absence
+                  </button>
+                </div>
+
                 {contributor.expertise.length > 0 && (
                   <div className="flex flex-wrap gap-2">
                     {contributor.expertise.map((exp, i) => (
@@ -263,6 +597,12 @@ export default function HomePage() {
               </div>
             ))}
 
+            <datalist id="timezones">
+              {(Intl.supportedValuesOf?.("timeZone") || []).map((zone) => (
+                <option key={zone} value={zone} />
+              ))}
+            </datalist>
+
             <button
               type="button"
               onClick={addContributor}
@@ -282,6 +622,30 @@ export default function HomePage() {
               />
             </div>
 
+            <div className="p-6 bg-gray-50 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-800 mb-3">Project Start Date (Optional)</h3>
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+              />
+              <p className="text-sm text-gray-600 mt-2">Week 1 of the schedule; defaults to today</p>
+            </div>
+
+            <div className="p-6 bg-gray-50 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-800 mb-3">Generation Mode</h3>
+              <select
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none bg-white"
+              >
+                <option value="">Server default</option>
+                <option value="fast">⚡ Fast - direct generation</option>
+                <option value="agentic">🤖 Agentic - research, validation and enhancement</option>
+              </select>
+            </div>
+
             <div className="flex justify-center pt-6">
               <button
                 onClick={handleSubmit}
@@ -294,7 +658,7 @@ export default function HomePage() {
         </div>
       )}
 
-      {step === 3 && (
+      {step === 4 && (
         <div className="max-w-4xl mx-auto px-4 py-12">
           <div className="text-center mb-8">
             <h2 className="text-3xl font-light text-gray-800 mb-2">Generating Your Project</h2>
@@ -314,10 +678,44 @@ export default function HomePage() {
             )}
           </div>
 
+          {loading && jobId && (
+            <div className="mt-4 text-center">
+              <button
+                onClick={handleCancel}
+                disabled={cancelling}
+                className="px-6 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+              >
+                {cancelling ? "Cancelling..." : "Cancel Generation"}
+              </button>
+            </div>
+          )}
+
           {error && (
             <div className="mt-6 p-4 bg-red-50 border border-red-200 rounded-lg">
               <div className="text-red-800 font-medium">Error occurred:</div>
               <div className="text-red-600">{error}</div>
+
+              {!loading && projectId && failedStep && (
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <select
+                    value={retryStep}
+                    onChange={(e) => setRetryStep(e.target.value)}
+                    className="px-3 py-2 border border-red-200 rounded-lg bg-white text-gray-700"
+                  >
+                    {PIPELINE_STEPS.slice(0, PIPELINE_STEPS.indexOf(failedStep) + 1).map((name, index) => (
+                      <option key={name} value={name}>
+                        Step {index + 1}: {PHASE_LABELS[name]}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleRetry}
+                    className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                  >
+                    Retry from step {PIPELINE_STEPS.indexOf(retryStep) + 1}
+                  </button>
+                </div>
+              )}
             </div>
           )}
 
@@ -337,7 +735,9 @@ export default function HomePage() {
                   <div className="grid md:grid-cols-3 gap-4 text-sm">
                     <div>
                       <span className="font-medium text-blue-700">Confidence Score:</span>
-                      <div className="text-2xl font-bold text-blue-800">{result.agent_insights.confidence_score}%</div>
+                      <div className="text-2xl font-bold text-blue-800">
+                        {result.agent_insights.confidence_score != null ? `${result.agent_insights.confidence_score}%` : 'N/A'}
+                      </div>
                     </div>
                     <div>
                       <span className="font-medium text-blue-700">Research Performed:</span>
@@ -346,6 +746,11 @@ export default function HomePage() {
                         {result.agent_insights.technical_research_conducted && '🔬 Technical '}
                         {result.agent_insights.market_analysis_performed && '📊 Market '}
                       </div>
+                      {result.agent_insights.sources?.length > 0 && (
+                        <div className="text-xs text-blue-600 mt-1">
+                          {result.agent_insights.sources.length} cited sources
+                        </div>
+                      )}
                     </div>
                     <div>
                       <span className="font-medium text-blue-700">Enhancement:</span>
@@ -378,19 +783,30 @@ export default function HomePage() {
                     <div className="text-sm text-gray-600">View project documentation</div>
                   </a>
                 )}
-                {result.github_url && (
+                {(result.repository_url || result.github_url) && (
                   <a
-                    href={result.github_url}
+                    href={result.repository_url || result.github_url}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="block p-4 bg-white rounded-lg border hover:shadow-md transition-shadow"
                   >
-                    <div className="font-medium text-gray-800">🐙 GitHub Repository</div>
+                    <div className="font-medium text-gray-800">🐙 Git Repository</div>
                     <div className="text-sm text-gray-600">Access enhanced source code</div>
                   </a>
                 )}
               </div>
 
+              {result.integration_warnings?.length > 0 && (
+                <div className="mb-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
+                  <div className="font-medium text-yellow-800 mb-1">⚠️ Some exported content could not be written</div>
+                  <ul className="text-sm text-yellow-700 list-disc list-inside">
+                    {result.integration_warnings.map((warning, index) => (
+                      <li key={index}>{warning}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Enhanced Artifacts */}
               {result.generation_type === 'agentic' && (
                 <div className="mb-6">
@@ -411,9 +827,15 @@ export default function HomePage() {
                   setStep(1);
                   setProjectIdea("");
                   setSpecialInstructions("");
-                  setContributors([{ name: "", expertise: [] }]);
+                  setQuestions([]);
+                  setAnswers({});
+                  setMode("");
+                  setStartDate("");
+                  setContributors([emptyContributor()]);
                   setResult(null);
                   setLogs([]);
+                  setJobId(null);
+                  setProjectId(null);
                 }}
                 className="mt-6 px-6 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
               >